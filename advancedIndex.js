@@ -1,6 +1,25 @@
 const AdvancedMongoConnector = require('./lib/advancedMongoConnector');
 const AdvancedMysqlConnector = require('./lib/advancedMysqlConnector');
+const AdvancedPostgresConnector = require('./lib/advancedPostgresConnector');
+const AdvancedSqliteConnector = require('./lib/advancedSqliteConnector');
+const MemoryConnector = require('./lib/memoryConnector');
+const { ConnectorRegistry, ADVANCED_METHODS, NETWORK_FIELDS } = require('./lib/connectorRegistry');
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const { runPipeline, matchesFilter } = require('./lib/aggregationEngine');
+const { parseQuery, isConditionNode, toMongoFilter } = require('./lib/queryParser');
+const { createWebSocketServer } = require('./lib/websocketServer');
+const { createSSEHandler } = require('./lib/sseHandler');
+const { ChangeCapture } = require('./lib/changeCapture');
+const { withChangeDetails } = require('./lib/jsonDiff');
+const { VersionConflictError, QuerySyntaxError } = require('./lib/errors');
+const { normalizeHistoryQuery } = require('./lib/versionHistory');
+const { createEncryption, isEnvelope } = require('./lib/encryption');
+const { FieldEncryption, normalizeFieldRules, decryptFields } = require('./lib/fieldEncryption');
+const { resolveCompressionOptions, compressValue, isCompressed, decompressValue } = require('./lib/compression');
+const { normalizeUpdate } = require('./lib/updateOperators');
+const { ReencryptionJob } = require('./lib/reencryption');
+const { MemoryCheckpointStore } = require('./lib/checkpointStore');
 
 class UltimateRealtimeStreamPackage extends EventEmitter {
   constructor() {
@@ -9,6 +28,12 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     this.initialized = false;
     this.config = null;
     this.watchers = new Map(); // key -> { callbacks: Set, options }
+    this.queryWatchers = new Map(); // subscriptionId -> live query subscription
+    this.querySequence = 0;
+    this.socketServers = new Set();
+    this.sseHandlers = new Set();
+    this.changeCaptures = new Set();
+    this.captureSequence = 0;
     this.cache = new Map(); // Advanced caching layer
     this.metrics = {
       totalRequests: 0,
@@ -29,26 +54,70 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     this.middleware = [];
     this.queryEngine = null;
     this.compressionEnabled = false;
+    this.compression = null; // { codec, threshold } while enableCompression is on
     this.encryptionEnabled = false;
+    this.encryption = null; // EnvelopeEncryption while enableEncryption is on
+    this.fieldEncryption = null; // FieldEncryption when only config.encryptedFields are encrypted
+    this.reencryptionJobs = new Set();
+    this.reencryptionCheckpoints = new MemoryCheckpointStore(); // for connectors without a checkpoint store
+
+    this.connectors = new ConnectorRegistry(ADVANCED_METHODS);
+    this.connectors
+      .register('mongodb', () => new AdvancedMongoConnector(), { requiredFields: NETWORK_FIELDS })
+      .register('mysql', () => new AdvancedMysqlConnector(), { requiredFields: NETWORK_FIELDS })
+      .register('postgres', () => new AdvancedPostgresConnector(), { requiredFields: NETWORK_FIELDS })
+      .register('postgresql', () => new AdvancedPostgresConnector(), { requiredFields: NETWORK_FIELDS })
+      .register('sqlite', () => new AdvancedSqliteConnector(), { requiredFields: ['filename'] })
+      .register('memory', () => new MemoryConnector());
+  }
+
+  /**
+   * 🔌 Register a connector for a custom dbType (or replace a bundled one)
+   * 
+   * @param {string} dbType - Value of config.dbType that selects this connector
+   * @param {Function} factory - Called with the init() config, returns an EventEmitter connector
+   * @param {Object} [options] - Registration options
+   * @param {Array<string>} [options.requiredFields] - Config fields init() must require
+   * @returns {UltimateRealtimeStreamPackage} - This instance, for chaining
+   */
+  registerConnector(dbType, factory, options = {}) {
+    this.connectors.register(dbType, factory, options);
+    return this;
   }
 
   /**
    * 🚀 ULTIMATE INITIALIZATION - Better than any existing package
    * 
    * @param {Object} config - Configuration object
-   * @param {string} config.dbType - Database type: 'mongodb' or 'mysql'
-   * @param {string} config.host - Database host
+   * @param {string} config.dbType - Database type: 'mongodb', 'mysql', 'postgres', 'sqlite', 'memory' or a registered dbType
+   * @param {string} [config.host] - Database host (required for mongodb/mysql/postgres)
    * @param {number} [config.port] - Database port
-   * @param {string} config.user - Database username
-   * @param {string} config.password - Database password
-   * @param {string} config.database - Database name
+   * @param {string} [config.user] - Database username (required for mongodb/mysql/postgres)
+   * @param {string} [config.password] - Database password (required for mongodb/mysql/postgres)
+   * @param {string} [config.database] - Database name (required for mongodb/mysql/postgres)
+   * @param {string} [config.filename] - SQLite database file (required for sqlite)
    * @param {number} [config.pollingInterval] - Fallback polling interval (default: 2000ms)
    * @param {boolean} [config.debug] - Enable debug logging
    * @param {boolean} [config.useChangeStreams] - Use real-time change streams (default: true)
    * @param {boolean} [config.useBinlog] - Use MySQL binlog monitoring (default: true)
+   * @param {string|Object|boolean} [config.checkpointStore] - MySQL binlog position / MongoDB resume token store: 'table' (default), 'memory', { file }, a { load, save } store, or false
+   * @param {string} [config.checkpointName] - Checkpoint name; must differ per instance sharing a database (default: 'mysql-binlog:<database>[:<serverId>]' / 'mongo-stream:<database>.stream_data')
+   * @param {number} [config.checkpointInterval] - Minimum delay between checkpoint saves in ms (default: 1000)
+   * @param {boolean} [config.changeStreamPreImages] - Request MongoDB 6.0+ pre-images on change streams (default: false)
+   * @param {boolean} [config.useLogicalDecoding] - PostgreSQL: read changes from a wal2json slot instead of NOTIFY payloads (default: false)
+   * @param {string} [config.replicationSlot] - PostgreSQL: a durable logical replication slot for this instance alone, resumed
+   *   after restarts; drop it with pg_drop_replication_slot() when retiring the instance (default: a temporary slot per connection)
+   * @param {boolean|Object} [config.history] - Keep past versions of every key: true (last 100 per key) or { maxVersions, maxAge } with maxAge in seconds (default: off)
    * @param {boolean} [config.enableCache] - Enable intelligent caching (default: true)
    * @param {boolean} [config.enableCompression] - Enable data compression (default: false)
-   * @param {boolean} [config.enableEncryption] - Enable data encryption (default: false)
+   * @param {string} [config.compressionCodec] - 'gzip', 'deflate' or 'brotli' (default: 'gzip')
+   * @param {number} [config.compressionThreshold] - Only compress values whose JSON is at least this many bytes (default: 1024)
+   * @param {boolean} [config.enableEncryption] - Encrypt stored values with AES-256-GCM (default: false); needs encryptionKey, encryptionKeys or keyProvider
+   * @param {Buffer|string} [config.encryptionKey] - 32-byte key as a Buffer, 64 hex characters or base64
+   * @param {Object} [config.encryptionKeys] - Keyring of key id -> key; all decrypt, encryptionKeyId names the one that encrypts
+   * @param {string} [config.encryptionKeyId] - Id stored with each record (default: a fingerprint of encryptionKey)
+   * @param {Array<string|Object>} [config.encryptedFields] - Encrypt only these data paths, e.g. ['ssn', 'card.*', { path: 'email', deterministic: true }]; see lib/fieldEncryption.js
+   * @param {Function} [config.keyProvider] - (keyId?) => { id, key } | key, sync or async; see lib/encryption.js
    * @param {number} [config.maxConnections] - Maximum database connections (default: 50)
    * @param {number} [config.cacheSize] - Maximum cache entries (default: 10000)
    * @param {number} [config.cacheTTL] - Cache TTL in seconds (default: 300)
@@ -83,10 +152,10 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       };
 
       // Initialize appropriate advanced database connector
-      if (config.dbType.toLowerCase() === 'mongodb') {
-        this.dbConnector = new AdvancedMongoConnector();
-      } else {
-        this.dbConnector = new AdvancedMysqlConnector();
+      this.dbConnector = this.connectors.create(this.config);
+
+      if (this.config.history && typeof this.dbConnector.readHistory !== 'function') {
+        throw new Error(`history is not supported by the ${this.config.dbType} connector`);
       }
 
       // Set up event forwarding
@@ -108,7 +177,8 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       
       const initTime = Date.now() - startTime;
       console.log(`🚀 Ultimate Realtime Stream Package initialized with ${config.dbType.toUpperCase()} in ${initTime}ms`);
-      console.log(`✅ Features: Real-time ${config.dbType === 'mongodb' ? 'Change Streams' : 'Binlog'}, Advanced Caching, Query Engine`);
+      const changeSource = { mongodb: 'Change Streams', mysql: 'Binlog', postgres: 'LISTEN/NOTIFY', postgresql: 'LISTEN/NOTIFY', sqlite: 'Change Log' }[config.dbType.toLowerCase()] || 'Change Events';
+      console.log(`✅ Features: Real-time ${changeSource}, Advanced Caching, Query Engine`);
       
       this.emit('initialized', { 
         dbType: config.dbType, 
@@ -125,15 +195,8 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
   }
 
   validateConfig(config) {
-    const { dbType, host, user, password, database } = config;
-
-    if (!dbType || !['mongodb', 'mysql'].includes(dbType.toLowerCase())) {
-      throw new Error('dbType must be either "mongodb" or "mysql"');
-    }
-
-    if (!host || !user || !password || !database) {
-      throw new Error('Required fields: dbType, host, user, password, database');
-    }
+    // dbType must be registered; each connector declares its required fields
+    this.connectors.validate(config);
 
     // Advanced validation for performance settings
     if (config.maxConnections && (config.maxConnections < 1 || config.maxConnections > 1000)) {
@@ -143,6 +206,13 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     if (config.cacheSize && (config.cacheSize < 100 || config.cacheSize > 100000)) {
       throw new Error('cacheSize must be between 100 and 100000');
     }
+
+    if (config.encryptedFields !== undefined) {
+      if (!config.enableEncryption) {
+        throw new Error('encryptedFields needs enableEncryption');
+      }
+      normalizeFieldRules(config.encryptedFields);
+    }
   }
 
   setupEventForwarding() {
@@ -158,6 +228,20 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       this.handleGlobalChange(changeData);
     });
     this.dbConnector.on('healthCheck', (status) => this.emit('healthCheck', status));
+    // The saved change position was purged; changes since then were missed
+    this.dbConnector.on('historyLost', (info) => this.emit('historyLost', info));
+  }
+
+  handleGlobalChange(changeData) {
+    for (const interceptor of this.interceptors.onChange) {
+      try {
+        interceptor(changeData);
+      } catch (error) {
+        console.error('onChange interceptor error:', error);
+      }
+    }
+
+    this.emit('change', changeData);
   }
 
   async initializeAdvancedFeatures() {
@@ -176,7 +260,7 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
 
     // Initialize encryption if enabled
     if (this.config.enableEncryption) {
-      this.setupEncryption();
+      await this.setupEncryption();
     }
 
     // Start metrics collection
@@ -188,7 +272,7 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     this.cacheMetadata = new Map(); // TTL and access tracking
     
     // Cache cleanup interval
-    setInterval(() => {
+    this.cacheCleanupInterval = setInterval(() => {
       this.cleanupExpiredCache();
     }, 60000); // Every minute
   }
@@ -213,43 +297,19 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     };
   }
 
+  // Self-describing envelopes above a size threshold (see lib/compression.js)
   setupCompression() {
-    const zlib = require('zlib');
-    this.compression = {
-      compress: (data) => zlib.gzipSync(JSON.stringify(data)),
-      decompress: (compressed) => JSON.parse(zlib.gunzipSync(compressed))
-    };
+    this.compression = resolveCompressionOptions(this.config);
   }
 
-  setupEncryption() {
-    const crypto = require('crypto');
-    const algorithm = 'aes-256-gcm';
-    const key = this.config.encryptionKey || crypto.randomBytes(32);
-    
-    this.encryption = {
-      encrypt: (data) => {
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipher(algorithm, key);
-        cipher.setAAD(Buffer.from('streaming-package'));
-        
-        let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        
-        const authTag = cipher.getAuthTag();
-        return { encrypted, iv: iv.toString('hex'), authTag: authTag.toString('hex') };
-      },
-      
-      decrypt: (encryptedData) => {
-        const decipher = crypto.createDecipher(algorithm, key);
-        decipher.setAAD(Buffer.from('streaming-package'));
-        decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-        
-        let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        
-        return JSON.parse(decrypted);
-      }
-    };
+  // AES-256-GCM envelopes (see lib/encryption.js); init fails without a stable key
+  async setupEncryption() {
+    this.encryption = await createEncryption(this.config);
+
+    // Whole values, or only the configured fields so the rest stays queryable
+    if (this.config.encryptedFields) {
+      this.fieldEncryption = new FieldEncryption(this.encryption, this.config.encryptedFields, this.compression);
+    }
   }
 
   /**
@@ -264,10 +324,15 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
    * - Performance metrics
    * - Auto-reconnection
    * - Batch processing
+   * - Key patterns: 'orders:*' or 'user:42:*' share one database watcher;
+   *   meta.key reports which concrete key changed
+   * - Change details: the value before the change and an RFC 6902 patch
    * 
-   * @param {string|Object} keyOrQuery - Key to listen for or query object
+   * @param {string|Object} keyOrQuery - Key or key pattern to listen for, or query object
    * @param {Function} callback - Callback function
    * @param {Object} [options] - Advanced options
+   * @param {boolean} [options.includePrevious] - Add the value before the change as meta.previous
+   * @param {boolean|string} [options.diff] - Add meta.patch (RFC 6902) and meta.changedPaths; 'paths' for paths only
    * @returns {Function} - Unsubscribe function
    */
   on(keyOrQuery, callback, options = {}) {
@@ -290,8 +355,8 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       throw new Error('Callback must be a function');
     }
 
-    // Apply middleware
-    const wrappedCallback = this.wrapCallbackWithMiddleware(callback, key, options);
+    // Apply middleware; change details are computed first so middleware sees them
+    const wrappedCallback = withChangeDetails(this.wrapCallbackWithMiddleware(callback, key, options), options);
     
     // Set up watcher
     if (!this.watchers.has(key)) {
@@ -315,13 +380,75 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     return () => this.off(key, wrappedCallback);
   }
 
+  /**
+   * 🔎 LIVE QUERIES - Subscribe to a query result set
+   * 
+   * Delivers the initial result set with changeType 'initial', then pushes
+   * 'enter', 'update' and 'leave' events as records start matching, change,
+   * or stop matching the query.
+   * 
+   * @param {Object|string} query - Query object or SQL-like string (same as query())
+   * @param {Function} callback - Callback function
+   * @param {Object} [options] - Query options for the initial result set
+   * @returns {Function} - Unsubscribe function
+   */
+  onQuery(query, callback, options = {}) {
+    this.ensureInitialized();
+
+    if (typeof query === 'string') {
+      query = this.queryEngine.parseQuery(query);
+    }
+
+    if (!query || typeof query !== 'object') {
+      throw new Error('Query must be an object or SQL-like string');
+    }
+
+    if (query.aggregate) {
+      throw new Error('Live queries do not support aggregation pipelines');
+    }
+
+    if (!callback || typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    const subscriptionId = `query_${++this.querySequence}`;
+    const subscription = {
+      id: subscriptionId,
+      query,
+      callback: this.wrapCallbackWithMiddleware(callback, subscriptionId, options),
+      matches: new Map(), // key -> last matching record
+      ready: false,
+      pending: [] // changes received while the initial result set loads
+    };
+
+    this.queryWatchers.set(subscriptionId, subscription);
+
+    // Start the change feed before loading so no change falls in between
+    Promise.resolve(this.dbConnector.startCollectionWatch(subscriptionId, (record, meta) => {
+      this.handleQueryChange(subscription, record, meta);
+    }))
+      .then(() => this.loadQuerySubscription(subscription, options))
+      .catch((error) => {
+        this.metrics.errorCount++;
+        this.queryWatchers.delete(subscriptionId);
+        console.error(`🔥 Failed to start live query ${subscriptionId}:`, error.message);
+        this.emit('error', error);
+      });
+
+    console.log(`🎯 Started live query: ${subscriptionId}`);
+
+    return () => this.offQuery(subscriptionId);
+  }
+
   /**
    * 🔥 ULTIMATE DATA PUSHING - Superior performance
    * 
    * @param {string} key - The key to update
    * @param {*} data - The data to store
    * @param {Object} [options] - Advanced options
-   * @returns {Promise<Object>} - Enhanced operation result
+   * @param {number} [options.ifVersion] - Only write if the stored version still matches
+   *   (0: the key must not exist yet); otherwise rejects with VersionConflictError
+   * @returns {Promise<Object>} - Enhanced operation result, including the new version
    */
   async push(key, data, options = {}) {
     this.ensureInitialized();
@@ -337,28 +464,26 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       throw new Error('Data cannot be undefined');
     }
 
+    if (options.ifVersion !== undefined) {
+      this.checkExpectedVersion(options.ifVersion);
+    }
+
     try {
       // Apply before-write interceptors
       const processedData = await this.applyInterceptors('beforeWrite', { key, data, options });
       
-      // Apply compression if enabled
-      const finalData = this.config.enableCompression ? 
-        this.compression.compress(processedData.data) : processedData.data;
-      
-      // Apply encryption if enabled
-      const encryptedData = this.config.enableEncryption ?
-        this.encryption.encrypt(finalData) : finalData;
+      // Apply compression and encryption if enabled
+      const encryptedData = this.encodeForStorage(key, processedData.data);
 
       // Write to database with advanced options
       const result = await this.dbConnector.writeData(key, encryptedData, {
         ...options,
-        compressed: this.config.enableCompression,
         encrypted: this.config.enableEncryption
       });
 
       // Update cache
       if (this.config.enableCache) {
-        this.updateCache(key, processedData.data, options);
+        this.updateCache(key, processedData.data, options, result.version);
       }
 
       // Apply after-write interceptors
@@ -376,7 +501,82 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       };
     } catch (error) {
       this.metrics.errorCount++;
-      console.error(`🔥 Failed to push data for key "${key}":`, error.message);
+      // A version conflict is the caller's cue to re-read, not a failure to report
+      if (!(error instanceof VersionConflictError)) {
+        console.error(`🔥 Failed to push data for key "${key}":`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 🔒 OPTIMISTIC CONCURRENCY - Write only if nobody else did
+   * 
+   * Every record carries a version that each write increments; get() reports
+   * it in metadata.version and change events in meta.version. The version
+   * check and the write happen in one database operation.
+   * 
+   * @param {string} key - The key to update
+   * @param {number} expectedVersion - Version last read (0: the key must not exist yet)
+   * @param {*} data - The data to store
+   * @param {Object} [options] - Same options as push()
+   * @returns {Promise<Object>} - Operation result, including the new version
+   * @throws {VersionConflictError} When the stored version differs (error.code 'VERSION_CONFLICT')
+   */
+  async compareAndSet(key, expectedVersion, data, options = {}) {
+    return this.push(key, data, { ...options, ifVersion: expectedVersion });
+  }
+
+  /**
+   * ✏️ PARTIAL UPDATES - Change fields without replacing the value
+   * 
+   * $set, $unset, $inc, $push and $pull on dot-separated paths run as one
+   * native update (MongoDB update operators, MySQL JSON functions) or under
+   * a row lock, so concurrent writers to different fields don't clobber each
+   * other. Watchers receive the change like any push().
+   * 
+   * @param {string} key - The key to update
+   * @param {Object} ops - Update operators, e.g. { $set: { 'profile.name': 'Ada' }, $inc: { visits: 1 } }
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert] - Create the key from the operators when missing (default: true)
+   * @returns {Promise<Object>} - Operation result
+   */
+  async update(key, ops, options = {}) {
+    this.ensureInitialized();
+
+    const startTime = Date.now();
+    this.metrics.totalRequests++;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Key must be a non-empty string');
+    }
+
+    if (typeof this.dbConnector.updateData !== 'function') {
+      throw new Error(`update is not supported by the ${this.config.dbType} connector`);
+    }
+
+    // Operators work on stored JSON, not on compressed or encrypted payloads
+    if (this.config.enableCompression || (this.config.enableEncryption && !this.fieldEncryption)) {
+      throw new Error('update is not available with enableCompression or whole-value enableEncryption');
+    }
+
+    if (this.fieldEncryption) {
+      this.fieldEncryption.checkUpdate(normalizeUpdate(ops));
+    }
+
+    try {
+      const result = await this.dbConnector.updateData(key, ops, options);
+
+      // The new value arrives with the change event; until then the cached one is stale
+      this.cache.delete(key);
+
+      const responseTime = Date.now() - startTime;
+      this.updateMetrics('write', responseTime);
+
+      return { ...result, responseTime };
+    } catch (error) {
+      this.metrics.errorCount++;
+      console.error(`🔥 Failed to update data for key "${key}":`, error.message);
       throw error;
     }
   }
@@ -386,6 +586,7 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
    * 
    * @param {string} key - The key to retrieve
    * @param {Object} [options] - Retrieval options
+   * @param {Date|string|number} [options.asOf] - Read the key as it was at this time (needs config.history)
    * @returns {Promise<*>} - The data with metadata
    */
   async get(key, options = {}) {
@@ -398,6 +599,10 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       throw new Error('Key must be a non-empty string');
     }
 
+    if (options.asOf !== undefined) {
+      return this.getAsOf(key, options, startTime);
+    }
+
     try {
       // Check cache first
       if (this.config.enableCache && !options.skipCache) {
@@ -407,8 +612,10 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
           const responseTime = Date.now() - startTime;
           this.updateMetrics('read', responseTime);
           
+          const cacheMetadata = this.cacheMetadata.get(key);
           return {
             data: cachedData,
+            metadata: { version: cacheMetadata && cacheMetadata.version !== undefined ? cacheMetadata.version : null },
             source: 'cache',
             responseTime,
             fromCache: true
@@ -427,20 +634,12 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
         return null;
       }
 
-      // Decrypt data if needed
-      let finalData = result.data;
-      if (result.encrypted && this.config.enableEncryption) {
-        finalData = this.encryption.decrypt(finalData);
-      }
-
-      // Decompress data if needed
-      if (result.compressed && this.config.enableCompression) {
-        finalData = this.compression.decompress(finalData);
-      }
+      // Decrypt and decompress data if needed
+      const finalData = await this.decodeFromStorage(result);
 
       // Update cache
       if (this.config.enableCache) {
-        this.updateCache(key, finalData, options);
+        this.updateCache(key, finalData, options, result.version);
       }
 
       // Apply after-read interceptors
@@ -454,9 +653,10 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
         metadata: {
           timestamp: result.timestamp,
           lastModified: result.lastModified,
+          version: result.version,
           tags: result.tags || [],
-          compressed: result.compressed,
-          encrypted: result.encrypted
+          compressed: isCompressed(result.data) || (isEnvelope(result.data) && result.data.type.includes('+')),
+          encrypted: isEnvelope(result.data)
         },
         source: 'database',
         responseTime,
@@ -469,11 +669,102 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     }
   }
 
+  /**
+   * 🕰️ VERSION HISTORY - What did this key look like before?
+   * 
+   * With config.history on, every write keeps the key's new value and
+   * version in stream_data_history and every delete leaves a tombstone, so
+   * a bad write can be inspected and rolled back by pushing an older value.
+   * 
+   * @param {string} key - The key whose history to read
+   * @param {Object} [options] - History options
+   * @param {number} [options.limit] - Maximum entries (default: 100)
+   * @param {Date|string|number} [options.since] - Only versions written at or after this time
+   * @returns {Promise<Array>} - [{ key, version, data, deleted, timestamp }], newest first
+   */
+  async getHistory(key, options = {}) {
+    this.ensureInitialized();
+
+    const startTime = Date.now();
+    this.metrics.totalRequests++;
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Key must be a non-empty string');
+    }
+
+    if (typeof this.dbConnector.readHistory !== 'function') {
+      throw new Error(`getHistory is not supported by the ${this.config.dbType} connector`);
+    }
+
+    try {
+      const entries = await this.dbConnector.readHistory(key, { limit: options.limit, since: options.since });
+
+      this.updateMetrics('read', Date.now() - startTime);
+
+      return Promise.all(entries.map(async entry => ({
+        key: entry.key,
+        version: entry.version,
+        data: entry.deleted ? null : await this.decodeFromStorage(entry),
+        deleted: entry.deleted,
+        timestamp: entry.timestamp
+      })));
+    } catch (error) {
+      this.metrics.errorCount++;
+      console.error(`🔥 Failed to get history for key "${key}":`, error.message);
+      throw error;
+    }
+  }
+
+  // get(key, { asOf }): the newest version written at or before asOf
+  async getAsOf(key, options, startTime) {
+    if (typeof this.dbConnector.readHistory !== 'function') {
+      throw new Error(`get with asOf is not supported by the ${this.config.dbType} connector`);
+    }
+
+    const { asOf } = normalizeHistoryQuery({ asOf: options.asOf });
+
+    try {
+      const [entry] = await this.dbConnector.readHistory(key, { asOf, limit: 1 });
+      let record = entry ? { ...entry, lastModified: entry.timestamp } : null;
+
+      // A value unchanged since before history was enabled has no entry yet
+      if (!record) {
+        const current = await this.dbConnector.readData(key);
+        if (current && new Date(current.lastModified) <= asOf) record = current;
+      }
+
+      if (!record || record.deleted) {
+        return null;
+      }
+
+      const responseTime = Date.now() - startTime;
+      this.updateMetrics('read', responseTime);
+
+      return {
+        data: await this.decodeFromStorage(record),
+        metadata: {
+          lastModified: record.lastModified,
+          version: record.version,
+          asOf
+        },
+        source: 'history',
+        responseTime,
+        fromCache: false
+      };
+    } catch (error) {
+      this.metrics.errorCount++;
+      console.error(`🔥 Failed to get data for key "${key}" as of ${asOf.toISOString()}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * 🔍 ULTIMATE QUERYING - SQL-like power
    * 
    * @param {Object|string} query - Query object or SQL-like string
    * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Maximum results; with aggregate, of the aggregation output
+   * @param {number} [options.skip] - Results to skip; with aggregate, of the aggregation output
    * @returns {Promise<Array>} - Query results
    */
   async query(query, options = {}) {
@@ -488,16 +779,46 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
         query = this.queryEngine.parseQuery(query);
       }
 
-      // Execute query on database
-      const results = await this.dbConnector.queryData(query, options);
+      // Conditions on encrypted fields become ciphertext lookups, or are rejected
+      const storageQuery = this.fieldEncryption ? this.fieldEncryption.rewriteQuery(query) : query;
 
-      // Apply post-processing
-      const processedResults = this.queryEngine.filter(results, query.where || {});
-      
-      // Apply aggregation if requested
-      const finalResults = query.aggregate ? 
-        this.queryEngine.aggregate(processedResults, query.aggregate) : 
-        processedResults;
+      // LIMIT/OFFSET from the query string, unless given explicitly
+      options = {
+        ...options,
+        limit: options.limit ?? query.limit,
+        skip: options.skip ?? query.offset
+      };
+
+      let finalResults;
+
+      if (query.aggregate) {
+        // Every matching record is aggregated; LIMIT/OFFSET page through the output
+        const { limit, skip, ...aggregateOptions } = options;
+        let aggregated;
+
+        if (this.canPushDownAggregation(query)) {
+          // Let the database run what it can natively, finish the rest in process
+          const { data, stagesApplied } = await this.dbConnector.aggregateData(storageQuery, query.aggregate, aggregateOptions);
+          aggregated = this.queryEngine.aggregate(data, query.aggregate.slice(stagesApplied));
+        } else {
+          const results = await this.decodeRecords(await this.dbConnector.queryData(storageQuery, { ...aggregateOptions, limit: null }));
+          const processedResults = isConditionNode(query.where) ?
+            results :
+            this.queryEngine.filter(results, query.where || {});
+          aggregated = this.queryEngine.aggregate(processedResults, query.aggregate);
+        }
+
+        const start = skip || 0;
+        finalResults = aggregated.slice(start, limit ? start + limit : undefined);
+      } else {
+        // Execute query on database
+        const results = await this.decodeRecords(await this.dbConnector.queryData(storageQuery, options));
+
+        // Apply post-processing (parsed WHERE clauses already ran in the database)
+        finalResults = isConditionNode(query.where) ?
+          results :
+          this.queryEngine.filter(results, query.where || {});
+      }
 
       const responseTime = Date.now() - startTime;
       this.updateMetrics('query', responseTime);
@@ -573,16 +894,89 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     };
   }
 
-  // Transaction support
+  /**
+   * 🔒 ATOMIC TRANSACTIONS
+   * 
+   * Runs push/get/delete operations (same shape as batch()) atomically: a
+   * MongoDB session with withTransaction, or one pooled MySQL connection with
+   * BEGIN/COMMIT/ROLLBACK. beforeWrite interceptors prepare the payloads up
+   * front; cache updates and after-* interceptors only run once the
+   * transaction has committed. Change events caused by the transaction carry
+   * the returned transactionId in meta.transactionId.
+   * 
+   * @param {Array<Object>} operations - [{ type, key, data, options }]
+   * @returns {Promise<Object>} - Transaction result
+   */
   async transaction(operations) {
     this.ensureInitialized();
-    
-    if (this.config.dbType === 'mongodb') {
-      // Use MongoDB transactions
-      return await this.mongoTransaction(operations);
-    } else {
-      // Use MySQL transactions
-      return await this.mysqlTransaction(operations);
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('Operations must be a non-empty array');
+    }
+
+    for (const op of operations) {
+      if (!op || !['push', 'get', 'delete'].includes(op.type)) {
+        throw new Error(`Unknown operation type: ${op && op.type}`);
+      }
+      if (!op.key || typeof op.key !== 'string') {
+        throw new Error('Key must be a non-empty string');
+      }
+      if (op.type === 'push' && op.data === undefined) {
+        throw new Error('Data cannot be undefined');
+      }
+      if (op.type === 'push' && op.options && op.options.ifVersion !== undefined) {
+        this.checkExpectedVersion(op.options.ifVersion);
+      }
+    }
+
+    const startTime = Date.now();
+    this.metrics.totalRequests++;
+    const transactionId = crypto.randomBytes(16).toString('hex');
+
+    try {
+      // Prepare payloads before the transaction starts
+      const prepared = [];
+      for (const op of operations) {
+        const options = op.options || {};
+        if (op.type === 'push') {
+          const processed = await this.applyInterceptors('beforeWrite', { key: op.key, data: op.data, options });
+          prepared.push({ type: op.type, key: op.key, data: processed.data, options });
+        } else {
+          prepared.push({ type: op.type, key: op.key, options });
+        }
+      }
+
+      const storageOperations = prepared.map(op => (op.type === 'push' ? {
+        ...op,
+        data: this.encodeForStorage(op.key, op.data),
+        options: {
+          ...op.options,
+          encrypted: this.config.enableEncryption
+        }
+      } : op));
+
+      const rawResults = await this.dbConnector.runTransaction(storageOperations, { transactionId });
+
+      // Committed - now apply cache and interceptor side effects
+      const results = [];
+      for (let i = 0; i < prepared.length; i++) {
+        results.push(await this.applyCommittedOperation(prepared[i], rawResults[i]));
+      }
+
+      const responseTime = Date.now() - startTime;
+      this.updateMetrics('transaction', responseTime);
+
+      return {
+        transactionId,
+        committed: true,
+        results,
+        count: results.length,
+        responseTime
+      };
+    } catch (error) {
+      this.metrics.errorCount++;
+      console.error(`🔥 Transaction ${transactionId} failed:`, error.message);
+      throw error;
     }
   }
 
@@ -602,6 +996,7 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       errorRate: this.metrics.errorCount / Math.max(this.metrics.totalRequests, 1),
       database: this.dbConnector ? this.dbConnector.getMetrics() : null,
       watchers: this.watchers.size,
+      queryWatchers: this.queryWatchers.size,
       cacheSize: this.cache ? this.cache.size : 0,
       features: this.getEnabledFeatures()
     };
@@ -634,11 +1029,70 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     const watcherInfo = this.watchers.get(key);
     if (!watcherInfo) return;
 
-    // Update cache
+    if (!this.encryption) {
+      let decoded;
+      try {
+        decoded = this.decompressChange(data, meta);
+      } catch (error) {
+        this.metrics.errorCount++;
+        console.error(`🔥 Failed to decompress change for key ${meta.key || key}:`, error.message);
+        return;
+      }
+      this.deliverKeyChange(key, watcherInfo, decoded.data, decoded.meta);
+      return;
+    }
+
+    // Decrypting may wait on the key provider; the chain keeps events in order
+    watcherInfo.decoding = (watcherInfo.decoding || Promise.resolve())
+      .then(() => this.decodeChange(meta.key || key, data, meta))
+      .then(decoded => this.deliverKeyChange(key, watcherInfo, decoded.data, decoded.meta))
+      .catch((error) => {
+        this.metrics.errorCount++;
+        console.error(`🔥 Failed to decrypt change for key ${meta.key || key}:`, error.message);
+      });
+  }
+
+  // Synchronous decodeChange() for when nothing is encrypted
+  decompressChange(data, meta) {
+    const decoded = { ...meta };
+
+    if (isCompressed(meta.previous)) {
+      decoded.previous = decompressValue(meta.previous);
+    }
+
+    if (!isCompressed(data)) {
+      return { data, meta: decoded };
+    }
+
+    delete decoded.changedPaths;
+    return { data: decompressValue(data), meta: decoded };
+  }
+
+  async decodeChange(changedKey, data, meta) {
+    const decoded = { ...meta };
+
+    if (meta.previous !== undefined && meta.previous !== null) {
+      decoded.previous = await this.decodeFromStorage({ key: changedKey, data: meta.previous });
+    }
+
+    if (data === null || data === undefined) {
+      return { data, meta: decoded };
+    }
+
+    // Paths reported by the database point into the envelope, not the data
+    if (isEnvelope(data) || isCompressed(data)) {
+      delete decoded.changedPaths;
+    }
+    return { data: await this.decodeFromStorage({ key: changedKey, data }), meta: decoded };
+  }
+
+  deliverKeyChange(key, watcherInfo, data, meta) {
+    // Update cache under the concrete key (key may be a pattern)
+    const changedKey = meta.key || key;
     if (this.config.enableCache && data !== null) {
-      this.updateCache(key, data);
+      this.updateCache(changedKey, data, {}, meta.version);
     } else if (meta.changeType === 'deleted') {
-      this.cache.delete(key);
+      this.cache.delete(changedKey);
     }
 
     // Notify all callbacks for this key
@@ -651,6 +1105,196 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     });
   }
 
+  async loadQuerySubscription(subscription, options) {
+    const { data } = await this.query(subscription.query, options);
+
+    // Unsubscribed while the initial result set was loading
+    if (!this.queryWatchers.has(subscription.id)) return;
+
+    for (const record of data) {
+      subscription.matches.set(record.key, record);
+    }
+
+    subscription.ready = true;
+
+    try {
+      subscription.callback(data, {
+        changeType: 'initial',
+        subscriptionId: subscription.id,
+        query: subscription.query,
+        count: data.length,
+        timestamp: new Date(),
+        features: this.getEnabledFeatures()
+      });
+    } catch (error) {
+      console.error(`Error in callback for live query ${subscription.id}:`, error);
+    }
+
+    const pending = subscription.pending;
+    subscription.pending = [];
+    pending.forEach(([record, meta]) => this.handleQueryChange(subscription, record, meta));
+  }
+
+  handleQueryChange(subscription, record, meta) {
+    if (!subscription.ready) {
+      subscription.pending.push([record, meta]);
+      return;
+    }
+
+    if (!this.encryption || record === null) {
+      try {
+        this.deliverQueryChange(subscription, record && isCompressed(record.data)
+          ? { ...record, data: decompressValue(record.data) }
+          : record, meta);
+      } catch (error) {
+        this.metrics.errorCount++;
+        console.error(`🔥 Failed to decompress change for live query ${subscription.id}:`, error.message);
+      }
+      return;
+    }
+
+    // Match the decrypted record; the chain keeps events in order
+    subscription.decoding = (subscription.decoding || Promise.resolve())
+      .then(() => this.decodeRecords([record]))
+      .then(([decoded]) => this.deliverQueryChange(subscription, decoded, meta))
+      .catch((error) => {
+        this.metrics.errorCount++;
+        console.error(`🔥 Failed to decrypt change for live query ${subscription.id}:`, error.message);
+      });
+  }
+
+  deliverQueryChange(subscription, record, meta) {
+
+    const key = meta.key;
+    const previous = subscription.matches.get(key) || null;
+    const isMatching = record !== null && this.recordMatchesQuery(record, subscription.query);
+    let changeType;
+
+    if (isMatching) {
+      changeType = previous ? 'update' : 'enter';
+      subscription.matches.set(key, record);
+    } else if (previous) {
+      changeType = 'leave';
+      subscription.matches.delete(key);
+    } else {
+      return;
+    }
+
+    try {
+      subscription.callback(record, {
+        ...meta,
+        changeType,
+        sourceChangeType: meta.changeType,
+        subscriptionId: subscription.id,
+        previous,
+        features: this.getEnabledFeatures()
+      });
+    } catch (error) {
+      console.error(`Error in callback for live query ${subscription.id}:`, error);
+    }
+  }
+
+  recordMatchesQuery(record, query) {
+    if (!this.dbConnector.matchesQuery(record, query)) {
+      return false;
+    }
+
+    return !query.where || this.queryEngine.filter([record], query.where).length > 0;
+  }
+
+  async applyCommittedOperation(op, result) {
+    const { key, options } = op;
+
+    if (op.type === 'push') {
+      if (this.config.enableCache) {
+        this.updateCache(key, op.data, options, result && result.version);
+      }
+      await this.applyInterceptors('afterWrite', { key, data: op.data, result, options });
+      return result;
+    }
+
+    if (op.type === 'delete') {
+      if (this.config.enableCache) {
+        this.cache.delete(key);
+        this.cacheMetadata.delete(key);
+      }
+      return result;
+    }
+
+    if (!result) return null;
+
+    const data = await this.decodeFromStorage(result);
+    if (this.config.enableCache) {
+      this.updateCache(key, data, options, result.version);
+    }
+    await this.applyInterceptors('afterRead', { key, data, result, options });
+
+    return {
+      data,
+      metadata: {
+        timestamp: result.timestamp,
+        lastModified: result.lastModified,
+        version: result.version,
+        tags: result.tags || []
+      },
+      source: 'database',
+      fromCache: false
+    };
+  }
+
+  encodeForStorage(key, data) {
+    // Field-level: large fields are compressed inside their envelopes, the document stays queryable
+    if (this.fieldEncryption) {
+      return this.fieldEncryption.encrypt(data, key);
+    }
+
+    // Compressed before sealing; the envelope type records the codec
+    if (this.encryption) {
+      return this.encryption.encrypt(data, key, { compression: this.compression });
+    }
+
+    return this.compression
+      ? compressValue(data, this.compression, { binary: this.dbConnector.storesBinary === true })
+      : data;
+  }
+
+  // Envelopes are recognised by shape, so every connector and read path decrypts alike
+  async decodeFromStorage(result) {
+    let data = result.data;
+
+    if (isEnvelope(data)) {
+      if (!this.encryption) {
+        throw new Error(`Record "${result.key}" is encrypted; enable encryption with its key to read it`);
+      }
+      data = await this.encryption.decrypt(data, result.key);
+    } else if (isCompressed(data)) {
+      // Readable whatever the current compression settings are
+      data = decompressValue(data);
+    }
+
+    // Field envelopes, whether or not their paths are still configured
+    if (this.encryption) {
+      data = await decryptFields(this.encryption, data, result.key);
+    }
+
+    return data;
+  }
+
+  // Whether a stored record is not yet encoded the way encodeForStorage() would now
+  needsReencryption(record) {
+    if (!this.fieldEncryption) {
+      return this.encryption.needsReencryption(record.data);
+    }
+
+    // A compressed document is not queryable and hides its fields
+    return isCompressed(record.data) || this.fieldEncryption.needsReencryption(record.data);
+  }
+
+  // Query results and live query records with their data decoded
+  async decodeRecords(records) {
+    return Promise.all(records.map(async record => ({ ...record, data: await this.decodeFromStorage(record) })));
+  }
+
   wrapCallbackWithMiddleware(callback, key, options) {
     return async (data, meta) => {
       let context = { key, data, meta, options };
@@ -683,7 +1327,7 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     return result;
   }
 
-  updateCache(key, data, options = {}) {
+  updateCache(key, data, options = {}, version = undefined) {
     if (!this.config.enableCache) return;
     
     const now = Date.now();
@@ -699,10 +1343,21 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
       timestamp: now,
       ttl: ttl * 1000,
       accessCount: 1,
-      lastAccess: now
+      lastAccess: now,
+      version
     });
   }
 
+  // ifVersion must be a version a read could have returned; connectors without versions can't honour it
+  checkExpectedVersion(expectedVersion) {
+    if (!Number.isInteger(expectedVersion) || expectedVersion < 0) {
+      throw new Error('ifVersion must be a non-negative integer');
+    }
+    if (typeof this.dbConnector.compareAndSet !== 'function') {
+      throw new Error(`compareAndSet is not supported by the ${this.config.dbType} connector`);
+    }
+  }
+
   getFromCache(key) {
     if (!this.cache.has(key)) return null;
     
@@ -761,62 +1416,28 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
 
   startMetricsCollection() {
     // Collect and emit metrics every 30 seconds
-    setInterval(() => {
+    this.metricsInterval = setInterval(() => {
       this.emit('metrics', this.getMetrics());
     }, 30000);
   }
 
   parseSQLLikeQuery(queryString) {
-    // Basic SQL-like query parser
-    // This is a simplified implementation - in production you'd want a full parser
-    const query = {};
-    
-    // Extract SELECT fields
-    const selectMatch = queryString.match(/SELECT\s+(.*?)\s+FROM/i);
-    if (selectMatch) {
-      query.select = selectMatch[1].split(',').map(field => field.trim());
-    }
-    
-    // Extract WHERE conditions
-    const whereMatch = queryString.match(/WHERE\s+(.*?)(?:\s+ORDER|\s+LIMIT|$)/i);
-    if (whereMatch) {
-      query.where = this.parseWhereClause(whereMatch[1]);
-    }
-    
-    // Extract ORDER BY
-    const orderMatch = queryString.match(/ORDER\s+BY\s+(.*?)(?:\s+LIMIT|$)/i);
-    if (orderMatch) {
-      query.orderBy = orderMatch[1].trim();
-    }
-    
-    // Extract LIMIT
-    const limitMatch = queryString.match(/LIMIT\s+(\d+)/i);
-    if (limitMatch) {
-      query.limit = parseInt(limitMatch[1]);
-    }
-    
-    return query;
+    // Throws QuerySyntaxError with the offending position on malformed input
+    return parseQuery(queryString);
   }
 
   parseWhereClause(whereClause) {
-    // Basic WHERE clause parser
-    const conditions = {};
-    
-    // Split by AND (simplified)
-    const parts = whereClause.split(/\s+AND\s+/i);
-    
-    for (const part of parts) {
-      const match = part.match(/(\w+)\s*(=|!=|>|<|>=|<=|LIKE)\s*(['"])(.*?)\3/i);
-      if (match) {
-        const [, field, operator, quote, value] = match;
-        conditions[field] = { operator, value };
-      }
-    }
-    
-    return conditions;
+    return parseQuery(`WHERE ${whereClause}`).where;
   }
 
   applyAdvancedFilter(data, conditions) {
+    // WHERE clause AST from parseQuery()
+    if (isConditionNode(conditions)) {
+      const filter = toMongoFilter(conditions);
+      return data.filter(item => matchesFilter(item, filter));
+    }
+
+    // Legacy { field: { operator, value } } conditions on data fields
     return data.filter(item => {
       for (const [field, condition] of Object.entries(conditions)) {
         const value = item.data[field];
@@ -852,21 +1473,16 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
   }
 
   runAggregationPipeline(data, pipeline) {
-    let result = data;
-    
-    for (const stage of pipeline) {
-      if (stage.$group) {
-        result = this.groupData(result, stage.$group);
-      } else if (stage.$sort) {
-        result = this.sortData(result, stage.$sort);
-      } else if (stage.$limit) {
-        result = result.slice(0, stage.$limit);
-      } else if (stage.$skip) {
-        result = result.slice(stage.$skip);
-      }
-    }
-    
-    return result;
+    // $match, $project, $group, $sort, $unwind, $limit, $skip, $count
+    return runPipeline(data, pipeline);
+  }
+
+  canPushDownAggregation(query) {
+    // Native stages cannot see through post-filters or encoded payloads (encrypted fields included)
+    return typeof this.dbConnector.aggregateData === 'function' &&
+      (!query.where || isConditionNode(query.where)) &&
+      !this.config.enableCompression &&
+      !this.config.enableEncryption;
   }
 
   // Standard interface methods with enhanced error handling
@@ -905,6 +1521,14 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     }
   }
 
+  offQuery(subscriptionId) {
+    this.ensureInitialized();
+
+    if (this.queryWatchers.delete(subscriptionId)) {
+      this.dbConnector.stopCollectionWatch(subscriptionId);
+    }
+  }
+
   removeAllListeners(key) {
     this.ensureInitialized();
     
@@ -916,6 +1540,11 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
         this.dbConnector.stopWatch(watchKey);
       }
       this.watchers.clear();
+
+      for (const [subscriptionId] of this.queryWatchers) {
+        this.dbConnector.stopCollectionWatch(subscriptionId);
+      }
+      this.queryWatchers.clear();
     }
   }
 
@@ -924,19 +1553,238 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
     return await this.dbConnector.getAllKeys();
   }
 
+  /**
+   * 🛰️ CHANGE DATA CAPTURE - Row-level events from any MySQL table
+   * 
+   * Reads the same binlog as key watchers; before images need
+   * binlog_row_image=FULL. Listen for 'insert', 'update', 'delete' or
+   * 'change' on the returned capture (see lib/changeCapture.js).
+   * 
+   * @param {string} table - Table name, or `schema.table`
+   * @param {Object} [options] - Capture options
+   * @param {string|Array<string>} [options.primaryKey] - Key columns (default: the table's primary key)
+   * @param {Array<string>} [options.columns] - Columns to include in before/after images
+   * @param {Function|Object} [options.where] - Row predicate or MongoDB-style filter on either image
+   * @returns {ChangeCapture} - Event emitter, closed by close() or destroy()
+   */
+  watchTable(table, options = {}) {
+    this.ensureInitialized();
+
+    if (!table || typeof table !== 'string') {
+      throw new Error('Table must be a non-empty string');
+    }
+
+    if (typeof this.dbConnector.watchTable !== 'function') {
+      throw new Error(`watchTable is not supported by the ${this.config.dbType} connector`);
+    }
+
+    return this.startChangeCapture(table,
+      (id, deliver) => this.dbConnector.watchTable(id, table, deliver, options),
+      (id) => this.dbConnector.unwatchTable(id));
+  }
+
+  /**
+   * 🛰️ CHANGE DATA CAPTURE - Row-level events from any MongoDB collection
+   * 
+   * Opens a change stream on the collection; before images need
+   * changeStreamPreImages and pre-images enabled on the collection.
+   * 
+   * @param {string} name - Collection name
+   * @param {Array<Object>} [pipeline] - Extra change stream stages, e.g. [{ $match: { 'fullDocument.status': 'paid' } }]
+   * @param {Object} [options] - Capture options
+   * @param {Object} [options.resumeAfter] - Resume token from a previous change's position
+   * @returns {ChangeCapture} - Event emitter, closed by close() or destroy()
+   */
+  watchCollection(name, pipeline = [], options = {}) {
+    this.ensureInitialized();
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('Collection name must be a non-empty string');
+    }
+
+    if (!Array.isArray(pipeline)) {
+      throw new Error('Pipeline must be an array of change stream stages');
+    }
+
+    if (typeof this.dbConnector.watchCollection !== 'function') {
+      throw new Error(`watchCollection is not supported by the ${this.config.dbType} connector`);
+    }
+
+    return this.startChangeCapture(name,
+      (id, deliver) => this.dbConnector.watchCollection(id, name, pipeline, deliver, options),
+      (id) => this.dbConnector.unwatchCollection(id));
+  }
+
+  startChangeCapture(name, start, stop) {
+    const id = `capture_${++this.captureSequence}`;
+    const capture = new ChangeCapture(name, async () => {
+      this.changeCaptures.delete(capture);
+      if (this.dbConnector) await stop(id);
+    });
+    this.changeCaptures.add(capture);
+
+    Promise.resolve(start(id, (change) => {
+      this.metrics.totalChanges++;
+      capture.deliver(change);
+    }))
+      .then(() => capture.emit('ready'))
+      .catch((error) => {
+        this.metrics.errorCount++;
+        this.changeCaptures.delete(capture);
+        console.error(`🔥 Failed to start change capture on ${name}:`, error.message);
+        capture.fail(error);
+      });
+
+    console.log(`🛰️ Started change capture: ${name}`);
+    return capture;
+  }
+
+  /**
+   * 🌐 WEBSOCKET SERVER - Stream keys and live queries to browsers
+   * 
+   * Sockets subscribing to the same key share one watcher, so the connector
+   * keeps a single startRealTimeWatch per key. Requires the optional "ws" package.
+   * 
+   * @param {Object} options - Server options
+   * @param {http.Server} [options.server] - Existing HTTP server to attach to
+   * @param {number} [options.port] - Port to listen on when no server is given
+   * @param {string} [options.path] - URL path (default: '/stream')
+   * @param {Function} [options.authorize] - (message, request) => boolean|Promise<boolean>
+   * @param {boolean} [options.readOnly] - Reject push and delete messages (default: false)
+   * @param {number} [options.heartbeatInterval] - Dead socket detection interval (default: 30000)
+   * @returns {StreamWebSocketServer} - Server instance, closed automatically by destroy()
+   */
+  createWebSocketServer(options = {}) {
+    this.ensureInitialized();
+
+    const socketServer = createWebSocketServer(this, options);
+    this.socketServers.add(socketServer);
+    console.log(`🌐 WebSocket server ready on ${socketServer.options.path}`);
+    return socketServer;
+  }
+
+  /**
+   * 📡 SERVER-SENT EVENTS - For clients behind proxies that break WebSockets
+   * 
+   * Returns a (req, res, next) handler for http.createServer() or Express.
+   * Streams `?key=` (repeatable) or `?query=` subscriptions with
+   * meta.changeType as the event name and the resume token / binlog
+   * position / LSN as the event id, and resumes from Last-Event-ID.
+   * 
+   * @param {Object} [options] - Handler options
+   * @param {Function} [options.authorize] - (req, subscription) => boolean|Promise<boolean>
+   * @param {Function} [options.resolveSubscription] - (req) => { keys, query } instead of the URL
+   * @param {number} [options.heartbeatInterval] - Keep-alive comment interval (default: 15000)
+   * @param {number} [options.retry] - Client reconnect delay sent as `retry:` (default: 3000)
+   * @param {number} [options.replayBufferSize] - Events kept per key for replay (default: 100)
+   * @returns {Function} - Request handler, closed automatically by destroy()
+   */
+  createSSEHandler(options = {}) {
+    this.ensureInitialized();
+
+    const handler = createSSEHandler(this, options);
+    this.sseHandlers.add(handler);
+    return handler;
+  }
+
+  /**
+   * 🔑 KEY ROTATION - Encrypt new writes with another key
+   * 
+   * The key must be in the keyring (or known to the keyProvider). Records
+   * sealed by earlier keys stay readable; reencrypt() moves them over.
+   * 
+   * @param {string} keyId - Id of the key to encrypt with
+   * @returns {Promise<void>}
+   */
+  async rotateEncryptionKey(keyId) {
+    this.ensureInitialized();
+
+    if (!this.encryption) {
+      throw new Error('Encryption is not enabled');
+    }
+
+    await this.encryption.useKey(keyId);
+    console.log(`🔑 Encrypting new writes with key ${keyId}`);
+  }
+
+  /**
+   * 🔁 RE-ENCRYPTION - Rewrite stored records under the current key
+   * 
+   * Walks getAllKeys() in the background and rewrites every record sealed
+   * by another key (or stored unencrypted) under the current one. Listen for
+   * 'progress', 'done', 'stopped' and 'error' on the returned job; stop() it
+   * and call reencrypt() again with the same options to resume (see
+   * lib/reencryption.js).
+   * 
+   * @param {Object} [options] - Job options
+   * @param {number} [options.batchSize] - Records per batch and checkpoint (default: 100)
+   * @param {string} [options.keyPattern] - Only keys matching this glob pattern, e.g. 'users:*'
+   * @returns {ReencryptionJob} - Running job; await job.finished for the summary
+   */
+  reencrypt(options = {}) {
+    this.ensureInitialized();
+
+    if (!this.encryption) {
+      throw new Error('Encryption is not enabled');
+    }
+
+    if (options.batchSize !== undefined && (!Number.isInteger(options.batchSize) || options.batchSize < 1)) {
+      throw new Error('batchSize must be a positive integer');
+    }
+
+    const job = new ReencryptionJob({
+      connector: this.dbConnector,
+      encryption: this.encryption,
+      codec: {
+        needsReencryption: (record) => this.needsReencryption(record),
+        reencode: async (record) => ({
+          data: this.encodeForStorage(record.key, await this.decodeFromStorage(record))
+        })
+      },
+      checkpointStore: this.dbConnector.checkpointStore || this.reencryptionCheckpoints,
+      batchSize: options.batchSize,
+      keyPattern: options.keyPattern,
+      // Cached values are still right, their versions are not
+      onRewrite: (key) => {
+        this.cache.delete(key);
+        this.cacheMetadata?.delete(key);
+      }
+    });
+
+    this.reencryptionJobs.add(job);
+    job.start();
+    job.finished
+      .then((summary) => console.log(`🔁 Re-encryption ${job.name}: ${summary.reencrypted} rewritten, ${summary.failed} failed`))
+      .catch(() => {})
+      .finally(() => this.reencryptionJobs.delete(job));
+
+    return job;
+  }
+
   async destroy() {
     if (!this.initialized) return;
 
     console.log('🧹 Destroying Ultimate Realtime Stream Package...');
     
     try {
+      // Let re-encryption finish its batch and checkpoint while the connector is open
+      await Promise.all(Array.from(this.reencryptionJobs, job => job.stop()));
+
+      // Close WebSocket and SSE clients while their subscriptions can still unsubscribe
+      await Promise.all(Array.from(this.socketServers, server => server.close()));
+      this.socketServers.clear();
+      this.sseHandlers.forEach(handler => handler.close());
+      this.sseHandlers.clear();
+      await Promise.all(Array.from(this.changeCaptures, capture => capture.close()));
+
       // Clear all watchers
       this.watchers.clear();
+      this.queryWatchers.clear();
       
       // Clear cache
       if (this.cache) {
         this.cache.clear();
-        this.cacheMetadata.clear();
+        this.cacheMetadata?.clear();
       }
       
       // Disconnect from database
@@ -955,10 +1803,20 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
   }
 
   cleanup() {
+    // Timers would otherwise keep the process alive after destroy()
+    clearInterval(this.cacheCleanupInterval);
+    clearInterval(this.metricsInterval);
+    this.cacheCleanupInterval = null;
+    this.metricsInterval = null;
+
     this.initialized = false;
     this.config = null;
     this.dbConnector = null;
+    this.encryption = null;
+    this.fieldEncryption = null;
+    this.compression = null;
     this.watchers.clear();
+    this.queryWatchers.clear();
     this.cache?.clear();
     this.cacheMetadata?.clear();
     this.middleware = [];
@@ -981,4 +1839,8 @@ class UltimateRealtimeStreamPackage extends EventEmitter {
 // Create and export a singleton instance
 const ultimateStreamInstance = new UltimateRealtimeStreamPackage();
 
+// Error classes, so callers can check `error instanceof stream.VersionConflictError`
+ultimateStreamInstance.VersionConflictError = VersionConflictError;
+ultimateStreamInstance.QuerySyntaxError = QuerySyntaxError;
+
 module.exports = ultimateStreamInstance; 
\ No newline at end of file
@@ -0,0 +1,96 @@
+import {
+  StreamCallback,
+  UnsubscribeFunction,
+  WriteResult,
+  DeleteResult,
+  StreamRecord
+} from '..';
+
+export { StreamCallback, UnsubscribeFunction, WriteResult, DeleteResult, StreamRecord };
+
+/**
+ * Options for createClient()
+ */
+export interface StreamClientOptions {
+  /** WebSocket implementation (default: global WebSocket in browsers, ws in Node) */
+  WebSocket?: any;
+  /** WebSocket subprotocols */
+  protocols?: string | string[];
+  /** Connect immediately (default: true) */
+  autoConnect?: boolean;
+  /** First reconnect delay in milliseconds, doubled per attempt (default: 1000) */
+  reconnectInterval?: number;
+  /** Reconnect backoff ceiling in milliseconds (default: 30000) */
+  maxReconnectInterval?: number;
+  /** Time to wait for a gateway reply in milliseconds (default: 10000) */
+  requestTimeout?: number;
+  /** Writes kept while offline before push/delete reject with QUEUE_FULL (default: 1000) */
+  maxQueueSize?: number;
+}
+
+export type ConnectionState = 'connecting' | 'open' | 'closed';
+
+/**
+ * Result of get(); stale is set when served from the local cache while offline
+ */
+export interface ClientGetResult {
+  data: any;
+  source?: string;
+  stale?: boolean;
+  metadata?: Record<string, any>;
+  [field: string]: any;
+}
+
+/**
+ * Result of query()
+ */
+export interface ClientQueryResult {
+  data: StreamRecord[] | any[];
+  count?: number;
+  [field: string]: any;
+}
+
+/**
+ * Errors carry the gateway error code (FORBIDDEN, QUERY_SYNTAX_ERROR, ...)
+ * or a client one: OFFLINE, DISCONNECTED, TIMEOUT, QUEUE_FULL, CLOSED
+ */
+export interface StreamClientError extends Error {
+  code: string;
+}
+
+export declare class StreamClient {
+  constructor(url: string, options?: StreamClientOptions);
+
+  readonly url: string;
+  readonly state: ConnectionState;
+
+  connect(): Promise<void>;
+  isConnected(): boolean;
+  onStatus(callback: (status: { state: ConnectionState; error?: any }) => void): UnsubscribeFunction;
+
+  on(key: string, callback: StreamCallback): UnsubscribeFunction;
+  on(query: Record<string, any>, callback: (data: any, meta: Record<string, any>) => void): UnsubscribeFunction;
+  onQuery(query: Record<string, any> | string, callback: (data: any, meta: Record<string, any>) => void): UnsubscribeFunction;
+  off(key: string, callback: StreamCallback): void;
+  removeAllListeners(key?: string): void;
+
+  push(key: string, data: any, options?: Record<string, any>): Promise<WriteResult>;
+  get(key: string): Promise<ClientGetResult>;
+  delete(key: string): Promise<DeleteResult>;
+  query(query: Record<string, any> | string, options?: Record<string, any>): Promise<ClientQueryResult>;
+
+  getCached(key: string): any;
+  getStatus(): {
+    state: ConnectionState;
+    url: string;
+    pendingRequests: number;
+    queuedWrites: number;
+    keySubscriptions: number;
+    querySubscriptions: number;
+    cachedKeys: number;
+    reconnectAttempts: number;
+  };
+  close(): void;
+}
+
+export declare function createClient(url: string, options?: StreamClientOptions): StreamClient;
@@ -0,0 +1,650 @@
+/**
+ * Lightweight client for createWebSocketServer() gateways.
+ *
+ * Mirrors the on/off/push/get/delete/query surface of advancedIndex.js but
+ * talks to a remote gateway instead of a database. Runs in browsers (native
+ * WebSocket) and Node (the optional "ws" package), with no other
+ * dependencies so it can be bundled on its own:
+ *
+ *   const { createClient } = require('@krunal_tarale-5/ultimate-streaming-package/client');
+ *   const stream = createClient('wss://example.com/stream');
+ *   const unsubscribe = stream.on('orders', (data, meta) => render(data));
+ *
+ * The connection reconnects with backoff and resubscribes everything. The
+ * latest value seen per key is cached locally, and push/delete calls made
+ * while offline are queued and sent in order once the socket is back.
+ */
+
+const { isKeyPattern, keyPatternToRegExp } = require('../lib/keyPattern');
+
+const STATES = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+// ws.readyState / WebSocket.readyState value for an open socket
+const SOCKET_OPEN = 1;
+
+function resolveWebSocket(options) {
+  if (options.WebSocket) return options.WebSocket;
+  if (typeof globalThis !== 'undefined' && globalThis.WebSocket) return globalThis.WebSocket;
+
+  try {
+    return require('ws');
+  } catch (error) {
+    throw new Error('No WebSocket implementation found: pass options.WebSocket or npm install ws');
+  }
+}
+
+function clientError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class StreamClient {
+  /**
+   * @param {string} url - Gateway URL, e.g. 'wss://example.com/stream'
+   * @param {Object} [options]
+   * @param {Function} [options.WebSocket] - WebSocket implementation (default: global WebSocket or ws)
+   * @param {string|string[]} [options.protocols] - WebSocket subprotocols
+   * @param {boolean} [options.autoConnect] - Connect immediately (default: true)
+   * @param {number} [options.reconnectInterval] - First reconnect delay in ms (default: 1000)
+   * @param {number} [options.maxReconnectInterval] - Backoff ceiling in ms (default: 30000)
+   * @param {number} [options.requestTimeout] - Time to wait for an ack in ms (default: 10000)
+   * @param {number} [options.maxQueueSize] - Offline writes kept before rejecting (default: 1000)
+   */
+  constructor(url, options = {}) {
+    if (!url || typeof url !== 'string') {
+      throw new Error('Gateway URL must be a non-empty string');
+    }
+
+    this.url = url;
+    this.options = {
+      protocols: undefined,
+      autoConnect: true,
+      reconnectInterval: 1000,
+      maxReconnectInterval: 30000,
+      requestTimeout: 10000,
+      maxQueueSize: 1000,
+      ...options
+    };
+    this.WebSocket = resolveWebSocket(this.options);
+
+    this.socket = null;
+    this.state = STATES.CLOSED;
+    this.closedByUser = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+
+    this.requestSequence = 0;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.offlineQueue = []; // writes made while disconnected
+
+    this.keySubscriptions = new Map(); // key -> { callbacks: Set, serverId }
+    this.querySubscriptions = new Map(); // local id -> { query, callback, serverId }
+    this.querySequence = 0;
+    this.routes = new Map(); // server subscriptionId -> change handler
+
+    this.cache = new Map(); // key -> { data, meta } latest value seen
+    this.statusListeners = new Set();
+
+    if (this.options.autoConnect) {
+      this.connect().catch(() => {
+        // Reconnection is scheduled by the close handler
+      });
+    }
+  }
+
+  /**
+   * Open the connection (called automatically unless autoConnect is false)
+   * @returns {Promise<void>} - Resolves once the socket is open
+   */
+  connect() {
+    if (this.state === STATES.OPEN) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.closedByUser = false;
+    this.setState(STATES.CONNECTING);
+
+    this.connecting = new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new this.WebSocket(this.url, this.options.protocols);
+      } catch (error) {
+        this.connecting = null;
+        this.setState(STATES.CLOSED, error);
+        this.scheduleReconnect();
+        reject(error);
+        return;
+      }
+
+      this.socket = socket;
+      let opened = false;
+
+      socket.onopen = () => {
+        opened = true;
+        this.connecting = null;
+        this.reconnectAttempts = 0;
+        this.setState(STATES.OPEN);
+        this.resubscribe();
+        this.flushQueue();
+        resolve();
+      };
+
+      socket.onmessage = (event) => this.handleMessage(event.data);
+
+      socket.onerror = (event) => {
+        this.notifyStatus({ state: this.state, error: event && event.error ? event.error : event });
+      };
+
+      socket.onclose = () => {
+        if (this.socket !== socket) return;
+        this.socket = null;
+        this.connecting = null;
+        this.routes.clear();
+        this.failPending(clientError('DISCONNECTED', 'Connection closed before the gateway replied'));
+        this.setState(STATES.CLOSED);
+
+        if (!opened) reject(clientError('DISCONNECTED', `Could not connect to ${this.url}`));
+        if (!this.closedByUser) this.scheduleReconnect();
+      };
+    });
+
+    return this.connecting;
+  }
+
+  scheduleReconnect() {
+    if (this.closedByUser || this.reconnectTimer) return;
+
+    const delay = Math.min(
+      this.options.reconnectInterval * Math.pow(2, this.reconnectAttempts),
+      this.options.maxReconnectInterval
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(() => {
+        // The next attempt is scheduled by the close handler
+      });
+    }, delay);
+  }
+
+  isConnected() {
+    return this.state === STATES.OPEN;
+  }
+
+  /**
+   * Listen for connection state changes
+   * @param {Function} callback - Called with { state, error? }
+   * @returns {Function} - Unsubscribe function
+   */
+  onStatus(callback) {
+    this.statusListeners.add(callback);
+    return () => this.statusListeners.delete(callback);
+  }
+
+  setState(state, error) {
+    this.state = state;
+    this.notifyStatus(error ? { state, error } : { state });
+  }
+
+  notifyStatus(status) {
+    for (const listener of this.statusListeners) {
+      try {
+        listener(status);
+      } catch (error) {
+        console.error('Error in status listener:', error);
+      }
+    }
+  }
+
+  /**
+   * Listen for changes to a key or query result set
+   * @param {string|Object} keyOrQuery - Key, key pattern ('orders:*'), or query object (use onQuery() for SQL-like strings)
+   * @param {Function} callback - (data, meta) => void
+   * @returns {Function} - Unsubscribe function
+   */
+  on(keyOrQuery, callback) {
+    if (!callback || typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    if (typeof keyOrQuery === 'object' && keyOrQuery !== null) {
+      return this.onQuery(keyOrQuery, callback);
+    }
+
+    const key = keyOrQuery;
+    if (!key || typeof key !== 'string') {
+      throw new Error('Key must be a non-empty string');
+    }
+
+    let subscription = this.keySubscriptions.get(key);
+    if (!subscription) {
+      // One gateway subscription per key, shared by every local callback
+      subscription = { callbacks: new Set(), serverId: null };
+      this.keySubscriptions.set(key, subscription);
+      this.subscribeKey(key, subscription);
+    } else {
+      const cached = this.cachedEntries(key);
+      if (cached.length > 0) {
+        // Late local listeners start from the cached values, like the gateway does
+        Promise.resolve().then(() => {
+          if (!subscription.callbacks.has(callback)) return;
+          for (const [cachedKey, entry] of cached) {
+            this.invoke(callback, entry.data, { ...entry.meta, key: cachedKey, changeType: 'initial' });
+          }
+        });
+      }
+    }
+
+    subscription.callbacks.add(callback);
+    return () => this.off(key, callback);
+  }
+
+  /**
+   * Subscribe to a live query: initial result set, then enter/update/leave
+   * @param {Object|string} query - Query object or SQL-like string
+   * @param {Function} callback - (data, meta) => void
+   * @returns {Function} - Unsubscribe function
+   */
+  onQuery(query, callback) {
+    if (!callback || typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+
+    const id = `query_${++this.querySequence}`;
+    const subscription = { query, callback, serverId: null };
+    this.querySubscriptions.set(id, subscription);
+    this.subscribeQuery(id, subscription);
+
+    return () => this.offQuery(id);
+  }
+
+  /**
+   * Remove a key listener; the gateway subscription ends with the last one
+   * @param {string} key - The key to stop listening to
+   * @param {Function} callback - The callback passed to on()
+   */
+  off(key, callback) {
+    const subscription = this.keySubscriptions.get(key);
+    if (!subscription) return;
+
+    subscription.callbacks.delete(callback);
+    if (subscription.callbacks.size === 0) {
+      this.keySubscriptions.delete(key);
+      this.releaseServerSubscription(subscription.serverId);
+    }
+  }
+
+  offQuery(id) {
+    const subscription = this.querySubscriptions.get(id);
+    if (!subscription) return;
+
+    this.querySubscriptions.delete(id);
+    this.releaseServerSubscription(subscription.serverId);
+  }
+
+  removeAllListeners(key) {
+    const keys = key ? [key] : Array.from(this.keySubscriptions.keys());
+    for (const item of keys) {
+      const subscription = this.keySubscriptions.get(item);
+      if (!subscription) continue;
+      this.keySubscriptions.delete(item);
+      this.releaseServerSubscription(subscription.serverId);
+    }
+
+    if (!key) {
+      for (const id of Array.from(this.querySubscriptions.keys())) {
+        this.offQuery(id);
+      }
+    }
+  }
+
+  /**
+   * Push data to a key; queued while offline
+   * @param {string} key - The key to update
+   * @param {*} data - The data to store
+   * @param {Object} [options] - Write options forwarded to the gateway (ttl, tags, ...)
+   * @returns {Promise<Object>} - Write result from the gateway
+   */
+  async push(key, data, options = {}) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Key must be a non-empty string');
+    }
+
+    if (data === undefined) {
+      throw new Error('Data cannot be undefined');
+    }
+
+    const { result } = await this.write({ type: 'push', key, data, options });
+    return result;
+  }
+
+  /**
+   * Delete a key; queued while offline
+   * @param {string} key - The key to delete
+   * @returns {Promise<Object>} - Delete result from the gateway
+   */
+  async delete(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Key must be a non-empty string');
+    }
+
+    const { result } = await this.write({ type: 'delete', key });
+    return result;
+  }
+
+  /**
+   * Read a key. While offline the cached value is returned with
+   * source 'client-cache' and stale: true.
+   * @param {string} key - The key to read
+   * @returns {Promise<Object>} - Gateway result ({ data, metadata, source, ... })
+   */
+  async get(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Key must be a non-empty string');
+    }
+
+    if (!this.isConnected()) {
+      const cached = this.cache.get(key);
+      if (cached) {
+        return { data: cached.data, source: 'client-cache', stale: true };
+      }
+      throw clientError('OFFLINE', `Not connected and no cached value for "${key}"`);
+    }
+
+    const { result } = await this.request({ type: 'get', key });
+    return result;
+  }
+
+  /**
+   * Run a query on the gateway (advanced facade)
+   * @param {Object|string} query - Query object or SQL-like string
+   * @param {Object} [options] - Query options (limit, skip, sort)
+   * @returns {Promise<Object>} - Query result ({ data, count, ... })
+   */
+  async query(query, options = {}) {
+    if (!this.isConnected()) {
+      throw clientError('OFFLINE', 'Not connected');
+    }
+
+    const { result } = await this.request({ type: 'query', query, options });
+    return result;
+  }
+
+  /**
+   * Latest value seen for a key, without a round-trip
+   * @param {string} key - The key to look up
+   * @returns {*} - Cached data or undefined
+   */
+  getCached(key) {
+    const cached = this.cache.get(key);
+    return cached ? cached.data : undefined;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      url: this.url,
+      pendingRequests: this.pending.size,
+      queuedWrites: this.offlineQueue.length,
+      keySubscriptions: this.keySubscriptions.size,
+      querySubscriptions: this.querySubscriptions.size,
+      cachedKeys: this.cache.size,
+      reconnectAttempts: this.reconnectAttempts
+    };
+  }
+
+  /**
+   * Close the connection for good; pending and queued calls are rejected
+   */
+  close() {
+    this.closedByUser = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const error = clientError('CLOSED', 'Client closed');
+    this.failPending(error);
+    this.offlineQueue.splice(0).forEach(item => item.reject(error));
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+
+    this.routes.clear();
+    this.connecting = null;
+    this.setState(STATES.CLOSED);
+  }
+
+  /**
+   * 🧠 INTERNAL HELPERS
+   */
+
+  subscribeKey(key, subscription) {
+    if (!this.isConnected()) return; // resubscribe() picks it up on open
+
+    // Routes are registered as the ack is read: changes may be in the same chunk
+    this.request({ type: 'subscribe', key }, ({ subscriptionId }) => {
+      if (this.keySubscriptions.get(key) !== subscription) {
+        // Unsubscribed while the request was in flight
+        this.releaseServerSubscription(subscriptionId);
+        return;
+      }
+      subscription.serverId = subscriptionId;
+      this.routes.set(subscriptionId, (data, meta) => this.handleKeyChange(key, data, meta));
+    }).catch(error => this.reportSubscriptionError(key, error));
+  }
+
+  subscribeQuery(id, subscription) {
+    if (!this.isConnected()) return;
+
+    this.request({ type: 'subscribe', query: subscription.query }, ({ subscriptionId }) => {
+      if (this.querySubscriptions.get(id) !== subscription) {
+        this.releaseServerSubscription(subscriptionId);
+        return;
+      }
+      subscription.serverId = subscriptionId;
+      this.routes.set(subscriptionId, (data, meta) => this.invoke(subscription.callback, data, meta));
+    }).catch(error => this.reportSubscriptionError(id, error));
+  }
+
+  releaseServerSubscription(serverId) {
+    if (!serverId) return;
+
+    this.routes.delete(serverId);
+    if (this.isConnected()) {
+      this.request({ type: 'unsubscribe', subscriptionId: serverId }).catch(() => {
+        // The gateway drops subscriptions with the socket anyway
+      });
+    }
+  }
+
+  resubscribe() {
+    for (const [key, subscription] of this.keySubscriptions) {
+      subscription.serverId = null;
+      this.subscribeKey(key, subscription);
+    }
+
+    for (const [id, subscription] of this.querySubscriptions) {
+      subscription.serverId = null;
+      this.subscribeQuery(id, subscription);
+    }
+  }
+
+  reportSubscriptionError(target, error) {
+    console.error(`Failed to subscribe to ${target}:`, error.message);
+    this.notifyStatus({ state: this.state, error });
+  }
+
+  handleKeyChange(key, data, meta) {
+    // key is what was subscribed (maybe a pattern), meta.key the key that changed
+    const changedKey = meta.key || key;
+    if (meta.changeType === 'deleted') {
+      this.cache.delete(changedKey);
+    } else {
+      this.cache.set(changedKey, { data, meta });
+    }
+
+    const subscription = this.keySubscriptions.get(key);
+    if (!subscription) return;
+
+    for (const callback of Array.from(subscription.callbacks)) {
+      this.invoke(callback, data, meta);
+    }
+  }
+
+  cachedEntries(key) {
+    if (!isKeyPattern(key)) {
+      return this.cache.has(key) ? [[key, this.cache.get(key)]] : [];
+    }
+
+    const matcher = keyPatternToRegExp(key);
+    return Array.from(this.cache).filter(([cachedKey]) => matcher.test(cachedKey));
+  }
+
+  invoke(callback, data, meta) {
+    try {
+      callback(data, meta);
+    } catch (error) {
+      console.error(`Error in callback for key ${meta.key}:`, error);
+    }
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(typeof raw === 'string' ? raw : raw.toString());
+    } catch (error) {
+      console.error('Ignoring malformed gateway message');
+      return;
+    }
+
+    switch (message.type) {
+      case 'ack':
+      case 'error': {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+
+        if (message.type === 'error') {
+          request.reject(clientError(message.code, message.message));
+        } else {
+          if (request.onAck) request.onAck(message);
+          request.resolve(message);
+        }
+        break;
+      }
+      case 'change': {
+        const route = this.routes.get(message.subscriptionId);
+        if (!route) return;
+
+        const meta = { ...message.meta, key: message.key };
+        if (meta.timestamp) meta.timestamp = new Date(meta.timestamp);
+        route(message.data, meta);
+        break;
+      }
+      default:
+        // Unknown message types are ignored so newer gateways stay compatible
+        break;
+    }
+  }
+
+  /**
+   * Send a message and wait for its ack; onAck runs synchronously when the
+   * ack is read, before any later message is handled
+   */
+  request(message, onAck = null) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || this.socket.readyState !== SOCKET_OPEN) {
+        reject(clientError('OFFLINE', 'Not connected'));
+        return;
+      }
+
+      const id = ++this.requestSequence;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(clientError('TIMEOUT', `No reply to ${message.type} within ${this.options.requestTimeout}ms`));
+      }, this.options.requestTimeout);
+
+      this.pending.set(id, { resolve, reject, timer, onAck });
+      this.socket.send(JSON.stringify({ ...message, id }));
+    });
+  }
+
+  write(message) {
+    if (this.isConnected() && this.offlineQueue.length === 0) {
+      return this.sendWrite(message);
+    }
+
+    // Offline (or still flushing): keep order by queueing behind earlier writes
+    if (this.offlineQueue.length >= this.options.maxQueueSize) {
+      return Promise.reject(clientError('QUEUE_FULL', 'Offline write queue is full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.offlineQueue.push({ message, resolve, reject });
+    });
+  }
+
+  async sendWrite(message) {
+    const reply = await this.request(message);
+
+    if (message.type === 'push') {
+      this.cache.set(message.key, {
+        data: message.data,
+        meta: { key: message.key, changeType: 'updated', timestamp: new Date() }
+      });
+    } else if (message.type === 'delete') {
+      this.cache.delete(message.key);
+    }
+
+    return reply;
+  }
+
+  async flushQueue() {
+    if (this.flushing) return;
+    this.flushing = true;
+
+    try {
+      while (this.offlineQueue.length > 0 && this.isConnected()) {
+        const item = this.offlineQueue[0];
+        try {
+          item.resolve(await this.sendWrite(item.message));
+          this.offlineQueue.shift();
+        } catch (error) {
+          if (error.code === 'DISCONNECTED' || error.code === 'OFFLINE') {
+            break; // Dropped mid-flush; retried after the next reconnect
+          }
+          this.offlineQueue.shift();
+          item.reject(error);
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  failPending(error) {
+    for (const request of this.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+}
+
+function createClient(url, options = {}) {
+  return new StreamClient(url, options);
+}
+
+module.exports = {
+  StreamClient,
+  createClient
+};
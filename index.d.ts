@@ -1,169 +1,485 @@
 /**
- * Configuration object for initializing the realtime stream package
+ * Types shared by the package and its client (client/index.d.ts imports
+ * them from here). The namespace merges with the exported instance below,
+ * so `import { WriteResult } from '@krunal_tarale-5/ultimate-streaming-package'`
+ * works alongside `export =`.
  */
-export interface StreamConfig {
-  /** Database type: 'mongodb' or 'mysql' */
-  dbType: 'mongodb' | 'mysql';
-  /** Database host */
-  host: string;
-  /** Database port (optional) */
-  port?: number;
-  /** Database username */
-  user: string;
-  /** Database password */
-  password: string;
-  /** Database name */
-  database: string;
-  /** Polling interval in milliseconds (default: 2000) */
-  pollingInterval?: number;
-  /** Enable debug logging (default: false) */
-  debug?: boolean;
-}
+declare namespace streamInstance {
+  /**
+   * Configuration object for initializing the realtime stream package
+   */
+  export interface StreamConfig {
+    /** Database type: 'mongodb', 'mysql', 'memory' or a dbType added with registerConnector() */
+    dbType: 'mongodb' | 'mysql' | 'memory' | (string & {});
+    /** Database host (required for mongodb/mysql) */
+    host?: string;
+    /** Database port (optional) */
+    port?: number;
+    /** Database username (required for mongodb/mysql) */
+    user?: string;
+    /** Database password (required for mongodb/mysql) */
+    password?: string;
+    /** Database name (required for mongodb/mysql) */
+    database?: string;
+    /** Polling interval in milliseconds, used by keys that changed recently (default: 2000) */
+    pollingInterval?: number;
+    /** Ceiling idle keys back off to, in milliseconds (default: 30000); batched polls read every key when the soonest is due */
+    maxPollingInterval?: number;
+    /** Interval multiplier applied after each quiet poll (default: 1.5) */
+    backoffFactor?: number;
+    /** Random +/- fraction applied to each interval to spread load (default: 0.1) */
+    pollJitter?: number;
+    /** Batched polling re-reads this many milliseconds before the high-water mark, the longest commit lag it tolerates (default: 1000) */
+    pollOverlap?: number;
+    /** Batched polling diffs the key set for deletes this often, in milliseconds (default: 10000) */
+    deleteCheckInterval?: number;
+    /** Enable debug logging (default: false) */
+    debug?: boolean;
+  }
 
-/**
- * Callback function for data changes
- */
-export type StreamCallback = (data: any, meta: {
-  key: string;
-  changeType: 'created' | 'updated' | 'deleted';
-  timestamp: Date;
-}) => void;
+  /**
+   * Callback function for data changes
+   */
+  export type StreamCallback = (data: any, meta: {
+    key: string;
+    changeType: 'initial' | 'created' | 'updated' | 'deleted';
+    timestamp: Date;
+    transactionId?: string | null;
+    /** Record version after the change, on connectors that keep versions */
+    version?: number | null;
+    /** Value before the change, when known (always present with includePrevious) */
+    previous?: any;
+    /** RFC 6902 operations from previous to data (diff: true or 'patch'); null when previous is unknown */
+    patch?: JsonPatchOperation[] | null;
+    /** JSON Pointers that changed (diff option) */
+    changedPaths?: string[] | null;
+  }) => void;
 
-/**
- * Unsubscribe function returned by the on() method
- */
-export type UnsubscribeFunction = () => void;
+  /**
+   * One RFC 6902 operation in meta.patch
+   */
+  export interface JsonPatchOperation {
+    op: 'add' | 'remove' | 'replace';
+    path: string;
+    value?: any;
+  }
 
-/**
- * Result object for write operations
- */
-export interface WriteResult {
-  success: boolean;
-  key: string;
-  upserted: boolean;
-  modified: boolean;
-}
+  /**
+   * Unsubscribe function returned by the on() method
+   */
+  export type UnsubscribeFunction = () => void;
 
-/**
- * Result object for delete operations
- */
-export interface DeleteResult {
-  success: boolean;
-  deleted: boolean;
-}
+  /**
+   * Result object for write operations
+   */
+  export interface WriteResult {
+    success: boolean;
+    key: string;
+    upserted: boolean;
+    modified: boolean;
+    /** Version after the write (null when update() matched nothing) */
+    version?: number | null;
+  }
 
-/**
- * Key information object
- */
-export interface KeyInfo {
-  key: string;
-  lastModified: Date;
-}
+  /**
+   * Options for push()
+   */
+  export interface PushOptions {
+    /** Only write if the stored version still matches (0: the key must not exist yet) */
+    ifVersion?: number;
+  }
 
-/**
- * Heartbeat system status
- */
-export interface HeartbeatStatus {
-  isPolling: boolean;
-  pollingInterval: number;
-  listenerCount: number;
-  cacheSize: number;
-  lastPollTime: Date | null;
-  watchedKeys: string[];
-}
+  /**
+   * Options for get()
+   */
+  export interface GetOptions {
+    /** Resolve to { data, version } instead of the data alone */
+    includeVersion?: boolean;
+  }
 
-/**
- * Package status information
- */
-export interface PackageStatus {
-  initialized: boolean;
-  dbType?: string;
-  dbConnected?: boolean;
-  heartbeat?: HeartbeatStatus;
-}
+  /**
+   * Thrown by push() with ifVersion and compareAndSet() when the stored
+   * version differs from the expected one
+   */
+  export interface VersionConflictError extends Error {
+    name: 'VersionConflictError';
+    code: 'VERSION_CONFLICT';
+    key: string;
+    expectedVersion: number;
+    /** Stored version, or null when the key does not exist */
+    actualVersion: number | null;
+  }
+
+  /**
+   * Thrown by the query parser for malformed SQL-like query strings
+   */
+  export interface QuerySyntaxError extends Error {
+    name: 'QuerySyntaxError';
+    code: 'QUERY_SYNTAX_ERROR';
+    /** Zero-based character offset of the problem in query */
+    position: number;
+    query: string;
+  }
 
-/**
- * Main package interface
- */
-export interface RealtimeStreamPackage {
   /**
-   * Initialize the streaming package with database configuration
-   * @param config Configuration object
-   * @returns Promise that resolves to true on success
+   * Operators for update(); paths are dot-separated and relative to the key's data
    */
-  init(config: StreamConfig): Promise<boolean>;
+  export interface UpdateOperators {
+    $set?: Record<string, any>;
+    $unset?: Record<string, any>;
+    $inc?: Record<string, number>;
+    $push?: Record<string, any>;
+    $pull?: Record<string, any>;
+  }
 
   /**
-   * Listen for changes to a specific key
-   * @param key The key to listen for changes
-   * @param callback Callback function to be called when data changes
-   * @returns Unsubscribe function
+   * Options for update()
    */
-  on(key: string, callback: StreamCallback): UnsubscribeFunction;
+  export interface UpdateOptions {
+    /** Create the key from the operators when missing (default: true) */
+    upsert?: boolean;
+  }
 
   /**
-   * Push data to a specific key
-   * @param key The key to update
-   * @param data The data to store (will be JSON serialized)
-   * @returns Promise that resolves to operation result
+   * Result object for update operations
    */
-  push(key: string, data: any): Promise<WriteResult>;
+  export interface UpdateResult extends WriteResult {
+    /** Whether the key existed before the update */
+    matched: boolean;
+  }
 
   /**
-   * Get current data for a key without listening for changes
-   * @param key The key to retrieve data for
-   * @returns Promise that resolves to the current data or null if not found
+   * Result object for delete operations
    */
-  get(key: string): Promise<any>;
+  export interface DeleteResult {
+    success: boolean;
+    deleted: boolean;
+  }
 
   /**
-   * Delete data for a specific key
-   * @param key The key to delete
-   * @returns Promise that resolves to operation result
+   * Key information object
    */
-  delete(key: string): Promise<DeleteResult>;
+  export interface KeyInfo {
+    key: string;
+    lastModified: Date;
+  }
 
   /**
-   * Remove a specific listener for a key
-   * @param key The key to remove listener from
-   * @param callback The specific callback to remove
+   * Heartbeat system status
    */
-  off(key: string, callback: StreamCallback): void;
+  export interface HeartbeatStatus {
+    isPolling: boolean;
+    pollingInterval: number;
+    listenerCount: number;
+    cacheSize: number;
+    lastPollTime: Date | null;
+    /** Whether the connector supports one readModifiedSince() query per poll */
+    batched: boolean;
+    /** Newest of the per-key high-water marks */
+    highWaterMark: Date | null;
+    watchedKeys: string[];
+    /** Current adaptive cadence per watched key or pattern */
+    keyIntervals: Record<string, KeyPollingInterval>;
+  }
 
   /**
-   * Remove all listeners for a key (or all keys if key is not provided)
-   * @param key The key to remove listeners from (optional)
+   * Adaptive polling state of one watched key or pattern
    */
-  removeAllListeners(key?: string): void;
+  export interface KeyPollingInterval {
+    interval: number;
+    minInterval: number;
+    maxInterval: number;
+    nextPoll: Date;
+    lastChange: Date | null;
+    /** Batched polling: latest lastModified this key or pattern has been read up to */
+    highWaterMark: Date | null;
+  }
 
   /**
-   * Set the polling interval
-   * @param interval Polling interval in milliseconds (minimum 100ms)
+   * Per-subscription polling bounds and change details for on()
    */
-  setPollingInterval(interval: number): void;
+  export interface PollingOptions {
+    /** Fastest poll for the key, used after a change (default: pollingInterval) */
+    minInterval?: number;
+    /** Slowest poll once the key is idle (default: maxPollingInterval) */
+    maxInterval?: number;
+    /** Add the value before the change as meta.previous */
+    includePrevious?: boolean;
+    /** Add meta.patch and meta.changedPaths; 'paths' for changedPaths only */
+    diff?: boolean | 'patch' | 'paths';
+  }
 
   /**
-   * Get current status and statistics
-   * @returns Status information object
+   * Package status information
    */
-  getStatus(): PackageStatus;
+  export interface PackageStatus {
+    initialized: boolean;
+    dbType?: string;
+    dbConnected?: boolean;
+    heartbeat?: HeartbeatStatus;
+  }
 
   /**
-   * Get all available keys in the database
-   * @returns Promise that resolves to array of key objects
+   * Record shape returned by connector reads and queries
    */
-  getAllKeys(): Promise<KeyInfo[]>;
+  export interface StreamRecord {
+    key: string;
+    data: any;
+    timestamp: Date;
+    lastModified: Date;
+    /** Incremented by every write; 0 for records written before versioning */
+    version?: number;
+    tags?: string[];
+    metadata?: Record<string, any>;
+  }
 
   /**
-   * Destroy and cleanup the package instance
-   * @returns Promise that resolves when cleanup is complete
+   * One past version of a key, from connectors that keep history
    */
-  destroy(): Promise<void>;
+  export interface HistoryEntry {
+    key: string;
+    version: number;
+    /** null for a delete */
+    data: any;
+    deleted: boolean;
+    /** When this version was written */
+    timestamp: Date;
+  }
+
+  /**
+   * Contract implemented by database connectors. The basic package only uses
+   * the required methods; the advanced package also needs the optional ones
+   * and listens for 'connected', 'disconnected', 'error' and 'change' events.
+   */
+  export interface StreamConnector {
+    connect(config: StreamConfig): Promise<boolean>;
+    disconnect(): Promise<void>;
+    isConnected(): boolean;
+    writeData(key: string, data: any, options?: Record<string, any>): Promise<WriteResult>;
+    readData(key: string): Promise<StreamRecord | null>;
+    deleteData(key: string): Promise<DeleteResult>;
+    getAllKeys(): Promise<KeyInfo[]>;
+    /** Records with lastModified at or after `since`, oldest first; enables batched polling */
+    readModifiedSince?(since: Date): Promise<StreamRecord[]>;
+    updateData?(key: string, ops: UpdateOperators, options?: UpdateOptions): Promise<UpdateResult>;
+    /** Past versions newest first, when the connector was connected with config.history */
+    readHistory?(key: string, options?: { limit?: number; since?: Date | string | number; asOf?: Date | string | number }): Promise<HistoryEntry[]>;
+    /** Write only at expectedVersion; rejects with VersionConflictError otherwise */
+    compareAndSet?(key: string, data: any, expectedVersion: number, options?: Record<string, any>): Promise<WriteResult>;
+    startRealTimeWatch?(key: string, callback: StreamCallback, options?: Record<string, any>): Promise<any>;
+    stopWatch?(key: string): Promise<void>;
+    queryData?(query: Record<string, any>, options?: Record<string, any>): Promise<StreamRecord[]>;
+    getMetrics?(): Record<string, any>;
+    startCollectionWatch?(id: string, callback: (record: StreamRecord | null, meta: Record<string, any>) => void): Promise<any>;
+    stopCollectionWatch?(id: string): Promise<void>;
+    matchesQuery?(record: StreamRecord, query: Record<string, any>): boolean;
+    runTransaction?(operations: Array<Record<string, any>>, options?: { transactionId?: string }): Promise<any[]>;
+    aggregateData?(query: Record<string, any>, pipeline: Array<Record<string, any>>, options?: Record<string, any>): Promise<{ data: any[]; stagesApplied: number }>;
+    on?(event: string, listener: (...args: any[]) => void): any;
+  }
+
+  /**
+   * Factory registered for a dbType; called with the init() config
+   */
+  export type ConnectorFactory = (config: StreamConfig) => StreamConnector;
+
+  /**
+   * Options for registerConnector()
+   */
+  export interface ConnectorOptions {
+    /** Config fields init() must require for this dbType (default: none) */
+    requiredFields?: string[];
+  }
+
+  /**
+   * Options for createWebSocketServer(); either server or port is required
+   */
+  export interface WebSocketServerOptions {
+    /** Existing HTTP server to attach to */
+    server?: any;
+    /** Port to listen on when no server is given (0: an ephemeral port) */
+    port?: number;
+    /** URL path (default: '/stream') */
+    path?: string;
+    /** Return false to reject a client message with FORBIDDEN */
+    authorize?: (message: Record<string, any>, request: any) => boolean | Promise<boolean>;
+    /** Reject push and delete messages (default: false) */
+    readOnly?: boolean;
+    /** Ping interval for dropping dead sockets in milliseconds (default: 30000) */
+    heartbeatInterval?: number;
+    /** Maximum message size in bytes (default: 1MB) */
+    maxPayload?: number;
+  }
+
+  /**
+   * WebSocket server returned by createWebSocketServer()
+   */
+  export interface StreamWebSocketServer {
+    getStatus(): { clients: number; keyChannels: number; subscriptions: number };
+    close(): Promise<void>;
+    on(event: 'connection' | 'error', listener: (...args: any[]) => void): this;
+  }
+
+  /**
+   * Options for createSSEHandler()
+   */
+  export interface SSEHandlerOptions {
+    /** Return false to respond 403 */
+    authorize?: (req: any, subscription: { keys: string[]; query?: any }) => boolean | Promise<boolean>;
+    /** Read the subscription from the request instead of ?key= */
+    resolveSubscription?: (req: any) => { keys: string[]; query?: any } | Promise<{ keys: string[]; query?: any }>;
+    /** Keep-alive comment interval in milliseconds (default: 15000) */
+    heartbeatInterval?: number;
+    /** Client reconnect delay sent as `retry:` in milliseconds (default: 3000) */
+    retry?: number;
+    /** Events kept per key for Last-Event-ID replay (default: 100) */
+    replayBufferSize?: number;
+  }
+
+  /**
+   * Request handler returned by createSSEHandler()
+   */
+  export interface SSEHandler {
+    (req: any, res: any, next?: (error?: any) => void): void;
+    getStatus(): { connections: number; keyChannels: number };
+    close(): void;
+  }
+
+  /**
+   * Main package interface
+   */
+  export interface RealtimeStreamPackage {
+    /** Error classes, for `instanceof` checks */
+    readonly VersionConflictError: new (key: string, expectedVersion: number, actualVersion: number | null) => VersionConflictError;
+    readonly QuerySyntaxError: new (message: string, position: number, query: string) => QuerySyntaxError;
+
+    /**
+     * Initialize the streaming package with database configuration
+     * @param config Configuration object
+     * @returns Promise that resolves to true on success
+     */
+    init(config: StreamConfig): Promise<boolean>;
+
+    /**
+     * Register a connector for a custom dbType (or replace a bundled one)
+     * @param dbType Value of config.dbType that selects this connector
+     * @param factory Called with the init() config, returns a connector
+     * @param options Registration options
+     * @returns This instance, for chaining
+     */
+    registerConnector(dbType: string, factory: ConnectorFactory, options?: ConnectorOptions): RealtimeStreamPackage;
+
+    /**
+     * Listen for changes to a specific key, or to every key matching a glob
+     * pattern such as 'orders:*' (meta.key reports the concrete key)
+     * @param key The key or key pattern to listen for changes
+     * @param callback Callback function to be called when data changes
+     * @param options Polling cadence bounds and change details for this subscription
+     * @returns Unsubscribe function
+     */
+    on(key: string, callback: StreamCallback, options?: PollingOptions): UnsubscribeFunction;
+
+    /**
+     * Push data to a specific key
+     * @param key The key to update
+     * @param data The data to store (will be JSON serialized)
+     * @param options ifVersion makes the write conditional on the stored version
+     * @returns Promise that resolves to operation result
+     */
+    push(key: string, data: any, options?: PushOptions): Promise<WriteResult>;
+
+    /**
+     * Replace a key's data only if its version is still expectedVersion
+     * @param key The key to update
+     * @param expectedVersion Version last read (0: the key must not exist yet)
+     * @param data The data to store
+     * @returns Promise that resolves to operation result; rejects with VersionConflictError
+     */
+    compareAndSet(key: string, expectedVersion: number, data: any): Promise<WriteResult>;
+
+    /**
+     * Update fields of a key's data in place ($set, $unset, $inc, $push, $pull),
+     * atomically in the database
+     * @param key The key to update
+     * @param ops Update operators on dot-separated paths
+     * @param options Update options
+     * @returns Promise that resolves to operation result
+     */
+    update(key: string, ops: UpdateOperators, options?: UpdateOptions): Promise<UpdateResult>;
+
+    /**
+     * Get current data for a key without listening for changes
+     * @param key The key to retrieve data for
+     * @param options includeVersion resolves to { data, version }
+     * @returns Promise that resolves to the current data or null if not found
+     */
+    get(key: string, options: GetOptions & { includeVersion: true }): Promise<{ data: any; version: number } | null>;
+    get(key: string, options?: GetOptions): Promise<any>;
+
+    /**
+     * Delete data for a specific key
+     * @param key The key to delete
+     * @returns Promise that resolves to operation result
+     */
+    delete(key: string): Promise<DeleteResult>;
+
+    /**
+     * Remove a specific listener for a key
+     * @param key The key to remove listener from
+     * @param callback The specific callback to remove
+     */
+    off(key: string, callback: StreamCallback): void;
+
+    /**
+     * Remove all listeners for a key (or all keys if key is not provided)
+     * @param key The key to remove listeners from (optional)
+     */
+    removeAllListeners(key?: string): void;
+
+    /**
+     * Set the polling interval
+     * @param interval Polling interval in milliseconds (minimum 100ms)
+     */
+    setPollingInterval(interval: number): void;
+
+    /**
+     * Get current status and statistics
+     * @returns Status information object
+     */
+    getStatus(): PackageStatus;
+
+    /**
+     * Get all available keys in the database
+     * @returns Promise that resolves to array of key objects
+     */
+    getAllKeys(): Promise<KeyInfo[]>;
+
+    /**
+     * Expose key subscriptions and push/get/delete to browsers over WebSocket
+     * (requires the optional ws package)
+     * @param options Server options
+     * @returns Server instance, closed automatically by destroy()
+     */
+    createWebSocketServer(options: WebSocketServerOptions): StreamWebSocketServer;
+
+    /**
+     * Create a Server-Sent Events handler for http.createServer() or Express
+     * @param options Handler options
+     * @returns Request handler, closed automatically by destroy()
+     */
+    createSSEHandler(options?: SSEHandlerOptions): SSEHandler;
+
+    /**
+     * Destroy and cleanup the package instance
+     * @returns Promise that resolves when cleanup is complete
+     */
+    destroy(): Promise<void>;
+  }
 }
 
 /**
  * The main package export
  */
-declare const streamInstance: RealtimeStreamPackage;
+declare const streamInstance: streamInstance.RealtimeStreamPackage;
 
-export = streamInstance; 
\ No newline at end of file
+export = streamInstance;
@@ -1,6 +1,12 @@
 const MongoConnector = require('./lib/mongoConnector');
 const MySQLConnector = require('./lib/mysqlConnector');
+const MemoryConnector = require('./lib/memoryConnector');
 const HeartbeatSystem = require('./lib/heartbeatSystem');
+const { ConnectorRegistry, BASIC_METHODS, NETWORK_FIELDS } = require('./lib/connectorRegistry');
+const { createWebSocketServer } = require('./lib/websocketServer');
+const { createSSEHandler } = require('./lib/sseHandler');
+const { withChangeDetails } = require('./lib/jsonDiff');
+const { VersionConflictError, QuerySyntaxError } = require('./lib/errors');
 
 class RealtimeStreamPackage {
   constructor() {
@@ -8,18 +14,44 @@ class RealtimeStreamPackage {
     this.heartbeatSystem = null;
     this.initialized = false;
     this.config = null;
+    this.socketServers = new Set();
+    this.sseHandlers = new Set();
+
+    this.connectors = new ConnectorRegistry(BASIC_METHODS);
+    this.connectors
+      .register('mongodb', () => new MongoConnector(), { requiredFields: NETWORK_FIELDS })
+      .register('mysql', () => new MySQLConnector(), { requiredFields: NETWORK_FIELDS })
+      .register('memory', () => new MemoryConnector());
+  }
+
+  /**
+   * Register a connector for a custom dbType (or replace a bundled one)
+   * @param {string} dbType - Value of config.dbType that selects this connector
+   * @param {Function} factory - Called with the init() config, returns a connector
+   * @param {Object} [options] - Registration options
+   * @param {Array<string>} [options.requiredFields] - Config fields init() must require
+   * @returns {RealtimeStreamPackage} - This instance, for chaining
+   */
+  registerConnector(dbType, factory, options = {}) {
+    this.connectors.register(dbType, factory, options);
+    return this;
   }
 
   /**
    * Initialize the streaming package with database configuration
    * @param {Object} config - Configuration object
-   * @param {string} config.dbType - Database type: 'mongodb' or 'mysql'
-   * @param {string} config.host - Database host
+   * @param {string} config.dbType - Database type: 'mongodb', 'mysql', 'memory' or a registered dbType
+   * @param {string} [config.host] - Database host (required for mongodb/mysql)
    * @param {number} [config.port] - Database port (optional)
-   * @param {string} config.user - Database username
-   * @param {string} config.password - Database password
-   * @param {string} config.database - Database name
-   * @param {number} [config.pollingInterval] - Polling interval in milliseconds (default: 2000)
+   * @param {string} [config.user] - Database username (required for mongodb/mysql)
+   * @param {string} [config.password] - Database password (required for mongodb/mysql)
+   * @param {string} [config.database] - Database name (required for mongodb/mysql)
+   * @param {number} [config.pollingInterval] - Polling interval in milliseconds, used after a change (default: 2000)
+   * @param {number} [config.maxPollingInterval] - Ceiling idle keys back off to in ms (default: 30000)
+   * @param {number} [config.backoffFactor] - Interval multiplier per quiet poll (default: 1.5)
+   * @param {number} [config.pollJitter] - Random +/- fraction applied to each interval (default: 0.1)
+   * @param {number} [config.pollOverlap] - Batched polling re-read window before the high-water mark in ms; also the longest commit lag it tolerates (default: 1000)
+   * @param {number} [config.deleteCheckInterval] - Batched polling key-set diff interval for deletes in ms (default: 10000)
    * @param {boolean} [config.debug] - Enable debug logging (default: false)
    * @returns {Promise<boolean>} - Success status
    */
@@ -32,27 +64,17 @@ class RealtimeStreamPackage {
       throw new Error('Configuration object is required');
     }
 
-    const { dbType, host, user, password, database } = config;
+    const { dbType } = config;
 
-    // Validate required fields
-    if (!dbType || !host || !user || !password || !database) {
-      throw new Error('Required fields: dbType, host, user, password, database');
-    }
-
-    if (!['mongodb', 'mysql'].includes(dbType.toLowerCase())) {
-      throw new Error('dbType must be either "mongodb" or "mysql"');
-    }
+    // Validate dbType and the fields its connector requires
+    this.connectors.validate(config);
 
     try {
       // Store configuration
       this.config = { ...config };
 
       // Initialize appropriate database connector
-      if (dbType.toLowerCase() === 'mongodb') {
-        this.dbConnector = new MongoConnector();
-      } else {
-        this.dbConnector = new MySQLConnector();
-      }
+      this.dbConnector = this.connectors.create(config);
 
       // Connect to database
       await this.dbConnector.connect(config);
@@ -60,6 +82,11 @@ class RealtimeStreamPackage {
       // Initialize heartbeat system
       this.heartbeatSystem = new HeartbeatSystem(this.dbConnector, {
         pollingInterval: config.pollingInterval || 2000,
+        maxPollingInterval: config.maxPollingInterval,
+        backoffFactor: config.backoffFactor,
+        pollJitter: config.pollJitter,
+        pollOverlap: config.pollOverlap,
+        deleteCheckInterval: config.deleteCheckInterval,
         debug: config.debug || false
       });
 
@@ -75,12 +102,18 @@ class RealtimeStreamPackage {
   }
 
   /**
-   * Listen for changes to a specific key
-   * @param {string} key - The key to listen for changes
+   * Listen for changes to a specific key, or to every key matching a glob
+   * pattern such as 'orders:*' (meta.key reports the concrete key)
+   * @param {string} key - The key or key pattern to listen for changes
    * @param {Function} callback - Callback function to be called when data changes
+   * @param {Object} [options] - Polling cadence and change details for this subscription
+   * @param {number} [options.minInterval] - Fastest poll for the key, used after a change (default: pollingInterval)
+   * @param {number} [options.maxInterval] - Slowest poll once the key is idle (default: maxPollingInterval)
+   * @param {boolean} [options.includePrevious] - Add the value before the change as meta.previous
+   * @param {boolean|string} [options.diff] - Add meta.patch (RFC 6902) and meta.changedPaths; 'paths' for paths only
    * @returns {Function} - Unsubscribe function
    */
-  on(key, callback) {
+  on(key, callback, options = {}) {
     this.ensureInitialized();
 
     if (!key || typeof key !== 'string') {
@@ -91,16 +124,19 @@ class RealtimeStreamPackage {
       throw new Error('Callback must be a function');
     }
 
-    return this.heartbeatSystem.addListener(key, callback);
+    return this.heartbeatSystem.addListener(key, withChangeDetails(callback, options), options);
   }
 
   /**
    * Push data to a specific key
    * @param {string} key - The key to update
    * @param {*} data - The data to store (will be JSON serialized)
-   * @returns {Promise<Object>} - Operation result
+   * @param {Object} [options] - Write options
+   * @param {number} [options.ifVersion] - Only write if the stored version still matches
+   *   (0: the key must not exist yet); otherwise rejects with VersionConflictError
+   * @returns {Promise<Object>} - Operation result, including the new version
    */
-  async push(key, data) {
+  async push(key, data, options = {}) {
     this.ensureInitialized();
 
     if (!key || typeof key !== 'string') {
@@ -111,10 +147,65 @@ class RealtimeStreamPackage {
       throw new Error('Data cannot be undefined');
     }
 
+    if (options.ifVersion !== undefined) {
+      if (!Number.isInteger(options.ifVersion) || options.ifVersion < 0) {
+        throw new Error('ifVersion must be a non-negative integer');
+      }
+      if (typeof this.dbConnector.compareAndSet !== 'function') {
+        throw new Error(`compareAndSet is not supported by the ${this.config.dbType} connector`);
+      }
+    }
+
     try {
+      if (options.ifVersion !== undefined) {
+        return await this.dbConnector.compareAndSet(key, data, options.ifVersion);
+      }
       return await this.dbConnector.writeData(key, data);
     } catch (error) {
-      console.error(`Failed to push data for key "${key}":`, error.message);
+      if (!(error instanceof VersionConflictError)) {
+        console.error(`Failed to push data for key "${key}":`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a key's data only if nobody wrote it since expectedVersion was read
+   * @param {string} key - The key to update
+   * @param {number} expectedVersion - Version last read (0: the key must not exist yet)
+   * @param {*} data - The data to store
+   * @returns {Promise<Object>} - Operation result, including the new version
+   * @throws {VersionConflictError} When the stored version differs
+   */
+  async compareAndSet(key, expectedVersion, data) {
+    return this.push(key, data, { ifVersion: expectedVersion });
+  }
+
+  /**
+   * Update fields of a key's data in place with $set, $unset, $inc, $push
+   * and $pull on dot-separated paths, atomically in the database so
+   * concurrent updates of different fields don't overwrite each other
+   * @param {string} key - The key to update
+   * @param {Object} ops - Update operators, e.g. { $set: { 'profile.name': 'Ada' }, $inc: { visits: 1 } }
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.upsert] - Create the key from the operators when missing (default: true)
+   * @returns {Promise<Object>} - Operation result
+   */
+  async update(key, ops, options = {}) {
+    this.ensureInitialized();
+
+    if (!key || typeof key !== 'string') {
+      throw new Error('Key must be a non-empty string');
+    }
+
+    if (typeof this.dbConnector.updateData !== 'function') {
+      throw new Error(`update is not supported by the ${this.config.dbType} connector`);
+    }
+
+    try {
+      return await this.dbConnector.updateData(key, ops, options);
+    } catch (error) {
+      console.error(`Failed to update data for key "${key}":`, error.message);
       throw error;
     }
   }
@@ -122,9 +213,11 @@ class RealtimeStreamPackage {
   /**
    * Get current data for a key without listening for changes
    * @param {string} key - The key to retrieve data for
+   * @param {Object} [options] - Read options
+   * @param {boolean} [options.includeVersion] - Resolve to { data, version } for a later compareAndSet
    * @returns {Promise<*>} - The current data or null if not found
    */
-  async get(key) {
+  async get(key, options = {}) {
     this.ensureInitialized();
 
     if (!key || typeof key !== 'string') {
@@ -133,7 +226,8 @@ class RealtimeStreamPackage {
 
     try {
       const result = await this.dbConnector.readData(key);
-      return result ? result.data : null;
+      if (!result) return null;
+      return options.includeVersion ? { data: result.data, version: result.version || 0 } : result.data;
     } catch (error) {
       console.error(`Failed to get data for key "${key}":`, error.message);
       throw error;
@@ -185,7 +279,8 @@ class RealtimeStreamPackage {
   }
 
   /**
-   * Set the polling interval
+   * Set the base polling interval; adaptive per-key cadences are re-clamped
+   * without restarting polling
    * @param {number} interval - Polling interval in milliseconds (minimum 100ms)
    */
   setPollingInterval(interval) {
@@ -210,6 +305,44 @@ class RealtimeStreamPackage {
     };
   }
 
+  /**
+   * Expose key subscriptions and push/get/delete to browsers over WebSocket.
+   * Requires the optional "ws" package.
+   * @param {Object} options - Server options
+   * @param {http.Server} [options.server] - Existing HTTP server to attach to
+   * @param {number} [options.port] - Port to listen on when no server is given
+   * @param {string} [options.path] - URL path (default: '/stream')
+   * @param {Function} [options.authorize] - (message, request) => boolean, false rejects with FORBIDDEN
+   * @param {boolean} [options.readOnly] - Reject push and delete messages (default: false)
+   * @returns {StreamWebSocketServer} - Server instance, closed automatically by destroy()
+   */
+  createWebSocketServer(options = {}) {
+    this.ensureInitialized();
+
+    const socketServer = createWebSocketServer(this, options);
+    this.socketServers.add(socketServer);
+    return socketServer;
+  }
+
+  /**
+   * Create a Server-Sent Events request handler for http.createServer() or Express.
+   * Subscribes to `?key=` (repeatable); honors Last-Event-ID on reconnect.
+   * @param {Object} [options] - Handler options
+   * @param {Function} [options.authorize] - (req, subscription) => boolean, false responds 403
+   * @param {Function} [options.resolveSubscription] - (req) => { keys, query } instead of the URL
+   * @param {number} [options.heartbeatInterval] - Keep-alive comment interval (default: 15000)
+   * @param {number} [options.retry] - Client reconnect delay sent as `retry:` (default: 3000)
+   * @param {number} [options.replayBufferSize] - Events kept per key for replay (default: 100)
+   * @returns {Function} - (req, res, next) handler, closed automatically by destroy()
+   */
+  createSSEHandler(options = {}) {
+    this.ensureInitialized();
+
+    const handler = createSSEHandler(this, options);
+    this.sseHandlers.add(handler);
+    return handler;
+  }
+
   /**
    * Get all available keys in the database
    * @returns {Promise<Array>} - Array of key objects
@@ -236,6 +369,12 @@ class RealtimeStreamPackage {
     console.log('Destroying Realtime Stream Package...');
     
     try {
+      // Close WebSocket and SSE clients while their listeners can still unsubscribe
+      await Promise.all(Array.from(this.socketServers, server => server.close()));
+      this.socketServers.clear();
+      this.sseHandlers.forEach(handler => handler.close());
+      this.sseHandlers.clear();
+
       // Stop heartbeat system
       if (this.heartbeatSystem) {
         this.heartbeatSystem.destroy();
@@ -281,4 +420,8 @@ class RealtimeStreamPackage {
 // Create and export a singleton instance
 const streamInstance = new RealtimeStreamPackage();
 
+// Error classes, so callers can check `error instanceof stream.VersionConflictError`
+streamInstance.VersionConflictError = VersionConflictError;
+streamInstance.QuerySyntaxError = QuerySyntaxError;
+
 module.exports = streamInstance; 
\ No newline at end of file
@@ -1,5 +1,17 @@
 const { MongoClient } = require('mongodb');
 const EventEmitter = require('events');
+const { matchesQuery } = require('./queryMatcher');
+const { isConditionNode, toMongoFilter } = require('./queryParser');
+const { createWatcherInfo, findKeyWatchers } = require('./keyPattern');
+const { createCheckpointStore, MongoCollectionCheckpointStore } = require('./checkpointStore');
+const { createRowChange } = require('./changeCapture');
+const { toPointer } = require('./jsonDiff');
+const { normalizeUpdate, createsValues, toMongoUpdate } = require('./updateOperators');
+const { VersionConflictError } = require('./errors');
+const { resolveHistoryOptions, normalizeHistoryQuery } = require('./versionHistory');
+
+// Server errors meaning a resume token is no longer in the oplog
+const HISTORY_LOST_CODES = [136, 280, 286]; // CappedPositionLost, ChangeStreamFatalError, ChangeStreamHistoryLost
 
 class AdvancedMongoConnector extends EventEmitter {
   constructor() {
@@ -7,8 +19,18 @@ class AdvancedMongoConnector extends EventEmitter {
     this.client = null;
     this.db = null;
     this.connected = false;
-    this.changeStreams = new Map(); // key -> change stream
     this.activeWatchers = new Map(); // key -> watcher info
+    this.collectionWatchers = new Map(); // id -> callback for collection-level watchers
+    this.collectionStream = null; // the one change stream, demultiplexed to every watcher
+    this.captureWatchers = new Map(); // id -> watchCollection() change data capture, one stream each
+    this.collectionResumeToken = null; // last delivered change, persisted through checkpointStore
+    this.checkpointStore = null;
+    this.checkpointDirty = false;
+    this.checkpointTimer = null;
+    this.documentKeys = new Map(); // String(_id) -> key of watched documents whose _id is not their key
+    this.transactionIds = new Map(); // `${lsid}:${txnNumber}` -> transactionId
+    this.history = null; // retention policy when config.history is on
+    this.storesBinary = true; // Buffers are written as BSON Binary, so compression skips base64
     this.connectionPool = null;
     this.retryCount = 0;
     this.maxRetries = 5;
@@ -19,13 +41,15 @@ class AdvancedMongoConnector extends EventEmitter {
       changesProcessed: 0,
       reconnections: 0,
       errorsHandled: 0,
-      activeStreams: 0
+      activeStreams: 0,
+      lastCheckpointSaved: null
     };
   }
 
   async connect(config) {
     try {
       this.config = { ...config };
+      this.history = resolveHistoryOptions(config.history);
       const { host, port, user, password, database } = config;
       
       // Build connection string with advanced options
@@ -61,6 +85,11 @@ class AdvancedMongoConnector extends EventEmitter {
       this.connected = true;
       this.retryCount = 0;
 
+      this.checkpointStore = createCheckpointStore(config.checkpointStore, {
+        table: () => new MongoCollectionCheckpointStore(this.db)
+      });
+      await this.loadResumeCheckpoint();
+
       // Set up connection monitoring
       this.setupConnectionMonitoring();
       
@@ -126,16 +155,11 @@ class AdvancedMongoConnector extends EventEmitter {
   async handleDisconnection() {
     this.connected = false;
     
-    // Close all change streams
-    for (const [key, stream] of this.changeStreams) {
-      try {
-        await stream.close();
-      } catch (error) {
-        console.error(`Error closing change stream for key ${key}:`, error);
-      }
+    // Close the change streams; their resume tokens are kept for restoreWatchers()
+    await this.closeCollectionStream();
+    for (const watcher of this.captureWatchers.values()) {
+      await this.closeCaptureStream(watcher);
     }
-    
-    this.changeStreams.clear();
     this.emit('disconnected');
   }
 
@@ -153,6 +177,93 @@ class AdvancedMongoConnector extends EventEmitter {
         console.error(`Failed to restore watcher for key ${key}:`, error);
       }
     }
+
+    if (this.hasStreamWatchers() && !this.collectionStream) {
+      this.openCollectionStream();
+      console.log(`Restored change stream for ${this.collectionWatchers.size} collection watcher(s)`);
+    }
+
+    for (const watcher of this.captureWatchers.values()) {
+      if (!watcher.stream) this.openCaptureStream(watcher);
+    }
+  }
+
+  getCheckpointName() {
+    return this.config.checkpointName || `mongo-stream:${this.config.database}.stream_data`;
+  }
+
+  // A restarted process resumes the change stream after the last delivered change
+  async loadResumeCheckpoint() {
+    // After a reconnect the in-memory token is newer than the saved one
+    if (!this.checkpointStore || this.collectionResumeToken) return;
+
+    try {
+      const checkpoint = await this.checkpointStore.load(this.getCheckpointName());
+      if (checkpoint && checkpoint.resumeToken) {
+        this.collectionResumeToken = checkpoint.resumeToken;
+        console.log('Loaded MongoDB resume token; the change stream will resume after the last delivered change');
+      }
+    } catch (error) {
+      console.error('Failed to load MongoDB resume token:', error.message);
+    }
+  }
+
+  recordResumeToken(resumeToken) {
+    this.collectionResumeToken = resumeToken;
+    this.checkpointDirty = true;
+
+    if (!this.checkpointStore || this.checkpointTimer) return;
+
+    this.checkpointTimer = setTimeout(() => {
+      this.checkpointTimer = null;
+      this.saveResumeCheckpoint();
+    }, this.config.checkpointInterval || 1000);
+  }
+
+  async saveResumeCheckpoint() {
+    if (!this.checkpointStore || !this.checkpointDirty) return;
+
+    this.checkpointDirty = false;
+
+    try {
+      await this.checkpointStore.save(this.getCheckpointName(), {
+        resumeToken: this.collectionResumeToken,
+        savedAt: new Date().toISOString()
+      });
+      this.metrics.lastCheckpointSaved = new Date();
+    } catch (error) {
+      console.error('Failed to save MongoDB resume token:', error.message);
+      this.metrics.errorsHandled++;
+      this.checkpointDirty = true;
+    }
+  }
+
+  isHistoryLostError(error) {
+    return HISTORY_LOST_CODES.includes(error.code) ||
+      error.codeName === 'ChangeStreamHistoryLost' ||
+      /resume (point|token).*(no longer|not found)/i.test(error.message || '');
+  }
+
+  /**
+   * The resume token fell off the oplog: report it, continue from now and
+   * re-deliver every watched key's current value so watchers converge.
+   */
+  async handleHistoryLost(error) {
+    const resumeToken = this.collectionResumeToken;
+    console.warn('MongoDB resume token is no longer in the oplog; changes since then were missed');
+
+    this.collectionResumeToken = null;
+    this.checkpointDirty = true;
+    await this.saveResumeCheckpoint();
+    this.emit('historyLost', { checkpoint: { resumeToken }, reason: error.message });
+
+    for (const [key, watcherInfo] of this.activeWatchers) {
+      try {
+        await this.deliverInitial(key, watcherInfo);
+      } catch (deliveryError) {
+        console.error(`Failed to resync key ${key}:`, deliveryError);
+      }
+    }
   }
 
   startHealthChecks() {
@@ -178,15 +289,6 @@ class AdvancedMongoConnector extends EventEmitter {
 
     try {
       const collection = this.db.collection('stream_data');
-      const document = {
-        key: key,
-        data: data,
-        timestamp: new Date(),
-        lastModified: new Date(),
-        ttl: options.ttl ? new Date(Date.now() + options.ttl * 1000) : null,
-        tags: options.tags || [],
-        metadata: options.metadata || {}
-      };
 
       // Use transactions for consistency
       const session = this.client.startSession();
@@ -194,28 +296,354 @@ class AdvancedMongoConnector extends EventEmitter {
       
       try {
         await session.withTransaction(async () => {
-          result = await collection.replaceOne(
-            { key: key },
-            document,
-            { upsert: true, session }
-          );
+          result = await this.upsertDocument(collection, key, data, options, session);
+          await this.recordHistory(key, session);
         });
       } finally {
         await session.endSession();
       }
 
+      return result;
+    } catch (error) {
+      // A version conflict is an answer, not a failure
+      if (!(error instanceof VersionConflictError)) {
+        console.error('MongoDB write error:', error.message);
+        this.metrics.errorsHandled++;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write only if the key is still at expectedVersion (0: does not exist yet)
+   * @throws {VersionConflictError} When the stored version differs
+   */
+  async compareAndSet(key, data, expectedVersion, options = {}) {
+    return this.writeData(key, data, { ...options, ifVersion: expectedVersion });
+  }
+
+  /**
+   * Replace a key's value and bump its version in one findOneAndUpdate.
+   * With options.ifVersion the filter also matches the expected version
+   * (0: missing or unversioned), so a stale writer matches nothing, or
+   * collides with the unique key index when it expected a new key.
+   */
+  async upsertDocument(collection, key, data, options = {}, session = null, transactionId = null) {
+    const document = this.buildDocument(key, data, options);
+    // _id = key lets a delete event name its key without a pre-image
+    const update = { $set: document, $setOnInsert: { _id: key }, $inc: { version: 1 } };
+
+    // $set keeps fields it doesn't name, unlike replaceOne
+    if (transactionId) {
+      update.$set.transactionId = transactionId;
+    } else {
+      update.$unset = { transactionId: '' };
+    }
+
+    const expected = options.ifVersion;
+    const filter = { key: key };
+    if (expected !== undefined) {
+      filter.version = expected === 0 ? { $in: [null, 0] } : expected;
+    }
+
+    let result;
+    try {
+      result = await collection.findOneAndUpdate(filter, update, {
+        upsert: expected === undefined || expected === 0,
+        returnDocument: 'after',
+        projection: { version: 1 },
+        includeResultMetadata: true,
+        session
+      });
+    } catch (error) {
+      if (expected === undefined || error.code !== 11000) throw error;
+      result = { value: null };
+    }
+
+    if (!result.value) {
+      const current = await collection.findOne({ key: key }, { projection: { version: 1 } });
+      throw new VersionConflictError(key, expected, current ? current.version || 0 : null);
+    }
+
+    const upserted = !result.lastErrorObject.updatedExisting;
+    return {
+      success: true,
+      key: key,
+      upserted: upserted,
+      modified: !upserted,
+      version: result.value.version,
+      timestamp: document.timestamp
+    };
+  }
+
+  /**
+   * Partial update of a key's data with one findOneAndUpdate, so concurrent updates
+   * of different fields both survive. Change streams see an 'update' event
+   * whose updateDescription becomes meta.changedPaths.
+   *
+   * @param {string} key - Key to update
+   * @param {Object} ops - Update operators (see updateOperators.js)
+   * @param {Object} [options]
+   * @param {boolean} [options.upsert] - Create the key from the operators when missing (default: true)
+   */
+  async updateData(key, ops, options = {}) {
+    if (!this.connected) {
+      throw new Error('MongoDB not connected');
+    }
+
+    const operations = normalizeUpdate(ops);
+    const now = new Date();
+    const update = toMongoUpdate(operations);
+    update.$set = { ...update.$set, lastModified: now };
+    update.$setOnInsert = { _id: key, timestamp: now, ttl: null, tags: [], metadata: {} };
+    update.$inc = { ...update.$inc, version: 1 };
+    // A transactionId left by an earlier transactional write would tag this change
+    update.$unset = { ...update.$unset, transactionId: '' };
+    const upsert = options.upsert !== false && createsValues(operations);
+
+    try {
+      const collection = this.db.collection('stream_data');
+      const result = await this.writeWithHistory(key, session => collection.findOneAndUpdate({ key: key }, update, {
+        upsert,
+        returnDocument: 'after',
+        projection: { version: 1 },
+        includeResultMetadata: true,
+        session
+      }));
+      const matched = Boolean(result.lastErrorObject && result.lastErrorObject.updatedExisting);
+
       return {
         success: true,
         key: key,
-        upserted: result.upsertedCount > 0,
-        modified: result.modifiedCount > 0,
-        timestamp: document.timestamp
+        upserted: Boolean(result.value) && !matched,
+        matched: matched,
+        modified: matched,
+        version: result.value ? result.value.version : null,
+        timestamp: now
       };
     } catch (error) {
-      console.error('MongoDB write error:', error.message);
+      console.error('MongoDB update error:', error.message);
+      this.metrics.errorsHandled++;
+      throw error;
+    }
+  }
+
+  // With history on, runs a write in a transaction that also records the key's new version
+  async writeWithHistory(key, write, { deleted = false } = {}) {
+    if (!this.history) {
+      return write(undefined);
+    }
+
+    const session = this.client.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        // A tombstone needs the version that is about to disappear
+        if (deleted) await this.recordHistory(key, session, { deleted });
+        result = await write(session);
+        if (!deleted) await this.recordHistory(key, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return result;
+  }
+
+  /**
+   * Copy a key's current document into stream_data_history (a tombstone when
+   * deleting) and apply the retention policy, inside the write's transaction
+   */
+  async recordHistory(key, session, { deleted = false } = {}) {
+    if (!this.history) return;
+
+    const current = await this.db.collection('stream_data').findOne(
+      { key: key },
+      { projection: { key: 1, data: 1, version: 1, lastModified: 1 }, session }
+    );
+    if (!current) return;
+
+    await this.db.collection('stream_data_history').insertOne({
+      key: key,
+      version: current.version || 0,
+      data: deleted ? null : current.data,
+      deleted: deleted,
+      recordedAt: deleted ? new Date() : current.lastModified
+    }, { session });
+
+    await this.pruneHistory(key, session);
+  }
+
+  // Drop entries older than the oldest one each retention rule keeps
+  async pruneHistory(key, session) {
+    const history = this.db.collection('stream_data_history');
+    const { maxVersions, maxAge } = this.history;
+    let keepFrom = null;
+
+    if (maxVersions) {
+      const [oldestKept] = await history
+        .find({ key: key }, { projection: { recordedAt: 1 }, session })
+        .sort({ recordedAt: -1, _id: -1 })
+        .skip(maxVersions - 1)
+        .limit(1)
+        .toArray();
+      if (oldestKept) keepFrom = oldestKept.recordedAt;
+    }
+
+    if (maxAge) {
+      // The newest entry before the cutoff was still current at the cutoff
+      const [currentAtCutoff] = await history
+        .find({ key: key, recordedAt: { $lt: new Date(Date.now() - maxAge * 1000) } }, { projection: { recordedAt: 1 }, session })
+        .sort({ recordedAt: -1, _id: -1 })
+        .limit(1)
+        .toArray();
+      if (currentAtCutoff && (!keepFrom || currentAtCutoff.recordedAt > keepFrom)) {
+        keepFrom = currentAtCutoff.recordedAt;
+      }
+    }
+
+    if (keepFrom) {
+      await history.deleteMany({ key: key, recordedAt: { $lt: keepFrom } }, { session });
+    }
+  }
+
+  /**
+   * Past versions of a key from stream_data_history, newest first (needs config.history)
+   * @param {string} key
+   * @param {Object} [options] - { limit, since, asOf }; see versionHistory.js
+   */
+  async readHistory(key, options = {}) {
+    if (!this.connected) {
+      throw new Error('MongoDB not connected');
+    }
+    if (!this.history) {
+      throw new Error('History is not enabled; init with history: true or history: { maxVersions, maxAge }');
+    }
+
+    const { limit, since, asOf } = normalizeHistoryQuery(options);
+    const filter = { key: key };
+    if (since || asOf) {
+      filter.recordedAt = {};
+      if (since) filter.recordedAt.$gte = since;
+      if (asOf) filter.recordedAt.$lte = asOf;
+    }
+
+    const entries = await this.db.collection('stream_data_history')
+      .find(filter)
+      .sort({ recordedAt: -1, _id: -1 })
+      .limit(limit)
+      .toArray();
+
+    return entries.map(entry => ({
+      key: entry.key,
+      version: entry.version,
+      data: entry.data,
+      deleted: entry.deleted,
+      timestamp: entry.recordedAt
+    }));
+  }
+
+  buildDocument(key, data, options = {}) {
+    return {
+      key: key,
+      data: data,
+      timestamp: new Date(),
+      lastModified: new Date(),
+      ttl: options.ttl ? new Date(Date.now() + options.ttl * 1000) : null,
+      tags: options.tags || [],
+      metadata: options.metadata || {}
+    };
+  }
+
+  /**
+   * Run push/get/delete operations inside one session with withTransaction.
+   * Written documents carry the transactionId so change events from this
+   * transaction can be tagged, including in other processes.
+   */
+  async runTransaction(operations, options = {}) {
+    if (!this.connected) {
+      throw new Error('MongoDB not connected');
+    }
+
+    const { transactionId } = options;
+    const collection = this.db.collection('stream_data');
+    const session = this.client.startSession();
+    let results;
+
+    try {
+      await session.withTransaction(async () => {
+        // withTransaction may retry the callback on transient errors
+        results = [];
+
+        for (const op of operations) {
+          results.push(await this.applyTransactionOperation(collection, op, transactionId, session));
+        }
+
+        // Delete events carry no document, so remember this session/txnNumber pair
+        this.rememberTransaction(
+          this.transactionTag(session.id, session.serverSession && session.serverSession.txnNumber),
+          transactionId
+        );
+      });
+    } catch (error) {
+      console.error(`MongoDB transaction ${transactionId} failed:`, error.message);
       this.metrics.errorsHandled++;
       throw error;
+    } finally {
+      await session.endSession();
     }
+
+    return results;
+  }
+
+  async applyTransactionOperation(collection, op, transactionId, session) {
+    switch (op.type) {
+      case 'push': {
+        const result = await this.upsertDocument(collection, op.key, op.data, op.options, session, transactionId);
+        await this.recordHistory(op.key, session);
+        return { ...result, transactionId };
+      }
+      case 'get': {
+        const document = await collection.findOne({ key: op.key }, { session });
+        if (!document || (document.ttl && new Date() > document.ttl)) return null;
+        return this.formatRecord(document);
+      }
+      case 'delete': {
+        await this.recordHistory(op.key, session, { deleted: true });
+        const result = await collection.deleteOne({ key: op.key }, { session });
+        return { success: true, deleted: result.deletedCount > 0, transactionId };
+      }
+      default:
+        throw new Error(`Unknown operation type: ${op.type}`);
+    }
+  }
+
+  transactionTag(lsid, txnNumber) {
+    if (!lsid || !lsid.id || txnNumber === undefined || txnNumber === null) return null;
+    return `${lsid.id.toString('hex')}:${String(txnNumber)}`;
+  }
+
+  rememberTransaction(tag, transactionId) {
+    if (!tag || !transactionId || this.transactionIds.has(tag)) return;
+
+    this.transactionIds.set(tag, transactionId);
+
+    // Change events of a committed transaction arrive shortly after commit
+    const timer = setTimeout(() => this.transactionIds.delete(tag), 60000);
+    if (timer.unref) timer.unref();
+  }
+
+  resolveTransactionId(change) {
+    const tag = this.transactionTag(change.lsid, change.txnNumber);
+    const fromDocument = change.fullDocument && change.fullDocument.transactionId;
+
+    if (fromDocument) {
+      this.rememberTransaction(tag, fromDocument);
+      return fromDocument;
+    }
+
+    return tag ? this.transactionIds.get(tag) || null : null;
   }
 
   async readData(key) {
@@ -238,20 +666,36 @@ class AdvancedMongoConnector extends EventEmitter {
         return null;
       }
 
-      return {
-        key: result.key,
-        data: result.data,
-        timestamp: result.timestamp,
-        lastModified: result.lastModified,
-        tags: result.tags || [],
-        metadata: result.metadata || {}
-      };
+      this.rememberDocumentKey(result);
+
+      return this.formatRecord(result);
     } catch (error) {
       console.error('MongoDB read error:', error.message);
       throw error;
     }
   }
 
+  async readMatchingKeys(pattern) {
+    const collection = this.db.collection('stream_data');
+    const documents = await collection.find(
+      {
+        key: pattern,
+        $or: [{ ttl: null }, { ttl: { $gt: new Date() } }]
+      },
+      { readPreference: 'primaryPreferred' }
+    ).toArray();
+
+    return documents.map(document => {
+      this.rememberDocumentKey(document);
+      return this.formatRecord(document);
+    });
+  }
+
+  /**
+   * Watch a key or key pattern. Every watcher is served by the one
+   * collection-level change stream and demultiplexed in handleCollectionChange,
+   * so adding or removing keys never reopens the stream.
+   */
   async startRealTimeWatch(key, callback, options = {}) {
     if (!this.connected) {
       throw new Error('MongoDB not connected');
@@ -259,117 +703,433 @@ class AdvancedMongoConnector extends EventEmitter {
 
     try {
       // Store watcher info for reconnection
-      this.activeWatchers.set(key, { callback, options });
+      const watcherInfo = createWatcherInfo(key, callback, options);
+      this.activeWatchers.set(key, watcherInfo);
 
-      const collection = this.db.collection('stream_data');
-      
-      // Create change stream with advanced options
-      const pipeline = [
-        {
-          $match: {
-            'fullDocument.key': key,
-            operationType: { $in: ['insert', 'update', 'replace', 'delete'] }
-          }
-        }
-      ];
+      // The shared stream resumes from its own checkpoint only; one watcher
+      // must not be able to rewind it for every other watcher
+      if (!this.collectionStream) {
+        this.openCollectionStream();
+      }
+
+      await this.deliverInitial(key, watcherInfo);
 
-      const changeStreamOptions = {
-        fullDocument: 'updateLookup',
-        resumeAfter: options.resumeToken,
-        startAtOperationTime: options.startAtOperationTime,
-        maxAwaitTimeMS: 1000,
-        batchSize: 1
+      console.log(`Real-time watch started for key: ${key}`);
+      return { key, active: true };
+
+    } catch (error) {
+      console.error(`Failed to start watch for key ${key}:`, error);
+      this.activeWatchers.delete(key);
+      await this.releaseCollectionStream();
+      throw error;
+    }
+  }
+
+  // Current data, one delivery per matching key for patterns
+  async deliverInitial(key, watcherInfo) {
+    const initialRecords = watcherInfo.pattern
+      ? await this.readMatchingKeys(watcherInfo.pattern)
+      : [await this.readData(key)].filter(Boolean);
+
+    for (const record of initialRecords) {
+      const meta = {
+        key: record.key,
+        changeType: 'initial',
+        timestamp: new Date(),
+        version: record.version
       };
+      watcherInfo.callback(record.data, meta);
+    }
+  }
 
-      const changeStream = collection.watch(pipeline, changeStreamOptions);
-      this.changeStreams.set(key, changeStream);
-      this.metrics.activeStreams++;
+  /**
+   * Watch every change on stream_data through the shared collection-level
+   * change stream. Callbacks receive the changed record (null on delete)
+   * and change metadata; used by live query subscriptions.
+   */
+  async startCollectionWatch(id, callback) {
+    if (!this.connected) {
+      throw new Error('MongoDB not connected');
+    }
 
-      // Handle change events
-      changeStream.on('change', (change) => {
-        try {
-          this.metrics.changesProcessed++;
-          const changeType = this.mapOperationType(change.operationType);
-          const data = change.fullDocument ? change.fullDocument.data : null;
-          
-          // Create metadata object
-          const meta = {
-            key: key,
-            changeType: changeType,
-            timestamp: new Date(),
-            operationType: change.operationType,
-            resumeToken: change._id,
-            clusterTime: change.clusterTime,
-            txnNumber: change.txnNumber,
-            lsid: change.lsid
-          };
-
-          callback(data, meta);
-          this.emit('change', { key, data, meta });
-        } catch (error) {
-          console.error(`Error processing change for key ${key}:`, error);
-          this.emit('error', error);
-        }
-      });
+    this.collectionWatchers.set(id, callback);
 
-      // Handle change stream errors
-      changeStream.on('error', (error) => {
-        console.error(`Change stream error for key ${key}:`, error);
-        this.metrics.errorsHandled++;
-        
-        // Attempt to restart the change stream
-        setTimeout(() => {
-          this.restartChangeStream(key);
-        }, 1000);
-      });
+    if (!this.collectionStream) {
+      this.openCollectionStream();
+    }
 
-      changeStream.on('close', () => {
-        console.log(`Change stream closed for key: ${key}`);
-        this.changeStreams.delete(key);
-        this.metrics.activeStreams--;
-      });
+    return id;
+  }
+
+  async stopCollectionWatch(id) {
+    this.collectionWatchers.delete(id);
+    await this.releaseCollectionStream();
+  }
+
+  hasStreamWatchers() {
+    return this.activeWatchers.size > 0 || this.collectionWatchers.size > 0;
+  }
+
+  // Close the stream once the last key or collection watcher is gone
+  async releaseCollectionStream() {
+    if (this.hasStreamWatchers()) return;
+
+    await this.closeCollectionStream();
+    this.documentKeys.clear();
+    // A later stream, in this process or the next, must not replay what happened while nobody was watching
+    if (this.collectionResumeToken) {
+      this.collectionResumeToken = null;
+      this.checkpointDirty = true;
+      await this.saveResumeCheckpoint();
+    }
+  }
+
+  openCollectionStream() {
+    const collection = this.db.collection('stream_data');
+    const pipeline = [
+      { $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } }
+    ];
+
+    const changeStreamOptions = {
+      fullDocument: 'updateLookup',
+      resumeAfter: this.collectionResumeToken || undefined,
+      maxAwaitTimeMS: 1000
+    };
 
-      // Get initial data
-      const initialData = await this.readData(key);
-      if (initialData) {
-        const meta = {
-          key: key,
-          changeType: 'initial',
-          timestamp: new Date()
-        };
-        callback(initialData.data, meta);
+    // Pre-images require MongoDB 6.0+ with changeStreamPreAndPostImages enabled
+    if (this.config.changeStreamPreImages) {
+      changeStreamOptions.fullDocumentBeforeChange = 'whenAvailable';
+    }
+
+    const changeStream = collection.watch(pipeline, changeStreamOptions);
+    this.collectionStream = changeStream;
+    this.metrics.activeStreams++;
+
+    changeStream.on('change', (change) => {
+      try {
+        this.handleCollectionChange(change);
+      } catch (error) {
+        console.error('Error processing collection change:', error);
+        this.emit('error', error);
+      }
+      this.recordResumeToken(change._id);
+    });
+
+    changeStream.on('error', (error) => {
+      console.error('Collection change stream error:', error);
+      this.metrics.errorsHandled++;
+      const historyLost = this.isHistoryLostError(error);
+
+      setTimeout(async () => {
+        await this.closeCollectionStream();
+        if (historyLost) {
+          await this.handleHistoryLost(error);
+        }
+        // Reopens after the last delivered change, or from now if history was lost
+        if (this.connected && this.hasStreamWatchers() && !this.collectionStream) {
+          this.openCollectionStream();
+        }
+      }, 1000);
+    });
+
+    changeStream.on('close', () => {
+      if (this.collectionStream === changeStream) {
+        this.collectionStream = null;
+        this.metrics.activeStreams--;
       }
+    });
 
-      console.log(`Real-time change stream started for key: ${key}`);
-      return changeStream;
+    console.log('Real-time collection change stream started for stream_data');
+    return changeStream;
+  }
+
+  async closeCollectionStream() {
+    const changeStream = this.collectionStream;
+    if (!changeStream) return;
+
+    this.collectionStream = null;
+    this.metrics.activeStreams--;
 
+    try {
+      await changeStream.close();
     } catch (error) {
-      console.error(`Failed to start change stream for key ${key}:`, error);
-      this.activeWatchers.delete(key);
-      throw error;
+      console.error('Error closing collection change stream:', error);
     }
   }
 
-  async restartChangeStream(key) {
-    const watcherInfo = this.activeWatchers.get(key);
-    if (!watcherInfo) return;
+  handleCollectionChange(change) {
+    this.metrics.changesProcessed++;
 
-    try {
-      // Close existing stream
-      const existingStream = this.changeStreams.get(key);
-      if (existingStream) {
-        await existingStream.close();
-        this.changeStreams.delete(key);
+    const documentId = change.documentKey ? change.documentKey._id : null;
+    const document = change.fullDocument || null;
+    let key;
+
+    if (document) {
+      key = document.key;
+      this.rememberDocumentKey(document);
+    } else if (change.fullDocumentBeforeChange) {
+      key = change.fullDocumentBeforeChange.key;
+    } else if (typeof documentId === 'string') {
+      key = documentId;
+    } else {
+      key = this.documentKeys.get(String(documentId));
+    }
+
+    if (change.operationType === 'delete') {
+      this.documentKeys.delete(String(documentId));
+    } else if (!document) {
+      // Document was removed before the update lookup; the delete event follows
+      return;
+    }
+
+    // A document written before _id = key that no watcher has seen: reads,
+    // query results and change events remember the ones they return
+    if (!key) return;
+
+    const meta = {
+      key: key,
+      changeType: this.mapOperationType(change.operationType),
+      timestamp: new Date(),
+      operationType: change.operationType,
+      resumeToken: change._id,
+      clusterTime: change.clusterTime,
+      txnNumber: change.txnNumber,
+      lsid: change.lsid,
+      transactionId: this.resolveTransactionId(change)
+    };
+
+    const record = document ? this.formatRecord(document) : null;
+    const data = record ? record.data : null;
+
+    if (record) {
+      meta.version = record.version;
+    }
+
+    if (change.operationType === 'insert') {
+      meta.previous = null;
+    } else if (change.fullDocumentBeforeChange) {
+      meta.previous = this.formatRecord(change.fullDocumentBeforeChange).data;
+    }
+
+    if (change.updateDescription) {
+      meta.changedPaths = this.updatedDataPaths(change.updateDescription);
+    }
+
+    // Demultiplex to the exact-key watcher and every matching pattern watcher
+    for (const [, watcherInfo] of findKeyWatchers(this.activeWatchers, key)) {
+      try {
+        watcherInfo.callback(data, meta);
+      } catch (error) {
+        console.error(`Error processing change for key ${key}:`, error);
+        this.emit('error', error);
       }
+    }
 
-      // Restart with resume token if available
-      const options = { ...watcherInfo.options };
-      await this.startRealTimeWatch(key, watcherInfo.callback, options);
-      
-      console.log(`Successfully restarted change stream for key: ${key}`);
+    for (const callback of this.collectionWatchers.values()) {
+      try {
+        callback(record, meta);
+      } catch (error) {
+        console.error('Error in collection watcher callback:', error);
+      }
+    }
+
+    this.emit('change', { key, data, meta });
+  }
+
+  // JSON Pointers (relative to data) for the fields an update operator touched
+  updatedDataPaths(updateDescription) {
+    const fields = [
+      ...Object.keys(updateDescription.updatedFields || {}),
+      ...(updateDescription.removedFields || []),
+      ...(updateDescription.truncatedArrays || []).map(truncated => truncated.field)
+    ];
+
+    const paths = new Set();
+    for (const field of fields) {
+      if (field === 'data') {
+        paths.add('');
+      } else if (field.startsWith('data.')) {
+        paths.add(toPointer(field.slice('data.'.length).split('.')));
+      }
+    }
+    return Array.from(paths);
+  }
+
+  /**
+   * Documents written since _id = key resolve their delete events on their
+   * own; older ones are remembered while a watcher could receive them, so
+   * the map never holds more than those documents.
+   */
+  rememberDocumentKey(document) {
+    if (!document || !document._id || !document.key || document._id === document.key) return;
+
+    const watched = this.collectionWatchers.size > 0 || findKeyWatchers(this.activeWatchers, document.key).length > 0;
+    if (watched) {
+      this.documentKeys.set(String(document._id), document.key);
+    }
+  }
+
+  formatRecord(document) {
+    return {
+      key: document.key,
+      data: document.data,
+      timestamp: document.timestamp,
+      lastModified: document.lastModified,
+      tags: document.tags || [],
+      metadata: document.metadata || {},
+      ttl: document.ttl || null,
+      version: document.version || 0
+    };
+  }
+
+  matchesQuery(record, query) {
+    return matchesQuery(record, query, { keyPatternMode: 'regex' });
+  }
+
+  /**
+   * Change data capture on any collection, on its own change stream.
+   * Before images need config.changeStreamPreImages and pre-images enabled
+   * on the collection (MongoDB 6.0+).
+   *
+   * @param {string} id - Subscription id, used by unwatchCollection()
+   * @param {string} name - Collection name
+   * @param {Array<Object>} pipeline - Extra change stream stages, e.g. a $match on fullDocument
+   * @param {Function} callback - Called with each row change (see changeCapture.js)
+   * @param {Object} [options]
+   * @param {Object} [options.resumeAfter] - Resume token from a previous row change's position
+   * @param {Object} [options.startAtOperationTime] - Cluster time to start from
+   */
+  async watchCollection(id, name, pipeline = [], callback, options = {}) {
+    if (!this.connected) {
+      throw new Error('MongoDB not connected');
+    }
+
+    const watcher = {
+      id,
+      name,
+      pipeline,
+      callback,
+      options,
+      stream: null,
+      resumeToken: options.resumeAfter || null
+    };
+
+    this.captureWatchers.set(id, watcher);
+    this.openCaptureStream(watcher);
+
+    console.log(`Change capture started for collection ${name}`);
+    return id;
+  }
+
+  async unwatchCollection(id) {
+    const watcher = this.captureWatchers.get(id);
+    if (!watcher) return;
+
+    this.captureWatchers.delete(id);
+    await this.closeCaptureStream(watcher);
+  }
+
+  openCaptureStream(watcher) {
+    const pipeline = [
+      { $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } },
+      ...watcher.pipeline
+    ];
+
+    const changeStreamOptions = {
+      fullDocument: 'updateLookup',
+      resumeAfter: watcher.resumeToken || undefined,
+      maxAwaitTimeMS: 1000
+    };
+
+    if (!watcher.resumeToken && watcher.options.startAtOperationTime) {
+      changeStreamOptions.startAtOperationTime = watcher.options.startAtOperationTime;
+    }
+
+    if (this.config.changeStreamPreImages) {
+      changeStreamOptions.fullDocumentBeforeChange = 'whenAvailable';
+    }
+
+    const changeStream = this.db.collection(watcher.name).watch(pipeline, changeStreamOptions);
+    watcher.stream = changeStream;
+    this.metrics.activeStreams++;
+
+    changeStream.on('change', (change) => {
+      watcher.resumeToken = change._id;
+      try {
+        watcher.callback(this.buildRowChange(watcher.name, change));
+      } catch (error) {
+        console.error(`Error in collection capture callback for ${watcher.name}:`, error);
+      }
+    });
+
+    changeStream.on('error', (error) => {
+      console.error(`Change capture stream error for ${watcher.name}:`, error);
+      this.metrics.errorsHandled++;
+
+      if (this.isHistoryLostError(error)) {
+        this.emit('historyLost', {
+          collection: watcher.name,
+          checkpoint: { resumeToken: watcher.resumeToken },
+          reason: error.message
+        });
+        watcher.resumeToken = null;
+      }
+
+      setTimeout(async () => {
+        await this.closeCaptureStream(watcher);
+        if (this.connected && this.captureWatchers.get(watcher.id) === watcher) {
+          this.openCaptureStream(watcher);
+        }
+      }, 1000);
+    });
+
+    changeStream.on('close', () => {
+      if (watcher.stream === changeStream) {
+        watcher.stream = null;
+        this.metrics.activeStreams--;
+      }
+    });
+  }
+
+  async closeCaptureStream(watcher) {
+    const changeStream = watcher.stream;
+    if (!changeStream) return;
+
+    watcher.stream = null;
+    this.metrics.activeStreams--;
+
+    try {
+      await changeStream.close();
     } catch (error) {
-      console.error(`Failed to restart change stream for key ${key}:`, error);
+      console.error(`Error closing change capture stream for ${watcher.name}:`, error);
+    }
+  }
+
+  buildRowChange(name, change) {
+    const operation = change.operationType === 'insert' ? 'insert'
+      : change.operationType === 'delete' ? 'delete'
+        : 'update';
+
+    let changedColumns = null;
+    if (change.updateDescription) {
+      changedColumns = [
+        ...Object.keys(change.updateDescription.updatedFields || {}),
+        ...(change.updateDescription.removedFields || [])
+      ];
     }
+
+    return createRowChange({
+      operation,
+      source: 'mongodb',
+      collection: name,
+      documentKey: change.documentKey,
+      before: change.fullDocumentBeforeChange || null,
+      after: operation === 'delete' ? null : (change.fullDocument || null),
+      changedColumns,
+      timestamp: change.wallTime || new Date(),
+      position: { resumeToken: change._id },
+      transactionId: this.resolveTransactionId(change)
+    });
   }
 
   mapOperationType(operationType) {
@@ -387,17 +1147,13 @@ class AdvancedMongoConnector extends EventEmitter {
   }
 
   async stopWatch(key) {
-    const changeStream = this.changeStreams.get(key);
-    if (changeStream) {
-      try {
-        await changeStream.close();
-        this.changeStreams.delete(key);
-        this.activeWatchers.delete(key);
-        this.metrics.activeStreams--;
-        console.log(`Stopped watching key: ${key}`);
-      } catch (error) {
-        console.error(`Error stopping watch for key ${key}:`, error);
-      }
+    if (!this.activeWatchers.delete(key)) return;
+
+    try {
+      await this.releaseCollectionStream();
+      console.log(`Stopped watching key: ${key}`);
+    } catch (error) {
+      console.error(`Error stopping watch for key ${key}:`, error);
     }
   }
 
@@ -412,29 +1168,69 @@ class AdvancedMongoConnector extends EventEmitter {
       // Build MongoDB query from simplified query object
       const mongoQuery = this.buildMongoQuery(query);
       
+      // limit: null lifts the default cap (aggregation input); the driver reads 0 as no limit
       const cursor = collection.find(mongoQuery, {
-        limit: options.limit || 1000,
+        limit: options.limit === null ? 0 : options.limit || 1000,
         skip: options.skip || 0,
-        sort: options.sort || { lastModified: -1 },
+        sort: options.sort || this.buildMongoSort(query.orderBy) || { lastModified: -1 },
         projection: options.fields ? this.buildProjection(options.fields) : null
       });
 
       const results = await cursor.toArray();
+      results.forEach(doc => this.rememberDocumentKey(doc));
       
-      return results.map(doc => ({
-        key: doc.key,
-        data: doc.data,
-        timestamp: doc.timestamp,
-        lastModified: doc.lastModified,
-        tags: doc.tags || [],
-        metadata: doc.metadata || {}
-      }));
+      return results.map(doc => this.formatRecord(doc));
     } catch (error) {
       console.error('MongoDB query error:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Run an aggregation pipeline natively. Records are first narrowed with the
+   * query filters and projected to the same shape queryData() returns, so
+   * the output matches the in-process aggregation engine.
+   *
+   * @returns {Promise<{data: Array, stagesApplied: number}>}
+   */
+  async aggregateData(query = {}, pipeline = [], options = {}) {
+    if (!this.connected) {
+      throw new Error('MongoDB not connected');
+    }
+
+    try {
+      const collection = this.db.collection('stream_data');
+      const stages = [
+        { $match: this.buildMongoQuery(query) },
+        // Same default order queryData() returns records in
+        { $sort: { lastModified: -1 } },
+        {
+          $project: {
+            _id: 0,
+            key: 1,
+            data: 1,
+            timestamp: 1,
+            lastModified: 1,
+            tags: { $ifNull: ['$tags', []] },
+            metadata: { $ifNull: ['$metadata', {}] },
+            version: { $ifNull: ['$version', 0] }
+          }
+        },
+        ...pipeline
+      ];
+
+      const data = await collection.aggregate(stages, {
+        allowDiskUse: options.allowDiskUse !== false,
+        maxTimeMS: options.maxTimeMS
+      }).toArray();
+
+      return { data, stagesApplied: pipeline.length };
+    } catch (error) {
+      console.error('MongoDB aggregate error:', error.message);
+      throw error;
+    }
+  }
+
   buildMongoQuery(query) {
     const mongoQuery = {};
     
@@ -463,12 +1259,28 @@ class AdvancedMongoConnector extends EventEmitter {
         mongoQuery[`data.${field}`] = value;
       }
     }
+
+    // WHERE clause parsed from a SQL-like query string
+    if (isConditionNode(query.where)) {
+      mongoQuery.$and = [toMongoFilter(query.where)];
+    }
     
     return mongoQuery;
   }
 
+  buildMongoSort(orderBy) {
+    if (!Array.isArray(orderBy) || orderBy.length === 0) return null;
+
+    const sort = {};
+    for (const { field, direction } of orderBy) {
+      sort[field] = String(direction).toUpperCase() === 'DESC' ? -1 : 1;
+    }
+    return sort;
+  }
+
   buildProjection(fields) {
-    const projection = {};
+    // key identifies the record and lets a later delete event be resolved (see rememberDocumentKey)
+    const projection = { key: 1 };
     for (const field of fields) {
       if (field.startsWith('data.')) {
         projection[field] = 1;
@@ -512,7 +1324,11 @@ class AdvancedMongoConnector extends EventEmitter {
 
     try {
       const collection = this.db.collection('stream_data');
-      const result = await collection.deleteOne({ key: key });
+      const result = await this.writeWithHistory(
+        key,
+        session => collection.deleteOne({ key: key }, { session }),
+        { deleted: true }
+      );
       
       return {
         success: true,
@@ -543,6 +1359,10 @@ class AdvancedMongoConnector extends EventEmitter {
       await this.createIndex({ ttl: 1 }, { expireAfterSeconds: 0 });
       await this.createIndex({ 'data.userId': 1 });
       await this.createIndex({ key: 1, lastModified: -1 });
+
+      if (this.history) {
+        await this.db.collection('stream_data_history').createIndex({ key: 1, recordedAt: -1 });
+      }
       
       console.log('Optimized indexes created successfully');
     } catch (error) {
@@ -553,8 +1373,13 @@ class AdvancedMongoConnector extends EventEmitter {
   getMetrics() {
     return {
       ...this.metrics,
-      connectedStreams: this.changeStreams.size,
+      // One physical stream serves every logical watcher; change captures have their own
+      connectedStreams: (this.collectionStream ? 1 : 0) +
+        Array.from(this.captureWatchers.values()).filter(watcher => watcher.stream).length,
+      logicalWatchers: this.activeWatchers.size + this.collectionWatchers.size,
       activeWatchers: this.activeWatchers.size,
+      collectionWatchers: this.collectionWatchers.size,
+      captureWatchers: this.captureWatchers.size,
       isConnected: this.connected,
       retryCount: this.retryCount
     };
@@ -565,17 +1390,20 @@ class AdvancedMongoConnector extends EventEmitter {
       clearInterval(this.healthCheckInterval);
     }
 
-    // Close all change streams gracefully
-    for (const [key, stream] of this.changeStreams) {
-      try {
-        await stream.close();
-      } catch (error) {
-        console.error(`Error closing change stream for key ${key}:`, error);
-      }
+    // Keep the last delivered resume token for the next start, then close the stream
+    if (this.checkpointTimer) {
+      clearTimeout(this.checkpointTimer);
+      this.checkpointTimer = null;
     }
-
-    this.changeStreams.clear();
+    await this.saveResumeCheckpoint();
+    await this.closeCollectionStream();
+    for (const watcher of this.captureWatchers.values()) {
+      await this.closeCaptureStream(watcher);
+    }
+    this.captureWatchers.clear();
     this.activeWatchers.clear();
+    this.collectionWatchers.clear();
+    this.documentKeys.clear();
 
     if (this.client) {
       await this.client.close();
@@ -1,6 +1,53 @@
 const mysql = require('mysql2/promise');
 const EventEmitter = require('events');
 const ZongJi = require('zongji');
+const { matchesQuery } = require('./queryMatcher');
+const { isConditionNode } = require('./queryParser');
+const { createWatcherInfo, findKeyWatchers, keyPatternToLike, matchesKeyPattern } = require('./keyPattern');
+const { createCheckpointStore, MysqlTableCheckpointStore } = require('./checkpointStore');
+const { createRowChange, rowMatches } = require('./changeCapture');
+const { normalizeUpdate, createsValues, applyUpdate, toMysqlUpdate } = require('./updateOperators');
+const { VersionConflictError } = require('./errors');
+const { resolveHistoryOptions, normalizeHistoryQuery } = require('./versionHistory');
+
+const BINLOG_EVENTS = ['rotate', 'tablemap', 'writerows', 'updaterows', 'deleterows', 'xid'];
+const ROW_OPERATIONS = { writerows: 'insert', updaterows: 'update', deleterows: 'delete' };
+const BINLOG_EVENTS_PAGE = 500; // rows per SHOW BINLOG EVENTS while scanning for GTIDs
+
+// 'uuid:1-5:7,uuid2[:tag]:3' -> Map of source ('uuid' or 'uuid:tag') -> [[first, last]]
+function parseGtidSet(text) {
+  const sets = new Map();
+
+  for (const part of String(text || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [uuid, ...segments] = part.split(':');
+    let source = uuid.toLowerCase();
+
+    for (const segment of segments) {
+      const range = segment.match(/^(\d+)(?:-(\d+))?$/);
+      if (!range) {
+        source = `${uuid.toLowerCase()}:${segment.toLowerCase()}`;
+        continue;
+      }
+      if (!sets.has(source)) sets.set(source, []);
+      sets.get(source).push([Number(range[1]), Number(range[2] || range[1])]);
+    }
+  }
+
+  return sets;
+}
+
+function gtidSetContains(sets, gtid) {
+  const separator = gtid.lastIndexOf(':');
+  const number = Number(gtid.slice(separator + 1));
+  const ranges = sets.get(gtid.slice(0, separator).toLowerCase()) || [];
+  return ranges.some(([first, last]) => number >= first && number <= last);
+}
+
+// SHOW BINLOG EVENTS prints a Gtid event as SET @@SESSION.GTID_NEXT= 'uuid:n'
+function gtidFromEvent(event) {
+  const match = /GTID_NEXT\s*=\s*'([^']+)'/.exec(event.Info || '');
+  return match ? match[1] : null;
+}
 
 class AdvancedMysqlConnector extends EventEmitter {
   constructor() {
@@ -11,6 +58,11 @@ class AdvancedMysqlConnector extends EventEmitter {
     this.zongJi = null;
     this.activeWatchers = new Map(); // key -> watcher info
     this.keyToTableMap = new Map(); // key -> table info
+    this.collectionWatchers = new Map(); // id -> callback for collection-level watchers
+    this.collectionKnownKeys = null; // key -> version at the last collection poll (polling mode)
+    this.collectionPolledAt = null; // database time of the last collection poll
+    this.tableWatchers = new Map(); // id -> change data capture on an application table
+    this.history = null; // retention policy when config.history is on
     this.retryCount = 0;
     this.maxRetries = 5;
     this.retryDelay = 1000;
@@ -21,14 +73,25 @@ class AdvancedMysqlConnector extends EventEmitter {
       reconnections: 0,
       errorsHandled: 0,
       activeWatchers: 0,
-      binlogPosition: null
+      binlogFile: null,
+      binlogPosition: null,
+      lastCheckpointSaved: null
     };
     this.lastKnownState = new Map(); // key -> data for change detection
+    this.currentTransactionId = null; // set by stream_transactions markers until the next XID
+    this.checkpointStore = null;
+    this.binlogCheckpoint = null; // { filename, position, gtidSet } after the last delivered transaction
+    this.gtidScan = null; // { filename, position, gtidSet } reached by readGtidSetAt()
+    this.binlogFile = null; // current file, from rotate events
+    this.binlogTxnTables = new Set(); // tables written by the binlog transaction in progress
+    this.checkpointDirty = false;
+    this.checkpointTimer = null;
   }
 
   async connect(config) {
     try {
       this.config = { ...config };
+      this.history = resolveHistoryOptions(config.history);
       const { host, port, user, password, database } = config;
       
       // Create connection pool for better performance
@@ -57,6 +120,10 @@ class AdvancedMysqlConnector extends EventEmitter {
 
       // Create the stream_data table with optimized schema
       await this.createOptimizedTable();
+
+      this.checkpointStore = createCheckpointStore(config.checkpointStore, {
+        table: () => new MysqlTableCheckpointStore(this.pool)
+      });
       
       // Set up binlog monitoring
       await this.setupBinlogMonitoring();
@@ -87,6 +154,7 @@ class AdvancedMysqlConnector extends EventEmitter {
           ttl DATETIME(6) NULL,
           tags JSON DEFAULT NULL,
           metadata JSON DEFAULT NULL,
+          version BIGINT UNSIGNED NOT NULL DEFAULT 0,
           checksum CHAR(32) GENERATED ALWAYS AS (MD5(JSON_UNQUOTE(data))) STORED,
           
           INDEX idx_key (\`key\`),
@@ -103,6 +171,34 @@ class AdvancedMysqlConnector extends EventEmitter {
       `;
       
       await this.connection.execute(createTableQuery);
+      await this.addVersionColumn();
+
+      // Marker rows written by runTransaction() so binlog events can be tagged
+      await this.connection.execute(`
+        CREATE TABLE IF NOT EXISTS stream_transactions (
+          txn_id CHAR(36) NOT NULL PRIMARY KEY,
+          created_at DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6)
+        ) ENGINE=InnoDB
+      `);
+
+      await this.createTombstones();
+
+      if (this.history) {
+        await this.connection.execute(`
+          CREATE TABLE IF NOT EXISTS stream_data_history (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            \`key\` VARCHAR(255) NOT NULL,
+            version BIGINT UNSIGNED NOT NULL,
+            data JSON NULL,
+            deleted BOOLEAN NOT NULL DEFAULT FALSE,
+            recorded_at DATETIME(6) NOT NULL,
+
+            INDEX idx_key_recorded (\`key\`, recorded_at)
+          ) ENGINE=InnoDB
+            DEFAULT CHARSET=utf8mb4
+            COLLATE=utf8mb4_unicode_ci
+        `);
+      }
 
       // Create TTL cleanup event
       await this.setupTTLCleanup();
@@ -114,6 +210,52 @@ class AdvancedMysqlConnector extends EventEmitter {
     }
   }
 
+  // Tables created before versioning get the column; their rows start at version 0
+  async addVersionColumn() {
+    const [rows] = await this.connection.execute(`
+      SELECT COUNT(*) AS present FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'stream_data' AND COLUMN_NAME = 'version'
+    `);
+
+    if (Number(rows[0].present) === 0) {
+      await this.connection.execute(
+        'ALTER TABLE stream_data ADD COLUMN version BIGINT UNSIGNED NOT NULL DEFAULT 0 AFTER metadata'
+      );
+    }
+  }
+
+  // A key written again after a delete (or TTL expiry) continues from the version it was deleted at
+  async createTombstones() {
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS stream_data_tombstones (
+        \`key\` VARCHAR(255) NOT NULL PRIMARY KEY,
+        version BIGINT UNSIGNED NOT NULL
+      ) ENGINE=InnoDB
+        DEFAULT CHARSET=utf8mb4
+        COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // query() rather than execute(): CREATE TRIGGER cannot be prepared
+    try {
+      await this.connection.query(`
+        CREATE TRIGGER stream_data_tombstone AFTER DELETE ON stream_data
+        FOR EACH ROW
+          INSERT INTO stream_data_tombstones (\`key\`, version) VALUES (OLD.\`key\`, OLD.version)
+          ON DUPLICATE KEY UPDATE version = GREATEST(version, OLD.version)
+      `);
+    } catch (error) {
+      if (error.code !== 'ER_TRG_ALREADY_EXISTS') {
+        console.warn('Tombstone trigger warning (re-created keys restart at version 1):', error.message);
+      }
+    }
+  }
+
+  // Version for a new row: one past the version its key was last deleted at
+  async insertVersion(connection, key) {
+    const [rows] = await connection.execute('SELECT version FROM stream_data_tombstones WHERE `key` = ?', [key]);
+    return rows.length > 0 ? Number(rows[0].version) + 1 : 1;
+  }
+
   async setupTTLCleanup() {
     try {
       // Create event scheduler for TTL cleanup (runs every 5 minutes)
@@ -144,10 +286,6 @@ class AdvancedMysqlConnector extends EventEmitter {
         user: this.config.user,
         password: this.config.password,
         charset: 'utf8mb4_unicode_ci',
-        includeEvents: ['tablemap', 'writerows', 'updaterows', 'deleterows'],
-        includeSchema: {
-          [this.config.database]: ['stream_data']
-        },
         serverId: this.config.serverId || Math.floor(Math.random() * 1000) + 1
       };
 
@@ -169,10 +307,12 @@ class AdvancedMysqlConnector extends EventEmitter {
         this.emit('binlogReady');
       });
 
-      // Start monitoring
+      // Start monitoring from the last delivered transaction, or the current end
+      const startOptions = await this.resolveBinlogStart();
       this.zongJi.start({
-        startAtEnd: false,
-        includeEvents: ['tablemap', 'writerows', 'updaterows', 'deleterows']
+        ...startOptions,
+        includeEvents: BINLOG_EVENTS,
+        includeSchema: this.getBinlogSchema()
       });
 
       console.log('MySQL binlog monitoring initialized');
@@ -184,16 +324,282 @@ class AdvancedMysqlConnector extends EventEmitter {
     }
   }
 
+  getCheckpointName() {
+    // Instances sharing a database must not share a name; set checkpointName or serverId per instance
+    if (this.config.checkpointName) return this.config.checkpointName;
+    const suffix = this.config.serverId ? `:${this.config.serverId}` : '';
+    return `mysql-binlog:${this.config.database}${suffix}`;
+  }
+
+  // Tables whose row events zongji decodes; watchTable() extends this while running
+  getBinlogSchema() {
+    const schema = {
+      // The checkpoint table is included so its own writes can be recognised and skipped
+      [this.config.database]: ['stream_data', 'stream_transactions', ...this.getCheckpointTables()]
+    };
+
+    for (const watcher of this.tableWatchers.values()) {
+      const tables = schema[watcher.schema] || (schema[watcher.schema] = []);
+      if (!tables.includes(watcher.table)) tables.push(watcher.table);
+    }
+
+    return schema;
+  }
+
+  // zongji reads includeSchema on every table map event, so no restart is needed
+  refreshBinlogSchema() {
+    if (this.zongJi && this.zongJi.options) {
+      this.zongJi.options.includeSchema = this.getBinlogSchema();
+    }
+  }
+
+  getCheckpointTables() {
+    return this.checkpointStore instanceof MysqlTableCheckpointStore ? [this.checkpointStore.table] : [];
+  }
+
+  /**
+   * Where zongji should start: the in-memory checkpoint after a binlog
+   * restart, the saved one after a process restart, or the current end of
+   * the binlog. When the checkpoint's file is gone (purged, or after a
+   * failover to a server with other file names) but its GTID set is known,
+   * streaming resumes at the first transaction the set does not contain. A
+   * checkpoint the server can no longer serve either way emits
+   * 'historyLost' and streaming starts at the end.
+   */
+  async resolveBinlogStart() {
+    let checkpoint = this.binlogCheckpoint;
+
+    if (!checkpoint && this.checkpointStore) {
+      try {
+        checkpoint = await this.checkpointStore.load(this.getCheckpointName());
+      } catch (error) {
+        console.error('Failed to load binlog checkpoint:', error.message);
+      }
+    }
+
+    if (!checkpoint) {
+      return { startAtEnd: true };
+    }
+
+    const reason = await this.findBinlogGap(checkpoint);
+    if (reason) {
+      const resumed = checkpoint.gtidSet ? await this.findGtidResumePosition(checkpoint.gtidSet) : null;
+      if (!resumed) {
+        console.warn(`Binlog checkpoint ${checkpoint.filename}:${checkpoint.position} cannot be resumed (${reason}); starting at the current end`);
+        this.binlogCheckpoint = null;
+        this.emit('historyLost', { checkpoint, reason });
+        return { startAtEnd: true };
+      }
+
+      console.warn(`Binlog checkpoint ${checkpoint.filename}:${checkpoint.position} cannot be resumed (${reason}); resuming by GTID at ${resumed.filename}:${resumed.position}`);
+      checkpoint = { ...resumed, gtidSet: null };
+    }
+
+    this.binlogCheckpoint = checkpoint;
+    this.binlogFile = checkpoint.filename;
+    this.gtidScan = checkpoint.gtidSet ? { ...checkpoint } : null;
+    console.log(`Resuming binlog monitoring at ${checkpoint.filename}:${checkpoint.position}`);
+    return { binlogName: checkpoint.filename, binlogNextPos: checkpoint.position };
+  }
+
+  // Why the server cannot replay from a checkpoint, or null if it can
+  async findBinlogGap(checkpoint) {
+    try {
+      const [logs] = await this.pool.query('SHOW BINARY LOGS');
+      const log = logs.find(row => row.Log_name === checkpoint.filename);
+
+      if (!log) {
+        return 'binlog file purged';
+      }
+
+      if (log.File_size !== undefined && checkpoint.position > Number(log.File_size)) {
+        return 'position beyond the end of the binlog file';
+      }
+
+      if (checkpoint.gtidSet) {
+        const [rows] = await this.pool.query(
+          'SELECT GTID_SUBSET(?, @@GLOBAL.gtid_executed) AS contained',
+          [checkpoint.gtidSet]
+        );
+        if (!Number(rows[0].contained)) {
+          return 'saved GTID set was not executed by this server';
+        }
+      }
+    } catch (error) {
+      console.warn('Could not verify binlog checkpoint:', error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * The start of the first transaction a GTID set does not contain: in the
+   * newest binlog file whose Previous_gtids the set covers, the first Gtid
+   * event outside the set, or the end of the binlog when there is none.
+   * Null when the server purged transactions missing from the set or never
+   * executed all of it.
+   */
+  async findGtidResumePosition(gtidSet) {
+    try {
+      const [[coverage]] = await this.pool.query(
+        'SELECT GTID_SUBSET(@@GLOBAL.gtid_purged, ?) AS purgedSeen, GTID_SUBSET(?, @@GLOBAL.gtid_executed) AS executed',
+        [gtidSet, gtidSet]
+      );
+      if (!Number(coverage.purgedSeen) || !Number(coverage.executed)) return null;
+
+      const [logs] = await this.pool.query('SHOW BINARY LOGS');
+      const sets = parseGtidSet(gtidSet);
+
+      for (let index = logs.length - 1; index >= 0; index--) {
+        const filename = logs[index].Log_name;
+        const [head] = await this.pool.query('SHOW BINLOG EVENTS IN ? LIMIT 5', [filename]);
+        const previous = head.find(event => event.Event_type === 'Previous_gtids');
+        const [[covered]] = await this.pool.query('SELECT GTID_SUBSET(?, ?) AS covered', [previous ? previous.Info : '', gtidSet]);
+        if (!Number(covered.covered)) continue;
+
+        let position = 4;
+        for (;;) {
+          const [events] = await this.pool.query('SHOW BINLOG EVENTS IN ? FROM ? LIMIT ?', [filename, position, BINLOG_EVENTS_PAGE]);
+          const missing = events.find(event => event.Event_type === 'Gtid' && !gtidSetContains(sets, gtidFromEvent(event)));
+          if (missing) {
+            return { filename, position: Number(missing.Pos) };
+          }
+          if (events.length < BINLOG_EVENTS_PAGE) break;
+          position = Number(events[events.length - 1].End_log_pos);
+        }
+
+        // Every transaction in this file is in the set; the next one starts the next file
+        if (index === logs.length - 1) {
+          return { filename, position: Number(logs[index].File_size) };
+        }
+        return { filename: logs[index + 1].Log_name, position: 4 };
+      }
+    } catch (error) {
+      console.warn('Could not resume binlog by GTID:', error.message);
+    }
+
+    return null;
+  }
+
+  // A transaction committed and its rows were delivered; remember where the next one starts
+  recordBinlogCheckpoint(position) {
+    const tables = Array.from(this.binlogTxnTables);
+    this.binlogTxnTables.clear();
+
+    if (!this.binlogFile) return;
+
+    // The GTID set is worked out for this position when the checkpoint is saved
+    this.binlogCheckpoint = {
+      filename: this.binlogFile,
+      position: position,
+      gtidSet: null
+    };
+
+    // Saving a checkpoint commits a row itself; don't save again for that
+    const checkpointTables = this.getCheckpointTables();
+    if (tables.length > 0 && tables.every(table => checkpointTables.includes(table))) {
+      return;
+    }
+
+    this.checkpointDirty = true;
+    this.scheduleCheckpointSave();
+  }
+
+  scheduleCheckpointSave() {
+    if (!this.checkpointStore || this.checkpointTimer) return;
+
+    this.checkpointTimer = setTimeout(() => {
+      this.checkpointTimer = null;
+      this.saveBinlogCheckpoint();
+    }, this.config.checkpointInterval || 1000);
+  }
+
+  async saveBinlogCheckpoint() {
+    const checkpoint = this.binlogCheckpoint;
+    if (!this.checkpointStore || !checkpoint || !this.checkpointDirty) return;
+
+    this.checkpointDirty = false;
+
+    try {
+      checkpoint.gtidSet = await this.readGtidSetAt(checkpoint).catch((error) => {
+        console.warn('Could not read the GTID set for the binlog checkpoint:', error.message);
+        return null;
+      });
+      await this.checkpointStore.save(this.getCheckpointName(), {
+        ...checkpoint,
+        savedAt: new Date().toISOString()
+      });
+      this.metrics.lastCheckpointSaved = new Date();
+    } catch (error) {
+      console.error('Failed to save binlog checkpoint:', error.message);
+      this.metrics.errorsHandled++;
+      this.checkpointDirty = true;
+    }
+  }
+
+  /**
+   * The GTID set executed up to a checkpoint: its file's Previous_gtids plus
+   * every Gtid event before the checkpoint position, read with SHOW BINLOG
+   * EVENTS. Scanning continues from where the previous save stopped, so each
+   * event is read once. Null when GTIDs are off.
+   */
+  async readGtidSetAt(checkpoint) {
+    let scan = this.gtidScan;
+    if (!scan || scan.filename !== checkpoint.filename || scan.position > checkpoint.position) {
+      scan = { filename: checkpoint.filename, position: 4, gtidSet: '' };
+    }
+
+    const gtids = scan.gtidSet ? [scan.gtidSet] : [];
+    let position = scan.position;
+    let done = false;
+
+    while (!done && position < checkpoint.position) {
+      const [events] = await this.pool.query('SHOW BINLOG EVENTS IN ? FROM ? LIMIT ?', [scan.filename, position, BINLOG_EVENTS_PAGE]);
+      done = events.length < BINLOG_EVENTS_PAGE;
+
+      for (const event of events) {
+        if (Number(event.Pos) >= checkpoint.position) {
+          done = true;
+          break;
+        }
+        if (event.Event_type === 'Previous_gtids' && event.Info) {
+          gtids.push(event.Info);
+        } else if (event.Event_type === 'Gtid' && gtidFromEvent(event)) {
+          gtids.push(gtidFromEvent(event));
+        }
+        position = Number(event.End_log_pos);
+      }
+    }
+
+    // GTID_SUBTRACT(set, '') merges the collected intervals into one set
+    let gtidSet = '';
+    if (gtids.length > 0) {
+      const [[merged]] = await this.pool.query("SELECT GTID_SUBTRACT(?, '') AS gtidSet", [gtids.join(',')]);
+      gtidSet = merged.gtidSet || '';
+    }
+
+    this.gtidScan = { filename: checkpoint.filename, position, gtidSet };
+    return gtidSet || null;
+  }
+
   setupPollingFallback() {
     // Implement polling as fallback when binlog is not available
     this.pollingInterval = setInterval(async () => {
       for (const [key, watcherInfo] of this.activeWatchers) {
         try {
-          await this.checkKeyForChanges(key, watcherInfo);
+          if (watcherInfo.pattern) {
+            await this.checkPatternForChanges(key, watcherInfo);
+          } else {
+            await this.checkKeyForChanges(key, watcherInfo);
+          }
         } catch (error) {
           console.error(`Polling error for key ${key}:`, error);
         }
       }
+
+      if (this.collectionWatchers.size > 0) {
+        await this.checkCollectionForChanges();
+      }
     }, this.config.pollingInterval || 2000);
   }
 
@@ -208,16 +614,19 @@ class AdvancedMysqlConnector extends EventEmitter {
       if (!currentData && lastKnownData) {
         // Deleted
         this.lastKnownState.delete(key);
-        this.notifyWatcher(key, null, 'deleted', watcherInfo);
+        this.notifyWatcher(key, null, 'deleted', watcherInfo, { previous: lastKnownData.data });
       } else if (currentData && !lastKnownData) {
         // Created
         this.lastKnownState.set(key, currentData);
-        this.notifyWatcher(key, currentData.data, 'created', watcherInfo);
+        this.notifyWatcher(key, currentData.data, 'created', watcherInfo, { previous: null, version: currentData.version });
       } else if (currentData && lastKnownData) {
         // Check for updates
-        if (currentData.checksum !== lastKnownData.checksum) {
+        if (this.hasRecordChanged(lastKnownData, currentData)) {
           this.lastKnownState.set(key, currentData);
-          this.notifyWatcher(key, currentData.data, 'updated', watcherInfo);
+          this.notifyWatcher(key, currentData.data, 'updated', watcherInfo, {
+            previous: lastKnownData.data,
+            version: currentData.version
+          });
         }
       }
     } catch (error) {
@@ -225,19 +634,139 @@ class AdvancedMysqlConnector extends EventEmitter {
     }
   }
 
+  // One query per pattern; keys missing from the result were deleted
+  async checkPatternForChanges(pattern, watcherInfo) {
+    try {
+      const records = await this.readMatchingKeys(pattern);
+      const seen = new Set();
+
+      for (const record of records) {
+        seen.add(record.key);
+        const lastKnownData = watcherInfo.knownKeys.get(record.key);
+
+        if (!lastKnownData || this.hasRecordChanged(lastKnownData, record)) {
+          watcherInfo.knownKeys.set(record.key, record);
+          this.notifyWatcher(record.key, record.data, lastKnownData ? 'updated' : 'created', watcherInfo, {
+            previous: lastKnownData ? lastKnownData.data : null,
+            version: record.version
+          });
+        }
+      }
+
+      for (const [key, lastKnownData] of Array.from(watcherInfo.knownKeys)) {
+        if (!seen.has(key)) {
+          watcherInfo.knownKeys.delete(key);
+          this.notifyWatcher(key, null, 'deleted', watcherInfo, { previous: lastKnownData.data });
+        }
+      }
+    } catch (error) {
+      console.error(`Error checking changes for pattern ${pattern}:`, error);
+    }
+  }
+
+  /**
+   * Feed collection watchers (live queries) while the binlog is unavailable.
+   * Each poll reads the rows modified since the previous poll and lists
+   * keys with their versions: listed keys missing from the snapshot or at a
+   * new version changed, and snapshot keys no longer listed were deleted.
+   * A row whose transaction committed after the previous poll but carries
+   * an earlier last_modified is caught by its version and read on its own.
+   * The first poll only records the state.
+   */
+  async checkCollectionForChanges() {
+    try {
+      const [[{ now }]] = await this.pool.query('SELECT NOW(6) AS now');
+      const since = this.collectionPolledAt;
+      const modified = this.collectionKnownKeys && since ? await this.readModifiedSince(since) : [];
+      const [listed] = await this.pool.query('SELECT `key`, version FROM stream_data WHERE (ttl IS NULL OR ttl > NOW())');
+
+      if (!this.collectionKnownKeys) {
+        this.collectionKnownKeys = new Map(listed.map(row => [row.key, Number(row.version)]));
+        this.collectionPolledAt = now;
+        return;
+      }
+
+      const records = new Map(modified.map(record => [record.key, record]));
+      const seen = new Set();
+
+      for (const row of listed) {
+        seen.add(row.key);
+        const version = Number(row.version);
+        const knownVersion = this.collectionKnownKeys.get(row.key);
+        if (knownVersion === version) continue;
+
+        let record = records.get(row.key);
+        if (!record || record.version < version) {
+          record = await this.readData(row.key);
+          if (!record) continue;
+        }
+
+        this.collectionKnownKeys.set(row.key, record.version);
+        this.notifyCollectionWatchers(row.key, record, knownVersion === undefined ? 'created' : 'updated', 'polling');
+      }
+
+      for (const key of Array.from(this.collectionKnownKeys.keys())) {
+        if (!seen.has(key)) {
+          this.collectionKnownKeys.delete(key);
+          this.notifyCollectionWatchers(key, null, 'deleted', 'polling');
+        }
+      }
+
+      this.collectionPolledAt = now;
+    } catch (error) {
+      console.error('Error checking collection for changes:', error);
+    }
+  }
+
+  // Every write bumps the version, so rewrites of identical data count as changes too
+  hasRecordChanged(lastKnown, current) {
+    return current.checksum !== lastKnown.checksum || current.version !== lastKnown.version;
+  }
+
+  // Pattern watchers keep their own per-key state
+  trackKnownState(watcherInfo, key, record) {
+    const state = watcherInfo.knownKeys || this.lastKnownState;
+    if (record) {
+      state.set(key, record);
+    } else {
+      state.delete(key);
+    }
+  }
+
   handleBinlogEvent(evt) {
     try {
+      if (evt.getEventName() === 'rotate') {
+        this.binlogFile = evt.binlogName;
+        this.metrics.binlogFile = evt.binlogName;
+        return;
+      }
+
+      if (evt.getEventName() === 'xid') {
+        // Commit of the current binlog transaction
+        this.currentTransactionId = null;
+        this.recordBinlogCheckpoint(evt.nextPosition);
+        return;
+      }
+
       if (evt.getEventName() === 'writerows' || 
           evt.getEventName() === 'updaterows' || 
           evt.getEventName() === 'deleterows') {
         
-        this.metrics.changesProcessed++;
         this.metrics.binlogPosition = evt.nextPosition;
         
-        const tableName = evt.tableMap[evt.tableId].tableName;
+        const tableInfo = evt.tableMap[evt.tableId];
+        const tableName = tableInfo.tableName;
+        this.binlogTxnTables.add(tableName);
+
+        if (this.tableWatchers.size > 0) {
+          this.processTableChange(evt, tableInfo);
+        }
         
         if (tableName === 'stream_data') {
+          this.metrics.changesProcessed++;
           this.processBinlogDataChange(evt);
+        } else if (tableName === 'stream_transactions' && evt.getEventName() === 'writerows') {
+          this.currentTransactionId = evt.rows[0] ? evt.rows[0].txn_id : null;
         }
       }
     } catch (error) {
@@ -252,33 +781,42 @@ class AdvancedMysqlConnector extends EventEmitter {
     
     for (const row of rows) {
       try {
-        let key, data, changeType;
+        let key, data, changeType, record, previous;
         
         if (eventName === 'writerows') {
           // INSERT
           key = row.key;
-          data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+          data = this.parseJsonColumn(row.data, null);
           changeType = 'created';
+          record = this.formatRecord(row);
+          previous = null;
         } else if (eventName === 'updaterows') {
           // UPDATE
           key = row.after.key;
-          data = typeof row.after.data === 'string' ? JSON.parse(row.after.data) : row.after.data;
+          data = this.parseJsonColumn(row.after.data, null);
           changeType = 'updated';
+          record = this.formatRecord(row.after);
+          previous = this.readBeforeImage(row.before);
         } else if (eventName === 'deleterows') {
           // DELETE
           key = row.key;
           data = null;
           changeType = 'deleted';
+          record = null;
+          previous = this.readBeforeImage(row);
         }
         
-        // Notify watchers for this key
-        const watcherInfo = this.activeWatchers.get(key);
-        if (watcherInfo) {
-          this.notifyWatcher(key, data, changeType, watcherInfo);
+        // Notify watchers for this key and every pattern that matches it
+        const version = record ? record.version : null;
+        for (const [, watcherInfo] of findKeyWatchers(this.activeWatchers, key)) {
+          this.notifyWatcher(key, data, changeType, watcherInfo, { previous, version });
         }
+
+        // Notify collection-level watchers (live queries)
+        this.notifyCollectionWatchers(key, record, changeType);
         
         // Emit global change event
-        this.emit('change', { key, data, changeType });
+        this.emit('change', { key, data, changeType, transactionId: this.currentTransactionId });
         
       } catch (error) {
         console.error('Error processing binlog row:', error);
@@ -286,15 +824,66 @@ class AdvancedMysqlConnector extends EventEmitter {
     }
   }
 
-  notifyWatcher(key, data, changeType, watcherInfo) {
+  // With binlog_row_image=MINIMAL the before image has only the primary key
+  readBeforeImage(row) {
+    return row.data === undefined ? undefined : this.parseJsonColumn(row.data, null);
+  }
+
+  // Row-level events for watchTable() subscribers on this table
+  processTableChange(evt, tableInfo) {
+    const operation = ROW_OPERATIONS[evt.getEventName()];
+
+    for (const watcher of this.tableWatchers.values()) {
+      if (watcher.table !== tableInfo.tableName || watcher.schema !== tableInfo.parentSchema) continue;
+
+      for (const row of evt.rows) {
+        const before = operation === 'update' ? row.before : (operation === 'delete' ? row : null);
+        const after = operation === 'update' ? row.after : (operation === 'insert' ? row : null);
+
+        // Updates moving a row into or out of the filter are delivered too
+        if (!rowMatches(watcher.where, before) && !rowMatches(watcher.where, after)) continue;
+
+        const change = createRowChange({
+          operation,
+          source: 'mysql',
+          table: watcher.table,
+          primaryKey: watcher.primaryKey,
+          columns: watcher.columns,
+          before,
+          after,
+          timestamp: evt.timestamp ? new Date(evt.timestamp) : new Date(),
+          position: { binlogFile: this.binlogFile, binlogPosition: evt.nextPosition },
+          transactionId: this.currentTransactionId
+        });
+
+        try {
+          watcher.callback(change);
+        } catch (error) {
+          console.error(`Error in table watcher callback for ${watcher.table}:`, error);
+        }
+      }
+    }
+  }
+
+  // extra.previous is the value before the change (binlog before image or last polled state)
+  notifyWatcher(key, data, changeType, watcherInfo, extra = {}) {
     try {
       const meta = {
         key: key,
         changeType: changeType,
         timestamp: new Date(),
         source: this.zongJi ? 'binlog' : 'polling',
-        binlogPosition: this.metrics.binlogPosition
+        binlogPosition: this.metrics.binlogPosition,
+        transactionId: this.currentTransactionId
       };
+
+      if (extra.previous !== undefined) {
+        meta.previous = extra.previous;
+      }
+
+      if (extra.version !== undefined) {
+        meta.version = extra.version;
+      }
       
       watcherInfo.callback(data, meta);
     } catch (error) {
@@ -302,6 +891,97 @@ class AdvancedMysqlConnector extends EventEmitter {
     }
   }
 
+  notifyCollectionWatchers(key, record, changeType, source = 'binlog') {
+    if (this.collectionWatchers.size === 0) return;
+
+    const meta = {
+      key: key,
+      changeType: changeType,
+      timestamp: new Date(),
+      source: source,
+      binlogPosition: this.metrics.binlogPosition,
+      transactionId: this.currentTransactionId
+    };
+
+    for (const callback of this.collectionWatchers.values()) {
+      try {
+        callback(record, meta);
+      } catch (error) {
+        console.error('Error in collection watcher callback:', error);
+      }
+    }
+  }
+
+  /**
+   * Change data capture on an application table, fed by the binlog reader.
+   * Before images need binlog_row_image=FULL.
+   *
+   * @param {string} id - Subscription id, used by unwatchTable()
+   * @param {string} table - Table name, or `schema.table` outside the connected database
+   * @param {Function} callback - Called with each row change (see changeCapture.js)
+   * @param {Object} [options]
+   * @param {string|Array<string>} [options.primaryKey] - Key columns (default: the table's primary key)
+   * @param {Array<string>} [options.columns] - Columns to include in row images
+   * @param {Function|Object} [options.where] - Row predicate or MongoDB-style filter
+   */
+  async watchTable(id, table, callback, options = {}) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    if (!this.zongJi) {
+      throw new Error('watchTable requires binlog monitoring; the connector is in polling mode');
+    }
+
+    const [schema, tableName] = table.includes('.')
+      ? table.split('.', 2)
+      : [this.config.database, table];
+
+    let primaryKey = options.primaryKey;
+    if (!primaryKey) {
+      primaryKey = await this.readPrimaryKey(schema, tableName);
+    }
+
+    this.tableWatchers.set(id, {
+      schema,
+      table: tableName,
+      callback,
+      primaryKey: Array.isArray(primaryKey) ? primaryKey : [primaryKey],
+      columns: options.columns || null,
+      where: options.where || null
+    });
+    this.refreshBinlogSchema();
+
+    console.log(`Change capture started for table ${schema}.${tableName}`);
+    return id;
+  }
+
+  async unwatchTable(id) {
+    if (this.tableWatchers.delete(id)) {
+      this.refreshBinlogSchema();
+    }
+  }
+
+  async readPrimaryKey(schema, table) {
+    const [rows] = await this.pool.query(
+      `SELECT COLUMN_NAME FROM information_schema.KEY_COLUMN_USAGE
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND CONSTRAINT_NAME = 'PRIMARY'
+       ORDER BY ORDINAL_POSITION`,
+      [schema, table]
+    );
+
+    if (rows.length === 0) {
+      throw new Error(`Table ${schema}.${table} has no primary key; pass options.primaryKey`);
+    }
+
+    return rows.map(row => row.COLUMN_NAME);
+  }
+
+  parseJsonColumn(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
   async handleBinlogError(error) {
     console.error('Binlog error occurred:', error);
     
@@ -388,38 +1068,12 @@ class AdvancedMysqlConnector extends EventEmitter {
       try {
         await connection.beginTransaction();
         
-        const query = `
-          INSERT INTO stream_data (\`key\`, data, timestamp, last_modified, ttl, tags, metadata)
-          VALUES (?, ?, NOW(6), NOW(6), ?, ?, ?)
-          ON DUPLICATE KEY UPDATE 
-            data = VALUES(data),
-            last_modified = NOW(6),
-            ttl = VALUES(ttl),
-            tags = VALUES(tags),
-            metadata = VALUES(metadata)
-        `;
-        
-        const ttl = options.ttl ? new Date(Date.now() + options.ttl * 1000) : null;
-        const tags = options.tags ? JSON.stringify(options.tags) : null;
-        const metadata = options.metadata ? JSON.stringify(options.metadata) : null;
-        
-        const [result] = await connection.execute(query, [
-          key,
-          JSON.stringify(data),
-          ttl,
-          tags,
-          metadata
-        ]);
+        const result = await this.upsertRow(connection, key, data, options);
+        await this.recordHistory(connection, key);
         
         await connection.commit();
         
-        return {
-          success: true,
-          key: key,
-          upserted: result.insertId > 0,
-          modified: result.changedRows > 0,
-          timestamp: new Date()
-        };
+        return result;
       } catch (error) {
         await connection.rollback();
         throw error;
@@ -427,44 +1081,370 @@ class AdvancedMysqlConnector extends EventEmitter {
         connection.release();
       }
     } catch (error) {
-      console.error('MySQL write error:', error.message);
-      this.metrics.errorsHandled++;
+      // A version conflict is an answer, not a failure
+      if (!(error instanceof VersionConflictError)) {
+        console.error('MySQL write error:', error.message);
+        this.metrics.errorsHandled++;
+      }
       throw error;
     }
   }
 
-  async readData(key) {
-    if (!this.connected) {
-      throw new Error('MySQL not connected');
+  /**
+   * Write only if the key is still at expectedVersion (0: does not exist yet)
+   * @throws {VersionConflictError} When the stored version differs
+   */
+  async compareAndSet(key, data, expectedVersion, options = {}) {
+    return this.writeData(key, data, { ...options, ifVersion: expectedVersion });
+  }
+
+  async upsertRow(connection, key, data, options = {}) {
+    if (options.ifVersion !== undefined) {
+      return this.compareAndSetRow(connection, key, data, options);
     }
 
-    try {
-      const connection = await this.pool.getConnection();
-      
+    // LAST_INSERT_ID(expr) hands the bumped version back as insertId on the update branch
+    const insertVersion = await this.insertVersion(connection, key);
+    const query = `
+      INSERT INTO stream_data (\`key\`, data, timestamp, last_modified, ttl, tags, metadata, version)
+      VALUES (?, ?, NOW(6), NOW(6), ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE 
+        data = VALUES(data),
+        last_modified = NOW(6),
+        ttl = VALUES(ttl),
+        tags = VALUES(tags),
+        metadata = VALUES(metadata),
+        version = LAST_INSERT_ID(version + 1)
+    `;
+    
+    const [result] = await connection.execute(query, [key, ...this.rowValues(data, options), insertVersion]);
+    const inserted = result.affectedRows === 1;
+
+    return {
+      success: true,
+      key: key,
+      upserted: inserted,
+      modified: !inserted,
+      version: inserted ? insertVersion : Number(result.insertId),
+      timestamp: new Date()
+    };
+  }
+
+  // data, ttl, tags and metadata parameters for a write
+  rowValues(data, options = {}) {
+    return [
+      JSON.stringify(data),
+      options.ttl ? new Date(Date.now() + options.ttl * 1000) : null,
+      options.tags ? JSON.stringify(options.tags) : null,
+      options.metadata ? JSON.stringify(options.metadata) : null
+    ];
+  }
+
+  /**
+   * Write only if the stored version equals options.ifVersion; 0 means the
+   * key must not exist yet (or predates versioning). The version check and
+   * the write are one statement, so concurrent writers cannot both succeed.
+   */
+  async compareAndSetRow(connection, key, data, options) {
+    const expected = options.ifVersion;
+    const values = this.rowValues(data, options);
+
+    if (expected === 0) {
       try {
-        const query = `
-          SELECT \`key\`, data, timestamp, last_modified, ttl, tags, metadata, checksum
-          FROM stream_data 
-          WHERE \`key\` = ? AND (ttl IS NULL OR ttl > NOW())
-        `;
-        
-        const [rows] = await connection.execute(query, [key]);
-        
-        if (rows.length === 0) {
-          return null;
-        }
+        const insertVersion = await this.insertVersion(connection, key);
+        await connection.execute(`
+          INSERT INTO stream_data (\`key\`, data, timestamp, last_modified, ttl, tags, metadata, version)
+          VALUES (?, ?, NOW(6), NOW(6), ?, ?, ?, ?)
+        `, [key, ...values, insertVersion]);
 
-        const row = rows[0];
-        return {
-          key: row.key,
-          data: JSON.parse(row.data),
-          timestamp: row.timestamp,
-          lastModified: row.last_modified,
-          ttl: row.ttl,
-          tags: row.tags ? JSON.parse(row.tags) : [],
-          metadata: row.metadata ? JSON.parse(row.metadata) : {},
-          checksum: row.checksum
+        return { success: true, key: key, upserted: true, modified: false, version: insertVersion, timestamp: new Date() };
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+        // An unversioned row still matches version 0 below
+      }
+    }
+
+    const [result] = await connection.execute(`
+      UPDATE stream_data
+      SET data = ?, last_modified = NOW(6), ttl = ?, tags = ?, metadata = ?, version = version + 1
+      WHERE \`key\` = ? AND version = ?
+    `, [...values, key, expected]);
+
+    if (result.affectedRows === 0) {
+      const [rows] = await connection.execute('SELECT version FROM stream_data WHERE `key` = ?', [key]);
+      throw new VersionConflictError(key, expected, rows.length > 0 ? Number(rows[0].version) : null);
+    }
+
+    return { success: true, key: key, upserted: false, modified: true, version: expected + 1, timestamp: new Date() };
+  }
+
+  /**
+   * Run one write statement; with history on, in a transaction that also
+   * records the key's new version (or, for a delete, a tombstone first)
+   */
+  async executeWithHistory(key, query, params, { deleted = false } = {}) {
+    if (!this.history) {
+      return this.pool.execute(query, params);
+    }
+
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      if (deleted) await this.recordHistory(connection, key, { deleted });
+      const response = await connection.execute(query, params);
+      if (!deleted) await this.recordHistory(connection, key);
+
+      await connection.commit();
+      return response;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Copy a key's current row into stream_data_history (a tombstone when
+   * deleting) and apply the retention policy, inside the write's transaction
+   */
+  async recordHistory(connection, key, { deleted = false } = {}) {
+    if (!this.history) return;
+
+    await connection.execute(`
+      INSERT INTO stream_data_history (\`key\`, version, data, deleted, recorded_at)
+      SELECT \`key\`, version, ${deleted ? 'NULL' : 'data'}, ?, ${deleted ? 'NOW(6)' : 'last_modified'}
+      FROM stream_data WHERE \`key\` = ?
+    `, [deleted, key]);
+
+    await this.pruneHistory(connection, key);
+  }
+
+  // Drop entries older than the oldest one each retention rule keeps
+  async pruneHistory(connection, key) {
+    const { maxVersions, maxAge } = this.history;
+    let keepFrom = null;
+
+    // query() rather than execute(): prepared statements reject numbers for LIMIT/OFFSET
+    if (maxVersions) {
+      const [rows] = await connection.query(
+        'SELECT id FROM stream_data_history WHERE `key` = ? ORDER BY id DESC LIMIT 1 OFFSET ?',
+        [key, maxVersions - 1]
+      );
+      if (rows.length > 0) keepFrom = Number(rows[0].id);
+    }
+
+    if (maxAge) {
+      // The newest entry before the cutoff was still current at the cutoff
+      const [rows] = await connection.query(
+        'SELECT MAX(id) AS id FROM stream_data_history WHERE `key` = ? AND recorded_at < NOW(6) - INTERVAL ? SECOND',
+        [key, maxAge]
+      );
+      if (rows[0].id !== null) keepFrom = Math.max(keepFrom || 0, Number(rows[0].id));
+    }
+
+    if (keepFrom !== null) {
+      await connection.execute('DELETE FROM stream_data_history WHERE `key` = ? AND id < ?', [key, keepFrom]);
+    }
+  }
+
+  /**
+   * Past versions of a key from stream_data_history, newest first (needs config.history)
+   * @param {string} key
+   * @param {Object} [options] - { limit, since, asOf }; see versionHistory.js
+   */
+  async readHistory(key, options = {}) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+    if (!this.history) {
+      throw new Error('History is not enabled; init with history: true or history: { maxVersions, maxAge }');
+    }
+
+    const { limit, since, asOf } = normalizeHistoryQuery(options);
+    const conditions = ['`key` = ?'];
+    const params = [key];
+
+    if (since) {
+      conditions.push('recorded_at >= ?');
+      params.push(since);
+    }
+    if (asOf) {
+      conditions.push('recorded_at <= ?');
+      params.push(asOf);
+    }
+
+    const [rows] = await this.pool.query(`
+      SELECT \`key\`, version, data, deleted, recorded_at
+      FROM stream_data_history
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ?
+    `, [...params, limit]);
+
+    return rows.map(row => ({
+      key: row.key,
+      version: Number(row.version),
+      data: row.deleted ? null : this.parseJsonColumn(row.data, null),
+      deleted: Boolean(row.deleted),
+      timestamp: row.recorded_at
+    }));
+  }
+
+  /**
+   * Partial update of a key's data in one statement: the operators become
+   * JSON_SET/JSON_REMOVE/JSON_ARRAY_APPEND calls evaluated server-side, so
+   * concurrent updates of different fields both survive.
+   *
+   * @param {string} key - Key to update
+   * @param {Object} ops - Update operators (see updateOperators.js)
+   * @param {Object} [options]
+   * @param {boolean} [options.upsert] - Create the key from the operators when missing (default: true)
+   */
+  async updateData(key, ops, options = {}) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    const operations = normalizeUpdate(ops);
+    const { expression, params } = toMysqlUpdate(operations);
+
+    try {
+      if (options.upsert === false || !createsValues(operations)) {
+        const [result] = await this.executeWithHistory(key, `
+          UPDATE stream_data
+          SET data = ${expression}, last_modified = NOW(6), version = LAST_INSERT_ID(version + 1)
+          WHERE \`key\` = ?
+        `, [...params, key]);
+        const matched = result.affectedRows > 0;
+
+        return {
+          success: true,
+          key: key,
+          upserted: false,
+          matched: matched,
+          modified: matched,
+          version: matched ? Number(result.insertId) : null,
+          timestamp: new Date()
         };
+      }
+
+      // affectedRows is 1 for an insert and 2 for an update (the version always changes)
+      const insertVersion = await this.insertVersion(this.pool, key);
+      const [result] = await this.executeWithHistory(key, `
+        INSERT INTO stream_data (\`key\`, data, timestamp, last_modified, version)
+        VALUES (?, ?, NOW(6), NOW(6), ?)
+        ON DUPLICATE KEY UPDATE
+          data = ${expression},
+          last_modified = NOW(6),
+          version = LAST_INSERT_ID(version + 1)
+      `, [key, JSON.stringify(applyUpdate(null, operations)), insertVersion, ...params]);
+      const inserted = result.affectedRows === 1;
+
+      return {
+        success: true,
+        key: key,
+        upserted: inserted,
+        matched: !inserted,
+        modified: !inserted,
+        version: inserted ? insertVersion : Number(result.insertId),
+        timestamp: new Date()
+      };
+    } catch (error) {
+      console.error('MySQL update error:', error.message);
+      this.metrics.errorsHandled++;
+      throw error;
+    }
+  }
+
+  /**
+   * Run push/get/delete operations on one pooled connection between
+   * BEGIN and COMMIT, rolling back on any failure. A marker row in
+   * stream_transactions is written first so binlog readers can tag every
+   * row change of this transaction with its transactionId.
+   */
+  async runTransaction(operations, options = {}) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    const { transactionId } = options;
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute('INSERT INTO stream_transactions (txn_id) VALUES (?)', [transactionId]);
+
+      const results = [];
+      for (const op of operations) {
+        results.push(await this.applyTransactionOperation(connection, op, transactionId));
+      }
+
+      // The marker only needs to exist in the binlog, not in the table
+      await connection.execute('DELETE FROM stream_transactions WHERE txn_id = ?', [transactionId]);
+
+      await connection.commit();
+      return results;
+    } catch (error) {
+      await connection.rollback();
+      console.error(`MySQL transaction ${transactionId} failed:`, error.message);
+      this.metrics.errorsHandled++;
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async applyTransactionOperation(connection, op, transactionId) {
+    switch (op.type) {
+      case 'push': {
+        const result = await this.upsertRow(connection, op.key, op.data, op.options);
+        await this.recordHistory(connection, op.key);
+        return { ...result, transactionId };
+      }
+      case 'get': {
+        const [rows] = await connection.execute(`
+          SELECT \`key\`, data, timestamp, last_modified, ttl, tags, metadata, version, checksum
+          FROM stream_data 
+          WHERE \`key\` = ? AND (ttl IS NULL OR ttl > NOW())
+        `, [op.key]);
+        return rows.length > 0 ? this.formatRow(rows[0]) : null;
+      }
+      case 'delete': {
+        await this.recordHistory(connection, op.key, { deleted: true });
+        const [result] = await connection.execute('DELETE FROM stream_data WHERE `key` = ?', [op.key]);
+        return { success: true, deleted: result.affectedRows > 0, transactionId };
+      }
+      default:
+        throw new Error(`Unknown operation type: ${op.type}`);
+    }
+  }
+
+  async readData(key) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    try {
+      const connection = await this.pool.getConnection();
+      
+      try {
+        const query = `
+          SELECT \`key\`, data, timestamp, last_modified, ttl, tags, metadata, version, checksum
+          FROM stream_data 
+          WHERE \`key\` = ? AND (ttl IS NULL OR ttl > NOW())
+        `;
+        
+        const [rows] = await connection.execute(query, [key]);
+        
+        if (rows.length === 0) {
+          return null;
+        }
+
+        return this.formatRow(rows[0]);
       } finally {
         connection.release();
       }
@@ -474,6 +1454,57 @@ class AdvancedMysqlConnector extends EventEmitter {
     }
   }
 
+  // Rows modified at or after `since`, oldest first
+  async readModifiedSince(since) {
+    const [rows] = await this.pool.query(`
+      SELECT \`key\`, data, timestamp, last_modified, ttl, tags, metadata, version, checksum
+      FROM stream_data
+      WHERE last_modified >= ? AND (ttl IS NULL OR ttl > NOW())
+      ORDER BY last_modified
+    `, [since]);
+
+    return rows.map(row => this.formatRow(row));
+  }
+
+  async readMatchingKeys(pattern) {
+    const connection = await this.pool.getConnection();
+
+    try {
+      // LIKE follows the column collation; the pattern re-check keeps matching case-sensitive
+      const [rows] = await connection.execute(`
+        SELECT \`key\`, data, timestamp, last_modified, ttl, tags, metadata, version, checksum
+        FROM stream_data 
+        WHERE \`key\` LIKE ? ESCAPE '\\\\' AND (ttl IS NULL OR ttl > NOW())
+      `, [keyPatternToLike(pattern)]);
+
+      return rows
+        .filter(row => matchesKeyPattern(pattern, row.key))
+        .map(row => this.formatRow(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  formatRecord(row) {
+    return {
+      key: row.key,
+      data: this.parseJsonColumn(row.data, null),
+      timestamp: row.timestamp,
+      lastModified: row.last_modified,
+      tags: this.parseJsonColumn(row.tags, []),
+      metadata: this.parseJsonColumn(row.metadata, {}),
+      version: Number(row.version || 0)
+    };
+  }
+
+  formatRow(row) {
+    return {
+      ...this.formatRecord(row),
+      ttl: row.ttl,
+      checksum: row.checksum
+    };
+  }
+
   async startRealTimeWatch(key, callback, options = {}) {
     if (!this.connected) {
       throw new Error('MySQL not connected');
@@ -481,20 +1512,25 @@ class AdvancedMysqlConnector extends EventEmitter {
 
     try {
       // Store watcher info
-      this.activeWatchers.set(key, { callback, options });
+      const watcherInfo = createWatcherInfo(key, callback, options);
+      this.activeWatchers.set(key, watcherInfo);
       this.metrics.activeWatchers++;
       
-      // Get initial data and store in cache
-      const initialData = await this.readData(key);
-      if (initialData) {
-        this.lastKnownState.set(key, initialData);
+      // Get initial data and store in cache, one delivery per matching key for patterns
+      const initialRecords = watcherInfo.pattern
+        ? await this.readMatchingKeys(key)
+        : [await this.readData(key)].filter(Boolean);
+
+      for (const record of initialRecords) {
+        this.trackKnownState(watcherInfo, record.key, record);
         const meta = {
-          key: key,
+          key: record.key,
           changeType: 'initial',
           timestamp: new Date(),
-          source: 'initial'
+          source: 'initial',
+          version: record.version
         };
-        callback(initialData.data, meta);
+        callback(record.data, meta);
       }
 
       console.log(`Real-time MySQL watch started for key: ${key}`);
@@ -518,6 +1554,39 @@ class AdvancedMysqlConnector extends EventEmitter {
     }
   }
 
+  /**
+   * Watch every change on stream_data. Callbacks receive the changed record
+   * (null on delete) and change metadata; used by live query subscriptions.
+   * Fed by the binlog listener, or by diffing the table on every poll in
+   * polling mode.
+   */
+  async startCollectionWatch(id, callback) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    // Take the polling baseline now so changes after this call are delivered
+    if (this.pollingInterval && !this.collectionKnownKeys) {
+      await this.checkCollectionForChanges();
+    }
+
+    this.collectionWatchers.set(id, callback);
+    return id;
+  }
+
+  async stopCollectionWatch(id) {
+    this.collectionWatchers.delete(id);
+
+    if (this.collectionWatchers.size === 0) {
+      this.collectionKnownKeys = null;
+      this.collectionPolledAt = null;
+    }
+  }
+
+  matchesQuery(record, query) {
+    return matchesQuery(record, query, { keyPatternMode: 'like' });
+  }
+
   async queryData(query = {}, options = {}) {
     if (!this.connected) {
       throw new Error('MySQL not connected');
@@ -530,14 +1599,7 @@ class AdvancedMysqlConnector extends EventEmitter {
         const { sql, params } = this.buildMySQLQuery(query, options);
         const [rows] = await connection.execute(sql, params);
         
-        return rows.map(row => ({
-          key: row.key,
-          data: JSON.parse(row.data),
-          timestamp: row.timestamp,
-          lastModified: row.last_modified,
-          tags: row.tags ? JSON.parse(row.tags) : [],
-          metadata: row.metadata ? JSON.parse(row.metadata) : {}
-        }));
+        return rows.map(row => this.formatRecord(row));
       } finally {
         connection.release();
       }
@@ -548,7 +1610,123 @@ class AdvancedMysqlConnector extends EventEmitter {
   }
 
   buildMySQLQuery(query, options) {
-    let sql = 'SELECT * FROM stream_data WHERE (ttl IS NULL OR ttl > NOW())';
+    const conditions = this.buildMySQLConditions(query);
+    let sql = `SELECT * FROM stream_data WHERE ${conditions.sql}`;
+    const params = conditions.params;
+    
+    // Add ordering
+    if (!options.sort && Array.isArray(query.orderBy) && query.orderBy.length > 0) {
+      sql += ` ORDER BY ${this.buildOrderBy(query.orderBy)}`;
+    } else {
+      const sortField = options.sort?.field || 'last_modified';
+      const sortOrder = options.sort?.order || 'DESC';
+      sql += ` ORDER BY ${sortField} ${sortOrder}`;
+    }
+    
+    // Add pagination, inlined: prepared statements reject numbers for LIMIT/OFFSET
+    const limit = this.paginationValue(options.limit, 'limit');
+    const skip = this.paginationValue(options.skip, 'skip');
+    if (limit !== null || skip !== null) {
+      // MySQL needs a LIMIT to use OFFSET
+      sql += ` LIMIT ${limit !== null ? limit : '18446744073709551615'}`;
+      if (skip !== null) sql += ` OFFSET ${skip}`;
+    }
+    
+    return { sql, params };
+  }
+
+  // Only integers are ever inlined into the SQL; 0 and unset mean no clause
+  paginationValue(value, name) {
+    if (value === undefined || value === null || value === 0) {
+      return null;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+    return value;
+  }
+
+  buildOrderBy(orderBy) {
+    return orderBy.map(({ field, direction }) => {
+      const expression = this.sqlFieldExpression(field);
+      if (!expression) {
+        throw new Error(`Cannot order by field "${field}"`);
+      }
+      return `${expression.sql} ${String(direction).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'}`;
+    }).join(', ');
+  }
+
+  /**
+   * Compile a WHERE clause AST (see queryParser) into a parameterized SQL
+   * condition, using the same JSON comparison rules as $match push-down.
+   */
+  compileWhere(node) {
+    const orNull = sql => `COALESCE(${sql}, FALSE)`;
+
+    switch (node.type) {
+      case 'logical': {
+        const parts = node.conditions.map(condition => this.compileWhere(condition));
+        return {
+          sql: `(${parts.map(part => part.sql).join(` ${node.operator} `)})`,
+          params: parts.flatMap(part => part.params)
+        };
+      }
+      case 'not': {
+        const inner = this.compileWhere(node.condition);
+        return { sql: `NOT ${orNull(inner.sql)}`, params: inner.params };
+      }
+      case 'comparison': {
+        const operators = { '=': '$eq', '!=': '$ne', '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+        return this.compileComparison(node, operators[node.operator], node.value);
+      }
+      case 'in':
+        return this.compileComparison(node, node.negated ? '$nin' : '$in', node.values);
+      case 'between': {
+        const low = this.compileComparison(node, '$gte', node.low);
+        const high = this.compileComparison(node, '$lte', node.high);
+        const sql = `(${low.sql} AND ${high.sql})`;
+        return {
+          sql: node.negated ? `NOT ${orNull(sql)}` : sql,
+          params: [...low.params, ...high.params]
+        };
+      }
+      case 'null': {
+        const expression = this.requireFieldExpression(node);
+        const sql = expression.type === 'json' ?
+          `(${expression.sql} IS NULL OR JSON_TYPE(${expression.sql}) = 'NULL')` :
+          `${expression.sql} IS NULL`;
+        return { sql: node.negated ? `NOT ${sql}` : sql, params: [] };
+      }
+      case 'like': {
+        const expression = this.requireFieldExpression(node);
+        const sql = expression.type === 'json' ?
+          `(JSON_TYPE(${expression.sql}) = 'STRING' AND JSON_UNQUOTE(${expression.sql}) LIKE ?)` :
+          `${expression.sql} LIKE ?`;
+        return { sql: node.negated ? `NOT ${orNull(sql)}` : sql, params: [node.pattern] };
+      }
+      default:
+        throw new Error(`Unknown condition node: ${node.type}`);
+    }
+  }
+
+  compileComparison(node, operator, value) {
+    const translated = this.translateComparison(this.requireFieldExpression(node), operator, value);
+    if (!translated) {
+      throw new Error(`Unsupported comparison on "${node.field}" at position ${node.position}`);
+    }
+    return translated;
+  }
+
+  requireFieldExpression(node) {
+    const expression = this.sqlFieldExpression(node.field);
+    if (!expression) {
+      throw new Error(`Unsupported field "${node.field}" at position ${node.position}`);
+    }
+    return expression;
+  }
+
+  buildMySQLConditions(query) {
+    let sql = '(ttl IS NULL OR ttl > NOW())';
     const params = [];
     
     if (query.keys) {
@@ -584,24 +1762,303 @@ class AdvancedMysqlConnector extends EventEmitter {
         params.push(`$.${field}`, value);
       }
     }
+
+    // WHERE clause parsed from a SQL-like query string
+    if (isConditionNode(query.where)) {
+      const compiled = this.compileWhere(query.where);
+      sql += ` AND ${compiled.sql}`;
+      params.push(...compiled.params);
+    }
     
-    // Add ordering
-    const sortField = options.sort?.field || 'last_modified';
-    const sortOrder = options.sort?.order || 'DESC';
-    sql += ` ORDER BY ${sortField} ${sortOrder}`;
-    
-    // Add pagination
-    if (options.limit) {
-      sql += ' LIMIT ?';
-      params.push(options.limit);
+    return { sql, params };
+  }
+
+  /**
+   * Run as much of an aggregation pipeline as MySQL can express natively.
+   * Leading $match stages become WHERE conditions, then an optional $group
+   * (JSON_EXTRACT ... GROUP BY), $sort and $skip/$limit. Translation stops at
+   * the first stage it cannot express exactly; the caller runs the remaining
+   * stages in process.
+   *
+   * @returns {Promise<{data: Array, stagesApplied: number}>}
+   */
+  async aggregateData(query = {}, pipeline = [], options = {}) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    try {
+      const connection = await this.pool.getConnection();
       
-      if (options.skip) {
-        sql += ' OFFSET ?';
-        params.push(options.skip);
+      try {
+        const plan = this.buildMySQLAggregation(query, pipeline);
+        const [rows] = await connection.execute(plan.sql, plan.params);
+        
+        const data = plan.grouped ?
+          rows.map(row => this.formatGroupRow(row, plan)) :
+          rows.map(row => this.formatRecord(row));
+
+        return { data, stagesApplied: plan.stagesApplied };
+      } finally {
+        connection.release();
       }
+    } catch (error) {
+      console.error('MySQL aggregate error:', error.message);
+      throw error;
     }
-    
-    return { sql, params };
+  }
+
+  buildMySQLAggregation(query, pipeline) {
+    const conditions = this.buildMySQLConditions(query);
+    const where = [conditions.sql];
+    const params = [...conditions.params];
+    let index = 0;
+
+    while (index < pipeline.length && pipeline[index].$match) {
+      const translated = this.translateMatch(pipeline[index].$match);
+      if (!translated) break;
+      where.push(translated.sql);
+      params.push(...translated.params);
+      index++;
+    }
+
+    let grouped = null;
+    if (index < pipeline.length && pipeline[index].$group) {
+      grouped = this.translateGroup(pipeline[index].$group);
+      if (grouped) index++;
+    }
+
+    let orderBy = grouped ? '' : ' ORDER BY last_modified DESC';
+    if (index < pipeline.length && pipeline[index].$sort) {
+      const order = this.translateSort(pipeline[index].$sort, grouped);
+      if (order) {
+        orderBy = ` ORDER BY ${order}`;
+        index++;
+      }
+    }
+
+    let offset = null;
+    let limit = null;
+    if (index < pipeline.length && Number.isInteger(pipeline[index].$skip)) {
+      offset = pipeline[index].$skip;
+      index++;
+    }
+    if (index < pipeline.length && Number.isInteger(pipeline[index].$limit)) {
+      limit = pipeline[index].$limit;
+      index++;
+    }
+
+    let sql = grouped ?
+      `SELECT ${grouped.select} FROM stream_data WHERE ${where.join(' AND ')}${grouped.groupBy}` :
+      `SELECT * FROM stream_data WHERE ${where.join(' AND ')}`;
+    sql += orderBy;
+
+    if (limit !== null || offset !== null) {
+      // MySQL needs a LIMIT to use OFFSET
+      sql += ` LIMIT ${limit !== null ? limit : '18446744073709551615'}`;
+      if (offset !== null) sql += ` OFFSET ${offset}`;
+    }
+
+    return { sql, params, grouped, stagesApplied: index };
+  }
+
+  sqlFieldExpression(path) {
+    if (path === 'key') return { sql: '`key`', type: 'column' };
+    if (path === 'lastModified') return { sql: 'last_modified', type: 'date' };
+    if (path === 'timestamp') return { sql: 'timestamp', type: 'date' };
+    if (path === 'tags') return { sql: 'tags', type: 'json' };
+
+    // Only plain identifiers, so the JSON path can be inlined safely
+    const match = /^(data|metadata)((?:\.[A-Za-z_][A-Za-z0-9_]*)+)$/.exec(path);
+    if (match) return { sql: `JSON_EXTRACT(${match[1]}, '$${match[2]}')`, type: 'json' };
+
+    return null;
+  }
+
+  translateMatch(filter) {
+    const parts = [];
+    const params = [];
+
+    for (const [field, condition] of Object.entries(filter)) {
+      if (field === '$and' || field === '$or') {
+        if (!Array.isArray(condition) || condition.length === 0) return null;
+        const translated = condition.map(sub => this.translateMatch(sub));
+        if (translated.some(sub => !sub)) return null;
+        parts.push(`(${translated.map(sub => sub.sql).join(field === '$and' ? ' AND ' : ' OR ')})`);
+        translated.forEach(sub => params.push(...sub.params));
+        continue;
+      }
+
+      const expression = this.sqlFieldExpression(field);
+      if (!expression) return null;
+
+      const isOperatorObject = condition !== null && typeof condition === 'object' &&
+        !Array.isArray(condition) && !(condition instanceof Date) &&
+        Object.keys(condition).length > 0 && Object.keys(condition).every(op => op.startsWith('$'));
+      const operators = isOperatorObject ? Object.entries(condition) : [['$eq', condition]];
+
+      for (const [operator, value] of operators) {
+        const translated = this.translateComparison(expression, operator, value);
+        if (!translated) return null;
+        parts.push(translated.sql);
+        params.push(...translated.params);
+      }
+    }
+
+    if (parts.length === 0) return { sql: '1 = 1', params };
+    return { sql: `(${parts.join(' AND ')})`, params };
+  }
+
+  translateComparison(expression, operator, value) {
+    const rangeOperators = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+    const isScalar = v => ['string', 'number', 'boolean'].includes(typeof v);
+
+    if (expression.type === 'json') {
+      const field = expression.sql;
+
+      // JSON_CONTAINS gives exact, case-sensitive equality for scalars and
+      // matches array elements the way MongoDB equality does
+      if (operator === '$eq' && isScalar(value)) {
+        return { sql: `COALESCE(JSON_CONTAINS(${field}, ?), 0) = 1`, params: [JSON.stringify(value)] };
+      }
+      if (operator === '$ne' && isScalar(value)) {
+        return { sql: `COALESCE(JSON_CONTAINS(${field}, ?), 0) = 0`, params: [JSON.stringify(value)] };
+      }
+      if ((operator === '$in' || operator === '$nin') && Array.isArray(value) && value.length > 0 && value.every(isScalar)) {
+        const sql = value.map(() => `COALESCE(JSON_CONTAINS(${field}, ?), 0) = 1`).join(' OR ');
+        return {
+          sql: operator === '$in' ? `(${sql})` : `NOT (${sql})`,
+          params: value.map(v => JSON.stringify(v))
+        };
+      }
+      if (rangeOperators[operator] && typeof value === 'number') {
+        return {
+          sql: `(JSON_TYPE(${field}) IN ('INTEGER', 'UNSIGNED INTEGER', 'DOUBLE', 'DECIMAL') AND CAST(${field} AS DOUBLE) ${rangeOperators[operator]} ?)`,
+          params: [value]
+        };
+      }
+      if (rangeOperators[operator] && typeof value === 'string') {
+        return {
+          sql: `(JSON_TYPE(${field}) = 'STRING' AND JSON_UNQUOTE(${field}) COLLATE utf8mb4_bin ${rangeOperators[operator]} ?)`,
+          params: [value]
+        };
+      }
+      return null;
+    }
+
+    if (expression.type === 'date') {
+      const isDateLike = value instanceof Date || typeof value === 'string' || typeof value === 'number';
+      if (!isDateLike) return null;
+      if (operator === '$eq') return { sql: `${expression.sql} = ?`, params: [new Date(value)] };
+      if (operator === '$ne') return { sql: `${expression.sql} <> ?`, params: [new Date(value)] };
+      if (rangeOperators[operator]) {
+        return { sql: `${expression.sql} ${rangeOperators[operator]} ?`, params: [new Date(value)] };
+      }
+      return null;
+    }
+
+    // `key` column, compared case-sensitively like MongoDB
+    const column = `${expression.sql} COLLATE utf8mb4_bin`;
+    if (operator === '$eq' && typeof value === 'string') return { sql: `${column} = ?`, params: [value] };
+    if (operator === '$ne' && typeof value === 'string') return { sql: `${column} <> ?`, params: [value] };
+    if ((operator === '$in' || operator === '$nin') && Array.isArray(value) && value.length > 0 &&
+        value.every(v => typeof v === 'string')) {
+      return {
+        sql: `${column} ${operator === '$in' ? 'IN' : 'NOT IN'} (${value.map(() => '?').join(', ')})`,
+        params: value
+      };
+    }
+    if (rangeOperators[operator] && typeof value === 'string') {
+      return { sql: `${column} ${rangeOperators[operator]} ?`, params: [value] };
+    }
+    return null;
+  }
+
+  translateGroup(specification) {
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*$/;
+    const select = [];
+    const fields = [];
+    let idExpression = null;
+
+    if (specification._id === null) {
+      select.push('NULL AS _id');
+    } else if (typeof specification._id === 'string' && specification._id.startsWith('$')) {
+      idExpression = this.sqlFieldExpression(specification._id.slice(1));
+      if (!idExpression || idExpression.type === 'date') return null;
+      // JSON text round-trips the grouped value with its original type
+      select.push(idExpression.type === 'json' ?
+        `CAST(${idExpression.sql} AS CHAR) AS _id` :
+        `${idExpression.sql} AS _id`);
+    } else {
+      return null;
+    }
+
+    for (const [field, accumulator] of Object.entries(specification)) {
+      if (field === '_id') continue;
+      if (!identifier.test(field) || !accumulator || typeof accumulator !== 'object') return null;
+
+      const [operator] = Object.keys(accumulator);
+      const argument = accumulator[operator];
+
+      if (operator === '$count') {
+        select.push(`COUNT(*) AS \`${field}\``);
+      } else if (operator === '$sum' && typeof argument === 'number') {
+        select.push(`COUNT(*) * ${Number(argument)} AS \`${field}\``);
+      } else if ((operator === '$sum' || operator === '$avg') && typeof argument === 'string' && argument.startsWith('$')) {
+        const expression = this.sqlFieldExpression(argument.slice(1));
+        if (!expression || expression.type !== 'json') return null;
+        const numeric = `CASE WHEN JSON_TYPE(${expression.sql}) IN ('INTEGER', 'UNSIGNED INTEGER', 'DOUBLE', 'DECIMAL') THEN CAST(${expression.sql} AS DOUBLE) END`;
+        select.push(operator === '$sum' ?
+          `COALESCE(SUM(${numeric}), 0) AS \`${field}\`` :
+          `AVG(${numeric}) AS \`${field}\``);
+      } else {
+        // $min/$max/$push/$first/$last depend on MongoDB type ordering and
+        // missing-field semantics that SQL aggregates do not reproduce
+        return null;
+      }
+
+      fields.push(field);
+    }
+
+    return {
+      select: select.join(', '),
+      groupBy: specification._id === null ? '' : ' GROUP BY _id',
+      idType: idExpression ? idExpression.type : null,
+      fields
+    };
+  }
+
+  translateSort(specification, grouped) {
+    const order = [];
+
+    for (const [field, direction] of Object.entries(specification)) {
+      const sqlDirection = direction < 0 ? 'DESC' : 'ASC';
+
+      if (grouped) {
+        if (field !== '_id' && !grouped.fields.includes(field)) return null;
+        // Sorting JSON text would not follow value order
+        if (field === '_id' && grouped.idType === 'json') return null;
+        order.push(`\`${field}\` ${sqlDirection}`);
+      } else {
+        const expression = this.sqlFieldExpression(field);
+        if (!expression || expression.type === 'json') return null;
+        order.push(`${expression.sql} ${sqlDirection}`);
+      }
+    }
+
+    return order.length > 0 ? order.join(', ') : null;
+  }
+
+  formatGroupRow(row, plan) {
+    const result = {
+      _id: plan.grouped.idType === 'json' && row._id !== null ? JSON.parse(row._id) : row._id
+    };
+
+    for (const field of plan.grouped.fields) {
+      result[field] = row[field] === null ? null : Number(row[field]);
+    }
+
+    return result;
   }
 
   async getAllKeys() {
@@ -642,19 +2099,13 @@ class AdvancedMysqlConnector extends EventEmitter {
     }
 
     try {
-      const connection = await this.pool.getConnection();
-      
-      try {
-        const query = 'DELETE FROM stream_data WHERE `key` = ?';
-        const [result] = await connection.execute(query, [key]);
-        
-        return {
-          success: true,
-          deleted: result.affectedRows > 0
-        };
-      } finally {
-        connection.release();
-      }
+      const query = 'DELETE FROM stream_data WHERE `key` = ?';
+      const [result] = await this.executeWithHistory(key, query, [key], { deleted: true });
+
+      return {
+        success: true,
+        deleted: result.affectedRows > 0
+      };
     } catch (error) {
       console.error('MySQL delete error:', error.message);
       throw error;
@@ -665,6 +2116,8 @@ class AdvancedMysqlConnector extends EventEmitter {
     return {
       ...this.metrics,
       activeWatchers: this.activeWatchers.size,
+      collectionWatchers: this.collectionWatchers.size,
+      tableWatchers: this.tableWatchers.size,
       isConnected: this.connected,
       retryCount: this.retryCount,
       binlogActive: !!this.zongJi,
@@ -690,7 +2143,20 @@ class AdvancedMysqlConnector extends EventEmitter {
       this.zongJi = null;
     }
 
+    // Persist the final position before the pool goes away
+    if (this.checkpointTimer) {
+      clearTimeout(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+    if (this.pool) {
+      await this.saveBinlogCheckpoint();
+    }
+
     this.activeWatchers.clear();
+    this.collectionWatchers.clear();
+    this.collectionKnownKeys = null;
+    this.collectionPolledAt = null;
+    this.tableWatchers.clear();
     this.lastKnownState.clear();
 
     if (this.pool) {
@@ -0,0 +1,1733 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { matchesQuery } = require('./queryMatcher');
+const { isConditionNode } = require('./queryParser');
+const { createWatcherInfo, findKeyWatchers, keyPatternToLike, matchesKeyPattern } = require('./keyPattern');
+const { normalizeUpdate, createsValues, applyUpdate } = require('./updateOperators');
+const { VersionConflictError } = require('./errors');
+
+const NOTIFY_CHANNEL = 'stream_data_changes';
+
+// Version of a new row ($1 is its key): one past the version the key was last deleted at
+const INSERT_VERSION = 'COALESCE((SELECT version FROM stream_data_tombstones WHERE "key" = $1), 0) + 1';
+
+// pg is an optional dependency, only needed for dbType 'postgres'
+function loadPg() {
+  try {
+    return require('pg');
+  } catch (error) {
+    throw new Error('PostgreSQL support requires the "pg" package: npm install pg');
+  }
+}
+
+class AdvancedPostgresConnector extends EventEmitter {
+  constructor() {
+    super();
+    this.pool = null;
+    this.listenClient = null; // dedicated connection for LISTEN
+    this.connected = false;
+    this.activeWatchers = new Map(); // key -> watcher info
+    this.collectionWatchers = new Map(); // id -> callback for collection-level watchers
+    this.collectionKnownKeys = null; // key -> version at the last collection poll (polling mode)
+    this.collectionPolledAt = null; // database time of the last collection poll
+    this.retryCount = 0;
+    this.maxRetries = 5;
+    this.retryDelay = 1000;
+    this.config = null;
+    this.healthCheckInterval = null;
+    this.ttlCleanupInterval = null;
+    this.pollingInterval = null;
+    this.logicalInterval = null;
+    this.replicationSlot = null; // set when logical decoding is enabled
+    this.slotClient = null; // dedicated connection reading the slot
+    this.draining = null; // in-flight slot drain
+    this.drainRequested = false;
+    this.currentTransactionId = null; // set by logical messages until the next commit
+    this.metrics = {
+      changesProcessed: 0,
+      reconnections: 0,
+      errorsHandled: 0,
+      activeWatchers: 0,
+      notificationsReceived: 0,
+      lastLsn: null
+    };
+    this.lastKnownState = new Map(); // key -> data for change detection
+  }
+
+  async connect(config) {
+    try {
+      this.config = { ...config };
+      const { Pool } = loadPg();
+
+      this.pool = new Pool({
+        ...this.connectionOptions(),
+        max: config.connectionLimit || 50,
+        idleTimeoutMillis: config.idleTimeout || 300000,
+        connectionTimeoutMillis: config.acquireTimeout || 60000
+      });
+
+      // Idle pooled clients can error when the server goes away
+      this.pool.on('error', (error) => {
+        console.error('PostgreSQL pool error:', error.message);
+        this.metrics.errorsHandled++;
+      });
+
+      await this.pool.query('SELECT 1');
+      this.connected = true;
+      this.retryCount = 0;
+
+      // Create the stream_data table, notify trigger and indexes
+      await this.createOptimizedTable();
+      this.setupTTLCleanup();
+
+      // Set up LISTEN/NOTIFY (and logical decoding when enabled)
+      await this.setupChangeNotifications();
+
+      // Start health checks
+      this.startHealthChecks();
+
+      console.log(`Advanced PostgreSQL connected successfully with real-time ${this.replicationSlot ? 'logical decoding' : 'LISTEN/NOTIFY'}`);
+      this.emit('connected');
+      return true;
+    } catch (error) {
+      console.error('Advanced PostgreSQL connection failed:', error.message);
+      this.connected = false;
+      await this.handleConnectionError(error);
+      throw error;
+    }
+  }
+
+  connectionOptions() {
+    const { host, port, user, password, database, ssl } = this.config;
+    return { host, port: port || 5432, user, password, database, ssl };
+  }
+
+  async createOptimizedTable() {
+    try {
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS stream_data (
+          id BIGSERIAL PRIMARY KEY,
+          "key" VARCHAR(255) NOT NULL UNIQUE,
+          data JSONB NOT NULL,
+          "timestamp" TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          last_modified TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          ttl TIMESTAMPTZ NULL,
+          tags JSONB NOT NULL DEFAULT '[]'::jsonb,
+          metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+          version BIGINT NOT NULL DEFAULT 0,
+          checksum CHAR(32) GENERATED ALWAYS AS (MD5(data::text)) STORED
+        )
+      `);
+
+      // Tables created before versioning get the column; their rows start at version 0
+      await this.pool.query('ALTER TABLE stream_data ADD COLUMN IF NOT EXISTS version BIGINT NOT NULL DEFAULT 0');
+
+      // A key written again after a delete (or TTL expiry) continues from the version it was deleted at
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS stream_data_tombstones (
+          "key" VARCHAR(255) PRIMARY KEY,
+          version BIGINT NOT NULL
+        )
+      `);
+
+      await this.pool.query(`
+        CREATE OR REPLACE FUNCTION stream_data_tombstone() RETURNS trigger AS $$
+        BEGIN
+          INSERT INTO stream_data_tombstones ("key", version) VALUES (OLD."key", OLD.version)
+          ON CONFLICT ("key") DO UPDATE SET version = GREATEST(stream_data_tombstones.version, EXCLUDED.version);
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+
+      await this.pool.query(`
+        DROP TRIGGER IF EXISTS stream_data_tombstone ON stream_data;
+        CREATE TRIGGER stream_data_tombstone
+          AFTER DELETE ON stream_data
+          FOR EACH ROW EXECUTE FUNCTION stream_data_tombstone();
+      `);
+
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_stream_data_last_modified ON stream_data (last_modified)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_stream_data_ttl ON stream_data (ttl)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_stream_data_tags ON stream_data USING GIN (tags)');
+      await this.pool.query('CREATE INDEX IF NOT EXISTS idx_stream_data_data ON stream_data USING GIN (data jsonb_path_ops)');
+
+      // Row trigger publishing every change on commit. NOTIFY payloads are
+      // capped at 8000 bytes, so oversized rows are announced without the
+      // record and re-read by the listener (or use logical decoding).
+      await this.pool.query(`
+        CREATE OR REPLACE FUNCTION stream_data_notify() RETURNS trigger AS $$
+        DECLARE
+          payload JSONB;
+        BEGIN
+          payload := jsonb_build_object(
+            'op', TG_OP,
+            'key', CASE WHEN TG_OP = 'DELETE' THEN OLD."key" ELSE NEW."key" END,
+            'transactionId', NULLIF(current_setting('stream.transaction_id', true), '')
+          );
+
+          IF TG_OP <> 'DELETE' THEN
+            payload := payload || jsonb_build_object('record', to_jsonb(NEW) - 'id' - 'checksum');
+          END IF;
+
+          IF octet_length(payload::text) > 7900 THEN
+            payload := (payload - 'record') || '{"truncated": true}'::jsonb;
+          END IF;
+
+          PERFORM pg_notify('${NOTIFY_CHANNEL}', payload::text);
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+
+      await this.pool.query(`
+        DROP TRIGGER IF EXISTS stream_data_notify ON stream_data;
+        CREATE TRIGGER stream_data_notify
+          AFTER INSERT OR UPDATE OR DELETE ON stream_data
+          FOR EACH ROW EXECUTE FUNCTION stream_data_notify();
+      `);
+
+      console.log('Optimized PostgreSQL table created successfully');
+    } catch (error) {
+      console.error('PostgreSQL table creation error:', error.message);
+      throw error;
+    }
+  }
+
+  setupTTLCleanup() {
+    // PostgreSQL has no event scheduler; expire rows from here every 5 minutes
+    this.ttlCleanupInterval = setInterval(async () => {
+      try {
+        await this.pool.query('DELETE FROM stream_data WHERE ttl IS NOT NULL AND ttl < NOW()');
+      } catch (error) {
+        console.warn('TTL cleanup warning:', error.message);
+      }
+    }, 300000);
+
+    if (this.ttlCleanupInterval.unref) this.ttlCleanupInterval.unref();
+  }
+
+  async setupChangeNotifications() {
+    if (this.config.useLogicalDecoding && !this.replicationSlot) {
+      try {
+        await this.setupLogicalDecoding();
+      } catch (error) {
+        console.warn('Logical decoding unavailable, using LISTEN/NOTIFY payloads:', error.message);
+      }
+    }
+
+    try {
+      const { Client } = loadPg();
+      this.listenClient = new Client(this.connectionOptions());
+
+      this.listenClient.on('notification', (message) => {
+        if (message.channel === NOTIFY_CHANNEL) {
+          this.handleNotification(message.payload);
+        }
+      });
+
+      this.listenClient.on('error', (error) => {
+        console.error('PostgreSQL listener error:', error);
+        this.metrics.errorsHandled++;
+        this.handleListenerError(error);
+      });
+
+      await this.listenClient.connect();
+      await this.listenClient.query(`LISTEN ${NOTIFY_CHANNEL}`);
+
+      console.log('PostgreSQL LISTEN/NOTIFY monitoring started successfully');
+      this.emit('notifyReady');
+    } catch (error) {
+      console.error('LISTEN/NOTIFY setup error:', error.message);
+      // Fallback to polling if the listener cannot be started
+      console.log('Falling back to polling mode...');
+      this.listenClient = null;
+      this.setupPollingFallback();
+    }
+  }
+
+  /**
+   * Logical decoding through a wal2json slot delivers complete rows of any
+   * size plus transaction boundaries. Notifications become wake-up signals
+   * to drain the slot; a timer drains it as well in case one is missed.
+   * Requires wal_level = logical and the wal2json output plugin.
+   *
+   * Changes are peeked and the slot is only advanced past them once they
+   * have been delivered, so a crash mid-batch re-delivers rather than loses
+   * them. Every instance needs a slot of its own: without replicationSlot a
+   * temporary slot is created on a dedicated connection and dropped by
+   * PostgreSQL when that connection closes (changes while the app is down
+   * are not kept). A named replicationSlot survives restarts and resumes
+   * where the instance stopped, but keeps WAL on the server until it is
+   * dropped: run SELECT pg_drop_replication_slot('<name>') when retiring it.
+   */
+  async setupLogicalDecoding() {
+    const plugin = this.config.logicalDecodingPlugin || 'wal2json';
+    if (plugin !== 'wal2json') {
+      throw new Error(`Unsupported logical decoding plugin "${plugin}"; only wal2json can be read over SQL`);
+    }
+
+    const temporary = !this.config.replicationSlot;
+    const slotName = this.config.replicationSlot || `stream_data_${crypto.randomBytes(6).toString('hex')}`;
+    if (!/^[a-z0-9_]+$/.test(slotName)) {
+      throw new Error('replicationSlot may only contain lower-case letters, digits and underscores');
+    }
+
+    // A temporary slot lives as long as the connection that created it
+    const { Client } = loadPg();
+    const slotClient = new Client(this.connectionOptions());
+    await slotClient.connect();
+
+    try {
+      if (temporary) {
+        await slotClient.query('SELECT pg_create_logical_replication_slot($1, $2, true)', [slotName, plugin]);
+        console.log(`Temporary logical replication slot created: ${slotName}`);
+      } else {
+        const { rows } = await slotClient.query('SELECT active FROM pg_replication_slots WHERE slot_name = $1', [slotName]);
+        if (rows.length === 0) {
+          await slotClient.query('SELECT pg_create_logical_replication_slot($1, $2)', [slotName, plugin]);
+          console.log(`Logical replication slot created: ${slotName}`);
+        } else if (rows[0].active) {
+          throw new Error(`Replication slot "${slotName}" is in use by another connection; give each instance its own replicationSlot`);
+        }
+      }
+
+      // Delete events only carry the replica identity; FULL includes the key
+      await slotClient.query('ALTER TABLE stream_data REPLICA IDENTITY FULL');
+    } catch (error) {
+      await slotClient.end().catch(() => {});
+      throw error;
+    }
+
+    slotClient.on('error', (error) => {
+      console.error('PostgreSQL replication slot connection error:', error.message);
+      this.metrics.errorsHandled++;
+      this.stopLogicalDecoding();
+    });
+
+    this.slotClient = slotClient;
+    this.replicationSlot = slotName;
+    this.logicalInterval = setInterval(() => this.requestSlotDrain(), this.config.logicalPollInterval || 1000);
+  }
+
+  // Back to NOTIFY payloads when the slot connection is lost
+  stopLogicalDecoding() {
+    if (this.logicalInterval) clearInterval(this.logicalInterval);
+    this.logicalInterval = null;
+
+    if (this.slotClient) {
+      this.slotClient.removeAllListeners();
+      this.slotClient.end().catch(() => {});
+      this.slotClient = null;
+    }
+
+    if (this.replicationSlot && this.connected) {
+      console.warn(`Logical decoding stopped (slot ${this.replicationSlot}); using LISTEN/NOTIFY payloads`);
+    }
+    this.replicationSlot = null;
+  }
+
+  setupPollingFallback() {
+    // Implement polling as fallback when notifications are not available
+    if (this.pollingInterval) return;
+
+    this.pollingInterval = setInterval(async () => {
+      for (const [key, watcherInfo] of this.activeWatchers) {
+        try {
+          if (watcherInfo.pattern) {
+            await this.checkPatternForChanges(key, watcherInfo);
+          } else {
+            await this.checkKeyForChanges(key, watcherInfo);
+          }
+        } catch (error) {
+          console.error(`Polling error for key ${key}:`, error);
+        }
+      }
+
+      // Notifications feed collection watchers again once the listener is back
+      if (this.listenClient) {
+        this.collectionKnownKeys = null;
+      } else if (this.collectionWatchers.size > 0) {
+        await this.checkCollectionForChanges();
+      }
+    }, this.config.pollingInterval || 2000);
+  }
+
+  async checkKeyForChanges(key, watcherInfo) {
+    try {
+      const currentData = await this.readData(key);
+      const lastKnownData = this.lastKnownState.get(key);
+
+      if (!currentData && !lastKnownData) return;
+
+      // Detect changes
+      if (!currentData && lastKnownData) {
+        // Deleted
+        this.lastKnownState.delete(key);
+        this.notifyWatcher(key, null, 'deleted', watcherInfo, { source: 'polling' });
+      } else if (currentData && !lastKnownData) {
+        // Created
+        this.lastKnownState.set(key, currentData);
+        this.notifyWatcher(key, currentData.data, 'created', watcherInfo, { source: 'polling', version: currentData.version });
+      } else if (currentData && lastKnownData) {
+        // Check for updates
+        if (this.hasRecordChanged(lastKnownData, currentData)) {
+          this.lastKnownState.set(key, currentData);
+          this.notifyWatcher(key, currentData.data, 'updated', watcherInfo, { source: 'polling', version: currentData.version });
+        }
+      }
+    } catch (error) {
+      console.error(`Error checking changes for key ${key}:`, error);
+    }
+  }
+
+  // One query per pattern; keys missing from the result were deleted
+  async checkPatternForChanges(pattern, watcherInfo) {
+    try {
+      const records = await this.readMatchingKeys(pattern);
+      const seen = new Set();
+
+      for (const record of records) {
+        seen.add(record.key);
+        const lastKnownData = watcherInfo.knownKeys.get(record.key);
+
+        if (!lastKnownData || this.hasRecordChanged(lastKnownData, record)) {
+          watcherInfo.knownKeys.set(record.key, record);
+          this.notifyWatcher(record.key, record.data, lastKnownData ? 'updated' : 'created', watcherInfo, {
+            source: 'polling',
+            version: record.version
+          });
+        }
+      }
+
+      for (const key of Array.from(watcherInfo.knownKeys.keys())) {
+        if (!seen.has(key)) {
+          watcherInfo.knownKeys.delete(key);
+          this.notifyWatcher(key, null, 'deleted', watcherInfo, { source: 'polling' });
+        }
+      }
+    } catch (error) {
+      console.error(`Error checking changes for pattern ${pattern}:`, error);
+    }
+  }
+
+  /**
+   * Feed collection watchers (live queries) while LISTEN is unavailable.
+   * Each poll reads the rows modified since the previous poll and lists
+   * keys with their versions: listed keys missing from the snapshot or at a
+   * new version changed, and snapshot keys no longer listed were deleted.
+   * A row whose transaction committed after the previous poll but carries
+   * an earlier last_modified is caught by its version and read on its own.
+   * The first poll only records the state.
+   */
+  async checkCollectionForChanges() {
+    try {
+      const { rows: [{ now }] } = await this.pool.query('SELECT NOW() AS now');
+      const since = this.collectionPolledAt;
+      const modified = this.collectionKnownKeys && since ? await this.readModifiedSince(since) : [];
+      const { rows: listed } = await this.pool.query(`
+        SELECT "key", version FROM stream_data WHERE (ttl IS NULL OR ttl > NOW())
+      `);
+
+      if (!this.collectionKnownKeys) {
+        this.collectionKnownKeys = new Map(listed.map(row => [row.key, Number(row.version)]));
+        this.collectionPolledAt = now;
+        return;
+      }
+
+      const records = new Map(modified.map(record => [record.key, record]));
+      const seen = new Set();
+
+      for (const row of listed) {
+        seen.add(row.key);
+        const version = Number(row.version);
+        const knownVersion = this.collectionKnownKeys.get(row.key);
+        if (knownVersion === version) continue;
+
+        let record = records.get(row.key);
+        if (!record || record.version < version) {
+          record = await this.readData(row.key);
+          if (!record) continue;
+        }
+
+        this.collectionKnownKeys.set(row.key, record.version);
+        this.notifyCollectionWatchers(row.key, record, knownVersion === undefined ? 'created' : 'updated', {
+          source: 'polling',
+          version: record.version
+        });
+      }
+
+      for (const key of Array.from(this.collectionKnownKeys.keys())) {
+        if (!seen.has(key)) {
+          this.collectionKnownKeys.delete(key);
+          this.notifyCollectionWatchers(key, null, 'deleted', { source: 'polling' });
+        }
+      }
+
+      this.collectionPolledAt = now;
+    } catch (error) {
+      console.error('Error checking collection for changes:', error);
+    }
+  }
+
+  // Every write bumps the version, so rewrites of identical data count as changes too
+  hasRecordChanged(lastKnown, current) {
+    return current.checksum !== lastKnown.checksum || current.version !== lastKnown.version;
+  }
+
+  // Pattern watchers keep their own per-key state
+  trackKnownState(watcherInfo, key, record) {
+    const state = watcherInfo.knownKeys || this.lastKnownState;
+    if (record) {
+      state.set(key, record);
+    } else {
+      state.delete(key);
+    }
+  }
+
+  handleNotification(payload) {
+    this.metrics.notificationsReceived++;
+
+    // With logical decoding the slot is the source of truth
+    if (this.replicationSlot) {
+      this.requestSlotDrain();
+      return;
+    }
+
+    try {
+      const notification = JSON.parse(payload);
+      const changeType = this.mapOperation(notification.op);
+      const extra = { source: 'notify', transactionId: notification.transactionId || null };
+
+      if (notification.truncated && changeType !== 'deleted') {
+        // Too large for a notification; read the current row instead
+        this.readData(notification.key)
+          .then(record => this.processChange(notification.key, record, changeType, extra))
+          .catch(error => console.error(`Error reading changed key ${notification.key}:`, error));
+        return;
+      }
+
+      const record = notification.record ? this.formatRecord(notification.record) : null;
+      this.processChange(notification.key, record, changeType, extra);
+    } catch (error) {
+      console.error('Error processing PostgreSQL notification:', error);
+      this.metrics.errorsHandled++;
+    }
+  }
+
+  requestSlotDrain() {
+    if (this.draining) {
+      // Changes committed while draining are picked up by one more pass
+      this.drainRequested = true;
+      return this.draining;
+    }
+
+    this.draining = this.drainReplicationSlot()
+      .catch((error) => {
+        console.error('Logical decoding error:', error.message);
+        this.metrics.errorsHandled++;
+      })
+      .finally(() => {
+        this.draining = null;
+        if (this.drainRequested && this.connected) {
+          this.drainRequested = false;
+          this.requestSlotDrain();
+        }
+      });
+
+    return this.draining;
+  }
+
+  async drainReplicationSlot() {
+    const batchSize = this.config.logicalBatchSize || 1000;
+    let rows;
+
+    do {
+      if (!this.slotClient) return;
+
+      // Batches end on transaction boundaries, so the last row is a commit
+      ({ rows } = await this.slotClient.query(
+        `SELECT lsn::text AS lsn, data FROM pg_logical_slot_peek_changes($1, NULL, $2,
+          'format-version', '2', 'include-transaction', 'true', 'add-tables', '*.stream_data')`,
+        [this.replicationSlot, batchSize]
+      ));
+
+      for (const row of rows) {
+        this.metrics.lastLsn = row.lsn;
+        this.handleLogicalChange(JSON.parse(row.data), row.lsn);
+      }
+
+      // Only delivered changes are consumed; a crash before this re-delivers the batch
+      if (rows.length > 0) {
+        await this.slotClient.query('SELECT pg_replication_slot_advance($1, $2::pg_lsn)', [
+          this.replicationSlot,
+          rows[rows.length - 1].lsn
+        ]);
+      }
+    } while (rows.length >= batchSize && this.connected);
+  }
+
+  handleLogicalChange(change, lsn) {
+    switch (change.action) {
+      case 'B':
+        this.currentTransactionId = null;
+        return;
+      case 'C':
+        this.currentTransactionId = null;
+        return;
+      case 'M':
+        if (change.prefix === 'stream_transaction') {
+          this.currentTransactionId = change.content;
+        }
+        return;
+      case 'I':
+      case 'U':
+      case 'D': {
+        const columns = change.action === 'D' ? change.identity : change.columns;
+        const row = {};
+        for (const column of columns || []) {
+          row[column.name] = column.value;
+        }
+
+        const changeType = this.mapOperation(change.action);
+        const record = changeType === 'deleted' ? null : this.formatRecord(row);
+        this.processChange(row.key, record, changeType, {
+          source: 'logical',
+          lsn,
+          transactionId: this.currentTransactionId
+        });
+        return;
+      }
+      default:
+        // Truncate and other actions are not stream changes
+    }
+  }
+
+  mapOperation(operation) {
+    switch (operation) {
+      case 'INSERT':
+      case 'I':
+        return 'created';
+      case 'UPDATE':
+      case 'U':
+        return 'updated';
+      case 'DELETE':
+      case 'D':
+        return 'deleted';
+      default:
+        return operation;
+    }
+  }
+
+  processChange(key, record, changeType, extra = {}) {
+    if (!key) return;
+
+    // A truncated notification can race with a delete
+    if (!record && changeType !== 'deleted') return;
+
+    this.metrics.changesProcessed++;
+    const data = record ? record.data : null;
+    const details = { ...extra, version: record ? record.version : null };
+
+    // Notify watchers for this key and every pattern that matches it
+    for (const [, watcherInfo] of findKeyWatchers(this.activeWatchers, key)) {
+      this.trackKnownState(watcherInfo, key, record);
+      this.notifyWatcher(key, data, changeType, watcherInfo, details);
+    }
+
+    // Notify collection-level watchers (live queries)
+    this.notifyCollectionWatchers(key, record, changeType, details);
+
+    // Emit global change event
+    this.emit('change', { key, data, changeType, transactionId: extra.transactionId || null });
+  }
+
+  notifyWatcher(key, data, changeType, watcherInfo, extra = {}) {
+    try {
+      const meta = {
+        key: key,
+        changeType: changeType,
+        timestamp: new Date(),
+        source: extra.source || 'notify',
+        lsn: extra.lsn || null,
+        transactionId: extra.transactionId || null
+      };
+
+      if (extra.version !== undefined) {
+        meta.version = extra.version;
+      }
+
+      watcherInfo.callback(data, meta);
+    } catch (error) {
+      console.error(`Error in watcher callback for key ${key}:`, error);
+    }
+  }
+
+  notifyCollectionWatchers(key, record, changeType, extra = {}) {
+    if (this.collectionWatchers.size === 0) return;
+
+    const meta = {
+      key: key,
+      changeType: changeType,
+      timestamp: new Date(),
+      source: extra.source || 'notify',
+      lsn: extra.lsn || null,
+      transactionId: extra.transactionId || null
+    };
+
+    if (extra.version !== undefined) {
+      meta.version = extra.version;
+    }
+
+    for (const callback of this.collectionWatchers.values()) {
+      try {
+        callback(record, meta);
+      } catch (error) {
+        console.error('Error in collection watcher callback:', error);
+      }
+    }
+  }
+
+  parseJsonColumn(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  parseTimestamp(value) {
+    if (value === null || value === undefined || value instanceof Date) return value;
+    // wal2json prints "2024-01-01 10:00:00.123+00"; make it ISO 8601
+    const iso = String(value).replace(' ', 'T').replace(/([+-]\d{2})$/, '$1:00');
+    return new Date(iso);
+  }
+
+  async handleListenerError(error) {
+    if (this.listenClient) {
+      this.listenClient.removeAllListeners();
+      this.listenClient.end().catch(() => {});
+      this.listenClient = null;
+    }
+
+    if (!this.connected) return;
+
+    // Attempt to restart the listener
+    if (this.retryCount < this.maxRetries) {
+      this.retryCount++;
+      const delay = this.retryDelay * Math.pow(2, this.retryCount - 1);
+
+      console.log(`Restarting LISTEN/NOTIFY monitoring (attempt ${this.retryCount}/${this.maxRetries}) in ${delay}ms...`);
+
+      setTimeout(async () => {
+        try {
+          await this.setupChangeNotifications();
+          this.retryCount = 0;
+        } catch (retryError) {
+          console.error('Listener restart failed:', retryError.message);
+        }
+      }, delay);
+    } else {
+      console.error('Max listener retry attempts reached, falling back to polling');
+      this.setupPollingFallback();
+    }
+  }
+
+  async handleConnectionError(error) {
+    if (this.retryCount < this.maxRetries) {
+      this.retryCount++;
+      const delay = this.retryDelay * Math.pow(2, this.retryCount - 1);
+
+      console.log(`Reconnecting to PostgreSQL (attempt ${this.retryCount}/${this.maxRetries}) in ${delay}ms...`);
+
+      setTimeout(async () => {
+        try {
+          await this.connect(this.config);
+          this.metrics.reconnections++;
+        } catch (retryError) {
+          console.error('Reconnection failed:', retryError.message);
+        }
+      }, delay);
+    } else {
+      console.error('Max reconnection attempts reached');
+      this.emit('maxRetriesReached', error);
+    }
+  }
+
+  startHealthChecks() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+    }
+
+    this.healthCheckInterval = setInterval(async () => {
+      try {
+        await this.pool.query('SELECT 1');
+
+        this.emit('healthCheck', {
+          status: 'healthy',
+          metrics: this.getMetrics(),
+          notifyActive: !!this.listenClient
+        });
+      } catch (error) {
+        console.error('Health check failed:', error);
+        this.emit('healthCheck', {
+          status: 'unhealthy',
+          error: error.message,
+          notifyActive: !!this.listenClient
+        });
+      }
+    }, 30000);
+  }
+
+  async writeData(key, data, options = {}) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    try {
+      const client = await this.pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const result = await this.upsertRow(client, key, data, options);
+
+        await client.query('COMMIT');
+
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      // A version conflict is an answer, not a failure
+      if (!(error instanceof VersionConflictError)) {
+        console.error('PostgreSQL write error:', error.message);
+        this.metrics.errorsHandled++;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write only if the key is still at expectedVersion (0: does not exist yet)
+   * @throws {VersionConflictError} When the stored version differs
+   */
+  async compareAndSet(key, data, expectedVersion, options = {}) {
+    return this.writeData(key, data, { ...options, ifVersion: expectedVersion });
+  }
+
+  /**
+   * Partial update of a key's data under a row lock (SELECT ... FOR UPDATE),
+   * so concurrent updates of different fields both survive.
+   *
+   * @param {string} key - Key to update
+   * @param {Object} ops - Update operators (see updateOperators.js)
+   * @param {Object} [options]
+   * @param {boolean} [options.upsert] - Create the key from the operators when missing (default: true)
+   */
+  async updateData(key, ops, options = {}) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    const operations = normalizeUpdate(ops);
+
+    try {
+      const client = await this.pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        let result = await this.updateLockedRow(client, key, operations);
+
+        if (!result && options.upsert !== false && createsValues(operations)) {
+          const { rows } = await client.query(`
+            INSERT INTO stream_data ("key", data, "timestamp", last_modified, version)
+            VALUES ($1, $2::jsonb, NOW(), NOW(), ${INSERT_VERSION})
+            ON CONFLICT ("key") DO NOTHING
+            RETURNING version
+          `, [key, JSON.stringify(applyUpdate(null, operations))]);
+
+          // Lost an insert race: the other row is committed now, so lock and update it
+          result = rows.length > 0
+            ? { upserted: true, matched: false, modified: false, version: Number(rows[0].version) }
+            : await this.updateLockedRow(client, key, operations);
+        }
+
+        await client.query('COMMIT');
+
+        return {
+          success: true,
+          key: key,
+          upserted: false,
+          matched: false,
+          modified: false,
+          version: null,
+          ...result,
+          timestamp: new Date()
+        };
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('PostgreSQL update error:', error.message);
+      this.metrics.errorsHandled++;
+      throw error;
+    }
+  }
+
+  // null when the key does not exist
+  async updateLockedRow(client, key, operations) {
+    const { rows } = await client.query('SELECT data, version FROM stream_data WHERE "key" = $1 FOR UPDATE', [key]);
+    if (rows.length === 0) return null;
+
+    const data = applyUpdate(rows[0].data, operations);
+    if (JSON.stringify(data) === JSON.stringify(rows[0].data)) {
+      return { upserted: false, matched: true, modified: false, version: Number(rows[0].version) };
+    }
+
+    const { rows: updated } = await client.query(`
+      UPDATE stream_data SET data = $2::jsonb, last_modified = NOW(), version = version + 1
+      WHERE "key" = $1
+      RETURNING version
+    `, [key, JSON.stringify(data)]);
+    return { upserted: false, matched: true, modified: true, version: Number(updated[0].version) };
+  }
+
+  async upsertRow(client, key, data, options = {}) {
+    if (options.ifVersion !== undefined) {
+      return this.compareAndSetRow(client, key, data, options);
+    }
+
+    const query = `
+      INSERT INTO stream_data ("key", data, "timestamp", last_modified, ttl, tags, metadata, version)
+      VALUES ($1, $2::jsonb, NOW(), NOW(), $3, $4::jsonb, $5::jsonb, ${INSERT_VERSION})
+      ON CONFLICT ("key") DO UPDATE SET
+        data = EXCLUDED.data,
+        last_modified = NOW(),
+        ttl = EXCLUDED.ttl,
+        tags = EXCLUDED.tags,
+        metadata = EXCLUDED.metadata,
+        version = stream_data.version + 1
+      RETURNING (xmax = 0) AS inserted, version
+    `;
+
+    const { rows } = await client.query(query, [key, ...this.rowValues(data, options)]);
+
+    return {
+      success: true,
+      key: key,
+      upserted: rows[0].inserted,
+      modified: !rows[0].inserted,
+      version: Number(rows[0].version),
+      timestamp: new Date()
+    };
+  }
+
+  // data, ttl, tags and metadata parameters for a write
+  rowValues(data, options = {}) {
+    return [
+      JSON.stringify(data),
+      options.ttl ? new Date(Date.now() + options.ttl * 1000) : null,
+      JSON.stringify(options.tags || []),
+      JSON.stringify(options.metadata || {})
+    ];
+  }
+
+  /**
+   * Write only if the stored version equals options.ifVersion; 0 means the
+   * key must not exist yet (or predates versioning). The version check and
+   * the write are one statement, so concurrent writers cannot both succeed.
+   */
+  async compareAndSetRow(client, key, data, options) {
+    const expected = options.ifVersion;
+    const values = this.rowValues(data, options);
+
+    if (expected === 0) {
+      const { rows } = await client.query(`
+        INSERT INTO stream_data ("key", data, "timestamp", last_modified, ttl, tags, metadata, version)
+        VALUES ($1, $2::jsonb, NOW(), NOW(), $3, $4::jsonb, $5::jsonb, ${INSERT_VERSION})
+        ON CONFLICT ("key") DO NOTHING
+        RETURNING version
+      `, [key, ...values]);
+
+      if (rows.length > 0) {
+        return { success: true, key: key, upserted: true, modified: false, version: Number(rows[0].version), timestamp: new Date() };
+      }
+      // An unversioned row still matches version 0 below
+    }
+
+    const { rows } = await client.query(`
+      UPDATE stream_data
+      SET data = $2::jsonb, last_modified = NOW(), ttl = $3, tags = $4::jsonb, metadata = $5::jsonb, version = version + 1
+      WHERE "key" = $1 AND version = $6
+      RETURNING version
+    `, [key, ...values, expected]);
+
+    if (rows.length === 0) {
+      const { rows: current } = await client.query('SELECT version FROM stream_data WHERE "key" = $1', [key]);
+      throw new VersionConflictError(key, expected, current.length > 0 ? Number(current[0].version) : null);
+    }
+
+    return { success: true, key: key, upserted: false, modified: true, version: Number(rows[0].version), timestamp: new Date() };
+  }
+
+  /**
+   * Run push/get/delete operations on one pooled client between BEGIN and
+   * COMMIT, rolling back on any failure. The transactionId is set as a
+   * transaction-local setting that the notify trigger copies into every
+   * notification (and emitted as a logical message for wal2json readers).
+   */
+  async runTransaction(operations, options = {}) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    const { transactionId } = options;
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query("SELECT set_config('stream.transaction_id', $1, true)", [transactionId || '']);
+      if (this.replicationSlot && transactionId) {
+        await client.query("SELECT pg_logical_emit_message(true, 'stream_transaction', $1)", [transactionId]);
+      }
+
+      const results = [];
+      for (const op of operations) {
+        results.push(await this.applyTransactionOperation(client, op, transactionId));
+      }
+
+      await client.query('COMMIT');
+      return results;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(`PostgreSQL transaction ${transactionId} failed:`, error.message);
+      this.metrics.errorsHandled++;
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async applyTransactionOperation(client, op, transactionId) {
+    switch (op.type) {
+      case 'push': {
+        const result = await this.upsertRow(client, op.key, op.data, op.options);
+        return { ...result, transactionId };
+      }
+      case 'get': {
+        const { rows } = await client.query(`
+          SELECT "key", data, "timestamp", last_modified, ttl, tags, metadata, version, checksum
+          FROM stream_data
+          WHERE "key" = $1 AND (ttl IS NULL OR ttl > NOW())
+        `, [op.key]);
+        return rows.length > 0 ? this.formatRow(rows[0]) : null;
+      }
+      case 'delete': {
+        const result = await client.query('DELETE FROM stream_data WHERE "key" = $1', [op.key]);
+        return { success: true, deleted: result.rowCount > 0, transactionId };
+      }
+      default:
+        throw new Error(`Unknown operation type: ${op.type}`);
+    }
+  }
+
+  async readData(key) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    try {
+      const { rows } = await this.pool.query(`
+        SELECT "key", data, "timestamp", last_modified, ttl, tags, metadata, version, checksum
+        FROM stream_data
+        WHERE "key" = $1 AND (ttl IS NULL OR ttl > NOW())
+      `, [key]);
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      return this.formatRow(rows[0]);
+    } catch (error) {
+      console.error('PostgreSQL read error:', error.message);
+      throw error;
+    }
+  }
+
+  async readMatchingKeys(pattern) {
+    const { rows } = await this.pool.query(`
+      SELECT "key", data, "timestamp", last_modified, ttl, tags, metadata, version, checksum
+      FROM stream_data
+      WHERE "key" LIKE $1 ESCAPE '\\' AND (ttl IS NULL OR ttl > NOW())
+    `, [keyPatternToLike(pattern)]);
+
+    return rows
+      .filter(row => matchesKeyPattern(pattern, row.key))
+      .map(row => this.formatRow(row));
+  }
+
+  // Rows modified at or after `since`, oldest first
+  async readModifiedSince(since) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    const { rows } = await this.pool.query(`
+      SELECT "key", data, "timestamp", last_modified, ttl, tags, metadata, version, checksum
+      FROM stream_data
+      WHERE last_modified >= $1 AND (ttl IS NULL OR ttl > NOW())
+      ORDER BY last_modified
+    `, [since]);
+
+    return rows.map(row => this.formatRow(row));
+  }
+
+  formatRecord(row) {
+    return {
+      key: row.key,
+      data: this.parseJsonColumn(row.data, null),
+      timestamp: this.parseTimestamp(row.timestamp),
+      lastModified: this.parseTimestamp(row.last_modified),
+      tags: this.parseJsonColumn(row.tags, []),
+      metadata: this.parseJsonColumn(row.metadata, {}),
+      version: Number(row.version || 0)
+    };
+  }
+
+  formatRow(row) {
+    return {
+      ...this.formatRecord(row),
+      ttl: row.ttl,
+      checksum: row.checksum
+    };
+  }
+
+  async startRealTimeWatch(key, callback, options = {}) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    try {
+      // Store watcher info
+      const watcherInfo = createWatcherInfo(key, callback, options);
+      this.activeWatchers.set(key, watcherInfo);
+      this.metrics.activeWatchers++;
+
+      // Get initial data and store in cache, one delivery per matching key for patterns
+      const initialRecords = watcherInfo.pattern
+        ? await this.readMatchingKeys(key)
+        : [await this.readData(key)].filter(Boolean);
+
+      for (const record of initialRecords) {
+        this.trackKnownState(watcherInfo, record.key, record);
+        const meta = {
+          key: record.key,
+          changeType: 'initial',
+          timestamp: new Date(),
+          source: 'initial',
+          version: record.version
+        };
+        callback(record.data, meta);
+      }
+
+      console.log(`Real-time PostgreSQL watch started for key: ${key}`);
+
+      // If LISTEN is not available, the polling fallback will handle this
+      return { key, active: true };
+
+    } catch (error) {
+      console.error(`Failed to start PostgreSQL watch for key ${key}:`, error);
+      this.activeWatchers.delete(key);
+      throw error;
+    }
+  }
+
+  async stopWatch(key) {
+    if (this.activeWatchers.has(key)) {
+      this.activeWatchers.delete(key);
+      this.lastKnownState.delete(key);
+      this.metrics.activeWatchers--;
+      console.log(`Stopped watching key: ${key}`);
+    }
+  }
+
+  /**
+   * Watch every change on stream_data. Callbacks receive the changed record
+   * (null on delete) and change metadata; used by live query subscriptions.
+   * Fed by notifications or logical decoding, or by diffing the table on
+   * every poll in polling mode.
+   */
+  async startCollectionWatch(id, callback) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    // Take the polling baseline now so changes after this call are delivered
+    if (this.pollingInterval && !this.listenClient && !this.collectionKnownKeys) {
+      await this.checkCollectionForChanges();
+    }
+
+    this.collectionWatchers.set(id, callback);
+    return id;
+  }
+
+  async stopCollectionWatch(id) {
+    this.collectionWatchers.delete(id);
+
+    if (this.collectionWatchers.size === 0) {
+      this.collectionKnownKeys = null;
+      this.collectionPolledAt = null;
+    }
+  }
+
+  matchesQuery(record, query) {
+    return matchesQuery(record, query, { keyPatternMode: 'like' });
+  }
+
+  async queryData(query = {}, options = {}) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    try {
+      const { sql, params } = this.buildPostgresQuery(query, options);
+      const { rows } = await this.pool.query(sql, params);
+
+      return rows.map(row => this.formatRecord(row));
+    } catch (error) {
+      console.error('PostgreSQL query error:', error.message);
+      throw error;
+    }
+  }
+
+  // Append a bound parameter and return its $n placeholder
+  bind(params, value) {
+    params.push(value);
+    return `$${params.length}`;
+  }
+
+  buildPostgresQuery(query, options) {
+    const params = [];
+    let sql = `SELECT * FROM stream_data WHERE ${this.buildPostgresConditions(query, params)}`;
+
+    // Add ordering
+    if (!options.sort && Array.isArray(query.orderBy) && query.orderBy.length > 0) {
+      sql += ` ORDER BY ${this.buildOrderBy(query.orderBy)}`;
+    } else {
+      const sortField = options.sort?.field || 'last_modified';
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(sortField)) {
+        throw new Error(`Cannot order by field "${sortField}"`);
+      }
+      const sortOrder = String(options.sort?.order || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      sql += ` ORDER BY "${sortField}" ${sortOrder}`;
+    }
+
+    // Add pagination
+    if (options.limit) {
+      sql += ` LIMIT ${this.bind(params, options.limit)}`;
+    }
+    if (options.skip) {
+      sql += ` OFFSET ${this.bind(params, options.skip)}`;
+    }
+
+    return { sql, params };
+  }
+
+  buildOrderBy(orderBy) {
+    return orderBy.map(({ field, direction }) => {
+      const expression = this.sqlFieldExpression(field);
+      if (!expression) {
+        throw new Error(`Cannot order by field "${field}"`);
+      }
+      return `${expression.sql} ${String(direction).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'}`;
+    }).join(', ');
+  }
+
+  /**
+   * Filters as JSONB operators: data and tags use containment (@>, ?|),
+   * which the GIN indexes on those columns serve.
+   */
+  buildPostgresConditions(query, params) {
+    const conditions = ['(ttl IS NULL OR ttl > NOW())'];
+
+    if (query.keys) {
+      const keys = Array.isArray(query.keys) ? query.keys : [query.keys];
+      conditions.push(`"key" = ANY(${this.bind(params, keys)}::text[])`);
+    }
+
+    if (query.keyPattern) {
+      conditions.push(`"key" LIKE ${this.bind(params, query.keyPattern.replace(/\*/g, '%'))}`);
+    }
+
+    if (query.tags) {
+      const tags = Array.isArray(query.tags) ? query.tags : [query.tags];
+      conditions.push(`tags ?| ${this.bind(params, tags.map(String))}::text[]`);
+    }
+
+    if (query.since) {
+      conditions.push(`last_modified >= ${this.bind(params, new Date(query.since))}`);
+    }
+
+    if (query.until) {
+      conditions.push(`last_modified <= ${this.bind(params, new Date(query.until))}`);
+    }
+
+    if (query.data) {
+      // Dotted fields address nested values, as on MongoDB
+      const containment = {};
+      for (const [field, value] of Object.entries(query.data)) {
+        const segments = field.split('.');
+        let current = containment;
+        segments.slice(0, -1).forEach(segment => {
+          current[segment] = current[segment] || {};
+          current = current[segment];
+        });
+        current[segments[segments.length - 1]] = value;
+      }
+      conditions.push(`data @> ${this.bind(params, JSON.stringify(containment))}::jsonb`);
+    }
+
+    // WHERE clause parsed from a SQL-like query string
+    if (isConditionNode(query.where)) {
+      conditions.push(this.compileWhere(query.where, params));
+    }
+
+    return conditions.join(' AND ');
+  }
+
+  /**
+   * Compile a WHERE clause AST (see queryParser) into a parameterized SQL
+   * condition, using the same JSONB comparison rules as $match push-down.
+   */
+  compileWhere(node, params) {
+    const orNull = sql => `COALESCE(${sql}, FALSE)`;
+
+    switch (node.type) {
+      case 'logical':
+        return `(${node.conditions.map(condition => this.compileWhere(condition, params)).join(` ${node.operator} `)})`;
+      case 'not':
+        return `NOT ${orNull(this.compileWhere(node.condition, params))}`;
+      case 'comparison': {
+        const operators = { '=': '$eq', '!=': '$ne', '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+        return this.compileComparison(node, operators[node.operator], node.value, params);
+      }
+      case 'in':
+        return this.compileComparison(node, node.negated ? '$nin' : '$in', node.values, params);
+      case 'between': {
+        const sql = `(${this.compileComparison(node, '$gte', node.low, params)} AND ${this.compileComparison(node, '$lte', node.high, params)})`;
+        return node.negated ? `NOT ${orNull(sql)}` : sql;
+      }
+      case 'null': {
+        const expression = this.requireFieldExpression(node);
+        const sql = expression.type === 'json' ?
+          `(${expression.sql} IS NULL OR jsonb_typeof(${expression.sql}) = 'null')` :
+          `${expression.sql} IS NULL`;
+        return node.negated ? `NOT ${sql}` : sql;
+      }
+      case 'like': {
+        const expression = this.requireFieldExpression(node);
+        const pattern = this.bind(params, node.pattern);
+        const sql = expression.type === 'json' ?
+          `(jsonb_typeof(${expression.sql}) = 'string' AND ${expression.sql} #>> '{}' LIKE ${pattern})` :
+          `${expression.sql} LIKE ${pattern}`;
+        return node.negated ? `NOT ${orNull(sql)}` : sql;
+      }
+      default:
+        throw new Error(`Unknown condition node: ${node.type}`);
+    }
+  }
+
+  compileComparison(node, operator, value, params) {
+    const translated = this.translateComparison(this.requireFieldExpression(node), operator, value, params);
+    if (!translated) {
+      throw new Error(`Unsupported comparison on "${node.field}" at position ${node.position}`);
+    }
+    return translated;
+  }
+
+  requireFieldExpression(node) {
+    const expression = this.sqlFieldExpression(node.field);
+    if (!expression) {
+      throw new Error(`Unsupported field "${node.field}" at position ${node.position}`);
+    }
+    return expression;
+  }
+
+  /**
+   * Run as much of an aggregation pipeline as PostgreSQL can express
+   * natively: leading $match stages, then an optional $group, $sort and
+   * $skip/$limit. Translation stops at the first stage it cannot express
+   * exactly; the caller runs the remaining stages in process.
+   *
+   * @returns {Promise<{data: Array, stagesApplied: number}>}
+   */
+  async aggregateData(query = {}, pipeline = [], options = {}) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    try {
+      const plan = this.buildPostgresAggregation(query, pipeline);
+      const { rows } = await this.pool.query(plan.sql, plan.params);
+
+      const data = plan.grouped ?
+        rows.map(row => this.formatGroupRow(row, plan)) :
+        rows.map(row => this.formatRecord(row));
+
+      return { data, stagesApplied: plan.stagesApplied };
+    } catch (error) {
+      console.error('PostgreSQL aggregate error:', error.message);
+      throw error;
+    }
+  }
+
+  buildPostgresAggregation(query, pipeline) {
+    const params = [];
+    const where = [this.buildPostgresConditions(query, params)];
+    let index = 0;
+
+    while (index < pipeline.length && pipeline[index].$match) {
+      const translated = this.translateMatch(pipeline[index].$match, params);
+      if (!translated) break;
+      where.push(translated);
+      index++;
+    }
+
+    let grouped = null;
+    if (index < pipeline.length && pipeline[index].$group) {
+      grouped = this.translateGroup(pipeline[index].$group);
+      if (grouped) index++;
+    }
+
+    let orderBy = grouped ? '' : ' ORDER BY last_modified DESC';
+    if (index < pipeline.length && pipeline[index].$sort) {
+      const order = this.translateSort(pipeline[index].$sort, grouped);
+      if (order) {
+        orderBy = ` ORDER BY ${order}`;
+        index++;
+      }
+    }
+
+    let offset = null;
+    let limit = null;
+    if (index < pipeline.length && Number.isInteger(pipeline[index].$skip)) {
+      offset = pipeline[index].$skip;
+      index++;
+    }
+    if (index < pipeline.length && Number.isInteger(pipeline[index].$limit)) {
+      limit = pipeline[index].$limit;
+      index++;
+    }
+
+    let sql = grouped ?
+      `SELECT ${grouped.select} FROM stream_data WHERE ${where.join(' AND ')}${grouped.groupBy}` :
+      `SELECT * FROM stream_data WHERE ${where.join(' AND ')}`;
+    sql += orderBy;
+
+    if (limit !== null) sql += ` LIMIT ${limit}`;
+    if (offset !== null) sql += ` OFFSET ${offset}`;
+
+    return { sql, params, grouped, stagesApplied: index };
+  }
+
+  sqlFieldExpression(path) {
+    if (path === 'key') return { sql: '"key"', type: 'column' };
+    if (path === 'lastModified') return { sql: 'last_modified', type: 'date' };
+    if (path === 'timestamp') return { sql: '"timestamp"', type: 'date' };
+    if (path === 'tags') return { sql: 'tags', type: 'json' };
+
+    // Only plain identifiers, so the JSON path can be inlined safely
+    const match = /^(data|metadata)((?:\.[A-Za-z_][A-Za-z0-9_]*)+)$/.exec(path);
+    if (match) return { sql: `(${match[1]} #> '{${match[2].slice(1).split('.').join(',')}}')`, type: 'json' };
+
+    return null;
+  }
+
+  translateMatch(filter, params) {
+    const parts = [];
+    // Parameters are only committed once the whole filter translates
+    const local = [...params];
+
+    for (const [field, condition] of Object.entries(filter)) {
+      if (field === '$and' || field === '$or') {
+        if (!Array.isArray(condition) || condition.length === 0) return null;
+        const translated = [];
+        for (const sub of condition) {
+          const sql = this.translateMatch(sub, local);
+          if (!sql) return null;
+          translated.push(sql);
+        }
+        parts.push(`(${translated.join(field === '$and' ? ' AND ' : ' OR ')})`);
+        continue;
+      }
+
+      const expression = this.sqlFieldExpression(field);
+      if (!expression) return null;
+
+      const isOperatorObject = condition !== null && typeof condition === 'object' &&
+        !Array.isArray(condition) && !(condition instanceof Date) &&
+        Object.keys(condition).length > 0 && Object.keys(condition).every(op => op.startsWith('$'));
+      const operators = isOperatorObject ? Object.entries(condition) : [['$eq', condition]];
+
+      for (const [operator, value] of operators) {
+        const translated = this.translateComparison(expression, operator, value, local);
+        if (!translated) return null;
+        parts.push(translated);
+      }
+    }
+
+    params.splice(0, params.length, ...local);
+    if (parts.length === 0) return 'TRUE';
+    return `(${parts.join(' AND ')})`;
+  }
+
+  translateComparison(expression, operator, value, params) {
+    const rangeOperators = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+    const isScalar = v => ['string', 'number', 'boolean'].includes(typeof v);
+
+    if (expression.type === 'json') {
+      const field = expression.sql;
+
+      // Containment gives exact, type-aware equality for scalars and
+      // matches array elements the way MongoDB equality does
+      const contains = v => `COALESCE(${field} @> ${this.bind(params, JSON.stringify(v))}::jsonb, FALSE)`;
+
+      if (operator === '$eq' && isScalar(value)) return contains(value);
+      if (operator === '$ne' && isScalar(value)) return `NOT ${contains(value)}`;
+      if ((operator === '$in' || operator === '$nin') && Array.isArray(value) && value.length > 0 && value.every(isScalar)) {
+        const sql = value.map(contains).join(' OR ');
+        return operator === '$in' ? `(${sql})` : `NOT (${sql})`;
+      }
+      if (rangeOperators[operator] && typeof value === 'number') {
+        return `(jsonb_typeof(${field}) = 'number' AND (${field})::numeric ${rangeOperators[operator]} ${this.bind(params, value)})`;
+      }
+      if (rangeOperators[operator] && typeof value === 'string') {
+        return `(jsonb_typeof(${field}) = 'string' AND (${field} #>> '{}') COLLATE "C" ${rangeOperators[operator]} ${this.bind(params, value)})`;
+      }
+      return null;
+    }
+
+    if (expression.type === 'date') {
+      const isDateLike = value instanceof Date || typeof value === 'string' || typeof value === 'number';
+      if (!isDateLike) return null;
+      if (operator === '$eq') return `${expression.sql} = ${this.bind(params, new Date(value))}`;
+      if (operator === '$ne') return `${expression.sql} <> ${this.bind(params, new Date(value))}`;
+      if (rangeOperators[operator]) {
+        return `${expression.sql} ${rangeOperators[operator]} ${this.bind(params, new Date(value))}`;
+      }
+      return null;
+    }
+
+    // "key" column, compared in byte order like MongoDB
+    const column = `${expression.sql} COLLATE "C"`;
+    if (operator === '$eq' && typeof value === 'string') return `${column} = ${this.bind(params, value)}`;
+    if (operator === '$ne' && typeof value === 'string') return `${column} <> ${this.bind(params, value)}`;
+    if ((operator === '$in' || operator === '$nin') && Array.isArray(value) && value.length > 0 &&
+        value.every(v => typeof v === 'string')) {
+      const sql = `${column} = ANY(${this.bind(params, value)}::text[])`;
+      return operator === '$in' ? sql : `NOT (${sql})`;
+    }
+    if (rangeOperators[operator] && typeof value === 'string') {
+      return `${column} ${rangeOperators[operator]} ${this.bind(params, value)}`;
+    }
+    return null;
+  }
+
+  translateGroup(specification) {
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*$/;
+    const select = [];
+    const fields = [];
+    let idExpression = null;
+
+    if (specification._id === null) {
+      select.push('NULL AS _id');
+    } else if (typeof specification._id === 'string' && specification._id.startsWith('$')) {
+      idExpression = this.sqlFieldExpression(specification._id.slice(1));
+      if (!idExpression || idExpression.type === 'date') return null;
+      // JSONB groups by value and comes back with its original type
+      select.push(`${idExpression.sql} AS _id`);
+    } else {
+      return null;
+    }
+
+    for (const [field, accumulator] of Object.entries(specification)) {
+      if (field === '_id') continue;
+      if (!identifier.test(field) || !accumulator || typeof accumulator !== 'object') return null;
+
+      const [operator] = Object.keys(accumulator);
+      const argument = accumulator[operator];
+
+      if (operator === '$count') {
+        select.push(`COUNT(*) AS "${field}"`);
+      } else if (operator === '$sum' && typeof argument === 'number') {
+        select.push(`COUNT(*) * ${Number(argument)} AS "${field}"`);
+      } else if ((operator === '$sum' || operator === '$avg') && typeof argument === 'string' && argument.startsWith('$')) {
+        const expression = this.sqlFieldExpression(argument.slice(1));
+        if (!expression || expression.type !== 'json') return null;
+        const numeric = `CASE WHEN jsonb_typeof(${expression.sql}) = 'number' THEN (${expression.sql})::numeric END`;
+        select.push(operator === '$sum' ?
+          `COALESCE(SUM(${numeric}), 0) AS "${field}"` :
+          `AVG(${numeric}) AS "${field}"`);
+      } else {
+        // $min/$max/$push/$first/$last depend on MongoDB type ordering and
+        // missing-field semantics that SQL aggregates do not reproduce
+        return null;
+      }
+
+      fields.push(field);
+    }
+
+    return {
+      select: select.join(', '),
+      groupBy: specification._id === null ? '' : ' GROUP BY 1',
+      idType: idExpression ? idExpression.type : null,
+      fields
+    };
+  }
+
+  translateSort(specification, grouped) {
+    const order = [];
+
+    for (const [field, direction] of Object.entries(specification)) {
+      const sqlDirection = direction < 0 ? 'DESC' : 'ASC';
+
+      if (grouped) {
+        if (field !== '_id' && !grouped.fields.includes(field)) return null;
+        // JSONB ordering does not follow MongoDB's type ordering
+        if (field === '_id' && grouped.idType === 'json') return null;
+        order.push(`"${field}" ${sqlDirection}`);
+      } else {
+        const expression = this.sqlFieldExpression(field);
+        if (!expression || expression.type === 'json') return null;
+        order.push(`${expression.sql} ${sqlDirection}`);
+      }
+    }
+
+    return order.length > 0 ? order.join(', ') : null;
+  }
+
+  formatGroupRow(row, plan) {
+    const result = { _id: row._id };
+
+    // COUNT/SUM/AVG come back as strings (bigint/numeric)
+    for (const field of plan.grouped.fields) {
+      result[field] = row[field] === null ? null : Number(row[field]);
+    }
+
+    return result;
+  }
+
+  async getAllKeys() {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    try {
+      const { rows } = await this.pool.query(`
+        SELECT "key", last_modified, tags
+        FROM stream_data
+        WHERE (ttl IS NULL OR ttl > NOW())
+        ORDER BY last_modified DESC
+      `);
+
+      return rows.map(row => ({
+        key: row.key,
+        lastModified: row.last_modified,
+        tags: this.parseJsonColumn(row.tags, [])
+      }));
+    } catch (error) {
+      console.error('PostgreSQL getAllKeys error:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteData(key) {
+    if (!this.connected) {
+      throw new Error('PostgreSQL not connected');
+    }
+
+    try {
+      const result = await this.pool.query('DELETE FROM stream_data WHERE "key" = $1', [key]);
+
+      return {
+        success: true,
+        deleted: result.rowCount > 0
+      };
+    } catch (error) {
+      console.error('PostgreSQL delete error:', error.message);
+      throw error;
+    }
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      activeWatchers: this.activeWatchers.size,
+      collectionWatchers: this.collectionWatchers.size,
+      isConnected: this.connected,
+      retryCount: this.retryCount,
+      notifyActive: !!this.listenClient,
+      logicalDecoding: !!this.replicationSlot,
+      poolConnections: this.pool ? {
+        all: this.pool.totalCount,
+        free: this.pool.idleCount,
+        used: this.pool.totalCount - this.pool.idleCount,
+        waiting: this.pool.waitingCount
+      } : null
+    };
+  }
+
+  async disconnect() {
+    for (const timer of [this.healthCheckInterval, this.ttlCleanupInterval, this.pollingInterval, this.logicalInterval]) {
+      if (timer) clearInterval(timer);
+    }
+    this.healthCheckInterval = null;
+    this.ttlCleanupInterval = null;
+    this.pollingInterval = null;
+    this.logicalInterval = null;
+
+    this.connected = false;
+
+    if (this.draining) {
+      await this.draining;
+    }
+
+    // Closing the slot connection drops a temporary slot; named slots are kept
+    this.stopLogicalDecoding();
+
+    if (this.listenClient) {
+      const listenClient = this.listenClient;
+      this.listenClient = null;
+      listenClient.removeAllListeners();
+      try {
+        await listenClient.end();
+      } catch (error) {
+        console.error('Error closing PostgreSQL listener:', error);
+      }
+    }
+
+    this.activeWatchers.clear();
+    this.collectionWatchers.clear();
+    this.collectionKnownKeys = null;
+    this.collectionPolledAt = null;
+    this.lastKnownState.clear();
+
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+      console.log('Advanced PostgreSQL disconnected');
+    }
+  }
+
+  isConnected() {
+    return this.connected && !!this.pool;
+  }
+}
+
+module.exports = AdvancedPostgresConnector;
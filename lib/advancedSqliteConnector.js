@@ -0,0 +1,1018 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { matchesQuery } = require('./queryMatcher');
+const { isConditionNode } = require('./queryParser');
+const { createWatcherInfo, findKeyWatchers, keyPatternToLike, matchesKeyPattern } = require('./keyPattern');
+const { normalizeUpdate, createsValues, applyUpdate } = require('./updateOperators');
+const { VersionConflictError } = require('./errors');
+
+// better-sqlite3 is an optional dependency, only needed for dbType 'sqlite'
+function loadSqlite() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite support requires the "better-sqlite3" package: npm install better-sqlite3');
+  }
+}
+
+const RECORD_COLUMNS = 'key, data, timestamp, last_modified, ttl, tags, metadata, version';
+
+/**
+ * File-backed connector for CLI tools, edge nodes and tests.
+ *
+ * Triggers on stream_data append every change to stream_changes, so writes
+ * from any process sharing the file are picked up. The log is read after
+ * each local write and whenever the database or its WAL file changes on
+ * disk (fs.watch), so watchers need no polling.
+ */
+class AdvancedSqliteConnector extends EventEmitter {
+  constructor() {
+    super();
+    this.db = null;
+    this.connected = false;
+    this.filename = null;
+    this.activeWatchers = new Map(); // key -> watcher info
+    this.collectionWatchers = new Map(); // id -> callback for collection-level watchers
+    this.config = null;
+    this.fileWatcher = null;
+    this.healthCheckInterval = null;
+    this.ttlCleanupInterval = null;
+    this.lastSequence = 0; // last stream_changes row delivered
+    this.drainScheduled = false;
+    this.metrics = {
+      changesProcessed: 0,
+      errorsHandled: 0,
+      activeWatchers: 0,
+      lastSequence: 0
+    };
+  }
+
+  async connect(config) {
+    try {
+      this.config = { ...config };
+      const Database = loadSqlite();
+
+      this.filename = config.filename;
+      this.db = new Database(this.filename, { timeout: config.busyTimeout || 5000 });
+
+      // WAL lets readers in other processes run alongside the writer
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('synchronous = NORMAL');
+
+      this.connected = true;
+
+      // Create the stream_data table and its change log
+      this.createOptimizedTable();
+      this.setupTTLCleanup();
+
+      // Only changes made from now on are delivered
+      this.lastSequence = this.db.prepare('SELECT COALESCE(MAX(seq), 0) AS seq FROM stream_changes').get().seq;
+      this.setupFileWatcher();
+
+      // Start health checks
+      this.startHealthChecks();
+
+      console.log(`Advanced SQLite connected successfully: ${this.filename}`);
+      this.emit('connected');
+      return true;
+    } catch (error) {
+      console.error('Advanced SQLite connection failed:', error.message);
+      this.connected = false;
+      if (this.db) {
+        this.db.close();
+        this.db = null;
+      }
+      throw error;
+    }
+  }
+
+  createOptimizedTable() {
+    try {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS stream_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT NOT NULL UNIQUE,
+          data TEXT NOT NULL CHECK (json_valid(data)),
+          timestamp TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          last_modified TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          ttl TEXT NULL,
+          tags TEXT DEFAULT NULL CHECK (tags IS NULL OR json_valid(tags)),
+          metadata TEXT DEFAULT NULL CHECK (metadata IS NULL OR json_valid(metadata)),
+          version INTEGER NOT NULL DEFAULT 0
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_last_modified ON stream_data (last_modified);
+        CREATE INDEX IF NOT EXISTS idx_timestamp ON stream_data (timestamp);
+        CREATE INDEX IF NOT EXISTS idx_ttl ON stream_data (ttl);
+        CREATE INDEX IF NOT EXISTS idx_compound ON stream_data (key, last_modified);
+
+        -- Marker row written by runTransaction() so logged changes can be tagged
+        CREATE TABLE IF NOT EXISTS stream_transactions (
+          txn_id TEXT NOT NULL PRIMARY KEY
+        );
+
+        CREATE TABLE IF NOT EXISTS stream_changes (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          op TEXT NOT NULL,
+          key TEXT NOT NULL,
+          record TEXT NULL,
+          txn_id TEXT NULL,
+          changed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_changed_at ON stream_changes (changed_at);
+
+        -- A key written again after a delete (or TTL expiry) continues from the version it was deleted at
+        CREATE TABLE IF NOT EXISTS stream_data_tombstones (
+          key TEXT NOT NULL PRIMARY KEY,
+          version INTEGER NOT NULL
+        );
+      `);
+
+      this.addVersionColumn();
+
+      // Recreated so files from older versions log the version column too
+      this.db.exec(`
+        DROP TRIGGER IF EXISTS stream_data_insert;
+        DROP TRIGGER IF EXISTS stream_data_update;
+        DROP TRIGGER IF EXISTS stream_data_delete;
+
+        CREATE TRIGGER stream_data_insert AFTER INSERT ON stream_data
+        BEGIN
+          INSERT INTO stream_changes (op, key, record, txn_id)
+          VALUES ('created', NEW.key, ${this.recordJson('NEW')}, (SELECT txn_id FROM stream_transactions LIMIT 1));
+        END;
+
+        CREATE TRIGGER stream_data_update AFTER UPDATE ON stream_data
+        BEGIN
+          INSERT INTO stream_changes (op, key, record, txn_id)
+          VALUES ('updated', NEW.key, ${this.recordJson('NEW')}, (SELECT txn_id FROM stream_transactions LIMIT 1));
+        END;
+
+        CREATE TRIGGER stream_data_delete AFTER DELETE ON stream_data
+        BEGIN
+          INSERT INTO stream_changes (op, key, record, txn_id)
+          VALUES ('deleted', OLD.key, NULL, (SELECT txn_id FROM stream_transactions LIMIT 1));
+          INSERT INTO stream_data_tombstones (key, version) VALUES (OLD.key, OLD.version)
+            ON CONFLICT (key) DO UPDATE SET version = MAX(version, excluded.version);
+        END;
+      `);
+
+      console.log('Optimized SQLite table created successfully');
+    } catch (error) {
+      console.error('SQLite table creation error:', error.message);
+      throw error;
+    }
+  }
+
+  // Tables created before versioning get the column; their rows start at version 0
+  addVersionColumn() {
+    const columns = this.db.prepare('PRAGMA table_info(stream_data)').all();
+    if (!columns.some(column => column.name === 'version')) {
+      this.db.exec('ALTER TABLE stream_data ADD COLUMN version INTEGER NOT NULL DEFAULT 0');
+    }
+  }
+
+  recordJson(row) {
+    return `json_object(
+      'key', ${row}.key, 'data', json(${row}.data), 'timestamp', ${row}.timestamp,
+      'last_modified', ${row}.last_modified, 'ttl', ${row}.ttl,
+      'tags', json(${row}.tags), 'metadata', json(${row}.metadata), 'version', ${row}.version
+    )`;
+  }
+
+  setupTTLCleanup() {
+    // No event scheduler in SQLite; expire rows and old log entries every 5 minutes
+    const retention = this.config.changeLogRetention || 3600000;
+
+    this.ttlCleanupInterval = setInterval(() => {
+      try {
+        this.db.prepare('DELETE FROM stream_data WHERE ttl IS NOT NULL AND ttl < ?').run(new Date().toISOString());
+        this.db.prepare('DELETE FROM stream_changes WHERE changed_at < ?').run(new Date(Date.now() - retention).toISOString());
+        this.scheduleDrain();
+      } catch (error) {
+        console.warn('TTL cleanup warning:', error.message);
+      }
+    }, 300000);
+
+    // Timers must not keep CLI tools alive
+    if (this.ttlCleanupInterval.unref) this.ttlCleanupInterval.unref();
+  }
+
+  setupFileWatcher() {
+    if (this.filename === ':memory:' || this.filename === '') return;
+
+    const directory = path.dirname(path.resolve(this.filename));
+    const base = path.basename(this.filename);
+
+    try {
+      // Writes from other processes touch the -wal file (or the database itself)
+      this.fileWatcher = fs.watch(directory, { persistent: false }, (eventType, changedFile) => {
+        if (!changedFile || String(changedFile).startsWith(base)) {
+          this.scheduleDrain();
+        }
+      });
+
+      this.fileWatcher.on('error', (error) => {
+        console.error('SQLite file watcher error:', error);
+        this.metrics.errorsHandled++;
+      });
+    } catch (error) {
+      console.warn('SQLite file watching unavailable; only changes made by this process are delivered:', error.message);
+    }
+  }
+
+  scheduleDrain() {
+    if (this.drainScheduled) return;
+    this.drainScheduled = true;
+
+    setImmediate(() => {
+      this.drainScheduled = false;
+      if (this.connected) this.drainChanges();
+    });
+  }
+
+  drainChanges() {
+    try {
+      const rows = this.db.prepare(
+        'SELECT seq, op, key, record, txn_id FROM stream_changes WHERE seq > ? ORDER BY seq'
+      ).all(this.lastSequence);
+
+      for (const row of rows) {
+        this.lastSequence = row.seq;
+        this.metrics.lastSequence = row.seq;
+        this.processChange(row);
+      }
+    } catch (error) {
+      console.error('Error reading SQLite change log:', error);
+      this.metrics.errorsHandled++;
+    }
+  }
+
+  processChange(row) {
+    try {
+      this.metrics.changesProcessed++;
+
+      const key = row.key;
+      const changeType = row.op;
+      const record = row.record ? this.formatRecord(JSON.parse(row.record)) : null;
+      const data = record ? record.data : null;
+      const extra = { sequence: row.seq, transactionId: row.txn_id || null, version: record ? record.version : null };
+
+      // Notify watchers for this key and every pattern that matches it
+      for (const [, watcherInfo] of findKeyWatchers(this.activeWatchers, key)) {
+        this.notifyWatcher(key, data, changeType, watcherInfo, extra);
+      }
+
+      // Notify collection-level watchers (live queries)
+      this.notifyCollectionWatchers(key, record, changeType, extra);
+
+      // Emit global change event
+      this.emit('change', { key, data, changeType, transactionId: extra.transactionId });
+    } catch (error) {
+      console.error('Error processing SQLite change:', error);
+    }
+  }
+
+  notifyWatcher(key, data, changeType, watcherInfo, extra = {}) {
+    try {
+      const meta = {
+        key: key,
+        changeType: changeType,
+        timestamp: new Date(),
+        source: 'changelog',
+        sequence: extra.sequence,
+        transactionId: extra.transactionId || null
+      };
+
+      if (extra.version !== undefined) {
+        meta.version = extra.version;
+      }
+
+      watcherInfo.callback(data, meta);
+    } catch (error) {
+      console.error(`Error in watcher callback for key ${key}:`, error);
+    }
+  }
+
+  notifyCollectionWatchers(key, record, changeType, extra = {}) {
+    if (this.collectionWatchers.size === 0) return;
+
+    const meta = {
+      key: key,
+      changeType: changeType,
+      timestamp: new Date(),
+      source: 'changelog',
+      sequence: extra.sequence,
+      transactionId: extra.transactionId || null
+    };
+
+    if (extra.version !== undefined) {
+      meta.version = extra.version;
+    }
+
+    for (const callback of this.collectionWatchers.values()) {
+      try {
+        callback(record, meta);
+      } catch (error) {
+        console.error('Error in collection watcher callback:', error);
+      }
+    }
+  }
+
+  parseJsonColumn(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  startHealthChecks() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+    }
+
+    this.healthCheckInterval = setInterval(() => {
+      try {
+        this.db.prepare('SELECT 1').get();
+
+        this.emit('healthCheck', {
+          status: 'healthy',
+          metrics: this.getMetrics(),
+          fileWatcherActive: !!this.fileWatcher
+        });
+      } catch (error) {
+        console.error('Health check failed:', error);
+        this.emit('healthCheck', {
+          status: 'unhealthy',
+          error: error.message,
+          fileWatcherActive: !!this.fileWatcher
+        });
+      }
+    }, 30000);
+
+    if (this.healthCheckInterval.unref) this.healthCheckInterval.unref();
+  }
+
+  async writeData(key, data, options = {}) {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    try {
+      const result = this.db.transaction(() => this.upsertRow(key, data, options)).immediate();
+      this.scheduleDrain();
+      return result;
+    } catch (error) {
+      // A version conflict is an answer, not a failure
+      if (!(error instanceof VersionConflictError)) {
+        console.error('SQLite write error:', error.message);
+        this.metrics.errorsHandled++;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write only if the key is still at expectedVersion (0: does not exist yet)
+   * @throws {VersionConflictError} When the stored version differs
+   */
+  async compareAndSet(key, data, expectedVersion, options = {}) {
+    return this.writeData(key, data, { ...options, ifVersion: expectedVersion });
+  }
+
+  /**
+   * Partial update of a key's data. The read and write share one IMMEDIATE
+   * transaction, and SQLite has a single writer, so no other update can
+   * land in between.
+   *
+   * @param {string} key - Key to update
+   * @param {Object} ops - Update operators (see updateOperators.js)
+   * @param {Object} [options]
+   * @param {boolean} [options.upsert] - Create the key from the operators when missing (default: true)
+   */
+  async updateData(key, ops, options = {}) {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    const operations = normalizeUpdate(ops);
+
+    try {
+      const result = this.db.transaction(() => this.updateRow(key, operations, options)).immediate();
+      this.scheduleDrain();
+      return result;
+    } catch (error) {
+      console.error('SQLite update error:', error.message);
+      this.metrics.errorsHandled++;
+      throw error;
+    }
+  }
+
+  updateRow(key, operations, options = {}) {
+    const row = this.db.prepare('SELECT data, version FROM stream_data WHERE key = ?').get(key);
+    const now = new Date().toISOString();
+    const result = {
+      success: true,
+      key: key,
+      upserted: false,
+      matched: Boolean(row),
+      modified: false,
+      version: row ? row.version : null,
+      timestamp: new Date(now)
+    };
+
+    if (row) {
+      const current = this.parseJsonColumn(row.data, null);
+      const data = applyUpdate(current, operations);
+      if (JSON.stringify(data) === JSON.stringify(current)) return result;
+
+      this.db.prepare('UPDATE stream_data SET data = ?, last_modified = ?, version = version + 1 WHERE key = ?')
+        .run(JSON.stringify(data), now, key);
+      return { ...result, modified: true, version: row.version + 1 };
+    }
+
+    if (options.upsert === false || !createsValues(operations)) return result;
+
+    const version = this.insertVersion(key);
+    this.db.prepare('INSERT INTO stream_data (key, data, timestamp, last_modified, version) VALUES (?, ?, ?, ?, ?)')
+      .run(key, JSON.stringify(applyUpdate(null, operations)), now, now, version);
+    return { ...result, upserted: true, version: version };
+  }
+
+  // Version for a new row: one past the version its key was last deleted at
+  insertVersion(key) {
+    const tombstone = this.db.prepare('SELECT version FROM stream_data_tombstones WHERE key = ?').get(key);
+    return tombstone ? tombstone.version + 1 : 1;
+  }
+
+  /**
+   * Always runs inside an IMMEDIATE transaction, so the version read here
+   * cannot change before the write; with options.ifVersion the write only
+   * happens if it equals the stored version (0: the key must not exist yet,
+   * or predates versioning).
+   */
+  upsertRow(key, data, options = {}) {
+    const existing = this.db.prepare('SELECT version FROM stream_data WHERE key = ?').get(key);
+    const now = new Date().toISOString();
+
+    if (options.ifVersion !== undefined && options.ifVersion !== (existing ? existing.version : 0)) {
+      throw new VersionConflictError(key, options.ifVersion, existing ? existing.version : null);
+    }
+
+    const version = existing ? existing.version + 1 : this.insertVersion(key);
+    this.db.prepare(`
+      INSERT INTO stream_data (key, data, timestamp, last_modified, ttl, tags, metadata, version)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        data = excluded.data,
+        last_modified = excluded.last_modified,
+        ttl = excluded.ttl,
+        tags = excluded.tags,
+        metadata = excluded.metadata,
+        version = stream_data.version + 1
+    `).run(
+      key,
+      JSON.stringify(data),
+      now,
+      now,
+      options.ttl ? new Date(Date.now() + options.ttl * 1000).toISOString() : null,
+      options.tags ? JSON.stringify(options.tags) : null,
+      options.metadata ? JSON.stringify(options.metadata) : null,
+      version
+    );
+
+    return {
+      success: true,
+      key: key,
+      upserted: !existing,
+      modified: !!existing,
+      version: version,
+      timestamp: new Date(now)
+    };
+  }
+
+  /**
+   * Run push/get/delete operations in one IMMEDIATE transaction, rolling
+   * back on any failure. SQLite has a single writer, so a marker row in
+   * stream_transactions tags exactly this transaction's logged changes.
+   */
+  async runTransaction(operations, options = {}) {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    const { transactionId } = options;
+
+    try {
+      const results = this.db.transaction(() => {
+        if (transactionId) {
+          this.db.prepare('INSERT INTO stream_transactions (txn_id) VALUES (?)').run(transactionId);
+        }
+
+        const applied = operations.map(op => this.applyTransactionOperation(op, transactionId));
+
+        this.db.prepare('DELETE FROM stream_transactions').run();
+        return applied;
+      }).immediate();
+
+      this.scheduleDrain();
+      return results;
+    } catch (error) {
+      console.error(`SQLite transaction ${transactionId} failed:`, error.message);
+      this.metrics.errorsHandled++;
+      throw error;
+    }
+  }
+
+  applyTransactionOperation(op, transactionId) {
+    switch (op.type) {
+      case 'push':
+        return { ...this.upsertRow(op.key, op.data, op.options), transactionId };
+      case 'get': {
+        const row = this.selectLiveRow(op.key);
+        return row ? this.formatRow(row) : null;
+      }
+      case 'delete': {
+        const result = this.db.prepare('DELETE FROM stream_data WHERE key = ?').run(op.key);
+        return { success: true, deleted: result.changes > 0, transactionId };
+      }
+      default:
+        throw new Error(`Unknown operation type: ${op.type}`);
+    }
+  }
+
+  selectLiveRow(key) {
+    return this.db.prepare(`
+      SELECT ${RECORD_COLUMNS}
+      FROM stream_data
+      WHERE key = ? AND (ttl IS NULL OR ttl > ?)
+    `).get(key, new Date().toISOString());
+  }
+
+  async readData(key) {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    try {
+      const row = this.selectLiveRow(key);
+      return row ? this.formatRow(row) : null;
+    } catch (error) {
+      console.error('SQLite read error:', error.message);
+      throw error;
+    }
+  }
+
+  async readMatchingKeys(pattern) {
+    // SQLite LIKE ignores ASCII case; the pattern re-check keeps matching case-sensitive
+    const rows = this.db.prepare(`
+      SELECT ${RECORD_COLUMNS}
+      FROM stream_data
+      WHERE key LIKE ? ESCAPE '\\' AND (ttl IS NULL OR ttl > ?)
+    `).all(keyPatternToLike(pattern), new Date().toISOString());
+
+    return rows
+      .filter(row => matchesKeyPattern(pattern, row.key))
+      .map(row => this.formatRow(row));
+  }
+
+  formatRecord(row) {
+    return {
+      key: row.key,
+      data: this.parseJsonColumn(row.data, null),
+      timestamp: row.timestamp ? new Date(row.timestamp) : null,
+      lastModified: row.last_modified ? new Date(row.last_modified) : null,
+      tags: this.parseJsonColumn(row.tags, []),
+      metadata: this.parseJsonColumn(row.metadata, {}),
+      version: Number(row.version || 0)
+    };
+  }
+
+  formatRow(row) {
+    return {
+      ...this.formatRecord(row),
+      ttl: row.ttl ? new Date(row.ttl) : null
+    };
+  }
+
+  async startRealTimeWatch(key, callback, options = {}) {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    try {
+      // Store watcher info
+      const watcherInfo = createWatcherInfo(key, callback, options);
+      this.activeWatchers.set(key, watcherInfo);
+      this.metrics.activeWatchers++;
+
+      // Get initial data, one delivery per matching key for patterns
+      const initialRecords = watcherInfo.pattern
+        ? await this.readMatchingKeys(key)
+        : [await this.readData(key)].filter(Boolean);
+
+      for (const record of initialRecords) {
+        const meta = {
+          key: record.key,
+          changeType: 'initial',
+          timestamp: new Date(),
+          source: 'initial',
+          version: record.version
+        };
+        callback(record.data, meta);
+      }
+
+      console.log(`Real-time SQLite watch started for key: ${key}`);
+      return { key, active: true };
+
+    } catch (error) {
+      console.error(`Failed to start SQLite watch for key ${key}:`, error);
+      this.activeWatchers.delete(key);
+      throw error;
+    }
+  }
+
+  async stopWatch(key) {
+    if (this.activeWatchers.has(key)) {
+      this.activeWatchers.delete(key);
+      this.metrics.activeWatchers--;
+      console.log(`Stopped watching key: ${key}`);
+    }
+  }
+
+  /**
+   * Watch every change on stream_data. Callbacks receive the changed record
+   * (null on delete) and change metadata; used by live query subscriptions.
+   */
+  async startCollectionWatch(id, callback) {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    this.collectionWatchers.set(id, callback);
+    return id;
+  }
+
+  async stopCollectionWatch(id) {
+    this.collectionWatchers.delete(id);
+  }
+
+  matchesQuery(record, query) {
+    return matchesQuery(record, query, { keyPatternMode: 'like' });
+  }
+
+  async queryData(query = {}, options = {}) {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    try {
+      const { sql, params } = this.buildSqliteQuery(query, options);
+      return this.db.prepare(sql).all(...params).map(row => this.formatRecord(row));
+    } catch (error) {
+      console.error('SQLite query error:', error.message);
+      throw error;
+    }
+  }
+
+  buildSqliteQuery(query, options) {
+    const conditions = this.buildSqliteConditions(query);
+    let sql = `SELECT ${RECORD_COLUMNS} FROM stream_data WHERE ${conditions.sql}`;
+    const params = conditions.params;
+
+    // Add ordering
+    if (!options.sort && Array.isArray(query.orderBy) && query.orderBy.length > 0) {
+      sql += ` ORDER BY ${this.buildOrderBy(query.orderBy)}`;
+    } else {
+      const sortField = options.sort?.field || 'last_modified';
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(sortField)) {
+        throw new Error(`Cannot order by field "${sortField}"`);
+      }
+      const sortOrder = String(options.sort?.order || 'DESC').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      sql += ` ORDER BY ${sortField} ${sortOrder}`;
+    }
+
+    // Add pagination (SQLite needs a LIMIT to use OFFSET)
+    if (options.limit || options.skip) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(options.limit || -1, options.skip || 0);
+    }
+
+    return { sql, params };
+  }
+
+  buildOrderBy(orderBy) {
+    return orderBy.map(({ field, direction }) => {
+      const expression = this.sqlFieldExpression(field);
+      if (!expression) {
+        throw new Error(`Cannot order by field "${field}"`);
+      }
+      return `${expression.sql} ${String(direction).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'}`;
+    }).join(', ');
+  }
+
+  buildSqliteConditions(query) {
+    let sql = '(ttl IS NULL OR ttl > ?)';
+    const params = [new Date().toISOString()];
+
+    if (query.keys) {
+      const keys = Array.isArray(query.keys) ? query.keys : [query.keys];
+      sql += ` AND key IN (${keys.map(() => '?').join(',')})`;
+      params.push(...keys);
+    }
+
+    if (query.keyPattern) {
+      sql += ' AND key LIKE ?';
+      params.push(query.keyPattern.replace(/\*/g, '%'));
+    }
+
+    if (query.tags) {
+      const tags = Array.isArray(query.tags) ? query.tags : [query.tags];
+      sql += ` AND EXISTS (SELECT 1 FROM json_each(stream_data.tags) WHERE value IN (${tags.map(() => '?').join(',')}))`;
+      params.push(...tags);
+    }
+
+    if (query.since) {
+      sql += ' AND last_modified >= ?';
+      params.push(new Date(query.since).toISOString());
+    }
+
+    if (query.until) {
+      sql += ' AND last_modified <= ?';
+      params.push(new Date(query.until).toISOString());
+    }
+
+    if (query.data) {
+      for (const [field, value] of Object.entries(query.data)) {
+        sql += ' AND json_extract(data, ?) = ?';
+        params.push(`$.${field}`, typeof value === 'boolean' ? Number(value) : value);
+      }
+    }
+
+    // WHERE clause parsed from a SQL-like query string
+    if (isConditionNode(query.where)) {
+      const compiled = this.compileWhere(query.where);
+      sql += ` AND ${compiled.sql}`;
+      params.push(...compiled.params);
+    }
+
+    return { sql, params };
+  }
+
+  /**
+   * Compile a WHERE clause AST (see queryParser) into a parameterized SQL
+   * condition over JSON1 functions.
+   */
+  compileWhere(node) {
+    const orNull = sql => `COALESCE(${sql}, 0)`;
+
+    switch (node.type) {
+      case 'logical': {
+        const parts = node.conditions.map(condition => this.compileWhere(condition));
+        return {
+          sql: `(${parts.map(part => part.sql).join(` ${node.operator} `)})`,
+          params: parts.flatMap(part => part.params)
+        };
+      }
+      case 'not': {
+        const inner = this.compileWhere(node.condition);
+        return { sql: `NOT ${orNull(inner.sql)}`, params: inner.params };
+      }
+      case 'comparison': {
+        const operators = { '=': '$eq', '!=': '$ne', '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+        return this.compileComparison(node, operators[node.operator], node.value);
+      }
+      case 'in':
+        return this.compileComparison(node, node.negated ? '$nin' : '$in', node.values);
+      case 'between': {
+        const low = this.compileComparison(node, '$gte', node.low);
+        const high = this.compileComparison(node, '$lte', node.high);
+        const sql = `(${low.sql} AND ${high.sql})`;
+        return {
+          sql: node.negated ? `NOT ${orNull(sql)}` : sql,
+          params: [...low.params, ...high.params]
+        };
+      }
+      case 'null': {
+        const expression = this.requireFieldExpression(node);
+        const sql = expression.type === 'json' ?
+          `(${expression.jsonType} IS NULL OR ${expression.jsonType} = 'null')` :
+          `${expression.sql} IS NULL`;
+        return { sql: node.negated ? `NOT ${sql}` : sql, params: [] };
+      }
+      case 'like': {
+        const expression = this.requireFieldExpression(node);
+        const sql = expression.type === 'json' ?
+          `(${expression.jsonType} = 'text' AND ${expression.sql} LIKE ?)` :
+          `${expression.sql} LIKE ?`;
+        return { sql: node.negated ? `NOT ${orNull(sql)}` : sql, params: [node.pattern] };
+      }
+      default:
+        throw new Error(`Unknown condition node: ${node.type}`);
+    }
+  }
+
+  compileComparison(node, operator, value) {
+    const translated = this.translateComparison(this.requireFieldExpression(node), operator, value);
+    if (!translated) {
+      throw new Error(`Unsupported comparison on "${node.field}" at position ${node.position}`);
+    }
+    return translated;
+  }
+
+  requireFieldExpression(node) {
+    const expression = this.sqlFieldExpression(node.field);
+    if (!expression) {
+      throw new Error(`Unsupported field "${node.field}" at position ${node.position}`);
+    }
+    return expression;
+  }
+
+  sqlFieldExpression(fieldPath) {
+    if (fieldPath === 'key') return { sql: 'key', type: 'column' };
+    if (fieldPath === 'lastModified') return { sql: 'last_modified', type: 'date' };
+    if (fieldPath === 'timestamp') return { sql: 'timestamp', type: 'date' };
+    if (fieldPath === 'tags') return this.jsonExpression('tags', '$');
+
+    // Only plain identifiers, so the JSON path can be inlined safely
+    const match = /^(data|metadata)((?:\.[A-Za-z_][A-Za-z0-9_]*)+)$/.exec(fieldPath);
+    if (match) return this.jsonExpression(match[1], `$${match[2]}`);
+
+    return null;
+  }
+
+  jsonExpression(column, jsonPath) {
+    return {
+      sql: `json_extract(${column}, '${jsonPath}')`,
+      jsonType: `json_type(${column}, '${jsonPath}')`,
+      // json_each yields the value itself for scalars and the elements for arrays
+      elements: `json_each(${column}, '${jsonPath}')`,
+      type: 'json'
+    };
+  }
+
+  translateComparison(expression, operator, value) {
+    const rangeOperators = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+    const isScalar = v => ['string', 'number', 'boolean'].includes(typeof v);
+
+    if (expression.type === 'json') {
+      // Exact, type-aware equality that also matches array elements the way
+      // MongoDB equality does
+      const equals = (v) => {
+        if (typeof v === 'boolean') {
+          return {
+            sql: `(${expression.jsonType} <> 'object' AND EXISTS (SELECT 1 FROM ${expression.elements} AS e WHERE e.type = ?))`,
+            params: [v ? 'true' : 'false']
+          };
+        }
+        const types = typeof v === 'number' ? "('integer', 'real')" : "('text')";
+        return {
+          sql: `(${expression.jsonType} <> 'object' AND EXISTS (SELECT 1 FROM ${expression.elements} AS e WHERE e.type IN ${types} AND e.value = ?))`,
+          params: [v]
+        };
+      };
+
+      if (operator === '$eq' && isScalar(value)) return equals(value);
+      if (operator === '$ne' && isScalar(value)) {
+        const eq = equals(value);
+        return { sql: `NOT COALESCE(${eq.sql}, 0)`, params: eq.params };
+      }
+      if ((operator === '$in' || operator === '$nin') && Array.isArray(value) && value.length > 0 && value.every(isScalar)) {
+        const parts = value.map(equals);
+        const sql = parts.map(part => part.sql).join(' OR ');
+        return {
+          sql: operator === '$in' ? `(${sql})` : `NOT COALESCE((${sql}), 0)`,
+          params: parts.flatMap(part => part.params)
+        };
+      }
+      if (rangeOperators[operator] && typeof value === 'number') {
+        return {
+          sql: `(${expression.jsonType} IN ('integer', 'real') AND ${expression.sql} ${rangeOperators[operator]} ?)`,
+          params: [value]
+        };
+      }
+      if (rangeOperators[operator] && typeof value === 'string') {
+        return {
+          sql: `(${expression.jsonType} = 'text' AND ${expression.sql} ${rangeOperators[operator]} ?)`,
+          params: [value]
+        };
+      }
+      return null;
+    }
+
+    if (expression.type === 'date') {
+      const isDateLike = value instanceof Date || typeof value === 'string' || typeof value === 'number';
+      if (!isDateLike) return null;
+      // ISO 8601 UTC text compares chronologically
+      const iso = new Date(value).toISOString();
+      if (operator === '$eq') return { sql: `${expression.sql} = ?`, params: [iso] };
+      if (operator === '$ne') return { sql: `${expression.sql} <> ?`, params: [iso] };
+      if (rangeOperators[operator]) {
+        return { sql: `${expression.sql} ${rangeOperators[operator]} ?`, params: [iso] };
+      }
+      return null;
+    }
+
+    // key column; SQLite's default BINARY collation is case-sensitive like MongoDB
+    if (operator === '$eq' && typeof value === 'string') return { sql: `${expression.sql} = ?`, params: [value] };
+    if (operator === '$ne' && typeof value === 'string') return { sql: `${expression.sql} <> ?`, params: [value] };
+    if ((operator === '$in' || operator === '$nin') && Array.isArray(value) && value.length > 0 &&
+        value.every(v => typeof v === 'string')) {
+      return {
+        sql: `${expression.sql} ${operator === '$in' ? 'IN' : 'NOT IN'} (${value.map(() => '?').join(', ')})`,
+        params: value
+      };
+    }
+    if (rangeOperators[operator] && typeof value === 'string') {
+      return { sql: `${expression.sql} ${rangeOperators[operator]} ?`, params: [value] };
+    }
+    return null;
+  }
+
+  async getAllKeys() {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    try {
+      const rows = this.db.prepare(`
+        SELECT key, last_modified, tags
+        FROM stream_data
+        WHERE (ttl IS NULL OR ttl > ?)
+        ORDER BY last_modified DESC
+      `).all(new Date().toISOString());
+
+      return rows.map(row => ({
+        key: row.key,
+        lastModified: new Date(row.last_modified),
+        tags: this.parseJsonColumn(row.tags, [])
+      }));
+    } catch (error) {
+      console.error('SQLite getAllKeys error:', error.message);
+      throw error;
+    }
+  }
+
+  async deleteData(key) {
+    if (!this.connected) {
+      throw new Error('SQLite not connected');
+    }
+
+    try {
+      const result = this.db.prepare('DELETE FROM stream_data WHERE key = ?').run(key);
+      this.scheduleDrain();
+
+      return {
+        success: true,
+        deleted: result.changes > 0
+      };
+    } catch (error) {
+      console.error('SQLite delete error:', error.message);
+      throw error;
+    }
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      activeWatchers: this.activeWatchers.size,
+      collectionWatchers: this.collectionWatchers.size,
+      isConnected: this.connected,
+      filename: this.filename,
+      fileWatcherActive: !!this.fileWatcher
+    };
+  }
+
+  async disconnect() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+
+    if (this.ttlCleanupInterval) {
+      clearInterval(this.ttlCleanupInterval);
+      this.ttlCleanupInterval = null;
+    }
+
+    if (this.fileWatcher) {
+      this.fileWatcher.close();
+      this.fileWatcher = null;
+    }
+
+    this.activeWatchers.clear();
+    this.collectionWatchers.clear();
+
+    if (this.db) {
+      this.connected = false;
+      this.db.close();
+      this.db = null;
+      console.log('Advanced SQLite disconnected');
+    }
+  }
+
+  isConnected() {
+    return this.connected && !!this.db;
+  }
+}
+
+module.exports = AdvancedSqliteConnector;
@@ -0,0 +1,384 @@
+const { isDeepStrictEqual } = require('util');
+const { getPath } = require('./queryMatcher');
+
+/**
+ * In-process aggregation over stream_data records ({ key, data, timestamp,
+ * lastModified, tags, metadata }).
+ *
+ * Supports a MongoDB-compatible subset so a pipeline gives the same result
+ * whether it runs natively on MongoDB, partially on MySQL, or here:
+ * $match, $project, $group ($sum/$avg/$min/$max/$count/$push/$first/$last),
+ * $sort, $unwind, $limit, $skip and $count.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+function setPath(object, path, value) {
+  const segments = String(path).split('.');
+  const root = { ...object };
+  let current = root;
+
+  for (let i = 0; i < segments.length - 1; i++) {
+    const next = current[segments[i]];
+    current[segments[i]] = isPlainObject(next) ? { ...next } : {};
+    current = current[segments[i]];
+  }
+
+  current[segments[segments.length - 1]] = value;
+  return root;
+}
+
+function unsetPath(object, path) {
+  const segments = String(path).split('.');
+  const root = { ...object };
+  let current = root;
+
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (!isPlainObject(current[segments[i]])) return root;
+    current[segments[i]] = { ...current[segments[i]] };
+    current = current[segments[i]];
+  }
+
+  delete current[segments[segments.length - 1]];
+  return root;
+}
+
+// BSON-like type ordering so mixed-type sorts are deterministic
+function typeRank(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (isPlainObject(value)) return 3;
+  if (Array.isArray(value)) return 4;
+  if (typeof value === 'boolean') return 5;
+  if (value instanceof Date) return 6;
+  return 7;
+}
+
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (rankA === 0) return 0;
+
+  const jsonA = JSON.stringify(a);
+  const jsonB = JSON.stringify(b);
+  return jsonA < jsonB ? -1 : jsonA > jsonB ? 1 : 0;
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+  return isDeepStrictEqual(a, b);
+}
+
+/**
+ * Resolve an aggregation expression against a document: '$path' strings are
+ * field references, objects are evaluated field by field, anything else is
+ * a literal.
+ */
+function evaluateExpression(document, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(document, expression.slice(1));
+  }
+
+  if (isPlainObject(expression)) {
+    const result = {};
+    for (const [field, value] of Object.entries(expression)) {
+      result[field] = evaluateExpression(document, value);
+    }
+    return result;
+  }
+
+  return expression;
+}
+
+function matchesCondition(actual, condition) {
+  if (condition instanceof RegExp) {
+    return typeof actual === 'string' && condition.test(actual);
+  }
+
+  if (!isPlainObject(condition) || !Object.keys(condition).some(op => op.startsWith('$'))) {
+    if (Array.isArray(actual) && !Array.isArray(condition)) {
+      return actual.some(item => valuesEqual(item, condition));
+    }
+    return valuesEqual(actual, condition);
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$eq':
+        return matchesCondition(actual, expected);
+      case '$ne':
+        return !matchesCondition(actual, expected);
+      case '$gt':
+        return actual !== undefined && actual !== null && typeRank(actual) === typeRank(expected) && compareValues(actual, expected) > 0;
+      case '$gte':
+        return actual !== undefined && actual !== null && typeRank(actual) === typeRank(expected) && compareValues(actual, expected) >= 0;
+      case '$lt':
+        return actual !== undefined && actual !== null && typeRank(actual) === typeRank(expected) && compareValues(actual, expected) < 0;
+      case '$lte':
+        return actual !== undefined && actual !== null && typeRank(actual) === typeRank(expected) && compareValues(actual, expected) <= 0;
+      case '$in':
+        return expected.some(value => matchesCondition(actual, value));
+      case '$nin':
+        return !expected.some(value => matchesCondition(actual, value));
+      case '$exists':
+        return expected ? actual !== undefined : actual === undefined;
+      case '$regex':
+        return typeof actual === 'string' && new RegExp(expected, condition.$options || '').test(actual);
+      case '$options':
+        return true;
+      default:
+        throw new Error(`Unsupported $match operator: ${operator}`);
+    }
+  });
+}
+
+function matchesFilter(document, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => {
+    switch (field) {
+      case '$and':
+        return condition.every(sub => matchesFilter(document, sub));
+      case '$or':
+        return condition.some(sub => matchesFilter(document, sub));
+      case '$nor':
+        return !condition.some(sub => matchesFilter(document, sub));
+      default:
+        return matchesCondition(getPath(document, field), condition);
+    }
+  });
+}
+
+function project(document, specification) {
+  const entries = Object.entries(specification);
+  const isExclusion = entries.every(([field, value]) => value === 0 || value === false || field === '_id');
+  const hasNonIdField = entries.some(([field]) => field !== '_id');
+
+  if (isExclusion && hasNonIdField) {
+    return entries.reduce((result, [field]) => unsetPath(result, field), document);
+  }
+
+  let result = {};
+  if (document._id !== undefined && specification._id !== 0 && specification._id !== false) {
+    result._id = document._id;
+  }
+
+  for (const [field, value] of entries) {
+    if (value === 0 || value === false) {
+      if (field === '_id') delete result._id;
+      continue;
+    }
+
+    const resolved = value === 1 || value === true ?
+      getPath(document, field) :
+      evaluateExpression(document, value);
+
+    if (resolved !== undefined) {
+      result = setPath(result, field, resolved);
+    }
+  }
+
+  return result;
+}
+
+const accumulators = {
+  $sum: {
+    init: () => 0,
+    add: (state, value) => (typeof value === 'number' ? state + value : state),
+    result: state => state
+  },
+  $avg: {
+    init: () => ({ total: 0, count: 0 }),
+    add: (state, value) => (typeof value === 'number' ?
+      { total: state.total + value, count: state.count + 1 } : state),
+    result: state => (state.count > 0 ? state.total / state.count : null)
+  },
+  $min: {
+    init: () => undefined,
+    add: (state, value) => (value === undefined || value === null ? state :
+      state === undefined || compareValues(value, state) < 0 ? value : state),
+    result: state => (state === undefined ? null : state)
+  },
+  $max: {
+    init: () => undefined,
+    add: (state, value) => (value === undefined || value === null ? state :
+      state === undefined || compareValues(value, state) > 0 ? value : state),
+    result: state => (state === undefined ? null : state)
+  },
+  $count: {
+    init: () => 0,
+    add: state => state + 1,
+    result: state => state
+  },
+  $push: {
+    init: () => [],
+    add: (state, value) => (value === undefined ? state : [...state, value]),
+    result: state => state
+  },
+  $first: {
+    init: () => ({ set: false, value: null }),
+    add: (state, value) => (state.set ? state : { set: true, value: value === undefined ? null : value }),
+    result: state => state.value
+  },
+  $last: {
+    init: () => null,
+    add: (state, value) => (value === undefined ? null : value),
+    result: state => state
+  }
+};
+
+function group(documents, specification) {
+  if (!Object.prototype.hasOwnProperty.call(specification, '_id')) {
+    throw new Error('$group requires an _id expression');
+  }
+
+  const fields = Object.entries(specification)
+    .filter(([field]) => field !== '_id')
+    .map(([field, accumulatorSpec]) => {
+      const [operator] = Object.keys(accumulatorSpec || {});
+      if (!accumulators[operator]) {
+        throw new Error(`Unsupported $group accumulator for "${field}": ${operator}`);
+      }
+      return { field, operator, expression: accumulatorSpec[operator] };
+    });
+
+  const groups = new Map();
+
+  for (const document of documents) {
+    const id = evaluateExpression(document, specification._id);
+    const groupKey = JSON.stringify(id === undefined ? null : id);
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        _id: id === undefined ? null : id,
+        states: fields.map(({ operator }) => accumulators[operator].init())
+      });
+    }
+
+    const entry = groups.get(groupKey);
+    fields.forEach(({ operator, expression }, index) => {
+      const value = operator === '$count' ? undefined : evaluateExpression(document, expression);
+      entry.states[index] = accumulators[operator].add(entry.states[index], value);
+    });
+  }
+
+  return Array.from(groups.values()).map(entry => {
+    const result = { _id: entry._id };
+    fields.forEach(({ field, operator }, index) => {
+      result[field] = accumulators[operator].result(entry.states[index]);
+    });
+    return result;
+  });
+}
+
+function sort(documents, specification) {
+  const fields = Object.entries(specification);
+
+  return documents
+    .map((document, index) => ({ document, index }))
+    .sort((a, b) => {
+      for (const [field, direction] of fields) {
+        const order = compareValues(getPath(a.document, field), getPath(b.document, field));
+        if (order !== 0) return direction < 0 ? -order : order;
+      }
+      return a.index - b.index; // stable
+    })
+    .map(({ document }) => document);
+}
+
+function unwind(documents, specification) {
+  const options = typeof specification === 'string' ? { path: specification } : specification;
+  const path = String(options.path).replace(/^\$/, '');
+  const results = [];
+
+  for (const document of documents) {
+    const value = getPath(document, path);
+
+    if (Array.isArray(value) && value.length > 0) {
+      value.forEach((item, index) => {
+        let unwound = setPath(document, path, item);
+        if (options.includeArrayIndex) {
+          unwound = setPath(unwound, options.includeArrayIndex, index);
+        }
+        results.push(unwound);
+      });
+    } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+      results.push(document);
+    } else if (options.preserveNullAndEmptyArrays) {
+      results.push(options.includeArrayIndex ? setPath(document, options.includeArrayIndex, null) : document);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Run an aggregation pipeline over an array of records.
+ *
+ * @param {Array<Object>} documents - Input records
+ * @param {Array<Object>} pipeline - Pipeline stages
+ * @returns {Array<Object>} - Pipeline output
+ */
+function runPipeline(documents, pipeline = []) {
+  if (!Array.isArray(pipeline)) {
+    throw new Error('Aggregation pipeline must be an array of stages');
+  }
+
+  let result = documents;
+
+  for (const stage of pipeline) {
+    const stageNames = Object.keys(stage || {});
+    if (stageNames.length !== 1) {
+      throw new Error('Each aggregation stage must have exactly one operator');
+    }
+
+    const [name] = stageNames;
+    const specification = stage[name];
+
+    switch (name) {
+      case '$match':
+        result = result.filter(document => matchesFilter(document, specification));
+        break;
+      case '$project':
+        result = result.map(document => project(document, specification));
+        break;
+      case '$group':
+        result = group(result, specification);
+        break;
+      case '$sort':
+        result = sort(result, specification);
+        break;
+      case '$unwind':
+        result = unwind(result, specification);
+        break;
+      case '$limit':
+        result = result.slice(0, specification);
+        break;
+      case '$skip':
+        result = result.slice(specification);
+        break;
+      case '$count':
+        result = [{ [specification]: result.length }];
+        break;
+      default:
+        throw new Error(`Unsupported aggregation stage: ${name}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  runPipeline,
+  matchesFilter,
+  evaluateExpression,
+  compareValues
+};
@@ -0,0 +1,154 @@
+const EventEmitter = require('events');
+const { matchesFilter } = require('./aggregationEngine');
+
+/**
+ * Row-level change data capture on application tables and collections,
+ * returned by watchTable() and watchCollection() on the advanced package.
+ *
+ * Emits 'insert', 'update' and 'delete' with a row change, 'change' for all
+ * three, 'ready' once the capture is running and 'error' if it could not
+ * start. A row change looks like
+ *
+ *   {
+ *     operation: 'insert' | 'update' | 'delete',
+ *     source: 'mysql' | 'mongodb',
+ *     table: 'orders',                 // `collection` on MongoDB
+ *     primaryKey: { id: 42 },
+ *     before: { ... } | null,          // null on insert, or when no before image exists
+ *     after: { ... } | null,           // null on delete
+ *     changedColumns: ['status'],      // updates only; null when unknown
+ *     timestamp: Date,
+ *     position: { binlogFile, binlogPosition } | { resumeToken },
+ *     transactionId: string | null
+ *   }
+ */
+class ChangeCapture extends EventEmitter {
+  /**
+   * @param {string} name - Table or collection being captured
+   * @param {Function} stop - Releases the connector watch; returns a promise
+   */
+  constructor(name, stop) {
+    super();
+    this.name = name;
+    this.stop = stop;
+    this.closed = false;
+  }
+
+  deliver(change) {
+    if (this.closed) return;
+
+    try {
+      this.emit(change.operation, change);
+      this.emit('change', change);
+    } catch (error) {
+      console.error(`Error in change capture listener for ${this.name}:`, error);
+    }
+  }
+
+  // Without an 'error' listener a failure is logged instead of crashing the process
+  fail(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(`Change capture for ${this.name} failed:`, error.message);
+    }
+  }
+
+  async close() {
+    if (this.closed) return;
+
+    this.closed = true;
+    await this.stop();
+    this.emit('close');
+  }
+}
+
+/**
+ * Build a row change from before/after images
+ * @param {Object} params
+ * @param {string} params.operation - 'insert', 'update' or 'delete'
+ * @param {Object|null} params.before - Row before the change
+ * @param {Object|null} params.after - Row after the change
+ * @param {Array<string>} [params.primaryKey] - Key columns, read from the row images
+ * @param {Object} [params.documentKey] - Ready-made key (MongoDB documentKey)
+ * @param {Array<string>} [params.columns] - Columns to keep in the images (key columns always kept)
+ * @param {Array<string>|null} [params.changedColumns] - Known changed columns, otherwise diffed
+ */
+function createRowChange(params) {
+  const { operation, before, after, primaryKey = [], columns = null } = params;
+  const row = after || before || {};
+
+  let key = params.documentKey;
+  if (!key) {
+    key = {};
+    for (const column of primaryKey) {
+      key[column] = row[column];
+    }
+  }
+
+  let changedColumns = null;
+  if (operation === 'update') {
+    changedColumns = params.changedColumns || (before && after ? diffColumns(before, after) : null);
+    if (changedColumns && columns) {
+      changedColumns = changedColumns.filter(column => columns.includes(column));
+    }
+  }
+
+  const change = {
+    operation,
+    source: params.source,
+    primaryKey: key,
+    before: projectRow(before, columns, primaryKey),
+    after: projectRow(after, columns, primaryKey),
+    changedColumns,
+    timestamp: params.timestamp || new Date(),
+    position: params.position || null,
+    transactionId: params.transactionId || null
+  };
+
+  if (params.table) change.table = params.table;
+  if (params.collection) change.collection = params.collection;
+
+  return change;
+}
+
+function projectRow(row, columns, primaryKey = []) {
+  if (!row || !columns) return row || null;
+
+  const projected = {};
+  for (const column of [...primaryKey, ...columns]) {
+    if (column in row) projected[column] = row[column];
+  }
+  return projected;
+}
+
+// Columns whose values differ between two row images
+function diffColumns(before, after) {
+  const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return Array.from(columns).filter(column => !sameValue(before[column], after[column]));
+}
+
+function sameValue(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (Buffer.isBuffer(a) && Buffer.isBuffer(b)) return a.equals(b);
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+/**
+ * watchTable() `where`: a row predicate function or a MongoDB-style filter
+ */
+function rowMatches(where, row) {
+  if (!where) return true;
+  if (!row) return false;
+  return typeof where === 'function' ? Boolean(where(row)) : matchesFilter(row, where);
+}
+
+module.exports = {
+  ChangeCapture,
+  createRowChange,
+  diffColumns,
+  rowMatches
+};
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Durable change-stream positions, so a restarted connector resumes where
+ * it last delivered events instead of replaying or skipping history.
+ *
+ * A store is any object with
+ *
+ *   load(name)             -> Promise<Object|null>
+ *   save(name, checkpoint) -> Promise<void>
+ *
+ * where `name` identifies one stream (a MySQL database's binlog, a MongoDB
+ * collection's change stream) and
+ * `checkpoint` is a JSON-serializable object owned by the connector.
+ * Connectors pick a store with config.checkpointStore: 'table' (a table or
+ * collection in their own database, the default), 'memory',
+ * { file: '/path/to/checkpoints.json' }, a store object, or false to
+ * disable checkpointing.
+ */
+
+/**
+ * Keeps checkpoints in a MySQL table next to stream_data
+ */
+class MysqlTableCheckpointStore {
+  /**
+   * @param {Object} pool - mysql2/promise pool
+   * @param {Object} [options]
+   * @param {string} [options.table] - Table name (default: stream_checkpoints)
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.table = options.table || 'stream_checkpoints';
+    this.ready = null;
+  }
+
+  ensureTable() {
+    if (!this.ready) {
+      this.ready = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS \`${this.table}\` (
+          name VARCHAR(191) NOT NULL PRIMARY KEY,
+          checkpoint JSON NOT NULL,
+          updated_at DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6)
+        ) ENGINE=InnoDB
+      `).catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async load(name) {
+    await this.ensureTable();
+    const [rows] = await this.pool.query(`SELECT checkpoint FROM \`${this.table}\` WHERE name = ?`, [name]);
+    if (rows.length === 0) return null;
+
+    const value = rows[0].checkpoint;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  async save(name, checkpoint) {
+    await this.ensureTable();
+    await this.pool.query(
+      `INSERT INTO \`${this.table}\` (name, checkpoint) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE checkpoint = VALUES(checkpoint)`,
+      [name, JSON.stringify(checkpoint)]
+    );
+  }
+}
+
+/**
+ * Keeps checkpoints in a MongoDB collection next to stream_data
+ */
+class MongoCollectionCheckpointStore {
+  /**
+   * @param {Object} db - MongoDB Db handle
+   * @param {Object} [options]
+   * @param {string} [options.collection] - Collection name (default: stream_checkpoints)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.collection = options.collection || 'stream_checkpoints';
+  }
+
+  async load(name) {
+    const document = await this.db.collection(this.collection).findOne({ _id: name });
+    return document ? document.checkpoint : null;
+  }
+
+  async save(name, checkpoint) {
+    await this.db.collection(this.collection).updateOne(
+      { _id: name },
+      { $set: { checkpoint, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+}
+
+/**
+ * Keeps every checkpoint in one JSON file, replaced atomically on save
+ */
+class FileCheckpointStore {
+  /**
+   * @param {string} filePath - JSON file holding { [name]: checkpoint }
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.writing = Promise.resolve();
+  }
+
+  async readAll() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async load(name) {
+    const checkpoints = await this.readAll();
+    return checkpoints[name] || null;
+  }
+
+  // Saves are serialized so concurrent streams sharing the file don't lose updates
+  save(name, checkpoint) {
+    const write = this.writing.then(async () => {
+      const checkpoints = await this.readAll();
+      checkpoints[name] = checkpoint;
+
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(checkpoints, null, 2));
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+
+    this.writing = write.catch(() => {});
+    return write;
+  }
+}
+
+/**
+ * Process-local store; positions are lost on restart
+ */
+class MemoryCheckpointStore {
+  constructor() {
+    this.checkpoints = new Map();
+  }
+
+  async load(name) {
+    return this.checkpoints.has(name) ? { ...this.checkpoints.get(name) } : null;
+  }
+
+  async save(name, checkpoint) {
+    this.checkpoints.set(name, { ...checkpoint });
+  }
+}
+
+/**
+ * Resolve config.checkpointStore to a store, or null when disabled
+ * @param {string|Object|false} [option] - See the module comment
+ * @param {Object} [defaults]
+ * @param {Function} [defaults.table] - Builds the connector's table store for 'table'
+ * @returns {Object|null}
+ */
+function createCheckpointStore(option, defaults = {}) {
+  if (option === false || option === null) {
+    return null;
+  }
+
+  if (option === undefined || option === 'table' || option === 'collection') {
+    if (!defaults.table) {
+      throw new Error('This connector has no table checkpoint store; use "memory", { file } or a custom store');
+    }
+    return defaults.table();
+  }
+
+  if (option === 'memory') {
+    return new MemoryCheckpointStore();
+  }
+
+  if (typeof option === 'object' && typeof option.file === 'string') {
+    return new FileCheckpointStore(option.file);
+  }
+
+  if (typeof option === 'object' && typeof option.load === 'function' && typeof option.save === 'function') {
+    return option;
+  }
+
+  throw new Error('checkpointStore must be "table", "collection", "memory", { file }, a store with load/save, or false');
+}
+
+module.exports = {
+  MysqlTableCheckpointStore,
+  MongoCollectionCheckpointStore,
+  FileCheckpointStore,
+  MemoryCheckpointStore,
+  createCheckpointStore
+};
@@ -0,0 +1,162 @@
+const zlib = require('zlib');
+
+/**
+ * Compression for the advanced package. With enableCompression, values
+ * whose JSON is at least compressionThreshold bytes are compressed with
+ * compressionCodec and stored as a self-describing envelope, so every read
+ * path and connector can recognise it and restore the value:
+ *
+ *   {
+ *     __cmp: 1,                                 // envelope format version
+ *     codec: 'gzip' | 'deflate' | 'brotli' | 'identity',
+ *     type: 'json' | 'binary',                  // what was compressed
+ *     data: '<base64>' | Buffer                 // raw bytes where the connector stores binary
+ *   }
+ *
+ * JSON columns get base64; connectors that set storesBinary (MongoDB) get
+ * the Buffer itself, written as BSON Binary without the base64 overhead.
+ *
+ * Smaller values, and values that would not shrink, are stored as they
+ * are and stay queryable; the database cannot see into compressed ones,
+ * so query() conditions on data don't match them. Buffers are always
+ * stored in an envelope (`identity` when not worth compressing) so they
+ * come back as Buffers instead of `{ type: 'Buffer', data: [...] }`.
+ *
+ * Encrypted values are compressed before sealing; the encryption envelope's
+ * type then names the codec too, e.g. 'json+gzip' (see encryption.js).
+ */
+
+const ENVELOPE_VERSION = 1;
+const DEFAULT_CODEC = 'gzip';
+const DEFAULT_THRESHOLD = 1024;
+
+const CODECS = {
+  gzip: { compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+  deflate: { compress: zlib.deflateSync, decompress: zlib.inflateSync },
+  brotli: { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync },
+  identity: { compress: bytes => bytes, decompress: bytes => bytes }
+};
+
+/**
+ * Resolve the compression settings of an advanced config, or null when disabled
+ * @param {Object} config - enableCompression, compressionCodec, compressionThreshold
+ * @returns {{ codec: string, threshold: number }|null}
+ */
+function resolveCompressionOptions(config) {
+  if (!config.enableCompression) {
+    return null;
+  }
+
+  const codec = config.compressionCodec || DEFAULT_CODEC;
+  if (!CODECS[codec] || codec === 'identity') {
+    throw new Error('compressionCodec must be "gzip", "deflate" or "brotli"');
+  }
+
+  const threshold = config.compressionThreshold === undefined ? DEFAULT_THRESHOLD : config.compressionThreshold;
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new Error('compressionThreshold must be a non-negative integer number of bytes');
+  }
+
+  return { codec, threshold };
+}
+
+/**
+ * Serialize a value, compressed when the settings say it is worth it
+ * @param {*} value - JSON-serializable value or Buffer
+ * @param {Object|null} [settings] - resolveCompressionOptions() output
+ * @returns {{ type: string, codec: string, bytes: Buffer }}
+ */
+function encodeBytes(value, settings = null) {
+  const type = Buffer.isBuffer(value) ? 'binary' : 'json';
+  const bytes = type === 'binary' ? value : Buffer.from(JSON.stringify(value), 'utf8');
+
+  if (settings && bytes.length >= settings.threshold) {
+    const compressed = CODECS[settings.codec].compress(bytes);
+    if (compressed.length < bytes.length) {
+      return { type, codec: settings.codec, bytes: compressed };
+    }
+  }
+
+  return { type, codec: 'identity', bytes };
+}
+
+/**
+ * Restore a value from encodeBytes() output
+ * @param {string} type - 'json' or 'binary'
+ * @param {string} codec - Codec the bytes were compressed with
+ * @param {Buffer} bytes
+ * @returns {*}
+ */
+function decodeBytes(type, codec, bytes) {
+  if (!CODECS[codec]) {
+    throw new Error(`Unknown compression codec "${codec}"`);
+  }
+
+  const plain = CODECS[codec].decompress(bytes);
+  return type === 'binary' ? Buffer.from(plain) : JSON.parse(plain.toString('utf8'));
+}
+
+/**
+ * The value to store: an envelope when compressed (or binary), else the value itself
+ * @param {*} value
+ * @param {Object} settings - resolveCompressionOptions() output
+ * @param {Object} [options]
+ * @param {boolean} [options.binary] - Keep the bytes as a Buffer instead of base64 (default: false)
+ * @returns {*}
+ */
+function compressValue(value, settings, options = {}) {
+  const { type, codec, bytes } = encodeBytes(value, settings);
+
+  if (type === 'json' && codec === 'identity') {
+    return value;
+  }
+
+  return { __cmp: ENVELOPE_VERSION, codec, type, data: options.binary ? bytes : bytes.toString('base64') };
+}
+
+// A BSON Binary read back from MongoDB, recognised without requiring the driver
+function isBsonBinary(data) {
+  return data !== null && typeof data === 'object' && data._bsontype === 'Binary';
+}
+
+// Envelope bytes as stored: base64, a Buffer or a BSON Binary
+function envelopeBytes(data) {
+  if (typeof data === 'string') {
+    return Buffer.from(data, 'base64');
+  }
+
+  return Buffer.from(isBsonBinary(data) ? data.buffer.subarray(0, data.position) : data);
+}
+
+/**
+ * Whether a stored value is a compression envelope
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCompressed(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.__cmp === 'number' && typeof value.codec === 'string' &&
+    (typeof value.data === 'string' || value.data instanceof Uint8Array || isBsonBinary(value.data));
+}
+
+/**
+ * Restore the value in a compression envelope
+ * @param {Object} envelope - compressValue() output
+ * @returns {*}
+ */
+function decompressValue(envelope) {
+  if (envelope.__cmp !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported compression envelope (version ${envelope.__cmp})`);
+  }
+
+  return decodeBytes(envelope.type, envelope.codec, envelopeBytes(envelope.data));
+}
+
+module.exports = {
+  resolveCompressionOptions,
+  encodeBytes,
+  decodeBytes,
+  compressValue,
+  isCompressed,
+  decompressValue
+};
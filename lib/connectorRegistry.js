@@ -0,0 +1,148 @@
+/**
+ * Connector contract shared by both facades.
+ *
+ * A connector owns one storage backend and exposes stream records
+ * ({ key, data, timestamp, lastModified, tags, metadata }). index.js only
+ * needs the basic methods and polls through HeartbeatSystem; advancedIndex.js
+ * also needs the real-time and query methods, and listens for the
+ * connector's EventEmitter events ('connected', 'disconnected', 'error',
+ * 'change', 'healthCheck', and 'historyLost' when a saved change position
+ * can no longer be resumed).
+ *
+ * @typedef {Object} StreamConnector
+ * @property {function(Object): Promise<boolean>} connect - Open the backend with the init() config
+ * @property {function(): Promise<void>} disconnect - Release every resource, including watchers
+ * @property {function(): boolean} isConnected - Whether the backend is usable
+ * @property {function(string, *, Object=): Promise<Object>} writeData - Upsert a key: { success, key, upserted, modified, version }
+ * @property {function(string): Promise<Object|null>} readData - Read a record, or null when missing/expired
+ * @property {function(string): Promise<Object>} deleteData - Delete a key: { success, deleted }
+ * @property {function(): Promise<Array>} getAllKeys - [{ key, lastModified }]
+ * @property {function(Date): Promise<Array>} [readModifiedSince] - Records with lastModified >= the date, oldest first; lets HeartbeatSystem poll with one query
+ * @property {function(): Promise<Date>} [getServerTime] - Current time on the clock that stamps lastModified; seeds HeartbeatSystem's high-water mark
+ * @property {function(string, Function, Object=): Promise<*>} [startRealTimeWatch] - Call back with (data, meta) on changes to a key; meta.previous carries the before image when known
+ * @property {function(string): Promise<void>} [stopWatch] - Stop a key watcher
+ * @property {function(Object, Object=): Promise<Array>} [queryData] - Records matching a query object
+ * @property {function(): Object} [getMetrics] - Connector statistics
+ *
+ * Optional capabilities, used when present: updateData (partial updates,
+ * see updateOperators.js), compareAndSet (writes honouring
+ * options.ifVersion; records then carry a version bumped by every write,
+ * reported in reads and meta.version), readHistory (past versions kept
+ * with config.history, see versionHistory.js), startCollectionWatch /
+ * stopCollectionWatch / matchesQuery (live queries), runTransaction,
+ * aggregateData (aggregation push-down), setupOptimizedIndexes and
+ * watchTable / unwatchTable or watchCollection / unwatchCollection
+ * (change data capture, see changeCapture.js). A connector that sets
+ * storesBinary to true keeps Buffers as native binary, so compression
+ * envelopes hold raw bytes instead of base64 (see compression.js).
+ */
+
+const BASIC_METHODS = [
+  'connect',
+  'disconnect',
+  'isConnected',
+  'writeData',
+  'readData',
+  'deleteData',
+  'getAllKeys'
+];
+
+const ADVANCED_METHODS = [
+  ...BASIC_METHODS,
+  'startRealTimeWatch',
+  'stopWatch',
+  'queryData',
+  'getMetrics',
+  'on'
+];
+
+// Connection fields the bundled network connectors need
+const NETWORK_FIELDS = ['host', 'user', 'password', 'database'];
+
+class ConnectorRegistry {
+  /**
+   * @param {Array<string>} requiredMethods - Methods every connector instance must implement
+   */
+  constructor(requiredMethods = BASIC_METHODS) {
+    this.requiredMethods = requiredMethods;
+    this.factories = new Map(); // dbType -> { factory, requiredFields }
+  }
+
+  /**
+   * Register a connector factory for a dbType. Registering an existing
+   * dbType replaces it.
+   *
+   * @param {string} dbType - Name used as config.dbType (case-insensitive)
+   * @param {function(Object): StreamConnector} factory - Called with the init() config
+   * @param {Object} [options]
+   * @param {Array<string>} [options.requiredFields] - Config fields init() must validate (default: none)
+   */
+  register(dbType, factory, options = {}) {
+    if (!dbType || typeof dbType !== 'string') {
+      throw new Error('dbType must be a non-empty string');
+    }
+
+    if (typeof factory !== 'function') {
+      throw new Error('Connector factory must be a function');
+    }
+
+    const requiredFields = options.requiredFields || [];
+    if (!Array.isArray(requiredFields)) {
+      throw new Error('requiredFields must be an array of config field names');
+    }
+
+    this.factories.set(dbType.toLowerCase(), { factory, requiredFields });
+    return this;
+  }
+
+  has(dbType) {
+    return typeof dbType === 'string' && this.factories.has(dbType.toLowerCase());
+  }
+
+  types() {
+    return Array.from(this.factories.keys());
+  }
+
+  /**
+   * Check config.dbType and the fields its connector requires.
+   */
+  validate(config) {
+    if (!this.has(config.dbType)) {
+      throw new Error(`dbType must be one of: ${this.types().map(type => `"${type}"`).join(', ')}`);
+    }
+
+    const { requiredFields } = this.factories.get(config.dbType.toLowerCase());
+    const missing = requiredFields.filter(field => !config[field]);
+
+    if (missing.length > 0) {
+      throw new Error(`Required fields: dbType, ${requiredFields.join(', ')}`);
+    }
+  }
+
+  /**
+   * Build the connector for config.dbType and check it implements the contract.
+   *
+   * @param {Object} config - init() configuration
+   * @returns {StreamConnector}
+   */
+  create(config) {
+    this.validate(config);
+
+    const { factory } = this.factories.get(config.dbType.toLowerCase());
+    const connector = factory(config);
+
+    const missing = this.requiredMethods.filter(method => typeof (connector && connector[method]) !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Connector for "${config.dbType}" is missing required methods: ${missing.join(', ')}`);
+    }
+
+    return connector;
+  }
+}
+
+module.exports = {
+  ConnectorRegistry,
+  BASIC_METHODS,
+  ADVANCED_METHODS,
+  NETWORK_FIELDS
+};
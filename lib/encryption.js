@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { encodeBytes, decodeBytes } = require('./compression');
+
+/**
+ * Encryption at rest for the advanced package. Values are sealed with
+ * AES-256-GCM into a self-describing envelope stored in place of the data,
+ * so every read path can recognise it and open it:
+ *
+ *   {
+ *     __enc: 1,                   // envelope format version
+ *     alg: 'aes-256-gcm',
+ *     kid: '3f9a0c1d2b4e5f60',    // id of the key that sealed it
+ *     iv: '<base64, 12 bytes>',   // random for every write
+ *     tag: '<base64, 16 bytes>',  // GCM authentication tag
+ *     type: 'json' | 'binary',    // how the plaintext was encoded, plus
+ *                                 // '+gzip' etc. when compressed first
+ *     ct: '<base64 ciphertext>'
+ *   }
+ *
+ * The header fields and the record key are authenticated with the
+ * ciphertext, so an envelope cannot be edited or copied to another key.
+ *
+ * Field-level encryption (fieldEncryption.js) seals single values the same
+ * way and also authenticates their path. Deterministic field envelopes carry
+ * `det: 1`: their IV is derived from the key, path and plaintext instead of
+ * being random, and they are not bound to the record key, so equal values
+ * under the same key encrypt to the same `ct` and can be looked up.
+ *
+ * Keys are 32 bytes: a Buffer, 64 hex characters or base64. Configure one key
+ *
+ *   encryptionKey: process.env.STREAM_KEY,   // id: a fingerprint of the key
+ *   encryptionKeyId: '2024-01',              // optional explicit id
+ *
+ * a keyring, where every key decrypts and encryptionKeyId names the one
+ * that encrypts
+ *
+ *   encryptionKeys: { '2024-01': oldKey, '2024-07': newKey },
+ *   encryptionKeyId: '2024-07',
+ *
+ * or a provider for keys held elsewhere (KMS, vault):
+ *
+ *   keyProvider: async (keyId) => ...
+ *
+ * called once without an id for the key to encrypt with, returning
+ * { id, key }, and with an envelope's kid when a record sealed by another
+ * key is read, returning the key (or { id, key }). Keys are cached for the
+ * life of the instance.
+ *
+ * Rotating without downtime: add the new key to every instance's keyring,
+ * then make it the encryption key (config, or useKey() at runtime), then
+ * run reencrypt() (see reencryption.js) before retiring the old key.
+ */
+
+const ENVELOPE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+class EnvelopeEncryption {
+  /**
+   * @param {Function} keyProvider - (keyId?) => { id, key } | key, sync or async
+   */
+  constructor(keyProvider) {
+    this.keyProvider = keyProvider;
+    this.keys = new Map(); // key id -> 32-byte Buffer
+    this.pendingKeys = new Map(); // key id -> in-flight provider lookup
+    this.ivKeys = new Map(); // key id -> HMAC key for deterministic IVs
+    this.currentKeyId = null;
+  }
+
+  // Load the key to encrypt with; init() fails rather than fall back to a throwaway key
+  async init() {
+    const current = await this.keyProvider();
+
+    if (!current || typeof current.id !== 'string' || current.id === '') {
+      throw new Error('keyProvider() must return { id, key } for the key to encrypt with');
+    }
+
+    this.keys.set(current.id, normalizeKey(current.key));
+    this.currentKeyId = current.id;
+    return this;
+  }
+
+  /**
+   * Encrypt new writes with another key from the keyring or provider
+   * @param {string} keyId
+   */
+  async useKey(keyId) {
+    await this.getKey(keyId);
+    this.currentKeyId = keyId;
+  }
+
+  /**
+   * Whether a stored value is plaintext or sealed by a key other than the current one
+   * @param {*} value - Stored data
+   * @returns {boolean}
+   */
+  needsReencryption(value) {
+    return !isEnvelope(value) || value.kid !== this.currentKeyId;
+  }
+
+  /**
+   * Seal a value under the current key
+   * @param {*} value - JSON-serializable value or Buffer
+   * @param {string} recordKey - Key the value is stored under (authenticated)
+   * @param {Object} [options]
+   * @param {string} [options.field] - Path of a single field within the data (authenticated)
+   * @param {boolean} [options.deterministic] - Same field and value give the same ciphertext
+   * @param {string} [options.keyId] - Loaded key to seal with instead of the current one
+   * @param {Object} [options.compression] - Compress first; resolveCompressionOptions() output
+   * @returns {Object} - Envelope
+   */
+  encrypt(value, recordKey, options = {}) {
+    const kid = options.keyId || this.currentKeyId;
+    const key = this.keys.get(kid);
+    const encoded = encodeBytes(value, options.compression);
+    const type = encoded.codec === 'identity' ? encoded.type : `${encoded.type}+${encoded.codec}`;
+    const plaintext = encoded.bytes;
+    const aad = additionalData(ENVELOPE_VERSION, ALGORITHM, kid, type, options.deterministic ? null : recordKey, options.field);
+
+    // A synthetic IV only repeats for the same key, field and plaintext
+    const iv = options.deterministic
+      ? crypto.createHmac('sha256', this.getIvKey(kid, key)).update(aad).update(plaintext).digest().subarray(0, IV_BYTES)
+      : crypto.randomBytes(IV_BYTES);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    const envelope = {
+      __enc: ENVELOPE_VERSION,
+      alg: ALGORITHM,
+      kid: kid,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      type: type,
+      ct: ciphertext.toString('base64')
+    };
+
+    if (options.deterministic) {
+      envelope.det = 1;
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Open an envelope; fails if it was tampered with or stored under another key
+   * @param {Object} envelope - encrypt() output
+   * @param {string} recordKey - Key the envelope was read from
+   * @param {Object} [options]
+   * @param {string} [options.field] - Path the envelope was read from, for field envelopes
+   * @returns {Promise<*>} - The original value
+   */
+  async decrypt(envelope, recordKey, options = {}) {
+    if (envelope.__enc !== ENVELOPE_VERSION || envelope.alg !== ALGORITHM) {
+      throw new Error(`Unsupported encryption envelope (version ${envelope.__enc}, ${envelope.alg})`);
+    }
+
+    const key = await this.getKey(envelope.kid);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(additionalData(envelope.__enc, envelope.alg, envelope.kid, envelope.type,
+      envelope.det ? null : recordKey, options.field));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ct, 'base64')), decipher.final()]);
+    } catch (error) {
+      const location = options.field === undefined ? '' : ` field "${options.field}"`;
+      throw new Error(`Cannot decrypt record "${recordKey}"${location}: authentication failed`);
+    }
+
+    const [valueType, codec = 'identity'] = envelope.type.split('+');
+    return decodeBytes(valueType, codec, plaintext);
+  }
+
+  async getKey(keyId) {
+    if (this.keys.has(keyId)) {
+      return this.keys.get(keyId);
+    }
+
+    // Concurrent reads of records under the same unknown key share one lookup
+    if (!this.pendingKeys.has(keyId)) {
+      this.pendingKeys.set(keyId, Promise.resolve()
+        .then(() => this.keyProvider(keyId))
+        .then((provided) => {
+          if (!provided) {
+            throw new Error(`No encryption key with id "${keyId}"`);
+          }
+          const key = normalizeKey(Buffer.isBuffer(provided) || typeof provided === 'string' ? provided : provided.key);
+          this.keys.set(keyId, key);
+          return key;
+        })
+        .finally(() => this.pendingKeys.delete(keyId)));
+    }
+
+    return this.pendingKeys.get(keyId);
+  }
+
+  getIvKey(kid, key) {
+    if (!this.ivKeys.has(kid)) {
+      this.ivKeys.set(kid, crypto.createHmac('sha256', key).update('stream-deterministic-iv').digest());
+    }
+    return this.ivKeys.get(kid);
+  }
+}
+
+function additionalData(version, algorithm, kid, type, recordKey, field) {
+  const header = [version, algorithm, kid, type, recordKey];
+  if (field !== undefined) header.push(field);
+  return Buffer.from(JSON.stringify(header), 'utf8');
+}
+
+/**
+ * Whether a stored value is an encryption envelope
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEnvelope(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.__enc === 'number' && typeof value.kid === 'string' && typeof value.ct === 'string';
+}
+
+/**
+ * A 32-byte key from a Buffer, 64 hex characters or base64
+ * @param {Buffer|string} key
+ * @returns {Buffer}
+ */
+function normalizeKey(key) {
+  let buffer = null;
+
+  if (Buffer.isBuffer(key)) {
+    buffer = key;
+  } else if (typeof key === 'string' && /^[0-9a-fA-F]{64}$/.test(key)) {
+    buffer = Buffer.from(key, 'hex');
+  } else if (typeof key === 'string') {
+    buffer = Buffer.from(key, 'base64');
+  }
+
+  if (!buffer || buffer.length !== KEY_BYTES) {
+    throw new Error('Encryption keys must be 32 bytes: a Buffer, 64 hex characters or base64');
+  }
+
+  return Buffer.from(buffer);
+}
+
+// Stable id for a configured key that has none, without revealing the key
+function fingerprint(key) {
+  return crypto.createHash('sha256').update('stream-encryption-key:').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Build the encryption for an advanced config, or null when disabled
+ * @param {Object} config - enableEncryption, encryptionKey or encryptionKeys, encryptionKeyId, keyProvider
+ * @returns {Promise<EnvelopeEncryption|null>}
+ */
+async function createEncryption(config) {
+  if (!config.enableEncryption) {
+    return null;
+  }
+
+  if (config.keyProvider !== undefined && typeof config.keyProvider !== 'function') {
+    throw new Error('keyProvider must be a function');
+  }
+
+  if (config.keyProvider) {
+    return new EnvelopeEncryption(config.keyProvider).init();
+  }
+
+  if (config.encryptionKeys) {
+    const keyring = new Map();
+    for (const [id, key] of Object.entries(config.encryptionKeys)) {
+      keyring.set(id, normalizeKey(key));
+    }
+
+    if (!keyring.has(config.encryptionKeyId)) {
+      throw new Error('encryptionKeyId must name one of encryptionKeys');
+    }
+
+    const encryption = await new EnvelopeEncryption((keyId) => {
+      if (keyId === undefined) return { id: config.encryptionKeyId, key: keyring.get(config.encryptionKeyId) };
+      return keyring.get(keyId) || null;
+    }).init();
+
+    // Loaded up front so deterministic lookups can match values under every key
+    keyring.forEach((key, id) => encryption.keys.set(id, key));
+    return encryption;
+  }
+
+  // A random per-process key would leave stored data unreadable after a restart
+  if (config.encryptionKey === undefined || config.encryptionKey === null) {
+    throw new Error('enableEncryption needs a stable key: set encryptionKey, encryptionKeys or keyProvider');
+  }
+
+  const key = normalizeKey(config.encryptionKey);
+  const id = config.encryptionKeyId || fingerprint(key);
+
+  return new EnvelopeEncryption((keyId) => {
+    if (keyId === undefined) return { id, key };
+    return keyId === id ? key : null;
+  }).init();
+}
+
+module.exports = {
+  EnvelopeEncryption,
+  createEncryption,
+  isEnvelope,
+  normalizeKey
+};
@@ -0,0 +1,41 @@
+/**
+ * Typed errors thrown by the package, so callers can branch on `instanceof`
+ * or `error.code` instead of parsing messages.
+ */
+
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} position - Zero-based character offset in the query string
+   * @param {string} query - The query string being parsed
+   */
+  constructor(message, position, query) {
+    super(`${message} at position ${position}`);
+    this.name = 'QuerySyntaxError';
+    this.code = 'QUERY_SYNTAX_ERROR';
+    this.position = position;
+    this.query = query;
+  }
+}
+
+class VersionConflictError extends Error {
+  /**
+   * @param {string} key - Key whose write was rejected
+   * @param {number} expectedVersion - Version the caller passed as ifVersion
+   * @param {number|null} actualVersion - Stored version, or null when the key does not exist
+   */
+  constructor(key, expectedVersion, actualVersion) {
+    const found = actualVersion === null ? 'no record' : `version ${actualVersion}`;
+    super(`Version conflict on key "${key}": expected version ${expectedVersion}, found ${found}`);
+    this.name = 'VersionConflictError';
+    this.code = 'VERSION_CONFLICT';
+    this.key = key;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+module.exports = {
+  QuerySyntaxError,
+  VersionConflictError
+};
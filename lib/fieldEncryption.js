@@ -0,0 +1,346 @@
+const { isEnvelope } = require('./encryption');
+const { isConditionNode } = require('./queryParser');
+
+/**
+ * Field-level encryption for the advanced package. With config.encryptedFields
+ * only the listed paths of each value are encrypted, each into its own
+ * envelope (see encryption.js), and everything else stays plain JSON that
+ * query() can filter on:
+ *
+ *   encryptedFields: [
+ *     'ssn',                                  // data.ssn
+ *     'card.*',                               // every member of data.card
+ *     { path: 'email', deterministic: true }  // equality lookups on data.email
+ *   ]
+ *
+ * Paths are relative to data (a leading `data.` is accepted) and `*` stands
+ * for one whole segment: any member of an object or element of an array.
+ * Null values are left as they are so IS NULL still works.
+ *
+ * Deterministic fields can be looked up by value: query() rewrites equality
+ * and IN conditions on them (query.data or a WHERE clause) into matches on
+ * the ciphertext under every key in the keyring. Equal values are then
+ * visible as equal in the database, so prefer random fields unless you need
+ * the lookup. No other condition can be evaluated on an encrypted field.
+ */
+
+/**
+ * Validate config.encryptedFields
+ * @param {Array<string|Object>} fields - See the module comment
+ * @returns {Array<{ path: string, segments: Array<string>, deterministic: boolean }>}
+ */
+function normalizeFieldRules(fields) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error('encryptedFields must be a non-empty array of paths');
+  }
+
+  const rules = fields.map((field) => {
+    const { path, deterministic = false } = typeof field === 'string' ? { path: field } : (field || {});
+
+    if (typeof path !== 'string' || path === '') {
+      throw new Error('encryptedFields entries must be paths or { path, deterministic }');
+    }
+
+    const relative = path.startsWith('data.') ? path.slice('data.'.length) : path;
+    const segments = relative.split('.');
+
+    for (const segment of segments) {
+      if (segment === '' || (segment.includes('*') && segment !== '*')) {
+        throw new Error(`Invalid encrypted field path: "${path}"`);
+      }
+    }
+
+    return { path: relative, segments, deterministic: Boolean(deterministic) };
+  });
+
+  // An encrypted field inside another would be sealed twice
+  for (let i = 0; i < rules.length; i++) {
+    for (let j = i + 1; j < rules.length; j++) {
+      if (segmentsOverlap(rules[i].segments, rules[j].segments)) {
+        throw new Error(`Encrypted field paths overlap: "${rules[i].path}" and "${rules[j].path}"`);
+      }
+    }
+  }
+
+  return rules;
+}
+
+function segmentsOverlap(a, b) {
+  const shared = Math.min(a.length, b.length);
+  for (let index = 0; index < shared; index++) {
+    if (a[index] !== b[index] && a[index] !== '*' && b[index] !== '*') return false;
+  }
+  return true;
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date);
+}
+
+// Copies objects and arrays, keeps Buffers, Dates and envelopes' contents as they are
+function cloneContainers(value) {
+  if (Array.isArray(value)) return value.map(cloneContainers);
+  if (!isContainer(value)) return value;
+
+  const copy = {};
+  for (const member of Object.keys(value)) {
+    copy[member] = cloneContainers(value[member]);
+  }
+  return copy;
+}
+
+class FieldEncryption {
+  /**
+   * @param {EnvelopeEncryption} encryption - Keyring the fields are sealed with
+   * @param {Array<string|Object>} fields - config.encryptedFields
+   * @param {Object|null} [compression] - Compress large random fields first; resolveCompressionOptions() output
+   */
+  constructor(encryption, fields, compression = null) {
+    this.encryption = encryption;
+    this.rules = normalizeFieldRules(fields);
+    this.compression = compression;
+  }
+
+  /**
+   * Copy of data with every configured field sealed
+   * @param {*} data
+   * @param {string} recordKey - Key the data is stored under
+   * @returns {*}
+   */
+  encrypt(data, recordKey) {
+    if (!isContainer(data)) return data;
+
+    const result = cloneContainers(data);
+    for (const rule of this.rules) {
+      visitRule(result, rule.segments, [], (parent, member, path) => {
+        const value = parent[member];
+        if (value === undefined || value === null || isEnvelope(value)) return;
+        // Deterministic fields stay uncompressed so lookups don't depend on compression settings
+        parent[member] = this.encryption.encrypt(value, recordKey, {
+          field: path,
+          deterministic: rule.deterministic,
+          compression: rule.deterministic ? null : this.compression
+        });
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Rule covering a concrete path such as 'card.number', if any
+   * @param {string} path - Path relative to data
+   */
+  ruleFor(path) {
+    const segments = path.split('.');
+    return this.rules.find(rule => rule.segments.length === segments.length &&
+      rule.segments.every((segment, index) => segment === '*' || segment === segments[index])) || null;
+  }
+
+  // Whether a path lies inside an encrypted value, where nothing can be matched
+  isInsideField(path) {
+    const segments = path.split('.');
+    for (let length = 1; length < segments.length; length++) {
+      if (this.ruleFor(segments.slice(0, length).join('.'))) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether stored data has envelopes from another key or in the wrong mode,
+   * or configured fields still in plaintext
+   * @param {*} data - Stored data, decompressed
+   * @returns {boolean}
+   */
+  needsReencryption(data) {
+    if (isEnvelope(data)) return true;
+
+    for (const { path, envelope } of findEnvelopes(data)) {
+      const rule = this.ruleFor(path);
+      if (!rule || envelope.kid !== this.encryption.currentKeyId || Boolean(envelope.det) !== rule.deterministic) {
+        return true;
+      }
+    }
+
+    if (!isContainer(data)) return false;
+
+    let plaintext = false;
+    for (const rule of this.rules) {
+      visitRule(data, rule.segments, [], (parent, member) => {
+        const value = parent[member];
+        if (value !== undefined && value !== null && !isEnvelope(value)) plaintext = true;
+      });
+    }
+    return plaintext;
+  }
+
+  /**
+   * Reject update operators that would touch encrypted fields
+   * @param {Array<Object>} operations - normalizeUpdate() output
+   */
+  checkUpdate(operations) {
+    for (const { path, segments } of operations) {
+      if (this.rules.some(rule => segmentsOverlap(rule.segments, segments))) {
+        throw new Error(`update cannot change encrypted field "${path}"; push() the whole value instead`);
+      }
+    }
+  }
+
+  /**
+   * Rewrite a query so conditions on deterministic fields match their
+   * ciphertext; throws for conditions no encrypted field can answer
+   * @param {Object} query - Query object, WHERE clause already parsed
+   * @returns {Object} - Query for the connector
+   */
+  rewriteQuery(query) {
+    const lookups = [];
+    let data = query.data;
+
+    if (query.data) {
+      data = {};
+      for (const [field, value] of Object.entries(query.data)) {
+        const rule = value === null ? this.checkNullField(field) : this.checkQueryField(field, 'equality');
+        if (rule) {
+          lookups.push(this.lookupNode(`data.${field}`, field, [value], false, 0));
+        } else {
+          data[field] = value;
+        }
+      }
+    }
+
+    const conditions = [];
+    if (isConditionNode(query.where)) {
+      conditions.push(this.rewriteCondition(query.where));
+    }
+    conditions.push(...lookups);
+
+    const rewritten = { ...query, data };
+    if (conditions.length > 0) {
+      rewritten.where = conditions.length === 1
+        ? conditions[0]
+        : { type: 'logical', operator: 'AND', conditions, position: 0 };
+    }
+    return rewritten;
+  }
+
+  rewriteCondition(node) {
+    switch (node.type) {
+      case 'logical':
+        return { ...node, conditions: node.conditions.map(condition => this.rewriteCondition(condition)) };
+      case 'not':
+        return { ...node, condition: this.rewriteCondition(node.condition) };
+      default:
+        break;
+    }
+
+    if (typeof node.field !== 'string' || !node.field.startsWith('data.')) return node;
+
+    const path = node.field.slice('data.'.length);
+
+    if (node.type === 'null') {
+      this.checkNullField(path);
+      return node;
+    }
+
+    const canLookUp = (node.type === 'comparison' && (node.operator === '=' || node.operator === '!=')) || node.type === 'in';
+    const rule = this.checkQueryField(path, canLookUp ? 'equality' : 'range');
+
+    if (!rule) return node;
+
+    return node.type === 'in'
+      ? this.lookupNode(node.field, path, node.values, node.negated, node.position)
+      : this.lookupNode(node.field, path, [node.value], node.operator === '!=', node.position);
+  }
+
+  // Nulls are stored in plaintext, so any field can be tested for them
+  checkNullField(path) {
+    if (this.isInsideField(path)) {
+      throw new Error(`Cannot query inside encrypted field "data.${path}"`);
+    }
+    return null;
+  }
+
+  checkQueryField(path, kind) {
+    if (this.isInsideField(path)) {
+      throw new Error(`Cannot query inside encrypted field "data.${path}"`);
+    }
+
+    const rule = this.ruleFor(path);
+    if (rule && (kind !== 'equality' || !rule.deterministic)) {
+      throw new Error(rule.deterministic
+        ? `Encrypted field "data.${path}" only supports =, != and IN`
+        : `Encrypted field "data.${path}" cannot be queried; make it deterministic for equality lookups`);
+    }
+    return rule;
+  }
+
+  // IN over the ciphertext of each value under every key, as if each had sealed it
+  lookupNode(field, path, values, negated, position) {
+    const ciphertexts = [];
+
+    for (const keyId of this.encryption.keys.keys()) {
+      for (const value of values) {
+        ciphertexts.push(this.encryption.encrypt(value, null, { field: path, deterministic: true, keyId }).ct);
+      }
+    }
+
+    return { type: 'in', field: `${field}.ct`, values: ciphertexts, negated, position };
+  }
+}
+
+// Call visit(parent, member, path) for every location a rule's segments reach
+function visitRule(node, segments, path, visit) {
+  if (!isContainer(node)) return;
+
+  const [segment, ...rest] = segments;
+  const members = segment === '*' ? Object.keys(node) : (Object.prototype.hasOwnProperty.call(node, segment) ? [segment] : []);
+
+  for (const member of members) {
+    if (rest.length === 0) {
+      visit(node, member, [...path, member].join('.'));
+    } else {
+      visitRule(node[member], rest, [...path, member], visit);
+    }
+  }
+}
+
+// Every field envelope below the top level, with its path
+function findEnvelopes(node, path = [], found = []) {
+  if (!isContainer(node)) return found;
+
+  for (const member of Object.keys(node)) {
+    const value = node[member];
+    if (isEnvelope(value)) {
+      found.push({ path: [...path, member].join('.'), envelope: value });
+    } else {
+      findEnvelopes(value, [...path, member], found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Copy of data with every field envelope opened, wherever it is; data
+ * without envelopes is returned as is
+ * @param {EnvelopeEncryption} encryption
+ * @param {*} data
+ * @param {string} recordKey - Key the data was read from
+ * @returns {Promise<*>}
+ */
+async function decryptFields(encryption, data, recordKey) {
+  const envelopes = findEnvelopes(data);
+  if (envelopes.length === 0) return data;
+
+  const result = cloneContainers(data);
+  await Promise.all(envelopes.map(async ({ path, envelope }) => {
+    const segments = path.split('.');
+    const parent = segments.slice(0, -1).reduce((node, segment) => node[segment], result);
+    parent[segments[segments.length - 1]] = await encryption.decrypt(envelope, recordKey, { field: path });
+  }));
+  return result;
+}
+
+module.exports = {
+  FieldEncryption,
+  normalizeFieldRules,
+  decryptFields
+};
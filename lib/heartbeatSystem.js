@@ -1,17 +1,55 @@
 const EventEmitter = require('events');
-
+const { isKeyPattern, keyPatternToRegExp } = require('./keyPattern');
+
+/**
+ * Polls the connector for changes to listened keys.
+ *
+ * Every key or pattern has its own cadence: it polls at its minimum interval
+ * after a change and backs off by backoffFactor on each quiet poll, up to its
+ * maximum. A subscription can tighten both bounds with minInterval and
+ * maxInterval. Each next poll is jittered so instances sharing a database
+ * spread out, and keys falling due within half a pollingInterval are polled
+ * together.
+ *
+ * When the connector implements readModifiedSince(), each poll is one query
+ * for the keys that are due: every key or pattern keeps its own high-water
+ * mark, the query reads from the oldest mark among them, and only they are
+ * updated from it, so a quiet key is read at its own cadence. Deletes are
+ * found by diffing the key set for due keys whose last check is
+ * deleteCheckInterval old. A key or pattern is read in full only on its
+ * first poll, to seed the cache. Connectors without readModifiedSince()
+ * fall back to one readData() per key per poll.
+ *
+ * A key's first mark comes from the connector's getServerTime() when it has
+ * one (the database clock that stamps lastModified), otherwise from this
+ * process's clock. lastModified is stamped when a row is written, not when
+ * its transaction commits: a write committed more than pollOverlap after it
+ * was stamped falls behind the mark and is only seen with the key's next
+ * change.
+ */
 class HeartbeatSystem extends EventEmitter {
   constructor(dbConnector, config = {}) {
     super();
     this.dbConnector = dbConnector;
     this.pollingInterval = config.pollingInterval || 2000; // Default 2 seconds
     this.debug = config.debug || false;
+    // Re-read this far behind the high-water mark for clock skew and late commits
+    this.pollOverlap = config.pollOverlap !== undefined ? config.pollOverlap : 1000;
+    this.deleteCheckInterval = config.deleteCheckInterval || 10000;
+    this.maxPollingInterval = Math.max(config.maxPollingInterval || 30000, this.pollingInterval);
+    this.backoffFactor = config.backoffFactor || 1.5;
+    this.pollJitter = config.pollJitter !== undefined ? config.pollJitter : 0.1; // +/- fraction of the interval
     
     // Internal state
     this.isPolling = false;
-    this.intervalId = null;
+    this.pollInFlight = false;
+    this.timeoutId = null;
+    this.schedules = new Map(); // key -> { interval, nextPoll, lastChange, changed, limits: Map callback -> options }
     this.cache = new Map(); // Store last known states
+    this.patternCache = new Map(); // pattern -> Map of matching key -> last known state
     this.listeners = new Map(); // Store key -> callback mappings
+    this.seeded = new Set(); // keys and patterns whose cache holds a full read
+    this.highWaterMarks = new Map(); // key or pattern -> latest lastModified it has seen (batched polling)
     this.lastPollTime = null;
     
     this.log('HeartbeatSystem initialized');
@@ -24,21 +62,30 @@ class HeartbeatSystem extends EventEmitter {
   }
 
   // Register a listener for a specific key
-  addListener(key, callback) {
+  addListener(key, callback, options = {}) {
     if (typeof callback !== 'function') {
       throw new Error('Callback must be a function');
     }
 
+    for (const field of ['minInterval', 'maxInterval']) {
+      if (options[field] !== undefined) {
+        validateInterval(options[field], field);
+      }
+    }
+
     if (!this.listeners.has(key)) {
       this.listeners.set(key, new Set());
     }
     
     this.listeners.get(key).add(callback);
+    this.addSchedule(key, callback, options);
     this.log(`Listener added for key: ${key}`);
 
     // Start polling if not already started
     if (!this.isPolling) {
       this.startPolling();
+    } else {
+      this.scheduleNextPoll();
     }
 
     // Return unsubscribe function
@@ -49,11 +96,18 @@ class HeartbeatSystem extends EventEmitter {
   removeListener(key, callback) {
     if (this.listeners.has(key)) {
       this.listeners.get(key).delete(callback);
+      if (this.schedules.has(key)) {
+        this.schedules.get(key).limits.delete(callback);
+      }
       
       // Remove the key if no more listeners
       if (this.listeners.get(key).size === 0) {
         this.listeners.delete(key);
+        this.schedules.delete(key);
         this.cache.delete(key); // Also remove from cache
+        this.patternCache.delete(key);
+        this.seeded.delete(key);
+        this.highWaterMarks.delete(key);
         this.log(`All listeners removed for key: ${key}`);
       }
     }
@@ -68,11 +122,19 @@ class HeartbeatSystem extends EventEmitter {
   removeAllListeners(key) {
     if (key) {
       this.listeners.delete(key);
+      this.schedules.delete(key);
       this.cache.delete(key);
+      this.patternCache.delete(key);
+      this.seeded.delete(key);
+      this.highWaterMarks.delete(key);
       this.log(`All listeners removed for key: ${key}`);
     } else {
       this.listeners.clear();
+      this.schedules.clear();
       this.cache.clear();
+      this.patternCache.clear();
+      this.seeded.clear();
+      this.highWaterMarks.clear();
       this.log('All listeners removed');
     }
 
@@ -92,14 +154,42 @@ class HeartbeatSystem extends EventEmitter {
     }
 
     this.isPolling = true;
-    this.log(`Starting polling with interval: ${this.pollingInterval}ms`);
+    this.log(`Starting polling with interval: ${this.pollingInterval}-${this.maxPollingInterval}ms`);
+
+    // New keys are due immediately, so this is the initial poll
+    this.scheduleNextPoll();
+  }
 
-    this.intervalId = setInterval(async () => {
-      await this.poll();
-    }, this.pollingInterval);
+  // Arm the timer for the earliest due key; a running poll re-arms it when done
+  scheduleNextPoll() {
+    if (!this.isPolling || this.pollInFlight) {
+      return;
+    }
+
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+
+    let earliest = Infinity;
+    for (const schedule of this.schedules.values()) {
+      earliest = Math.min(earliest, schedule.nextPoll);
+    }
+
+    if (earliest === Infinity) {
+      return;
+    }
 
-    // Initial poll
-    this.poll();
+    this.timeoutId = setTimeout(async () => {
+      this.timeoutId = null;
+      this.pollInFlight = true;
+      try {
+        await this.poll();
+      } finally {
+        this.pollInFlight = false;
+        this.scheduleNextPoll();
+      }
+    }, Math.max(0, earliest - Date.now()));
   }
 
   // Stop the polling mechanism
@@ -110,9 +200,9 @@ class HeartbeatSystem extends EventEmitter {
 
     this.isPolling = false;
     
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
     }
 
     this.log('Polling stopped');
@@ -130,20 +220,31 @@ class HeartbeatSystem extends EventEmitter {
     this.lastPollTime = new Date();
 
     try {
-      // Get all keys that we're listening to
-      const keysToCheck = Array.from(this.listeners.keys());
-      
-      if (keysToCheck.length === 0) {
+      if (this.listeners.size === 0) {
         this.log('No keys to check, stopping polling');
         this.stopPolling();
         return;
       }
 
-      // Check each key for changes
-      const promises = keysToCheck.map(key => this.checkKeyForChanges(key));
-      await Promise.all(promises);
+      // Keys due now, plus any falling due soon, share this poll
+      const horizon = startTime + this.pollingInterval / 2;
+      const keysToCheck = Array.from(this.schedules.keys())
+        .filter(key => this.schedules.get(key).nextPoll <= horizon);
+
+      if (this.supportsBatchedPolling()) {
+        await this.pollBatched(keysToCheck, startTime);
+      } else {
+        await this.checkKeysForChanges(keysToCheck);
+      }
+
+      const now = Date.now();
+      for (const [key, schedule] of this.schedules) {
+        if (schedule.changed || keysToCheck.includes(key)) {
+          this.advanceSchedule(schedule, now);
+        }
+      }
 
-      const duration = Date.now() - startTime;
+      const duration = now - startTime;
       this.log(`Poll completed in ${duration}ms, checked ${keysToCheck.length} keys`);
 
     } catch (error) {
@@ -152,48 +253,298 @@ class HeartbeatSystem extends EventEmitter {
     }
   }
 
-  // Check a specific key for changes
-  async checkKeyForChanges(key) {
-    try {
-      const currentData = await this.dbConnector.readData(key);
-      const cachedData = this.cache.get(key);
+  addSchedule(key, callback, options) {
+    let schedule = this.schedules.get(key);
+    if (!schedule) {
+      schedule = {
+        interval: null,
+        nextPoll: Date.now(),
+        lastChange: null,
+        lastDeleteCheck: Date.now(), // the seeding read sees current keys
+        changed: false,
+        limits: new Map()
+      };
+      this.schedules.set(key, schedule);
+    }
 
-      // If no current data and no cached data, nothing to do
-      if (!currentData && !cachedData) {
-        return;
+    schedule.limits.set(callback, {
+      minInterval: options.minInterval,
+      maxInterval: options.maxInterval
+    });
+
+    // A tighter subscription takes effect right away
+    const { minInterval } = this.getIntervalBounds(schedule);
+    if (schedule.interval === null || schedule.interval > minInterval) {
+      schedule.interval = minInterval;
+      schedule.nextPoll = Math.min(schedule.nextPoll, Date.now() + minInterval);
+    }
+  }
+
+  // The most demanding subscription on a key sets its bounds
+  getIntervalBounds(schedule) {
+    let minInterval = this.pollingInterval;
+    let maxInterval = this.maxPollingInterval;
+    const custom = Array.from(schedule.limits.values());
+
+    const mins = custom.map(limit => limit.minInterval).filter(value => value !== undefined);
+    const maxes = custom.map(limit => limit.maxInterval).filter(value => value !== undefined);
+    if (mins.length > 0) minInterval = Math.min(...mins);
+    if (maxes.length > 0) maxInterval = Math.min(...maxes);
+
+    return { minInterval, maxInterval: Math.max(minInterval, maxInterval) };
+  }
+
+  // Fast again after a change, otherwise back off towards the ceiling
+  advanceSchedule(schedule, now) {
+    const { minInterval, maxInterval } = this.getIntervalBounds(schedule);
+
+    if (schedule.changed) {
+      schedule.interval = minInterval;
+      schedule.lastChange = new Date(now);
+      schedule.changed = false;
+    } else {
+      schedule.interval = Math.round(schedule.interval * this.backoffFactor);
+    }
+
+    schedule.interval = Math.min(Math.max(schedule.interval, minInterval), maxInterval);
+    const jitter = schedule.interval * this.pollJitter * (Math.random() * 2 - 1);
+    schedule.nextPoll = now + schedule.interval + jitter;
+  }
+
+  supportsBatchedPolling() {
+    return typeof this.dbConnector.readModifiedSince === 'function';
+  }
+
+  // Check each key for changes; patterns share one key listing per poll
+  async checkKeysForChanges(keys) {
+    const patterns = keys.filter(key => isKeyPattern(key));
+    const promises = keys
+      .filter(key => !isKeyPattern(key))
+      .map(key => this.checkKeyForChanges(key));
+
+    if (patterns.length > 0) {
+      promises.push(this.checkPatternsForChanges(patterns));
+    }
+
+    await Promise.all(promises);
+  }
+
+  // One query for everything modified since the oldest mark among the due keys
+  async pollBatched(keys, startTime) {
+    // New keys and patterns get a full read to seed their cache; the mark is
+    // taken first so anything written during the read is picked up next time
+    const unseeded = keys.filter(key => !this.seeded.has(key));
+    if (unseeded.length > 0) {
+      const mark = await this.readServerTime(startTime);
+      await this.checkKeysForChanges(unseeded);
+      for (const key of unseeded) {
+        this.seeded.add(key);
+        this.highWaterMarks.set(key, mark);
       }
+    }
 
-      // If data was deleted
-      if (!currentData && cachedData) {
-        this.cache.delete(key);
-        this.notifyListeners(key, null, 'deleted');
-        return;
+    const seeded = keys.filter(key => !unseeded.includes(key));
+    if (seeded.length > 0) {
+      const since = Math.min(...seeded.map(key => this.highWaterMarks.get(key).getTime()));
+      try {
+        const records = await this.dbConnector.readModifiedSince(new Date(since - this.pollOverlap));
+        this.applyModifiedRecords(records, seeded);
+      } catch (error) {
+        console.error('Error reading modified keys:', error.message);
       }
+    }
 
-      // If new data (first time or previously deleted)
-      if (currentData && !cachedData) {
-        this.cache.set(key, {
-          data: currentData.data,
-          lastModified: currentData.lastModified
-        });
-        this.notifyListeners(key, currentData.data, 'created');
-        return;
+    const deleteChecks = keys.filter((key) => {
+      const schedule = this.schedules.get(key);
+      return schedule && startTime - schedule.lastDeleteCheck >= this.deleteCheckInterval;
+    });
+    if (deleteChecks.length > 0) {
+      deleteChecks.forEach(key => { this.schedules.get(key).lastDeleteCheck = startTime; });
+      await this.checkForDeletes(deleteChecks);
+    }
+  }
+
+  async readServerTime(fallback) {
+    if (typeof this.dbConnector.getServerTime === 'function') {
+      try {
+        return new Date(await this.dbConnector.getServerTime());
+      } catch (error) {
+        console.error('Error reading the database clock:', error.message);
+      }
+    }
+    return new Date(fallback);
+  }
+
+  // Only the given keys and patterns are updated; the rest wait until they are due
+  applyModifiedRecords(records, keys) {
+    const concreteKeys = new Set(keys.filter(key => !isKeyPattern(key)));
+    const patterns = keys
+      .filter(key => isKeyPattern(key))
+      .map(pattern => [pattern, keyPatternToRegExp(pattern)]);
+    let latest = null;
+
+    for (const record of records) {
+      const modified = new Date(record.lastModified);
+      if (!latest || modified > latest) {
+        latest = modified;
+      }
+
+      if (concreteKeys.has(record.key)) {
+        this.applyKeyState(record.key, record);
+      }
+
+      for (const [pattern, matcher] of patterns) {
+        if (matcher.test(record.key)) {
+          this.applyPatternState(pattern, record.key, record);
+        }
+      }
+    }
+
+    // The read covered every change up to the newest record for all of them
+    for (const key of keys) {
+      if (latest && latest > this.highWaterMarks.get(key)) {
+        this.highWaterMarks.set(key, latest);
+      }
+    }
+  }
+
+  // Key-set diff: a cached key the connector no longer lists was deleted
+  async checkForDeletes(keys) {
+    const cachedKeys = keys.filter(key => this.cache.has(key));
+    const patterns = keys.filter(key => this.patternCache.has(key));
+    if (cachedKeys.length === 0 && patterns.length === 0) return;
+
+    try {
+      const keyInfos = await this.dbConnector.getAllKeys();
+      const existing = new Set(keyInfos.map(info => info.key));
+
+      for (const key of cachedKeys) {
+        if (!existing.has(key)) {
+          this.applyKeyState(key, null);
+        }
       }
 
-      // Check if data has changed
-      if (this.hasDataChanged(cachedData, currentData)) {
-        this.cache.set(key, {
-          data: currentData.data,
-          lastModified: currentData.lastModified
-        });
-        this.notifyListeners(key, currentData.data, 'updated');
+      for (const pattern of patterns) {
+        const known = this.patternCache.get(pattern);
+        for (const [key, cachedData] of Array.from(known)) {
+          if (!existing.has(key)) {
+            known.delete(key);
+            this.notifyListeners(pattern, null, 'deleted', key, { previous: cachedData.data });
+          }
+        }
       }
+    } catch (error) {
+      console.error('Error checking for deleted keys:', error.message);
+    }
+  }
 
+  // Check a specific key for changes
+  async checkKeyForChanges(key) {
+    try {
+      const currentData = await this.dbConnector.readData(key);
+      this.applyKeyState(key, currentData);
     } catch (error) {
       console.error(`Error checking key ${key}:`, error.message);
     }
   }
 
+  // Compare a key's current record (null when missing) with the cache and notify
+  applyKeyState(key, currentData) {
+    const cachedData = this.cache.get(key);
+
+    // If no current data and no cached data, nothing to do
+    if (!currentData && !cachedData) {
+      return;
+    }
+
+    // If data was deleted
+    if (!currentData && cachedData) {
+      this.cache.delete(key);
+      this.notifyListeners(key, null, 'deleted', key, { previous: cachedData.data });
+      return;
+    }
+
+    // If new data (first time or previously deleted)
+    if (currentData && !cachedData) {
+      this.cache.set(key, {
+        data: currentData.data,
+        lastModified: currentData.lastModified
+      });
+      this.notifyListeners(key, currentData.data, 'created', key, { previous: null, version: currentData.version });
+      return;
+    }
+
+    // Check if data has changed
+    if (this.hasDataChanged(cachedData, currentData)) {
+      this.cache.set(key, {
+        data: currentData.data,
+        lastModified: currentData.lastModified
+      });
+      this.notifyListeners(key, currentData.data, 'updated', key, { previous: cachedData.data, version: currentData.version });
+    }
+  }
+
+  // Check every key matching the given patterns for changes
+  async checkPatternsForChanges(patterns) {
+    try {
+      const keyInfos = await this.dbConnector.getAllKeys();
+      const reads = new Map(); // key -> pending readData, shared between overlapping patterns
+
+      await Promise.all(patterns.map(async (pattern) => {
+        const matcher = keyPatternToRegExp(pattern);
+        const known = this.patternCache.get(pattern) || new Map();
+        this.patternCache.set(pattern, known);
+        const seen = new Set();
+
+        for (const info of keyInfos) {
+          if (!matcher.test(info.key)) continue;
+          seen.add(info.key);
+
+          const cachedData = known.get(info.key);
+          if (cachedData && info.lastModified && cachedData.lastModified &&
+              new Date(info.lastModified).getTime() === new Date(cachedData.lastModified).getTime()) {
+            continue;
+          }
+
+          if (!reads.has(info.key)) {
+            reads.set(info.key, this.dbConnector.readData(info.key));
+          }
+          const currentData = await reads.get(info.key);
+          if (!currentData) continue;
+
+          this.applyPatternState(pattern, info.key, currentData);
+        }
+
+        for (const [key, cachedData] of Array.from(known)) {
+          if (!seen.has(key)) {
+            known.delete(key);
+            this.notifyListeners(pattern, null, 'deleted', key, { previous: cachedData.data });
+          }
+        }
+      }));
+    } catch (error) {
+      console.error(`Error checking patterns ${patterns.join(', ')}:`, error.message);
+    }
+  }
+
+  // Record a key matching a pattern and notify the pattern's listeners if it changed
+  applyPatternState(pattern, key, currentData) {
+    const known = this.patternCache.get(pattern) || new Map();
+    this.patternCache.set(pattern, known);
+    const cachedData = known.get(key);
+
+    if (!cachedData || this.hasDataChanged(cachedData, currentData)) {
+      known.set(key, {
+        data: currentData.data,
+        lastModified: currentData.lastModified
+      });
+      this.notifyListeners(pattern, currentData.data, cachedData ? 'updated' : 'created', key, {
+        previous: cachedData ? cachedData.data : null,
+        version: currentData.version
+      });
+    }
+  }
+
   // Check if data has changed
   hasDataChanged(cachedData, currentData) {
     if (!cachedData || !currentData) {
@@ -214,22 +565,31 @@ class HeartbeatSystem extends EventEmitter {
     return JSON.stringify(cachedData.data) !== JSON.stringify(currentData.data);
   }
 
-  // Notify all listeners for a key
-  notifyListeners(key, data, changeType) {
+  // Notify all listeners for a key; for patterns changedKey is the concrete key.
+  // details.previous is the cached value before the change, details.version the record's version
+  notifyListeners(key, data, changeType, changedKey = key, details = {}) {
     const callbacks = this.listeners.get(key);
     if (!callbacks || callbacks.size === 0) {
       return;
     }
 
-    this.log(`Notifying ${callbacks.size} listeners for key: ${key} (${changeType})`);
+    const schedule = this.schedules.get(key);
+    if (schedule) {
+      schedule.changed = true;
+    }
+
+    this.log(`Notifying ${callbacks.size} listeners for key: ${changedKey} (${changeType})`);
 
     callbacks.forEach(callback => {
       try {
-        callback(data, {
-          key: key,
+        const meta = {
+          key: changedKey,
           changeType: changeType,
           timestamp: new Date()
-        });
+        };
+        if (details.previous !== undefined) meta.previous = details.previous;
+        if (details.version !== undefined) meta.version = details.version;
+        callback(data, meta);
       } catch (error) {
         console.error(`Error in listener callback for key ${key}:`, error.message);
       }
@@ -243,13 +603,18 @@ class HeartbeatSystem extends EventEmitter {
     }
 
     this.pollingInterval = interval;
+    this.maxPollingInterval = Math.max(this.maxPollingInterval, interval);
     this.log(`Polling interval set to: ${interval}ms`);
 
-    // Restart polling with new interval if currently polling
-    if (this.isPolling) {
-      this.stopPolling();
-      this.startPolling();
+    // Re-clamp every key's cadence; caches and the high-water mark are kept
+    const now = Date.now();
+    for (const schedule of this.schedules.values()) {
+      const { minInterval, maxInterval } = this.getIntervalBounds(schedule);
+      schedule.interval = Math.min(Math.max(schedule.interval, minInterval), maxInterval);
+      schedule.nextPoll = Math.min(schedule.nextPoll, now + schedule.interval);
     }
+
+    this.scheduleNextPoll();
   }
 
   // Get current status
@@ -260,10 +625,38 @@ class HeartbeatSystem extends EventEmitter {
       listenerCount: this.listeners.size,
       cacheSize: this.cache.size,
       lastPollTime: this.lastPollTime,
-      watchedKeys: Array.from(this.listeners.keys())
+      batched: this.supportsBatchedPolling(),
+      highWaterMark: this.latestHighWaterMark(),
+      watchedKeys: Array.from(this.listeners.keys()),
+      keyIntervals: this.getKeyIntervals()
     };
   }
 
+  latestHighWaterMark() {
+    let latest = null;
+    for (const mark of this.highWaterMarks.values()) {
+      if (!latest || mark > latest) latest = mark;
+    }
+    return latest;
+  }
+
+  // Effective cadence of every watched key or pattern
+  getKeyIntervals() {
+    const intervals = {};
+    for (const [key, schedule] of this.schedules) {
+      const { minInterval, maxInterval } = this.getIntervalBounds(schedule);
+      intervals[key] = {
+        interval: schedule.interval,
+        minInterval,
+        maxInterval,
+        nextPoll: new Date(schedule.nextPoll),
+        lastChange: schedule.lastChange,
+        highWaterMark: this.highWaterMarks.get(key) || null
+      };
+    }
+    return intervals;
+  }
+
   // Cleanup
   destroy() {
     this.stopPolling();
@@ -273,4 +666,10 @@ class HeartbeatSystem extends EventEmitter {
   }
 }
 
+function validateInterval(value, name) {
+  if (typeof value !== 'number' || value < 100) {
+    throw new Error(`${name} must be a number >= 100ms`);
+  }
+}
+
 module.exports = HeartbeatSystem; 
\ No newline at end of file
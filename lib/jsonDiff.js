@@ -0,0 +1,170 @@
+/**
+ * JSON Patch (RFC 6902) diffs between two values of a key, and the
+ * `{ includePrevious, diff }` subscription options built on them.
+ *
+ * Patches only use add, remove and replace. Objects are diffed member by
+ * member; arrays are diffed by index, with extra elements added or removed
+ * at the tail, so a shifted array shows up as replaces rather than moves.
+ */
+
+/**
+ * @param {*} before - Previous value (null when the key did not exist)
+ * @param {*} after - New value (null when the key was deleted)
+ * @returns {Array<Object>} - Operations turning `before` into `after`
+ */
+function createPatch(before, after) {
+  const operations = [];
+  diffValues(before, after, '', operations);
+  return operations;
+}
+
+function diffValues(before, after, path, operations) {
+  if (sameJson(before, after)) return;
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const common = Math.min(before.length, after.length);
+    for (let index = 0; index < common; index++) {
+      diffValues(before[index], after[index], `${path}/${index}`, operations);
+    }
+    for (let index = common; index < after.length; index++) {
+      operations.push({ op: 'add', path: `${path}/${index}`, value: after[index] });
+    }
+    // Highest index first so each pointer stays valid while applying
+    for (let index = before.length - 1; index >= common; index--) {
+      operations.push({ op: 'remove', path: `${path}/${index}` });
+    }
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const member of Object.keys(before)) {
+      const memberPath = `${path}/${escapePointer(member)}`;
+      if (!(member in after)) {
+        operations.push({ op: 'remove', path: memberPath });
+      } else {
+        diffValues(before[member], after[member], memberPath, operations);
+      }
+    }
+    for (const member of Object.keys(after)) {
+      if (!(member in before)) {
+        operations.push({ op: 'add', path: `${path}/${escapePointer(member)}`, value: after[member] });
+      }
+    }
+    return;
+  }
+
+  operations.push({ op: 'replace', path, value: after });
+}
+
+/**
+ * Distinct JSON Pointers touched by a patch, in patch order
+ * @param {Array<Object>} patch
+ * @returns {Array<string>}
+ */
+function patchPaths(patch) {
+  return Array.from(new Set(patch.map(operation => operation.path)));
+}
+
+/**
+ * JSON Pointer for a list of member names or indexes
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+function toPointer(segments) {
+  return segments.map(segment => `/${escapePointer(String(segment))}`).join('');
+}
+
+function escapePointer(member) {
+  return member.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function sameJson(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function cloneJson(value) {
+  return value === undefined || value === null ? value : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Wrap a key callback for the `includePrevious` and `diff` subscription
+ * options. The previous value comes from meta.previous when the connector
+ * knows the before image (MySQL binlog, MongoDB pre-images, polling caches),
+ * otherwise from the last value this subscription received for the key.
+ *
+ * Adds to meta on created/updated/deleted events:
+ * - previous: the value before the change (includePrevious); null when the
+ *   key did not exist or its previous value is unknown
+ * - patch: RFC 6902 operations from previous to data (diff: true or 'patch');
+ *   null when the previous value is unknown
+ * - changedPaths: JSON Pointers that changed (diff: true, 'patch' or 'paths');
+ *   falls back to the connector's meta.changedPaths, else null
+ *
+ * @param {Function} callback - (data, meta) subscriber
+ * @param {Object} [options]
+ * @param {boolean} [options.includePrevious]
+ * @param {boolean|string} [options.diff] - true/'patch' for patch and paths, 'paths' for paths only
+ * @returns {Function} - The callback itself when neither option is set
+ */
+function withChangeDetails(callback, options = {}) {
+  const includePrevious = Boolean(options.includePrevious);
+  const diff = options.diff === true ? 'patch' : options.diff;
+
+  if (diff && diff !== 'patch' && diff !== 'paths') {
+    throw new Error('diff must be true, "patch" or "paths"');
+  }
+
+  if (!includePrevious && !diff) {
+    return callback;
+  }
+
+  const lastValues = new Map(); // concrete key -> last value delivered to this subscription
+
+  return (data, meta = {}) => {
+    const key = meta.key;
+    let previous = meta.previous;
+
+    if (previous === undefined && lastValues.has(key)) {
+      previous = lastValues.get(key);
+    } else if (previous === undefined && meta.changeType === 'created') {
+      previous = null;
+    }
+
+    if (meta.changeType === 'deleted') {
+      lastValues.delete(key);
+    } else {
+      lastValues.set(key, cloneJson(data));
+    }
+
+    if (meta.changeType === 'initial') {
+      return callback(data, meta);
+    }
+
+    const details = { ...meta };
+
+    if (includePrevious) {
+      details.previous = previous === undefined ? null : previous;
+    }
+
+    if (diff) {
+      const patch = previous === undefined ? null : createPatch(previous, data);
+      details.changedPaths = patch ? patchPaths(patch) : (meta.changedPaths || null);
+      if (diff === 'patch') details.patch = patch;
+    }
+
+    return callback(data, details);
+  };
+}
+
+module.exports = {
+  createPatch,
+  patchPaths,
+  toPointer,
+  withChangeDetails
+};
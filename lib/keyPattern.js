@@ -0,0 +1,102 @@
+/**
+ * Glob-style key patterns for on() and startRealTimeWatch().
+ *
+ * `*` matches any run of characters (including none) and `?` exactly one;
+ * everything else is literal and, like key lookups, case-sensitive. The
+ * common forms are prefixes such as `orders:*` or `user:42:*`. A watcher
+ * registered under a pattern is one database watcher for the whole family;
+ * its events carry the concrete key in meta.key.
+ */
+
+function isKeyPattern(key) {
+  return typeof key === 'string' && /[*?]/.test(key);
+}
+
+/**
+ * Literal text before the first wildcard; lets databases use the key index
+ */
+function keyPatternPrefix(pattern) {
+  const index = pattern.search(/[*?]/);
+  return index === -1 ? pattern : pattern.slice(0, index);
+}
+
+function keyPatternToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * SQL LIKE equivalent, to be used with ESCAPE '\'. LIKE is case-insensitive
+ * under some collations, so callers re-check rows with matchesKeyPattern().
+ */
+function keyPatternToLike(pattern) {
+  return pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '%';
+      if (char === '?') return '_';
+      return /[%_\\]/.test(char) ? `\\${char}` : char;
+    })
+    .join('');
+}
+
+function matchesKeyPattern(pattern, key) {
+  return typeof key === 'string' && keyPatternToRegExp(pattern).test(key);
+}
+
+/**
+ * Create the watcher info stored in a connector's activeWatchers map.
+ * Pattern watchers get a compiled matcher and a key -> last known record
+ * map for connectors that detect changes by polling.
+ */
+function createWatcherInfo(key, callback, options = {}) {
+  if (!isKeyPattern(key)) {
+    return { callback, options };
+  }
+
+  return {
+    callback,
+    options,
+    pattern: keyPatternToRegExp(key),
+    knownKeys: new Map()
+  };
+}
+
+/**
+ * Watchers interested in a concrete key: the exact-key watcher, if any, and
+ * every pattern watcher that matches. Returns [watchKey, watcherInfo] pairs.
+ */
+function findKeyWatchers(watchers, key) {
+  const found = [];
+
+  const exact = watchers.get(key);
+  if (exact && !exact.pattern) {
+    found.push([key, exact]);
+  }
+
+  for (const [watchKey, watcherInfo] of watchers) {
+    if (watcherInfo.pattern && watcherInfo.pattern.test(key)) {
+      found.push([watchKey, watcherInfo]);
+    }
+  }
+
+  return found;
+}
+
+module.exports = {
+  isKeyPattern,
+  keyPatternPrefix,
+  keyPatternToRegExp,
+  keyPatternToLike,
+  matchesKeyPattern,
+  createWatcherInfo,
+  findKeyWatchers
+};
@@ -0,0 +1,507 @@
+const EventEmitter = require('events');
+const { matchesQuery } = require('./queryMatcher');
+const { isConditionNode, toMongoFilter } = require('./queryParser');
+const { runPipeline, matchesFilter } = require('./aggregationEngine');
+const { createWatcherInfo, findKeyWatchers, keyPatternToRegExp } = require('./keyPattern');
+const { normalizeUpdate, createsValues, applyUpdate } = require('./updateOperators');
+const { VersionConflictError } = require('./errors');
+const { resolveHistoryOptions, normalizeHistoryQuery, retainHistory } = require('./versionHistory');
+
+/**
+ * In-process connector with no database behind it.
+ *
+ * Implements the full connector contract (see connectorRegistry.js),
+ * including key and collection watchers, queries and transactions, so both
+ * facades run unchanged in unit tests and local development. Data lives
+ * only as long as the connector instance.
+ */
+class MemoryConnector extends EventEmitter {
+  constructor() {
+    super();
+    this.records = new Map(); // key -> stored record
+    this.deletedVersions = new Map(); // key -> version it had when deleted or expired
+    this.activeWatchers = new Map(); // key -> watcher info
+    this.collectionWatchers = new Map(); // id -> callback for collection-level watchers
+    this.history = null; // retention policy when config.history is on
+    this.historyEntries = new Map(); // key -> history entries, oldest first
+    this.connected = false;
+    this.config = null;
+    this.metrics = {
+      changesProcessed: 0,
+      reads: 0,
+      writes: 0,
+      deletes: 0,
+      transactions: 0
+    };
+  }
+
+  async connect(config = {}) {
+    this.config = { ...config };
+    this.history = resolveHistoryOptions(config.history);
+    this.connected = true;
+
+    console.log('In-memory connector ready');
+    this.emit('connected');
+    return true;
+  }
+
+  async disconnect() {
+    this.activeWatchers.clear();
+    this.collectionWatchers.clear();
+
+    if (this.connected) {
+      this.connected = false;
+      console.log('In-memory connector disconnected');
+      this.emit('disconnected');
+    }
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  ensureConnected() {
+    if (!this.connected) {
+      throw new Error('Memory connector not connected');
+    }
+  }
+
+  async writeData(key, data, options = {}) {
+    this.ensureConnected();
+
+    const { result, change } = this.applyWrite(key, data, options);
+    this.recordHistory(change);
+    this.publishChange(change);
+    return result;
+  }
+
+  // Partial update; see updateOperators.js for the operators
+  async updateData(key, ops, options = {}) {
+    this.ensureConnected();
+
+    const operations = normalizeUpdate(ops);
+    const existing = this.getLiveRecord(key);
+    const now = new Date();
+
+    if (!existing && (options.upsert === false || !createsValues(operations))) {
+      return { success: true, key: key, upserted: false, matched: false, modified: false, version: null, timestamp: now };
+    }
+
+    // Like the database connectors, every update bumps the version, even when data is unchanged
+    const data = applyUpdate(existing ? existing.data : null, operations);
+
+    const record = existing
+      ? { ...existing, data: data, lastModified: now, version: existing.version + 1 }
+      : {
+        key: key,
+        data: data,
+        timestamp: now,
+        lastModified: now,
+        ttl: null,
+        tags: [],
+        metadata: {},
+        compressed: false,
+        encrypted: false,
+        version: this.nextVersion(key, null)
+      };
+
+    this.records.set(key, record);
+    this.metrics.writes++;
+
+    const change = { key, record, previous: existing || null, changeType: existing ? 'updated' : 'created' };
+    this.recordHistory(change);
+    this.publishChange(change);
+
+    return {
+      success: true,
+      key: key,
+      upserted: !existing,
+      matched: Boolean(existing),
+      modified: Boolean(existing),
+      version: record.version,
+      timestamp: now
+    };
+  }
+
+  /**
+   * Write only if the key is still at expectedVersion (0: does not exist yet)
+   * @throws {VersionConflictError} When the stored version differs
+   */
+  async compareAndSet(key, data, expectedVersion, options = {}) {
+    return this.writeData(key, data, { ...options, ifVersion: expectedVersion });
+  }
+
+  async readData(key) {
+    this.ensureConnected();
+    this.metrics.reads++;
+
+    const stored = this.getLiveRecord(key);
+    return stored ? this.formatRecord(stored) : null;
+  }
+
+  async deleteData(key) {
+    this.ensureConnected();
+
+    const { result, change } = this.applyDelete(key);
+    if (change) {
+      this.recordHistory(change);
+      this.publishChange(change);
+    }
+    return result;
+  }
+
+  /**
+   * Past versions of a key, newest first (needs config.history)
+   * @param {string} key
+   * @param {Object} [options] - { limit, since, asOf }; see versionHistory.js
+   */
+  async readHistory(key, options = {}) {
+    this.ensureConnected();
+    this.ensureHistory();
+
+    const { limit, since, asOf } = normalizeHistoryQuery(options);
+    this.metrics.reads++;
+
+    return (this.historyEntries.get(key) || [])
+      .filter(entry => (!since || entry.timestamp >= since) && (!asOf || entry.timestamp <= asOf))
+      .reverse()
+      .slice(0, limit)
+      .map(entry => ({ ...entry, data: cloneValue(entry.data) }));
+  }
+
+  ensureHistory() {
+    if (!this.history) {
+      throw new Error('History is not enabled; init with history: true or history: { maxVersions, maxAge }');
+    }
+  }
+
+  async getAllKeys() {
+    this.ensureConnected();
+
+    return this.liveRecords()
+      .sort((a, b) => b.lastModified - a.lastModified)
+      .map(record => ({
+        key: record.key,
+        lastModified: record.lastModified,
+        tags: [...record.tags]
+      }));
+  }
+
+  async readModifiedSince(since) {
+    this.ensureConnected();
+    this.metrics.reads++;
+
+    return this.liveRecords()
+      .filter(record => record.lastModified >= since)
+      .sort((a, b) => a.lastModified - b.lastModified)
+      .map(record => this.formatRecord(record));
+  }
+
+  async startRealTimeWatch(key, callback, options = {}) {
+    this.ensureConnected();
+    const watcherInfo = createWatcherInfo(key, callback, options);
+    this.activeWatchers.set(key, watcherInfo);
+
+    // Same initial delivery as the database connectors, one per matching key
+    const initialRecords = watcherInfo.pattern
+      ? await this.readMatchingKeys(key)
+      : [await this.readData(key)].filter(Boolean);
+
+    for (const record of initialRecords) {
+      callback(record.data, {
+        key: record.key,
+        changeType: 'initial',
+        timestamp: new Date(),
+        version: record.version
+      });
+    }
+
+    return key;
+  }
+
+  async readMatchingKeys(pattern) {
+    const matcher = keyPatternToRegExp(pattern);
+    this.metrics.reads++;
+
+    return this.liveRecords()
+      .filter(record => matcher.test(record.key))
+      .map(record => this.formatRecord(record));
+  }
+
+  async stopWatch(key) {
+    this.activeWatchers.delete(key);
+  }
+
+  async startCollectionWatch(id, callback) {
+    this.ensureConnected();
+    this.collectionWatchers.set(id, callback);
+    return id;
+  }
+
+  async stopCollectionWatch(id) {
+    this.collectionWatchers.delete(id);
+  }
+
+  matchesQuery(record, query) {
+    return matchesQuery(record, query, { keyPatternMode: 'regex' });
+  }
+
+  async queryData(query = {}, options = {}) {
+    this.ensureConnected();
+
+    const filter = isConditionNode(query.where) ? toMongoFilter(query.where) : null;
+    const matches = this.liveRecords()
+      .map(record => this.formatRecord(record))
+      .filter(record => this.matchesQuery(record, query) && (!filter || matchesFilter(record, filter)));
+
+    const pipeline = [{ $sort: options.sort || this.buildSort(query.orderBy) || { lastModified: -1 } }];
+    if (options.skip) pipeline.push({ $skip: options.skip });
+    // limit: null lifts the default cap (aggregation input)
+    if (options.limit !== null) pipeline.push({ $limit: options.limit || 1000 });
+
+    return runPipeline(matches, pipeline);
+  }
+
+  buildSort(orderBy) {
+    if (!Array.isArray(orderBy) || orderBy.length === 0) return null;
+
+    const sort = {};
+    for (const { field, direction } of orderBy) {
+      sort[field] = String(direction).toUpperCase() === 'DESC' ? -1 : 1;
+    }
+    return sort;
+  }
+
+  /**
+   * Apply push/get/delete operations all-or-nothing. Change events are only
+   * published after every operation succeeded, tagged with the transactionId.
+   */
+  async runTransaction(operations, options = {}) {
+    this.ensureConnected();
+
+    const { transactionId } = options;
+    const snapshot = new Map(this.records);
+    const deletedSnapshot = new Map(this.deletedVersions);
+    const results = [];
+    const changes = [];
+
+    try {
+      for (const op of operations) {
+        switch (op.type) {
+          case 'push': {
+            const { result, change } = this.applyWrite(op.key, op.data, op.options);
+            results.push({ ...result, transactionId });
+            changes.push(change);
+            break;
+          }
+          case 'get': {
+            const stored = this.getLiveRecord(op.key);
+            results.push(stored ? this.formatRecord(stored) : null);
+            break;
+          }
+          case 'delete': {
+            const { result, change } = this.applyDelete(op.key);
+            results.push({ ...result, transactionId });
+            if (change) changes.push(change);
+            break;
+          }
+          default:
+            throw new Error(`Unknown operation type: ${op.type}`);
+        }
+      }
+    } catch (error) {
+      this.records = snapshot;
+      this.deletedVersions = deletedSnapshot;
+      console.error(`Memory transaction ${transactionId} failed:`, error.message);
+      throw error;
+    }
+
+    this.metrics.transactions++;
+    changes.forEach((change) => {
+      this.recordHistory(change);
+      this.publishChange({ ...change, transactionId });
+    });
+    return results;
+  }
+
+  applyWrite(key, data, options = {}) {
+    const existing = this.getLiveRecord(key);
+    const now = new Date();
+
+    if (options.ifVersion !== undefined && (existing ? existing.version : 0) !== options.ifVersion) {
+      throw new VersionConflictError(key, options.ifVersion, existing ? existing.version : null);
+    }
+
+    const record = {
+      key: key,
+      data: cloneValue(data),
+      timestamp: now,
+      lastModified: now,
+      ttl: options.ttl ? new Date(now.getTime() + options.ttl * 1000) : null,
+      tags: options.tags ? [...options.tags] : [],
+      metadata: cloneValue(options.metadata || {}),
+      compressed: Boolean(options.compressed),
+      encrypted: Boolean(options.encrypted),
+      version: this.nextVersion(key, existing)
+    };
+
+    this.records.set(key, record);
+    this.metrics.writes++;
+
+    return {
+      result: {
+        success: true,
+        key: key,
+        upserted: !existing,
+        modified: Boolean(existing),
+        version: record.version,
+        timestamp: now
+      },
+      change: { key, record, previous: existing || null, changeType: existing ? 'updated' : 'created' }
+    };
+  }
+
+  applyDelete(key) {
+    const existing = this.getLiveRecord(key);
+    this.records.delete(key);
+
+    if (!existing) {
+      return { result: { success: true, deleted: false }, change: null };
+    }
+
+    this.deletedVersions.set(key, existing.version);
+    this.metrics.deletes++;
+    return {
+      result: { success: true, deleted: true },
+      change: { key, record: null, previous: existing, changeType: 'deleted' }
+    };
+  }
+
+  // A re-created key continues after the version it was deleted at, so a
+  // writer holding a version of the old record cannot match the new one
+  nextVersion(key, existing) {
+    if (existing) return existing.version + 1;
+
+    const deletedVersion = this.deletedVersions.get(key) || 0;
+    this.deletedVersions.delete(key);
+    return deletedVersion + 1;
+  }
+
+  // Mirrors stream_data_history: the new version of a write, or a tombstone for a delete
+  recordHistory({ key, record, previous }) {
+    if (!this.history) return;
+
+    const entry = record
+      ? {
+        key: key,
+        version: record.version,
+        data: cloneValue(record.data),
+        deleted: false,
+        timestamp: record.lastModified,
+        compressed: record.compressed,
+        encrypted: record.encrypted
+      }
+      : { key: key, version: previous.version, data: null, deleted: true, timestamp: new Date() };
+
+    const entries = [...(this.historyEntries.get(key) || []), entry];
+    this.historyEntries.set(key, retainHistory(entries, this.history));
+  }
+
+  publishChange({ key, record, previous = null, changeType, transactionId = null }) {
+    this.metrics.changesProcessed++;
+
+    const meta = {
+      key: key,
+      changeType: changeType,
+      timestamp: new Date(),
+      transactionId: transactionId,
+      previous: previous ? this.formatRecord(previous).data : null,
+      version: record ? record.version : null
+    };
+    const formatted = record ? this.formatRecord(record) : null;
+    const data = formatted ? formatted.data : null;
+
+    for (const [, watcher] of findKeyWatchers(this.activeWatchers, key)) {
+      try {
+        watcher.callback(data, meta);
+      } catch (error) {
+        console.error(`Error processing change for key ${key}:`, error);
+        this.emit('error', error);
+      }
+    }
+
+    for (const callback of this.collectionWatchers.values()) {
+      try {
+        callback(formatted ? this.formatRecord(record) : null, meta);
+      } catch (error) {
+        console.error('Error in collection watcher callback:', error);
+      }
+    }
+
+    this.emit('change', { key, data, meta });
+  }
+
+  getLiveRecord(key) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    // Lazy TTL expiry
+    if (record.ttl && new Date() > record.ttl) {
+      this.records.delete(key);
+      this.deletedVersions.set(key, record.version);
+      return null;
+    }
+
+    return record;
+  }
+
+  liveRecords() {
+    return Array.from(this.records.keys())
+      .map(key => this.getLiveRecord(key))
+      .filter(Boolean);
+  }
+
+  formatRecord(record) {
+    return {
+      key: record.key,
+      data: cloneValue(record.data),
+      timestamp: record.timestamp,
+      lastModified: record.lastModified,
+      tags: [...record.tags],
+      metadata: cloneValue(record.metadata),
+      compressed: record.compressed,
+      encrypted: record.encrypted,
+      ttl: record.ttl,
+      version: record.version
+    };
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      records: this.records.size,
+      activeWatchers: this.activeWatchers.size,
+      collectionWatchers: this.collectionWatchers.size,
+      isConnected: this.connected
+    };
+  }
+}
+
+// Stored values must not alias caller objects, like a real database round-trip
+function cloneValue(value) {
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(cloneValue);
+
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    for (const [field, item] of Object.entries(value)) {
+      copy[field] = cloneValue(item);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+module.exports = MemoryConnector;
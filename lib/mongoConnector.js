@@ -1,4 +1,6 @@
 const { MongoClient } = require('mongodb');
+const { normalizeUpdate, createsValues, toMongoUpdate } = require('./updateOperators');
+const { VersionConflictError } = require('./errors');
 
 class MongoConnector {
   constructor() {
@@ -28,6 +30,13 @@ class MongoConnector {
       await this.client.connect();
       this.db = this.client.db(database);
       this.connected = true;
+
+      // compareAndSet relies on the unique key to reject a second insert of a new key
+      try {
+        await this.db.collection('stream_data').createIndex({ key: 1 }, { unique: true });
+      } catch (error) {
+        console.error('MongoDB index creation error:', error.message);
+      }
       
       console.log('MongoDB connected successfully');
       return true;
@@ -46,11 +55,13 @@ class MongoConnector {
     }
   }
 
-  async writeData(key, data) {
+  async writeData(key, data, options = {}) {
     if (!this.connected) {
       throw new Error('MongoDB not connected');
     }
 
+    const expected = options.ifVersion;
+
     try {
       const collection = this.db.collection('stream_data');
       const document = {
@@ -60,21 +71,95 @@ class MongoConnector {
         lastModified: new Date()
       };
 
+      // With ifVersion the filter also matches the expected version (0: missing or unversioned)
+      const filter = { key: key };
+      if (expected !== undefined) {
+        filter.version = expected === 0 ? { $in: [null, 0] } : expected;
+      }
+
       // Upsert operation: update if exists, insert if not
-      const result = await collection.replaceOne(
-        { key: key },
-        document,
-        { upsert: true }
-      );
+      let result;
+      try {
+        result = await collection.findOneAndUpdate(
+          filter,
+          // _id = key lets change stream delete events name their key
+          { $set: document, $setOnInsert: { _id: key }, $inc: { version: 1 } },
+          {
+            upsert: expected === undefined || expected === 0,
+            returnDocument: 'after',
+            projection: { version: 1 },
+            includeResultMetadata: true
+          }
+        );
+      } catch (error) {
+        // A duplicate key means another writer created the key first
+        if (expected === undefined || error.code !== 11000) throw error;
+        result = { value: null };
+      }
 
+      if (!result.value) {
+        const current = await collection.findOne({ key: key }, { projection: { version: 1 } });
+        throw new VersionConflictError(key, expected, current ? current.version || 0 : null);
+      }
+
+      const upserted = !result.lastErrorObject.updatedExisting;
       return {
         success: true,
         key: key,
-        upserted: result.upsertedCount > 0,
-        modified: result.modifiedCount > 0
+        upserted: upserted,
+        modified: !upserted,
+        version: result.value.version
       };
     } catch (error) {
-      console.error('MongoDB write error:', error.message);
+      if (!(error instanceof VersionConflictError)) {
+        console.error('MongoDB write error:', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write only if the key is still at expectedVersion (0: does not exist yet)
+   * @throws {VersionConflictError} When the stored version differs
+   */
+  async compareAndSet(key, data, expectedVersion) {
+    return this.writeData(key, data, { ifVersion: expectedVersion });
+  }
+
+  // Partial update with one findOneAndUpdate; see updateOperators.js for the operators
+  async updateData(key, ops, options = {}) {
+    if (!this.connected) {
+      throw new Error('MongoDB not connected');
+    }
+
+    const operations = normalizeUpdate(ops);
+    const now = new Date();
+    const update = toMongoUpdate(operations);
+    update.$set = { ...update.$set, lastModified: now };
+    update.$setOnInsert = { _id: key, timestamp: now };
+    update.$inc = { ...update.$inc, version: 1 };
+    const upsert = options.upsert !== false && createsValues(operations);
+
+    try {
+      const collection = this.db.collection('stream_data');
+      const result = await collection.findOneAndUpdate({ key: key }, update, {
+        upsert,
+        returnDocument: 'after',
+        projection: { version: 1 },
+        includeResultMetadata: true
+      });
+      const matched = Boolean(result.lastErrorObject && result.lastErrorObject.updatedExisting);
+
+      return {
+        success: true,
+        key: key,
+        upserted: Boolean(result.value) && !matched,
+        matched: matched,
+        modified: matched,
+        version: result.value ? result.value.version : null
+      };
+    } catch (error) {
+      console.error('MongoDB update error:', error.message);
       throw error;
     }
   }
@@ -92,7 +177,8 @@ class MongoConnector {
         key: result.key,
         data: result.data,
         timestamp: result.timestamp,
-        lastModified: result.lastModified
+        lastModified: result.lastModified,
+        version: result.version || 0
       } : null;
     } catch (error) {
       console.error('MongoDB read error:', error.message);
@@ -119,6 +205,32 @@ class MongoConnector {
     }
   }
 
+  // Records modified at or after `since`, oldest first; HeartbeatSystem polls with this
+  async readModifiedSince(since) {
+    if (!this.connected) {
+      throw new Error('MongoDB not connected');
+    }
+
+    try {
+      const collection = this.db.collection('stream_data');
+      const results = await collection
+        .find({ lastModified: { $gte: since } })
+        .sort({ lastModified: 1 })
+        .toArray();
+
+      return results.map(result => ({
+        key: result.key,
+        data: result.data,
+        timestamp: result.timestamp,
+        lastModified: result.lastModified,
+        version: result.version || 0
+      }));
+    } catch (error) {
+      console.error('MongoDB readModifiedSince error:', error.message);
+      throw error;
+    }
+  }
+
   async deleteData(key) {
     if (!this.connected) {
       throw new Error('MongoDB not connected');
@@ -1,4 +1,6 @@
 const mysql = require('mysql2/promise');
+const { normalizeUpdate, createsValues, applyUpdate, toMysqlUpdate } = require('./updateOperators');
+const { VersionConflictError } = require('./errors');
 
 class MySQLConnector {
   constructor() {
@@ -24,6 +26,8 @@ class MySQLConnector {
       };
 
       this.connection = await mysql.createConnection(connectionConfig);
+      // NOW() then stamps UTC, the zone the driver reads DATETIME values in
+      await this.connection.query("SET time_zone = '+00:00'");
       this.connected = true;
 
       // Create the stream_data table if it doesn't exist
@@ -45,20 +49,82 @@ class MySQLConnector {
           id INT AUTO_INCREMENT PRIMARY KEY,
           \`key\` VARCHAR(255) UNIQUE NOT NULL,
           data JSON NOT NULL,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          last_modified DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          timestamp DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6),
+          last_modified DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6),
+          version BIGINT UNSIGNED NOT NULL DEFAULT 0,
           INDEX idx_key (\`key\`),
           INDEX idx_last_modified (last_modified)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
       `;
       
       await this.connection.execute(createTableQuery);
+      await this.addVersionColumn();
+      await this.widenTimestamps();
+      await this.createTombstones();
     } catch (error) {
       console.error('MySQL table creation error:', error.message);
       throw error;
     }
   }
 
+  // Tables created before versioning get the column; their rows start at version 0
+  async addVersionColumn() {
+    const [rows] = await this.connection.execute(`
+      SELECT COUNT(*) AS present FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'stream_data' AND COLUMN_NAME = 'version'
+    `);
+
+    if (Number(rows[0].present) === 0) {
+      await this.connection.execute('ALTER TABLE stream_data ADD COLUMN version BIGINT UNSIGNED NOT NULL DEFAULT 0');
+    }
+  }
+
+  // Tables created before microsecond timestamps; batched polling compares last_modified to the microsecond
+  async widenTimestamps() {
+    const [rows] = await this.connection.execute(`
+      SELECT DATETIME_PRECISION AS \`precision\` FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'stream_data' AND COLUMN_NAME = 'last_modified'
+    `);
+
+    if (rows.length > 0 && Number(rows[0].precision) === 0) {
+      await this.connection.execute(`
+        ALTER TABLE stream_data
+          MODIFY timestamp DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6),
+          MODIFY last_modified DATETIME(6) DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6)
+      `);
+    }
+  }
+
+  // A key written again after a delete continues from the version it was deleted at
+  async createTombstones() {
+    await this.connection.execute(`
+      CREATE TABLE IF NOT EXISTS stream_data_tombstones (
+        \`key\` VARCHAR(255) NOT NULL PRIMARY KEY,
+        version BIGINT UNSIGNED NOT NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // query() rather than execute(): CREATE TRIGGER cannot be prepared
+    try {
+      await this.connection.query(`
+        CREATE TRIGGER stream_data_tombstone AFTER DELETE ON stream_data
+        FOR EACH ROW
+          INSERT INTO stream_data_tombstones (\`key\`, version) VALUES (OLD.\`key\`, OLD.version)
+          ON DUPLICATE KEY UPDATE version = GREATEST(version, OLD.version)
+      `);
+    } catch (error) {
+      if (error.code !== 'ER_TRG_ALREADY_EXISTS') {
+        console.warn('MySQL tombstone trigger warning (re-created keys restart at version 1):', error.message);
+      }
+    }
+  }
+
+  // Version for a new row: one past the version its key was last deleted at
+  async insertVersion(key) {
+    const [rows] = await this.connection.execute('SELECT version FROM stream_data_tombstones WHERE `key` = ?', [key]);
+    return rows.length > 0 ? Number(rows[0].version) + 1 : 1;
+  }
+
   async disconnect() {
     if (this.connection) {
       await this.connection.end();
@@ -67,34 +133,136 @@ class MySQLConnector {
     }
   }
 
-  async writeData(key, data) {
+  async writeData(key, data, options = {}) {
     if (!this.connected) {
       throw new Error('MySQL not connected');
     }
 
     try {
-      // Use ON DUPLICATE KEY UPDATE for upsert functionality
+      if (options.ifVersion !== undefined) {
+        return await this.compareAndSetRow(key, data, options.ifVersion);
+      }
+
+      // Use ON DUPLICATE KEY UPDATE for upsert functionality;
+      // LAST_INSERT_ID(expr) hands the bumped version back as insertId
+      const insertVersion = await this.insertVersion(key);
       const query = `
-        INSERT INTO stream_data (\`key\`, data, timestamp, last_modified)
-        VALUES (?, ?, NOW(), NOW())
+        INSERT INTO stream_data (\`key\`, data, timestamp, last_modified, version)
+        VALUES (?, ?, NOW(6), NOW(6), ?)
         ON DUPLICATE KEY UPDATE 
           data = VALUES(data),
-          last_modified = NOW()
+          last_modified = NOW(6),
+          version = LAST_INSERT_ID(version + 1)
       `;
       
       const [result] = await this.connection.execute(query, [
         key,
-        JSON.stringify(data)
+        JSON.stringify(data),
+        insertVersion
       ]);
+      const inserted = result.affectedRows === 1;
 
       return {
         success: true,
         key: key,
-        upserted: result.insertId > 0,
-        modified: result.changedRows > 0
+        upserted: inserted,
+        modified: !inserted,
+        version: inserted ? insertVersion : Number(result.insertId)
       };
     } catch (error) {
-      console.error('MySQL write error:', error.message);
+      if (!(error instanceof VersionConflictError)) {
+        console.error('MySQL write error:', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write only if the key is still at expectedVersion (0: does not exist yet)
+   * @throws {VersionConflictError} When the stored version differs
+   */
+  async compareAndSet(key, data, expectedVersion) {
+    return this.writeData(key, data, { ifVersion: expectedVersion });
+  }
+
+  // The version check and the write are one statement, so concurrent writers cannot both succeed
+  async compareAndSetRow(key, data, expected) {
+    if (expected === 0) {
+      try {
+        const insertVersion = await this.insertVersion(key);
+        await this.connection.execute(
+          'INSERT INTO stream_data (`key`, data, timestamp, last_modified, version) VALUES (?, ?, NOW(6), NOW(6), ?)',
+          [key, JSON.stringify(data), insertVersion]
+        );
+
+        return { success: true, key: key, upserted: true, modified: false, version: insertVersion };
+      } catch (error) {
+        if (error.code !== 'ER_DUP_ENTRY') throw error;
+        // An unversioned row still matches version 0 below
+      }
+    }
+
+    const [result] = await this.connection.execute(
+      'UPDATE stream_data SET data = ?, last_modified = NOW(6), version = version + 1 WHERE `key` = ? AND version = ?',
+      [JSON.stringify(data), key, expected]
+    );
+
+    if (result.affectedRows === 0) {
+      const [rows] = await this.connection.execute('SELECT version FROM stream_data WHERE `key` = ?', [key]);
+      throw new VersionConflictError(key, expected, rows.length > 0 ? Number(rows[0].version) : null);
+    }
+
+    return { success: true, key: key, upserted: false, modified: true, version: expected + 1 };
+  }
+
+  // Partial update in one statement; see updateOperators.js for the operators
+  async updateData(key, ops, options = {}) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    const operations = normalizeUpdate(ops);
+    const { expression, params } = toMysqlUpdate(operations);
+
+    try {
+      if (options.upsert === false || !createsValues(operations)) {
+        const [result] = await this.connection.execute(
+          `UPDATE stream_data SET data = ${expression}, last_modified = NOW(6), version = LAST_INSERT_ID(version + 1) WHERE \`key\` = ?`,
+          [...params, key]
+        );
+        const matched = result.affectedRows > 0;
+
+        return {
+          success: true,
+          key: key,
+          upserted: false,
+          matched: matched,
+          modified: matched,
+          version: matched ? Number(result.insertId) : null
+        };
+      }
+
+      const insertVersion = await this.insertVersion(key);
+      const [result] = await this.connection.execute(`
+        INSERT INTO stream_data (\`key\`, data, timestamp, last_modified, version)
+        VALUES (?, ?, NOW(6), NOW(6), ?)
+        ON DUPLICATE KEY UPDATE
+          data = ${expression},
+          last_modified = NOW(6),
+          version = LAST_INSERT_ID(version + 1)
+      `, [key, JSON.stringify(applyUpdate(null, operations)), insertVersion, ...params]);
+      const inserted = result.affectedRows === 1;
+
+      return {
+        success: true,
+        key: key,
+        upserted: inserted,
+        matched: !inserted,
+        modified: !inserted,
+        version: inserted ? insertVersion : Number(result.insertId)
+      };
+    } catch (error) {
+      console.error('MySQL update error:', error.message);
       throw error;
     }
   }
@@ -105,7 +273,7 @@ class MySQLConnector {
     }
 
     try {
-      const query = 'SELECT `key`, data, timestamp, last_modified FROM stream_data WHERE `key` = ?';
+      const query = 'SELECT `key`, data, timestamp, last_modified, version FROM stream_data WHERE `key` = ?';
       const [rows] = await this.connection.execute(query, [key]);
       
       if (rows.length === 0) {
@@ -117,7 +285,8 @@ class MySQLConnector {
         key: row.key,
         data: JSON.parse(row.data),
         timestamp: row.timestamp,
-        lastModified: row.last_modified
+        lastModified: row.last_modified,
+        version: Number(row.version)
       };
     } catch (error) {
       console.error('MySQL read error:', error.message);
@@ -144,6 +313,39 @@ class MySQLConnector {
     }
   }
 
+  // The clock that stamps last_modified; HeartbeatSystem seeds its high-water mark with it
+  async getServerTime() {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    const [rows] = await this.connection.query('SELECT NOW(6) AS now');
+    return rows[0].now;
+  }
+
+  // Rows modified at or after `since`, oldest first; HeartbeatSystem polls with this
+  async readModifiedSince(since) {
+    if (!this.connected) {
+      throw new Error('MySQL not connected');
+    }
+
+    try {
+      const query = 'SELECT `key`, data, timestamp, last_modified, version FROM stream_data WHERE last_modified >= ? ORDER BY last_modified';
+      const [rows] = await this.connection.execute(query, [since]);
+
+      return rows.map(row => ({
+        key: row.key,
+        data: JSON.parse(row.data),
+        timestamp: row.timestamp,
+        lastModified: row.last_modified,
+        version: Number(row.version)
+      }));
+    } catch (error) {
+      console.error('MySQL readModifiedSince error:', error.message);
+      throw error;
+    }
+  }
+
   async deleteData(key) {
     if (!this.connected) {
       throw new Error('MySQL not connected');
@@ -0,0 +1,112 @@
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * In-process evaluation of the query objects accepted by queryData().
+ *
+ * Live query subscriptions receive individual change events and need to decide
+ * whether the changed record belongs to the result set without another round
+ * trip to the database. The semantics mirror the connectors' own query
+ * builders; keyPattern is a case-insensitive regex on MongoDB and a LIKE
+ * pattern (with `*` as an alias for `%`) on MySQL, selected via keyPatternMode.
+ */
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function getPath(object, path) {
+  if (object === null || object === undefined) return undefined;
+
+  return String(path).split('.').reduce((current, segment) => {
+    if (current === null || current === undefined) return undefined;
+    return current[segment];
+  }, object);
+}
+
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/\*/g, '%')
+    .split('')
+    .map(char => {
+      if (char === '%') return '.*';
+      if (char === '_') return '.';
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function compileKeyPattern(pattern, mode = 'regex') {
+  if (pattern instanceof RegExp) return pattern;
+  return mode === 'like' ? likeToRegExp(pattern) : new RegExp(pattern, 'i');
+}
+
+function valueMatches(actual, expected) {
+  // Arrays match when any element matches, as they do in MongoDB filters
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some(item => isDeepStrictEqual(item, expected));
+  }
+  return isDeepStrictEqual(actual, expected);
+}
+
+function toTime(value) {
+  if (value === null || value === undefined) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check whether a record ({ key, data, tags, lastModified, ... }) satisfies a
+ * query object (keys, keyPattern, tags, since, until, data).
+ *
+ * @param {Object} record - Record as returned by readData()/queryData()
+ * @param {Object} [query] - Query object
+ * @param {Object} [options]
+ * @param {string} [options.keyPatternMode] - 'regex' (default) or 'like'
+ * @returns {boolean}
+ */
+function matchesQuery(record, query = {}, options = {}) {
+  if (!record) return false;
+
+  if (query.keys && !toArray(query.keys).includes(record.key)) {
+    return false;
+  }
+
+  if (query.keyPattern && !compileKeyPattern(query.keyPattern, options.keyPatternMode).test(record.key)) {
+    return false;
+  }
+
+  if (query.tags) {
+    const recordTags = record.tags || [];
+    if (!toArray(query.tags).some(tag => recordTags.includes(tag))) {
+      return false;
+    }
+  }
+
+  const lastModified = toTime(record.lastModified);
+
+  if (query.since && (lastModified === null || lastModified < toTime(query.since))) {
+    return false;
+  }
+
+  if (query.until && (lastModified === null || lastModified > toTime(query.until))) {
+    return false;
+  }
+
+  if (query.data) {
+    for (const [field, value] of Object.entries(query.data)) {
+      if (!valueMatches(getPath(record.data, field), value)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  matchesQuery,
+  compileKeyPattern,
+  getPath
+};
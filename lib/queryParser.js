@@ -0,0 +1,470 @@
+const { QuerySyntaxError } = require('./errors');
+
+/**
+ * Tokenizer and recursive-descent parser for SQL-like query strings:
+ *
+ *   [SELECT fields FROM source] [WHERE condition]
+ *   [ORDER BY path [ASC|DESC], ...] [LIMIT n [OFFSET m] | LIMIT m, n]
+ *
+ * Conditions support AND/OR/NOT, parentheses, = != <> < <= > >=, [NOT] IN,
+ * IS [NOT] NULL, [NOT] BETWEEN, [NOT] LIKE, and string, number, boolean and
+ * NULL literals. Field paths are dotted (data.user.age); bare fields that are
+ * not record fields resolve into `data` (age -> data.age).
+ *
+ * The WHERE clause becomes an AST. toMongoFilter() compiles it into a
+ * MongoDB-style filter, which the MongoDB connector runs natively and the
+ * aggregation engine evaluates in process; the MySQL connector compiles the
+ * same AST into parameterized SQL.
+ */
+
+const KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'BETWEEN',
+  'LIKE', 'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'OFFSET', 'TRUE', 'FALSE'
+]);
+
+const RECORD_FIELDS = {
+  key: 'key',
+  tags: 'tags',
+  timestamp: 'timestamp',
+  lastmodified: 'lastModified',
+  last_modified: 'lastModified'
+};
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<=', '>=', '<', '>'];
+
+function tokenize(input) {
+  const tokens = [];
+  let index = 0;
+
+  const previousIsValue = () => {
+    const previous = tokens[tokens.length - 1];
+    return previous && ['identifier', 'number', 'string', 'rparen'].includes(previous.type);
+  };
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+
+    if (char === '\'' || char === '"') {
+      let value = '';
+      index++;
+      while (true) {
+        if (index >= input.length) {
+          throw new QuerySyntaxError('Unterminated string literal', start, input);
+        }
+        if (input[index] === '\\' && index + 1 < input.length) {
+          value += input[index + 1];
+          index += 2;
+        } else if (input[index] === char && input[index + 1] === char) {
+          value += char;
+          index += 2;
+        } else if (input[index] === char) {
+          index++;
+          break;
+        } else {
+          value += input[index++];
+        }
+      }
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    if (char === '`') {
+      const end = input.indexOf('`', index + 1);
+      if (end === -1) {
+        throw new QuerySyntaxError('Unterminated quoted identifier', start, input);
+      }
+      tokens.push({ type: 'identifier', value: input.slice(index + 1, end), quoted: true, position: start });
+      index = end + 1;
+      continue;
+    }
+
+    const numberMatch = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(input.slice(index));
+    if (numberMatch && (char !== '-' || !previousIsValue())) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]), position: start });
+      index += numberMatch[0].length;
+      continue;
+    }
+
+    const identifierMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(input.slice(index));
+    if (identifierMatch) {
+      const word = identifierMatch[0];
+      const upper = word.toUpperCase();
+      tokens.push(KEYWORDS.has(upper) ?
+        { type: 'keyword', value: upper, text: word, position: start } :
+        { type: 'identifier', value: word, position: start });
+      index += word.length;
+      continue;
+    }
+
+    const operator = COMPARISON_OPERATORS.find(op => input.startsWith(op, index));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator === '<>' ? '!=' : operator, position: start });
+      index += operator.length;
+      continue;
+    }
+
+    const punctuation = { '(': 'lparen', ')': 'rparen', ',': 'comma', '.': 'dot', '*': 'star' }[char];
+    if (punctuation) {
+      tokens.push({ type: punctuation, value: char, position: start });
+      index++;
+      continue;
+    }
+
+    throw new QuerySyntaxError(`Unexpected character '${char}'`, start, input);
+  }
+
+  tokens.push({ type: 'eof', value: null, position: input.length });
+  return tokens;
+}
+
+class Parser {
+  constructor(input) {
+    this.input = input;
+    this.tokens = tokenize(input);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(...keywords) {
+    const token = this.peek();
+    return token.type === 'keyword' && keywords.includes(token.value);
+  }
+
+  acceptKeyword(keyword) {
+    if (this.isKeyword(keyword)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of query';
+    if (token.type === 'string') return `'${token.value}'`;
+    return `'${token.text || token.value}'`;
+  }
+
+  error(expected, token = this.peek()) {
+    return new QuerySyntaxError(`Expected ${expected} but found ${this.describe(token)}`, token.position, this.input);
+  }
+
+  expectKeyword(keyword) {
+    const token = this.acceptKeyword(keyword);
+    if (!token) throw this.error(keyword);
+    return token;
+  }
+
+  expect(type, description) {
+    if (this.peek().type !== type) throw this.error(description);
+    return this.next();
+  }
+
+  parseQuery() {
+    const query = {};
+
+    if (this.acceptKeyword('SELECT')) {
+      query.select = this.parseSelectList();
+      this.expectKeyword('FROM');
+      query.from = this.expect('identifier', 'a source name').value;
+    }
+
+    if (this.acceptKeyword('WHERE')) {
+      query.where = this.parseOr();
+    }
+
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      query.orderBy = this.parseOrderList();
+    }
+
+    if (this.acceptKeyword('LIMIT')) {
+      const first = this.parseNonNegativeInteger();
+      if (this.peek().type === 'comma') {
+        // MySQL style: LIMIT offset, count
+        this.next();
+        query.offset = first;
+        query.limit = this.parseNonNegativeInteger();
+      } else {
+        query.limit = first;
+        if (this.acceptKeyword('OFFSET')) {
+          query.offset = this.parseNonNegativeInteger();
+        }
+      }
+    }
+
+    if (this.peek().type !== 'eof') {
+      throw this.error('end of query');
+    }
+
+    return query;
+  }
+
+  parseSelectList() {
+    if (this.peek().type === 'star') {
+      this.next();
+      return ['*'];
+    }
+
+    const fields = [this.parsePath().field];
+    while (this.peek().type === 'comma') {
+      this.next();
+      fields.push(this.parsePath().field);
+    }
+    return fields;
+  }
+
+  parseOrderList() {
+    const order = [];
+
+    do {
+      if (order.length > 0) this.next();
+      const { field } = this.parsePath();
+      let direction = 'ASC';
+      if (this.isKeyword('ASC', 'DESC')) {
+        direction = this.next().value;
+      }
+      order.push({ field, direction });
+    } while (this.peek().type === 'comma');
+
+    return order;
+  }
+
+  parseNonNegativeInteger() {
+    const token = this.peek();
+    if (token.type !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+      throw this.error('a non-negative integer');
+    }
+    return this.next().value;
+  }
+
+  parseOr() {
+    const position = this.peek().position;
+    const conditions = [this.parseAnd()];
+    while (this.acceptKeyword('OR')) {
+      conditions.push(this.parseAnd());
+    }
+    return conditions.length === 1 ? conditions[0] : { type: 'logical', operator: 'OR', conditions, position };
+  }
+
+  parseAnd() {
+    const position = this.peek().position;
+    const conditions = [this.parseNot()];
+    while (this.acceptKeyword('AND')) {
+      conditions.push(this.parseNot());
+    }
+    return conditions.length === 1 ? conditions[0] : { type: 'logical', operator: 'AND', conditions, position };
+  }
+
+  parseNot() {
+    const token = this.acceptKeyword('NOT');
+    if (token) {
+      return { type: 'not', condition: this.parseNot(), position: token.position };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.peek().type === 'lparen') {
+      this.next();
+      const condition = this.parseOr();
+      this.expect('rparen', "')'");
+      return condition;
+    }
+    return this.parsePredicate();
+  }
+
+  parsePath() {
+    const token = this.peek();
+    if (token.type !== 'identifier') {
+      throw this.error('a field name');
+    }
+
+    const segments = [this.next().value];
+    while (this.peek().type === 'dot') {
+      this.next();
+      const segment = this.peek();
+      // Keywords are fine as nested segments (data.order)
+      if (segment.type !== 'identifier' && segment.type !== 'keyword') {
+        throw this.error('a field name after \'.\'');
+      }
+      segments.push(segment.type === 'keyword' ? this.next().text : this.next().value);
+    }
+
+    return { field: resolveField(segments), position: token.position };
+  }
+
+  parseLiteral() {
+    const token = this.peek();
+
+    if (token.type === 'string' || token.type === 'number') {
+      return this.next().value;
+    }
+    if (this.isKeyword('TRUE', 'FALSE')) {
+      return this.next().value === 'TRUE';
+    }
+    if (this.isKeyword('NULL')) {
+      this.next();
+      return null;
+    }
+
+    throw this.error('a literal value');
+  }
+
+  parsePredicate() {
+    const { field, position } = this.parsePath();
+    const token = this.peek();
+
+    if (token.type === 'operator') {
+      const operator = this.next().value;
+      const value = this.parseLiteral();
+
+      if (value === null) {
+        // `field = NULL` reads as IS NULL rather than SQL's never-true comparison
+        if (operator === '=' || operator === '!=') {
+          return { type: 'null', field, negated: operator === '!=', position };
+        }
+        throw new QuerySyntaxError(`Operator '${operator}' cannot compare with NULL`, token.position, this.input);
+      }
+
+      return { type: 'comparison', field, operator, value, position };
+    }
+
+    if (this.acceptKeyword('IS')) {
+      const negated = !!this.acceptKeyword('NOT');
+      this.expectKeyword('NULL');
+      return { type: 'null', field, negated, position };
+    }
+
+    const negated = !!this.acceptKeyword('NOT');
+
+    if (this.acceptKeyword('IN')) {
+      this.expect('lparen', "'('");
+      const values = [this.parseLiteral()];
+      while (this.peek().type === 'comma') {
+        this.next();
+        values.push(this.parseLiteral());
+      }
+      this.expect('rparen', "')'");
+      return { type: 'in', field, values, negated, position };
+    }
+
+    if (this.acceptKeyword('BETWEEN')) {
+      const low = this.parseLiteral();
+      this.expectKeyword('AND');
+      const high = this.parseLiteral();
+      return { type: 'between', field, low, high, negated, position };
+    }
+
+    if (this.acceptKeyword('LIKE')) {
+      const pattern = this.peek();
+      if (pattern.type !== 'string') {
+        throw this.error('a string pattern');
+      }
+      return { type: 'like', field, pattern: this.next().value, negated, position };
+    }
+
+    throw this.error(negated ? 'IN, BETWEEN or LIKE' : 'a comparison operator, IN, IS, BETWEEN or LIKE');
+  }
+}
+
+function resolveField(segments) {
+  const [first, ...rest] = segments;
+  const recordField = RECORD_FIELDS[first.toLowerCase()];
+
+  if (recordField && rest.length === 0) return recordField;
+  if (first === 'data' || first === 'metadata') return segments.join('.');
+  return ['data', ...segments].join('.');
+}
+
+/**
+ * Parse a SQL-like query string.
+ *
+ * @param {string} input - Query string
+ * @returns {Object} - { select, from, where, orderBy, limit, offset }
+ * @throws {QuerySyntaxError} - With the offending position
+ */
+function parseQuery(input) {
+  if (typeof input !== 'string') {
+    throw new TypeError('Query must be a string');
+  }
+  return new Parser(input).parseQuery();
+}
+
+/**
+ * Whether a `where` value is an AST node produced by parseQuery().
+ */
+function isConditionNode(value) {
+  return !!value && typeof value === 'object' &&
+    ['logical', 'not', 'comparison', 'in', 'null', 'between', 'like'].includes(value.type);
+}
+
+function likeToRegExpSource(pattern) {
+  let source = '';
+  for (const char of pattern) {
+    if (char === '%') source += '.*';
+    else if (char === '_') source += '.';
+    else source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return `^${source}$`;
+}
+
+// Timestamps are stored as dates; literals compare against them as dates
+function toFieldValue(field, value) {
+  if ((field === 'lastModified' || field === 'timestamp') && (typeof value === 'string' || typeof value === 'number')) {
+    return new Date(value);
+  }
+  return value;
+}
+
+/**
+ * Compile a condition AST into a MongoDB-style filter over record paths.
+ */
+function toMongoFilter(node) {
+  switch (node.type) {
+    case 'logical':
+      return { [node.operator === 'AND' ? '$and' : '$or']: node.conditions.map(toMongoFilter) };
+    case 'not':
+      return { $nor: [toMongoFilter(node.condition)] };
+    case 'comparison': {
+      const operators = { '=': '$eq', '!=': '$ne', '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+      return { [node.field]: { [operators[node.operator]]: toFieldValue(node.field, node.value) } };
+    }
+    case 'in':
+      return { [node.field]: { [node.negated ? '$nin' : '$in']: node.values.map(value => toFieldValue(node.field, value)) } };
+    case 'null':
+      return { [node.field]: node.negated ? { $ne: null } : null };
+    case 'between': {
+      const range = {
+        [node.field]: { $gte: toFieldValue(node.field, node.low), $lte: toFieldValue(node.field, node.high) }
+      };
+      return node.negated ? { $nor: [range] } : range;
+    }
+    case 'like': {
+      // LIKE is case-insensitive under the MySQL table collation; match that
+      const regex = { $regex: likeToRegExpSource(node.pattern), $options: 'is' };
+      return node.negated ? { $nor: [{ [node.field]: regex }] } : { [node.field]: regex };
+    }
+    default:
+      throw new Error(`Unknown condition node: ${node.type}`);
+  }
+}
+
+module.exports = {
+  tokenize,
+  parseQuery,
+  isConditionNode,
+  toMongoFilter
+};
@@ -0,0 +1,204 @@
+const EventEmitter = require('events');
+const { matchesKeyPattern } = require('./keyPattern');
+const { VersionConflictError } = require('./errors');
+const { MemoryCheckpointStore } = require('./checkpointStore');
+
+/**
+ * Background re-encryption of stored records under the current key, started
+ * by reencrypt() on the advanced package after a key rotation. Records sealed
+ * by another key (and plaintext records written before encryption was turned
+ * on, or encrypted whole before encryptedFields was set) are decoded with the
+ * keyring and written back as the facade now encodes them; records already
+ * up to date are skipped.
+ *
+ * Keys from getAllKeys() are walked in sorted order, batchSize at a time.
+ * After each batch the job saves a checkpoint with the last key done, so a
+ * job that is stopped or interrupted continues from there when started again
+ * for the same key id and pattern. Checkpoints go to the connector's
+ * checkpoint store when it has one, otherwise they only last for the process.
+ *
+ * Each record is written with compareAndSet against the version it was read
+ * at, so a concurrent push() is never overwritten with older data; the
+ * record is re-read and, if the new value still needs it, retried in a later
+ * run. Rewrites go straight to the connector, bypassing interceptors, and
+ * keep tags, metadata and the time left to live (records that expire
+ * meanwhile are skipped); watchers see each one as an update with unchanged
+ * data and a new version.
+ *
+ * Events:
+ *   'progress' { processed, total, reencrypted, skipped, failed, cursor } after each batch
+ *   'done'     the same counts plus failedKeys, once the walk completes
+ *   'stopped'  the counts so far, when stop() ends the job early
+ *   'error'    a failure that ended the job (logged when nobody listens)
+ */
+class ReencryptionJob extends EventEmitter {
+  /**
+   * @param {Object} params
+   * @param {Object} params.connector - Connector with getAllKeys, readData and writeData
+   * @param {EnvelopeEncryption} params.encryption - Keyring; records are sealed by its current key
+   * @param {Object} params.codec - { needsReencryption(record), reencode(record) -> { data } }, sync or async
+   * @param {Object} [params.checkpointStore] - Store with load/save (default: process memory)
+   * @param {number} [params.batchSize] - Records per batch (default: 100)
+   * @param {string} [params.keyPattern] - Only keys matching this glob pattern
+   * @param {Function} [params.onRewrite] - Called with each rewritten key
+   */
+  constructor(params) {
+    super();
+    this.connector = params.connector;
+    this.encryption = params.encryption;
+    this.codec = params.codec;
+    this.checkpointStore = params.checkpointStore || new MemoryCheckpointStore();
+    this.batchSize = params.batchSize || 100;
+    this.keyPattern = params.keyPattern || null;
+    this.onRewrite = params.onRewrite || (() => {});
+
+    this.keyId = this.encryption.currentKeyId;
+    this.name = `reencrypt:${this.keyId}${this.keyPattern ? `:${this.keyPattern}` : ''}`;
+    this.stopRequested = false;
+    this.running = false;
+    this.progress = { processed: 0, total: 0, reencrypted: 0, skipped: 0, failed: 0, cursor: null };
+    this.failedKeys = [];
+    this.finished = null;
+  }
+
+  // Runs on the next tick so callers can attach listeners first
+  start() {
+    this.running = true;
+    this.finished = new Promise(resolve => setImmediate(resolve))
+      .then(() => this.run())
+      .catch((error) => {
+        this.fail(error);
+        throw error;
+      })
+      .finally(() => {
+        this.running = false;
+      });
+
+    // Callers that only listen for events shouldn't see an unhandled rejection
+    this.finished.catch(() => {});
+    return this;
+  }
+
+  // Finish the current batch, save the checkpoint and end; start again to resume
+  stop() {
+    this.stopRequested = true;
+    return this.finished ? this.finished.catch(() => {}) : Promise.resolve();
+  }
+
+  async run() {
+    const checkpoint = await this.checkpointStore.load(this.name);
+    if (checkpoint && !checkpoint.completed) {
+      this.progress = { ...this.progress, ...checkpoint.progress };
+      this.failedKeys = checkpoint.failedKeys || [];
+    }
+
+    const cursor = this.progress.cursor;
+    const keys = (await this.connector.getAllKeys())
+      .map(record => record.key)
+      .filter(key => !this.keyPattern || matchesKeyPattern(this.keyPattern, key))
+      .sort();
+
+    const remaining = cursor === null ? keys : keys.filter(key => key > cursor);
+    this.progress.total = this.progress.processed + remaining.length;
+
+    for (let start = 0; start < remaining.length; start += this.batchSize) {
+      if (this.stopRequested) {
+        this.emit('stopped', this.summary());
+        return this.summary();
+      }
+
+      const batch = remaining.slice(start, start + this.batchSize);
+      for (const key of batch) {
+        await this.reencryptKey(key);
+        this.progress.processed++;
+      }
+
+      this.progress.cursor = batch[batch.length - 1];
+      await this.saveCheckpoint(false);
+      this.emit('progress', { ...this.progress });
+    }
+
+    await this.saveCheckpoint(true);
+    this.emit('done', this.summary());
+    return this.summary();
+  }
+
+  async reencryptKey(key) {
+    try {
+      const record = await this.connector.readData(key);
+
+      if (!record || !(await this.codec.needsReencryption(record))) {
+        this.progress.skipped++;
+        return;
+      }
+
+      const written = await this.rewrite(key, await this.codec.reencode(record), record);
+      if (written === null) {
+        this.progress.skipped++;
+        return;
+      }
+
+      this.progress.reencrypted++;
+      this.onRewrite(key);
+    } catch (error) {
+      // Someone wrote the key meanwhile; their write is sealed by the current key
+      if (error instanceof VersionConflictError) {
+        const current = await this.connector.readData(key).catch(() => null);
+        if (!current || !(await this.codec.needsReencryption(current))) {
+          this.progress.skipped++;
+          return;
+        }
+      }
+
+      this.progress.failed++;
+      this.failedKeys.push({ key, error: error.message });
+    }
+  }
+
+  rewrite(key, encoded, record) {
+    const options = {
+      tags: record.tags,
+      metadata: record.metadata,
+      encrypted: true
+    };
+
+    // Writes take a TTL in seconds from now; keep the original expiry
+    if (record.ttl) {
+      const remaining = Math.ceil((new Date(record.ttl).getTime() - Date.now()) / 1000);
+      if (remaining <= 0) return Promise.resolve(null);
+      options.ttl = remaining;
+    }
+
+    // Unversioned rows (version 0 on MySQL) have nothing to compare against
+    if (typeof this.connector.compareAndSet === 'function' && record.version) {
+      return this.connector.compareAndSet(key, encoded.data, record.version, options);
+    }
+    return this.connector.writeData(key, encoded.data, options);
+  }
+
+  saveCheckpoint(completed) {
+    return this.checkpointStore.save(this.name, {
+      progress: { ...this.progress },
+      failedKeys: this.failedKeys,
+      completed: completed,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  summary() {
+    return { ...this.progress, failedKeys: [...this.failedKeys] };
+  }
+
+  // Without an 'error' listener a failure is logged instead of crashing the process
+  fail(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(`Re-encryption job ${this.name} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  ReencryptionJob
+};
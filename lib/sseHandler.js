@@ -0,0 +1,307 @@
+const { URL } = require('url');
+const crypto = require('crypto');
+const { isKeyPattern, matchesKeyPattern } = require('./keyPattern');
+
+/**
+ * Server-Sent Events request handler for either facade, for clients whose
+ * proxies break WebSockets. Works as a plain `http` handler or as Express
+ * middleware:
+ *
+ *   GET /events?key=orders&key=users   -> one stream for several keys
+ *   GET /events?key=orders:*           -> every key matching a pattern
+ *   GET /events?query=SELECT ...       -> live query (advanced facade only)
+ *
+ * Each change is written as
+ *
+ *   id: <handler id>-<sequence>
+ *   event: <meta.changeType>
+ *   data: {"key": ..., "data": ..., "meta": {...}}
+ *
+ * Ids are issued by this handler and mean nothing elsewhere; the browser
+ * sends the last one back as Last-Event-ID when it reconnects and the
+ * events after it are replayed from a per-key buffer. An id the handler
+ * did not issue, or one older than the buffer, gets the current values as
+ * 'initial' events instead. Database positions never reach the client.
+ */
+
+const ERROR_STATUS = {
+  BAD_REQUEST: 400,
+  FORBIDDEN: 403,
+  QUERY_SYNTAX_ERROR: 400,
+  NOT_SUPPORTED: 501,
+  INTERNAL_ERROR: 500
+};
+
+// Whitelisted like the WebSocket protocol; sessions and raw tokens stay server-side
+const META_FIELDS = ['key', 'changeType', 'timestamp', 'transactionId', 'version', 'sourceChangeType', 'count'];
+
+function createSSEHandler(stream, options = {}) {
+  const settings = {
+    heartbeatInterval: 15000,
+    retry: 3000,
+    replayBufferSize: 100,
+    ...options
+  };
+
+  const channels = new Map(); // key -> shared stream.on() listener with replay buffer
+  const connections = new Set();
+  const handlerId = crypto.randomBytes(6).toString('hex');
+  let sequence = 0; // shared by every channel, so one Last-Event-ID covers several keys
+
+  function handler(req, res, next) {
+    serve(req, res).catch((error) => {
+      if (typeof next === 'function') return next(error);
+      console.error('SSE handler error:', error);
+      if (!res.headersSent) sendError(res, 'INTERNAL_ERROR', error.message);
+    });
+  }
+
+  async function serve(req, res) {
+    let subscription;
+    try {
+      subscription = settings.resolveSubscription
+        ? await settings.resolveSubscription(req)
+        : subscriptionFromUrl(req);
+    } catch (error) {
+      return sendError(res, 'BAD_REQUEST', error.message);
+    }
+
+    const keys = subscription.keys || [];
+    if (keys.length === 0 && !subscription.query) {
+      return sendError(res, 'BAD_REQUEST', 'Provide at least one key or a query');
+    }
+
+    if (subscription.query && typeof stream.onQuery !== 'function') {
+      return sendError(res, 'NOT_SUPPORTED', 'Query subscriptions need the advanced package');
+    }
+
+    if (settings.authorize && !(await settings.authorize(req, subscription))) {
+      return sendError(res, 'FORBIDDEN', 'Not allowed to subscribe');
+    }
+
+    const connection = { res, releases: [], heartbeat: null };
+    const lastEventId = req.headers['last-event-id'] || null;
+
+    // Start the live query before any bytes go out so bad queries can still be a 400;
+    // its first result set is delivered asynchronously, after the headers
+    if (subscription.query) {
+      try {
+        connection.releases.push(stream.onQuery(subscription.query, (data, meta = {}) => {
+          writeEvent(res, meta.key || null, data, meta);
+        }));
+      } catch (error) {
+        return sendError(res, error.code || 'BAD_REQUEST', error.message);
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${settings.retry}\n\n`);
+
+    connections.add(connection);
+
+    for (const key of keys) {
+      connection.releases.push(joinChannel(key, connection, lastEventId));
+    }
+
+    connection.heartbeat = setInterval(() => res.write(': ping\n\n'), settings.heartbeatInterval);
+    if (connection.heartbeat.unref) connection.heartbeat.unref();
+
+    req.on('close', () => release(connection));
+  }
+
+  function subscriptionFromUrl(req) {
+    const url = new URL(req.originalUrl || req.url, 'http://localhost');
+    return {
+      keys: url.searchParams.getAll('key').filter(Boolean),
+      query: url.searchParams.get('query') || null
+    };
+  }
+
+  function joinChannel(key, connection, lastEventId) {
+    let channel = channels.get(key);
+
+    if (!channel) {
+      channel = {
+        connections: new Set(),
+        buffer: [], // recent events with ids, for Last-Event-ID replay
+        current: new Map(), // concrete key -> latest value (several for a key pattern)
+        openedAt: sequence, // replay can only cover events after this
+        evictedThrough: sequence, // highest sequence no longer in the buffer
+        changedWhileLoading: new Set(), // keys whose value read may already be stale
+        unsubscribe: null
+      };
+      channels.set(key, channel);
+
+      channel.unsubscribe = stream.on(key, (data, meta = {}) => {
+        const changedKey = meta.key || key;
+        if (meta.changeType === 'initial') {
+          writeInitial(channel, changedKey, data, meta);
+          return;
+        }
+
+        if (channel.changedWhileLoading) channel.changedWhileLoading.add(changedKey);
+        if (meta.changeType === 'deleted') {
+          channel.current.delete(changedKey);
+        } else {
+          channel.current.set(changedKey, { data, meta });
+        }
+
+        const event = { sequence: ++sequence, key: changedKey, data, meta };
+        channel.buffer.push(event);
+        if (channel.buffer.length > settings.replayBufferSize) {
+          channel.evictedThrough = channel.buffer.shift().sequence;
+        }
+
+        for (const member of channel.connections) {
+          writeEvent(member.res, changedKey, data, meta, eventId(event.sequence));
+        }
+      });
+
+      // The facade only delivers 'initial' when this listener opened its watch,
+      // so a key that app code or another gateway already watches is read here
+      loadCurrentValues(key)
+        .then((values) => {
+          for (const { key: currentKey, data, meta } of values) {
+            writeInitial(channel, currentKey, data, meta);
+          }
+        })
+        .catch(error => console.error(`SSE failed to read current value of ${key}:`, error.message))
+        .finally(() => {
+          channel.changedWhileLoading = null;
+        });
+    } else {
+      catchUp(channel, connection.res, lastEventId);
+    }
+
+    channel.connections.add(connection);
+
+    return () => {
+      channel.connections.delete(connection);
+      if (channel.connections.size === 0 && channels.get(key) === channel) {
+        channels.delete(key);
+        channel.unsubscribe();
+      }
+    };
+  }
+
+  function eventId(eventSequence) {
+    return `${handlerId}-${eventSequence}`;
+  }
+
+  // Sequence of an id this handler issued, else null
+  function parseEventId(id) {
+    const match = typeof id === 'string' && /^([0-9a-f]+)-(\d+)$/.exec(id);
+    return match && match[1] === handlerId ? Number(match[2]) : null;
+  }
+
+  // Values read before a change arrived are stale, and values already sent are not resent
+  function writeInitial(channel, key, data, meta) {
+    if (channel.changedWhileLoading && channel.changedWhileLoading.has(key)) return;
+
+    const known = channel.current.get(key);
+    if (known && JSON.stringify(known.data) === JSON.stringify(data)) return;
+
+    channel.current.set(key, { data, meta });
+    for (const member of channel.connections) {
+      writeEvent(member.res, key, data, { ...meta, key, changeType: 'initial' });
+    }
+  }
+
+  // get() results differ per facade: { data, metadata } or, on request, { data, version }
+  async function loadCurrentValues(key) {
+    const keys = isKeyPattern(key)
+      ? (await stream.getAllKeys()).map(entry => entry.key).filter(candidate => matchesKeyPattern(key, candidate))
+      : [key];
+
+    const values = [];
+    for (const currentKey of keys) {
+      const result = await stream.get(currentKey, { includeVersion: true });
+      if (result === null || result === undefined) continue;
+      const version = result.metadata ? result.metadata.version : result.version;
+      values.push({ key: currentKey, data: result.data, meta: { key: currentKey, changeType: 'initial', version } });
+    }
+    return values;
+  }
+
+  // Replay what the reconnecting client missed, or resend the latest values
+  function catchUp(channel, res, lastEventId) {
+    const lastSequence = parseEventId(lastEventId);
+
+    if (lastSequence !== null && lastSequence >= channel.openedAt && lastSequence >= channel.evictedThrough) {
+      for (const event of channel.buffer) {
+        if (event.sequence > lastSequence) {
+          writeEvent(res, event.key, event.data, event.meta, eventId(event.sequence));
+        }
+      }
+    } else {
+      for (const [changedKey, { data, meta }] of channel.current) {
+        writeEvent(res, changedKey, data, { ...meta, key: changedKey, changeType: 'initial' });
+      }
+    }
+  }
+
+  function writeEvent(res, key, data, meta = {}, id = null) {
+    const payload = JSON.stringify({ key, data, meta: serializeMeta(meta) });
+
+    let frame = '';
+    if (id) frame += `id: ${id}\n`;
+    frame += `event: ${meta.changeType || 'message'}\n`;
+    frame += `data: ${payload}\n\n`;
+
+    try {
+      res.write(frame);
+    } catch (error) {
+      console.error('SSE write error:', error.message);
+    }
+  }
+
+  function release(connection) {
+    if (!connections.delete(connection)) return;
+
+    clearInterval(connection.heartbeat);
+    for (const releaseSubscription of connection.releases) {
+      try {
+        releaseSubscription();
+      } catch (error) {
+        console.error('Error releasing SSE subscription:', error.message);
+      }
+    }
+  }
+
+  handler.getStatus = () => ({
+    connections: connections.size,
+    keyChannels: channels.size
+  });
+
+  // End every open stream and release the facade listeners
+  handler.close = () => {
+    for (const connection of Array.from(connections)) {
+      release(connection);
+      connection.res.end();
+    }
+  };
+
+  return handler;
+}
+
+function serializeMeta(meta) {
+  const result = {};
+  for (const field of META_FIELDS) {
+    if (meta[field] !== undefined && meta[field] !== null) result[field] = meta[field];
+  }
+  return result;
+}
+
+function sendError(res, code, message) {
+  res.writeHead(ERROR_STATUS[code] || 500, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ code, message }));
+}
+
+module.exports = {
+  createSSEHandler
+};
@@ -0,0 +1,368 @@
+/**
+ * Partial updates of a key's data with MongoDB-style operators, for
+ * update(key, ops) on both facades:
+ *
+ *   { $set:   { 'profile.name': 'Ada' },     // create or replace a value
+ *     $unset: { 'profile.nickname': true },  // remove a member
+ *     $inc:   { 'stats.visits': 1 },         // add to a number (missing counts as 0)
+ *     $push:  { tags: 'new' },               // append; { $each: [...] } for several
+ *     $pull:  { tags: 'old' } }              // remove every element equal to the value
+ *
+ * Paths are dot-separated and relative to data; numeric segments address
+ * array elements. As on MongoDB, two operations may not touch the same path
+ * or a path and one of its parents. A missing key is created from the
+ * operators (upsert) unless the update only removes values.
+ *
+ * Connectors translate the operators into one atomic statement
+ * (toMongoUpdate, toMysqlUpdate) or apply them under a row lock with
+ * applyUpdate, so concurrent writers to different fields don't clobber each
+ * other and change events fire as for push().
+ */
+
+const OPERATORS = ['$set', '$unset', '$inc', '$push', '$pull'];
+
+/**
+ * Validate an update document and flatten it to one entry per path
+ * @param {Object} ops - Update operators
+ * @returns {Array<Object>} - [{ operator, path, segments, value }]
+ */
+function normalizeUpdate(ops) {
+  if (!ops || typeof ops !== 'object' || Array.isArray(ops)) {
+    throw new Error('Update must be an object of operators such as { $set: { field: value } }');
+  }
+
+  const operations = [];
+
+  for (const operator of Object.keys(ops)) {
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unknown update operator: ${operator}`);
+    }
+
+    const fields = ops[operator];
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error(`${operator} must map paths to values`);
+    }
+
+    for (const path of Object.keys(fields)) {
+      const value = fields[path];
+      operations.push({ operator, path, segments: parsePath(path), value: normalizeValue(operator, path, value) });
+    }
+  }
+
+  if (operations.length === 0) {
+    throw new Error('Update must contain at least one operation');
+  }
+
+  checkConflicts(operations);
+  return operations;
+}
+
+function parsePath(path) {
+  const segments = path.split('.');
+
+  for (const segment of segments) {
+    if (segment === '' || segment.startsWith('$')) {
+      throw new Error(`Invalid update path: "${path}"`);
+    }
+  }
+
+  return segments;
+}
+
+function normalizeValue(operator, path, value) {
+  switch (operator) {
+    case '$set':
+    case '$pull':
+      if (value === undefined) {
+        throw new Error(`${operator} value for "${path}" cannot be undefined`);
+      }
+      return value;
+    case '$unset':
+      return true;
+    case '$inc':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`$inc value for "${path}" must be a finite number`);
+      }
+      return value;
+    case '$push': {
+      const each = value !== null && typeof value === 'object' && Array.isArray(value.$each)
+        ? value.$each
+        : [value];
+      if (each.some(element => element === undefined)) {
+        throw new Error(`$push value for "${path}" cannot be undefined`);
+      }
+      return each;
+    }
+    default:
+      return value;
+  }
+}
+
+function checkConflicts(operations) {
+  for (let i = 0; i < operations.length; i++) {
+    for (let j = i + 1; j < operations.length; j++) {
+      const a = operations[i].segments;
+      const b = operations[j].segments;
+      const shared = Math.min(a.length, b.length);
+
+      if (a.slice(0, shared).join('.') === b.slice(0, shared).join('.')) {
+        throw new Error(`Update paths conflict: "${operations[i].path}" and "${operations[j].path}"`);
+      }
+    }
+  }
+}
+
+/**
+ * Whether an update writes anything; a missing key is only created (upserted)
+ * by updates that set, increment or push a value
+ * @param {Array<Object>} operations - normalizeUpdate() output
+ * @returns {boolean}
+ */
+function createsValues(operations) {
+  return operations.some(({ operator }) => operator !== '$unset' && operator !== '$pull');
+}
+
+function isIndex(segment) {
+  return /^\d+$/.test(segment);
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Apply an update to a copy of data, for connectors without native operators
+ * @param {*} data - Current data (null or undefined when the key is new)
+ * @param {Object|Array<Object>} ops - Update operators, or normalizeUpdate() output
+ * @returns {*} - The updated copy
+ */
+function applyUpdate(data, ops) {
+  const operations = Array.isArray(ops) ? ops : normalizeUpdate(ops);
+  const result = isContainer(data) ? JSON.parse(JSON.stringify(data)) : {};
+
+  for (const { operator, path, segments, value } of operations) {
+    const parentSegments = segments.slice(0, -1);
+    const last = segments[segments.length - 1];
+    const createParents = operator === '$set' || operator === '$inc' || operator === '$push';
+    const parent = resolveParent(result, parentSegments, createParents, path);
+    if (!parent) continue;
+
+    const current = Array.isArray(parent) && isIndex(last) ? parent[Number(last)] : parent[last];
+
+    switch (operator) {
+      case '$set':
+        assign(parent, last, cloneValue(value));
+        break;
+      case '$unset':
+        if (Array.isArray(parent) && isIndex(last)) {
+          if (Number(last) < parent.length) parent[Number(last)] = null;
+        } else {
+          delete parent[last];
+        }
+        break;
+      case '$inc':
+        if (current !== undefined && typeof current !== 'number') {
+          throw new Error(`Cannot $inc non-numeric value at "${path}"`);
+        }
+        assign(parent, last, (current || 0) + value);
+        break;
+      case '$push':
+        if (current !== undefined && !Array.isArray(current)) {
+          throw new Error(`Cannot $push to non-array value at "${path}"`);
+        }
+        assign(parent, last, [...(current || []), ...value.map(cloneValue)]);
+        break;
+      case '$pull':
+        if (Array.isArray(current)) {
+          const pulled = JSON.stringify(canonical(value));
+          assign(parent, last, current.filter(element => JSON.stringify(canonical(element)) !== pulled));
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return result;
+}
+
+// Walk to the container holding the last segment, creating objects on the way if asked
+function resolveParent(root, segments, create, path) {
+  let node = root;
+
+  for (const segment of segments) {
+    let next = Array.isArray(node) && isIndex(segment) ? node[Number(segment)] : node[segment];
+
+    if (next === undefined || next === null) {
+      if (!create) return null;
+      next = {};
+      assign(node, segment, next);
+    } else if (!isContainer(next)) {
+      throw new Error(`Cannot update "${path}": "${segment}" is not an object`);
+    }
+
+    node = next;
+  }
+
+  return node;
+}
+
+function assign(container, segment, value) {
+  if (Array.isArray(container) && isIndex(segment)) {
+    const index = Number(segment);
+    while (container.length < index) container.push(null);
+    container[index] = value;
+  } else {
+    container[segment] = value;
+  }
+}
+
+function cloneValue(value) {
+  return isContainer(value) ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// Objects with sorted members, so equality ignores member order like JSON comparison in SQL
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!isContainer(value)) return value;
+
+  const sorted = {};
+  for (const member of Object.keys(value).sort()) {
+    sorted[member] = canonical(value[member]);
+  }
+  return sorted;
+}
+
+/**
+ * MongoDB update document for fields under `prefix`
+ * @param {Object|Array<Object>} ops - Update operators, or normalizeUpdate() output
+ * @param {string} [prefix] - Document field holding the data (default: data)
+ * @returns {Object}
+ */
+function toMongoUpdate(ops, prefix = 'data') {
+  const operations = Array.isArray(ops) ? ops : normalizeUpdate(ops);
+  const update = {};
+
+  for (const { operator, path, value } of operations) {
+    const field = `${prefix}.${path}`;
+    update[operator] = update[operator] || {};
+
+    if (operator === '$unset') {
+      update.$unset[field] = '';
+    } else if (operator === '$push') {
+      update.$push[field] = { $each: value };
+    } else if (operator === '$pull') {
+      // $in compares documents whole; a plain document would be read as a condition
+      update.$pull[field] = { $in: [value] };
+    } else {
+      update[operator][field] = value;
+    }
+  }
+
+  return update;
+}
+
+/**
+ * MySQL expression computing the updated JSON column in one statement,
+ * e.g. for `UPDATE stream_data SET data = <expression>`. Values are read
+ * from the column as it was before the statement, which the conflict check
+ * makes safe.
+ *
+ * @param {Object|Array<Object>} ops - Update operators, or normalizeUpdate() output
+ * @param {string} [column] - JSON column (default: data)
+ * @returns {{ expression: string, params: Array }}
+ */
+function toMysqlUpdate(ops, column = 'data') {
+  const operations = Array.isArray(ops) ? ops : normalizeUpdate(ops);
+  let expression = column;
+  const params = [];
+
+  for (const { operator, segments, value } of operations) {
+    const path = toMysqlPath(segments);
+
+    if (operator !== '$unset' && operator !== '$pull') {
+      const parents = parentPatch(segments);
+      if (parents) {
+        // JSON_SET does not create missing parents; merging {} leaves existing objects alone
+        expression = `JSON_MERGE_PATCH(${expression}, CAST(? AS JSON))`;
+        params.push(JSON.stringify(parents));
+      }
+    }
+
+    switch (operator) {
+      case '$set':
+        expression = `JSON_SET(${expression}, ?, CAST(? AS JSON))`;
+        params.push(path, JSON.stringify(value));
+        break;
+      case '$unset':
+        // Like MongoDB, unsetting an array element nulls it instead of shifting the rest
+        expression = isIndex(segments[segments.length - 1])
+          ? `JSON_REPLACE(${expression}, ?, CAST('null' AS JSON))`
+          : `JSON_REMOVE(${expression}, ?)`;
+        params.push(path);
+        break;
+      case '$inc':
+        expression = `JSON_SET(${expression}, ?, COALESCE(JSON_EXTRACT(${column}, ?), 0) + ?)`;
+        params.push(path, path, value);
+        break;
+      case '$push':
+        expression = `JSON_SET(${expression}, ?, COALESCE(JSON_EXTRACT(${column}, ?), JSON_ARRAY()))`;
+        params.push(path, path);
+        expression = `JSON_ARRAY_APPEND(${expression}${', ?, CAST(? AS JSON)'.repeat(value.length)})`;
+        for (const element of value) {
+          params.push(path, JSON.stringify(element));
+        }
+        break;
+      case '$pull':
+        // JSON_TABLE needs a literal path; JSON_REPLACE leaves a missing array missing
+        expression = `JSON_REPLACE(${expression}, ?, (
+          SELECT COALESCE(JSON_ARRAYAGG(pulled.element), JSON_ARRAY())
+          FROM JSON_TABLE(${column}, ${sqlString(`${path}[*]`)} COLUMNS (element JSON PATH '$')) AS pulled
+          WHERE NOT (pulled.element = CAST(? AS JSON))
+        ))`;
+        params.push(path, JSON.stringify(value));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { expression, params };
+}
+
+function toMysqlPath(segments) {
+  return '$' + segments
+    .map(segment => (isIndex(segment) ? `[${segment}]` : `."${segment.replace(/(["\\])/g, '\\$1')}"`))
+    .join('');
+}
+
+// { a: { b: {} } } for a.b.c, stopping at the first array index; null for top-level paths
+function parentPatch(segments) {
+  const parents = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (isIndex(segment)) break;
+    parents.push(segment);
+  }
+
+  if (parents.length === 0) return null;
+
+  const patch = {};
+  let node = patch;
+  for (const segment of parents) {
+    node[segment] = {};
+    node = node[segment];
+  }
+  return patch;
+}
+
+function sqlString(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+module.exports = {
+  normalizeUpdate,
+  createsValues,
+  applyUpdate,
+  toMongoUpdate,
+  toMysqlUpdate
+};
@@ -0,0 +1,125 @@
+/**
+ * Opt-in per-key version history for the advanced package. With
+ * config.history every write also stores the key's new value and version in
+ * stream_data_history (a table on MySQL, a collection on MongoDB), and every
+ * delete stores a tombstone, so getHistory() can list past values and
+ * get(key, { asOf }) can read a key as it was at a point in time:
+ *
+ *   history: true                                   // last 100 versions per key
+ *   history: { maxVersions: 50 }                    // last 50 versions per key
+ *   history: { maxAge: 7 * 24 * 3600 }              // enough to read back 7 days
+ *   history: { maxVersions: 1000, maxAge: 86400 }   // whichever keeps less
+ *   history: {}                                     // every version, forever
+ *
+ * Retention is applied to a key each time it is written. The maxAge cutoff
+ * keeps the version that was current at the cutoff, so asOf reads stay
+ * answerable for the whole window. History starts when the option is
+ * turned on; earlier values were never recorded.
+ *
+ * A history entry looks like
+ *
+ *   { key, version, data, deleted, timestamp }
+ *
+ * where timestamp is when that version was written, and data is null and
+ * deleted true for a delete.
+ */
+
+const DEFAULT_MAX_VERSIONS = 100;
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Resolve config.history to a retention policy, or null when disabled
+ * @param {boolean|Object} [option] - See the module comment
+ * @returns {{ maxVersions: number|null, maxAge: number|null }|null}
+ */
+function resolveHistoryOptions(option) {
+  if (option === undefined || option === null || option === false) {
+    return null;
+  }
+
+  if (option === true) {
+    return { maxVersions: DEFAULT_MAX_VERSIONS, maxAge: null };
+  }
+
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    throw new Error('history must be true, false or { maxVersions, maxAge }');
+  }
+
+  const { maxVersions = null, maxAge = null } = option;
+
+  if (maxVersions !== null && (!Number.isInteger(maxVersions) || maxVersions < 1)) {
+    throw new Error('history.maxVersions must be a positive integer');
+  }
+
+  if (maxAge !== null && (typeof maxAge !== 'number' || !(maxAge > 0))) {
+    throw new Error('history.maxAge must be a positive number of seconds');
+  }
+
+  return { maxVersions, maxAge };
+}
+
+/**
+ * Validate getHistory() options; since and asOf become Dates
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum entries (default: 100)
+ * @param {Date|string|number} [options.since] - Only versions written at or after this time
+ * @param {Date|string|number} [options.asOf] - Only versions written at or before this time
+ * @returns {{ limit: number, since: Date|null, asOf: Date|null }}
+ */
+function normalizeHistoryQuery(options = {}) {
+  const limit = options.limit === undefined ? DEFAULT_LIMIT : options.limit;
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('limit must be a positive integer');
+  }
+
+  return {
+    limit,
+    since: toDate(options.since, 'since'),
+    asOf: toDate(options.asOf, 'asOf')
+  };
+}
+
+function toDate(value, name) {
+  if (value === undefined || value === null) return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a Date, a timestamp or a date string`);
+  }
+  return date;
+}
+
+/**
+ * Apply a retention policy to one key's entries, for stores without SQL
+ * @param {Array<Object>} entries - Oldest first
+ * @param {Object} policy - resolveHistoryOptions() output
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<Object>} - The entries to keep, oldest first
+ */
+function retainHistory(entries, policy, now = Date.now()) {
+  let start = 0;
+
+  if (policy.maxVersions) {
+    start = Math.max(start, entries.length - policy.maxVersions);
+  }
+
+  if (policy.maxAge) {
+    const cutoff = now - policy.maxAge * 1000;
+    // The newest entry before the cutoff was still current at the cutoff
+    for (let index = entries.length - 1; index >= 0; index--) {
+      if (entries[index].timestamp.getTime() < cutoff) {
+        start = Math.max(start, index);
+        break;
+      }
+    }
+  }
+
+  return start > 0 ? entries.slice(start) : entries;
+}
+
+module.exports = {
+  resolveHistoryOptions,
+  normalizeHistoryQuery,
+  retainHistory
+};
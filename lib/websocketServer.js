@@ -0,0 +1,385 @@
+const EventEmitter = require('events');
+
+// ws is an optional dependency, only needed for createWebSocketServer()
+function loadWs() {
+  try {
+    return require('ws');
+  } catch (error) {
+    throw new Error('WebSocket support requires the "ws" package: npm install ws');
+  }
+}
+
+const ERROR_CODES = {
+  BAD_MESSAGE: 'BAD_MESSAGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  NOT_SUBSCRIBED: 'NOT_SUBSCRIBED',
+  NOT_SUPPORTED: 'NOT_SUPPORTED',
+  FORBIDDEN: 'FORBIDDEN',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Exposes a stream facade (index.js or advancedIndex.js) to browsers over
+ * WebSocket with a small JSON protocol.
+ *
+ * Client -> server, `id` is echoed back in the reply:
+ *   { id, type: 'subscribe', key }             -> ack { subscriptionId, key } (key may be a pattern like 'orders:*')
+ *   { id, type: 'subscribe', query }           -> ack { subscriptionId } (advanced facade only)
+ *   { id, type: 'unsubscribe', subscriptionId } -> ack { subscriptionId }
+ *   { id, type: 'push', key, data, options }   -> ack { result }
+ *   { id, type: 'get', key }                   -> ack { result }
+ *   { id, type: 'delete', key }                -> ack { result }
+ *   { id, type: 'query', query, options }      -> ack { result } (advanced facade only)
+ *   { id, type: 'ping' }                       -> ack {}
+ *
+ * Server -> client:
+ *   { type: 'ack', id, ...result }
+ *   { type: 'error', id, code, message }
+ *   { type: 'change', subscriptionId, key, data, meta }
+ *
+ * However many sockets subscribe to a key, the facade sees one listener,
+ * so the connector runs a single startRealTimeWatch per key.
+ */
+class StreamWebSocketServer extends EventEmitter {
+  /**
+   * @param {Object} stream - Initialized stream facade
+   * @param {Object} options
+   * @param {http.Server} [options.server] - HTTP server to attach to
+   * @param {number} [options.port] - Port to listen on when no server is given (0: an ephemeral port)
+   * @param {string} [options.path] - URL path (default: '/stream')
+   * @param {Function} [options.authorize] - (message, request) => boolean|Promise<boolean>
+   * @param {boolean} [options.readOnly] - Reject push/delete (default: false)
+   * @param {number} [options.heartbeatInterval] - Ping interval for dropping dead sockets (default: 30000)
+   * @param {number} [options.maxPayload] - Maximum message size in bytes (default: 1MB)
+   */
+  constructor(stream, options = {}) {
+    super();
+
+    if (!options.server && options.port === undefined) {
+      throw new Error('createWebSocketServer requires a server or port');
+    }
+
+    const { WebSocketServer } = loadWs();
+
+    this.stream = stream;
+    this.options = {
+      path: '/stream',
+      readOnly: false,
+      heartbeatInterval: 30000,
+      maxPayload: 1024 * 1024,
+      ...options
+    };
+    this.clients = new Map(); // socket -> { request, subscriptions: Map<subscriptionId, release> }
+    this.keyChannels = new Map(); // key -> shared upstream subscription
+    this.subscriptionSequence = 0;
+    this.closing = null;
+
+    this.wss = new WebSocketServer({
+      server: this.options.server,
+      port: this.options.server ? undefined : this.options.port,
+      path: this.options.path,
+      maxPayload: this.options.maxPayload
+    });
+
+    this.wss.on('connection', (socket, request) => this.handleConnection(socket, request));
+    this.wss.on('error', (error) => this.emit('error', error));
+
+    this.heartbeat = setInterval(() => this.checkAlive(), this.options.heartbeatInterval);
+    if (this.heartbeat.unref) this.heartbeat.unref();
+  }
+
+  handleConnection(socket, request) {
+    const client = { request, subscriptions: new Map(), alive: true };
+    this.clients.set(socket, client);
+
+    socket.on('pong', () => {
+      client.alive = true;
+    });
+
+    socket.on('message', (raw) => {
+      this.handleMessage(socket, raw).catch((error) => {
+        console.error('WebSocket message error:', error);
+      });
+    });
+
+    socket.on('close', () => this.releaseClient(socket));
+    socket.on('error', (error) => {
+      console.error('WebSocket client error:', error.message);
+    });
+
+    this.emit('connection', socket, request);
+  }
+
+  async handleMessage(socket, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.sendError(socket, null, ERROR_CODES.BAD_MESSAGE, 'Message must be valid JSON');
+      return;
+    }
+
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      this.sendError(socket, null, ERROR_CODES.BAD_MESSAGE, 'Message must be an object with a type');
+      return;
+    }
+
+    const { id = null } = message;
+    const client = this.clients.get(socket);
+    if (!client) return;
+
+    try {
+      if (this.options.readOnly && (message.type === 'push' || message.type === 'delete')) {
+        this.sendError(socket, id, ERROR_CODES.FORBIDDEN, 'Server is read-only');
+        return;
+      }
+
+      if (this.options.authorize && !(await this.options.authorize(message, client.request))) {
+        this.sendError(socket, id, ERROR_CODES.FORBIDDEN, `Not allowed: ${message.type}`);
+        return;
+      }
+
+      switch (message.type) {
+        case 'subscribe': {
+          // Ack first: a watch can deliver its initial value synchronously
+          const { result, start } = this.prepareSubscription(socket, client, message);
+          this.sendAck(socket, id, result);
+          start();
+          break;
+        }
+        case 'unsubscribe':
+          this.unsubscribe(socket, client, message);
+          this.sendAck(socket, id, { subscriptionId: message.subscriptionId });
+          break;
+        case 'push':
+          this.requireKey(message);
+          this.sendAck(socket, id, { result: await this.stream.push(message.key, message.data, message.options) });
+          break;
+        case 'get':
+          this.requireKey(message);
+          this.sendAck(socket, id, { result: await this.stream.get(message.key) });
+          break;
+        case 'delete':
+          this.requireKey(message);
+          this.sendAck(socket, id, { result: await this.stream.delete(message.key) });
+          break;
+        case 'query':
+          if (typeof this.stream.query !== 'function') {
+            throw this.protocolError(ERROR_CODES.NOT_SUPPORTED, 'Queries need the advanced package');
+          }
+          this.sendAck(socket, id, { result: await this.stream.query(message.query, message.options) });
+          break;
+        case 'ping':
+          this.sendAck(socket, id, {});
+          break;
+        default:
+          this.sendError(socket, id, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      this.sendError(socket, id, error.code || ERROR_CODES.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  requireKey(message) {
+    if (!message.key || typeof message.key !== 'string') {
+      throw this.protocolError(ERROR_CODES.BAD_MESSAGE, 'key must be a non-empty string');
+    }
+  }
+
+  protocolError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  prepareSubscription(socket, client, message) {
+    const subscriptionId = `sub_${++this.subscriptionSequence}`;
+
+    if (message.query !== undefined) {
+      if (typeof this.stream.onQuery !== 'function') {
+        throw this.protocolError(ERROR_CODES.NOT_SUPPORTED, 'Query subscriptions need the advanced package');
+      }
+
+      // Parse up front so syntax errors are reported instead of the ack
+      const query = typeof message.query === 'string' && this.stream.queryEngine
+        ? this.stream.queryEngine.parseQuery(message.query)
+        : message.query;
+      if (!query || typeof query !== 'object' || query.aggregate) {
+        throw this.protocolError(ERROR_CODES.BAD_MESSAGE, 'query must be a query object or SQL-like string without aggregation');
+      }
+
+      return {
+        result: { subscriptionId },
+        start: () => {
+          const unsubscribe = this.stream.onQuery(query, (data, meta) => {
+            this.sendChange(socket, subscriptionId, meta.key || null, data, meta);
+          });
+          client.subscriptions.set(subscriptionId, unsubscribe);
+        }
+      };
+    }
+
+    this.requireKey(message);
+    return {
+      result: { subscriptionId, key: message.key },
+      start: () => {
+        client.subscriptions.set(subscriptionId, this.joinKeyChannel(message.key, socket, subscriptionId));
+      }
+    };
+  }
+
+  joinKeyChannel(key, socket, subscriptionId) {
+    let channel = this.keyChannels.get(key);
+
+    if (!channel) {
+      // current holds the latest value per concrete key (several for a key pattern)
+      channel = { subscribers: new Map(), current: new Map(), unsubscribe: null };
+      this.keyChannels.set(key, channel);
+
+      // The only facade listener for this key; fans out to every socket
+      channel.unsubscribe = this.stream.on(key, (data, meta = {}) => {
+        const changedKey = meta.key || key;
+        if (meta.changeType === 'deleted') {
+          channel.current.delete(changedKey);
+        } else {
+          channel.current.set(changedKey, { data, meta });
+        }
+
+        for (const [subscriberId, subscriberSocket] of channel.subscribers) {
+          this.sendChange(subscriberSocket, subscriberId, changedKey, data, meta);
+        }
+      });
+    } else if (channel.current.size > 0) {
+      // Late subscribers get the last values the channel has seen
+      setImmediate(() => {
+        if (!channel.subscribers.has(subscriptionId)) return;
+        for (const [changedKey, { data, meta }] of channel.current) {
+          this.sendChange(socket, subscriptionId, changedKey, data, { ...meta, changeType: 'initial' });
+        }
+      });
+    }
+
+    channel.subscribers.set(subscriptionId, socket);
+
+    return () => {
+      channel.subscribers.delete(subscriptionId);
+      if (channel.subscribers.size === 0 && this.keyChannels.get(key) === channel) {
+        this.keyChannels.delete(key);
+        channel.unsubscribe();
+      }
+    };
+  }
+
+  unsubscribe(socket, client, message) {
+    const release = client.subscriptions.get(message.subscriptionId);
+    if (!release) {
+      throw this.protocolError(ERROR_CODES.NOT_SUBSCRIBED, `Unknown subscription: ${message.subscriptionId}`);
+    }
+
+    client.subscriptions.delete(message.subscriptionId);
+    release();
+  }
+
+  releaseClient(socket) {
+    const client = this.clients.get(socket);
+    if (!client) return;
+
+    this.clients.delete(socket);
+    for (const release of client.subscriptions.values()) {
+      try {
+        release();
+      } catch (error) {
+        console.error('Error releasing WebSocket subscription:', error.message);
+      }
+    }
+    client.subscriptions.clear();
+  }
+
+  checkAlive() {
+    for (const [socket, client] of this.clients) {
+      if (!client.alive) {
+        socket.terminate();
+        this.releaseClient(socket);
+        continue;
+      }
+      client.alive = false;
+      socket.ping();
+    }
+  }
+
+  sendChange(socket, subscriptionId, key, data, meta = {}) {
+    this.send(socket, {
+      type: 'change',
+      subscriptionId,
+      key,
+      data,
+      meta: this.serializeMeta(meta)
+    });
+  }
+
+  // Only protocol-level fields; connector internals (resume tokens, sessions) stay server-side
+  serializeMeta(meta) {
+    const fields = ['key', 'changeType', 'timestamp', 'transactionId', 'version', 'sourceChangeType', 'count'];
+    const result = {};
+    for (const field of fields) {
+      if (meta[field] !== undefined && meta[field] !== null) result[field] = meta[field];
+    }
+    return result;
+  }
+
+  sendAck(socket, id, payload) {
+    this.send(socket, { type: 'ack', id, ...payload });
+  }
+
+  sendError(socket, id, code, message) {
+    this.send(socket, { type: 'error', id, code, message });
+  }
+
+  send(socket, payload) {
+    const { OPEN } = loadWs();
+    if (socket.readyState !== OPEN) return;
+
+    try {
+      socket.send(JSON.stringify(payload));
+    } catch (error) {
+      console.error('WebSocket send error:', error.message);
+    }
+  }
+
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      keyChannels: this.keyChannels.size,
+      subscriptions: Array.from(this.clients.values())
+        .reduce((total, client) => total + client.subscriptions.size, 0)
+    };
+  }
+
+  /**
+   * Disconnect every client, release all facade listeners and stop the server.
+   */
+  close() {
+    if (this.closing) return this.closing;
+    clearInterval(this.heartbeat);
+
+    for (const socket of this.clients.keys()) {
+      socket.close(1001, 'Server shutting down');
+      this.releaseClient(socket);
+    }
+
+    this.closing = new Promise((resolve, reject) => {
+      this.wss.close(error => (error ? reject(error) : resolve()));
+    });
+    return this.closing;
+  }
+}
+
+function createWebSocketServer(stream, options = {}) {
+  return new StreamWebSocketServer(stream, options);
+}
+
+module.exports = {
+  StreamWebSocketServer,
+  createWebSocketServer,
+  ERROR_CODES
+};
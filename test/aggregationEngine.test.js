@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runPipeline, matchesFilter, evaluateExpression, compareValues } = require('../lib/aggregationEngine');
+
+const orders = [
+  { key: 'order:1', data: { customer: 'ada', total: 30, items: ['pen', 'ink'], status: 'paid' } },
+  { key: 'order:2', data: { customer: 'bob', total: 12, items: [], status: 'open' } },
+  { key: 'order:3', data: { customer: 'ada', total: 8, items: ['pad'], status: 'paid' } },
+  { key: 'order:4', data: { customer: 'cy', total: 50, status: 'paid' } }
+];
+
+test('matchesFilter supports comparison, set, existence and regex operators', () => {
+  const record = orders[0];
+
+  assert.equal(matchesFilter(record, { 'data.total': { $gt: 20, $lte: 30 } }), true);
+  assert.equal(matchesFilter(record, { 'data.total': { $gt: '20' } }), false);
+  assert.equal(matchesFilter(record, { 'data.status': { $in: ['open', 'paid'] } }), true);
+  assert.equal(matchesFilter(record, { 'data.status': { $nin: ['paid'] } }), false);
+  assert.equal(matchesFilter(record, { 'data.missing': { $exists: false } }), true);
+  assert.equal(matchesFilter(record, { 'data.customer': { $regex: '^A', $options: 'i' } }), true);
+  assert.equal(matchesFilter(record, { 'data.items': 'ink' }), true);
+  assert.equal(matchesFilter(record, { $or: [{ 'data.total': 1 }, { key: 'order:1' }] }), true);
+  assert.equal(matchesFilter(record, { $nor: [{ key: 'order:1' }] }), false);
+  assert.throws(() => matchesFilter(record, { 'data.total': { $near: 1 } }), /Unsupported \$match operator: \$near/);
+});
+
+test('matchesFilter treats missing and null alike for equality', () => {
+  assert.equal(matchesFilter(orders[0], { 'data.missing': null }), true);
+  assert.equal(matchesFilter(orders[0], { 'data.missing': { $ne: null } }), false);
+});
+
+test('evaluateExpression resolves field references inside literals', () => {
+  assert.deepEqual(
+    evaluateExpression(orders[0], { who: '$data.customer', fixed: 1 }),
+    { who: 'ada', fixed: 1 }
+  );
+  assert.equal(evaluateExpression(orders[0], 'plain'), 'plain');
+});
+
+test('compareValues orders mixed types deterministically', () => {
+  const sorted = [true, 'b', 2, null, { a: 1 }, 'a', 1].sort(compareValues);
+  assert.deepEqual(sorted, [null, 1, 2, 'a', 'b', { a: 1 }, true]);
+});
+
+test('runPipeline matches, groups and sorts', () => {
+  const result = runPipeline(orders, [
+    { $match: { 'data.status': 'paid' } },
+    {
+      $group: {
+        _id: '$data.customer',
+        spent: { $sum: '$data.total' },
+        average: { $avg: '$data.total' },
+        largest: { $max: '$data.total' },
+        orders: { $count: {} },
+        keys: { $push: '$key' }
+      }
+    },
+    { $sort: { spent: -1 } }
+  ]);
+
+  assert.deepEqual(result, [
+    { _id: 'cy', spent: 50, average: 50, largest: 50, orders: 1, keys: ['order:4'] },
+    { _id: 'ada', spent: 38, average: 19, largest: 30, orders: 2, keys: ['order:1', 'order:3'] }
+  ]);
+});
+
+test('runPipeline unwinds, projects and pages', () => {
+  const result = runPipeline(orders, [
+    { $unwind: { path: '$data.items', includeArrayIndex: 'index' } },
+    { $project: { _id: 0, item: '$data.items', index: 1 } },
+    { $skip: 1 },
+    { $limit: 2 }
+  ]);
+
+  assert.deepEqual(result, [{ item: 'ink', index: 1 }, { item: 'pad', index: 0 }]);
+});
+
+test('runPipeline keeps empty arrays on request and counts', () => {
+  const unwound = runPipeline(orders, [{ $unwind: { path: '$data.items', preserveNullAndEmptyArrays: true } }]);
+  assert.equal(unwound.length, 5);
+
+  assert.deepEqual(runPipeline(orders, [{ $match: { 'data.total': { $lt: 20 } } }, { $count: 'cheap' }]), [{ cheap: 2 }]);
+});
+
+test('runPipeline excludes fields with an exclusion projection', () => {
+  const [first] = runPipeline(orders.slice(0, 1), [{ $project: { 'data.items': 0, 'data.status': 0 } }]);
+  assert.deepEqual(first, { key: 'order:1', data: { customer: 'ada', total: 30 } });
+});
+
+test('runPipeline rejects malformed stages', () => {
+  assert.throws(() => runPipeline(orders, {}), /must be an array of stages/);
+  assert.throws(() => runPipeline(orders, [{ $match: {}, $limit: 1 }]), /exactly one operator/);
+  assert.throws(() => runPipeline(orders, [{ $lookup: {} }]), /Unsupported aggregation stage: \$lookup/);
+  assert.throws(() => runPipeline(orders, [{ $group: { total: { $sum: 1 } } }]), /requires an _id/);
+  assert.throws(() => runPipeline(orders, [{ $group: { _id: null, x: { $median: 1 } } }]), /Unsupported \$group accumulator/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Binary } = require('mongodb');
+const {
+  resolveCompressionOptions,
+  encodeBytes,
+  decodeBytes,
+  compressValue,
+  isCompressed,
+  decompressValue
+} = require('../lib/compression');
+
+const large = { text: 'stream '.repeat(500), list: Array.from({ length: 50 }, (_, index) => index) };
+
+test('resolveCompressionOptions applies defaults and validates', () => {
+  assert.equal(resolveCompressionOptions({}), null);
+  assert.deepEqual(resolveCompressionOptions({ enableCompression: true }), { codec: 'gzip', threshold: 1024 });
+  assert.deepEqual(
+    resolveCompressionOptions({ enableCompression: true, compressionCodec: 'brotli', compressionThreshold: 0 }),
+    { codec: 'brotli', threshold: 0 }
+  );
+  assert.throws(() => resolveCompressionOptions({ enableCompression: true, compressionCodec: 'identity' }), /compressionCodec must be/);
+  assert.throws(() => resolveCompressionOptions({ enableCompression: true, compressionThreshold: -1 }), /compressionThreshold must be/);
+});
+
+test('compressValue round-trips every codec', () => {
+  for (const codec of ['gzip', 'deflate', 'brotli']) {
+    const envelope = compressValue(large, { codec, threshold: 0 });
+
+    assert.equal(isCompressed(envelope), true);
+    assert.equal(envelope.codec, codec);
+    assert.equal(envelope.type, 'json');
+    assert.ok(envelope.data.length < JSON.stringify(large).length);
+    assert.deepEqual(decompressValue(envelope), large);
+  }
+});
+
+test('compressValue stores small and incompressible values as they are', () => {
+  const settings = { codec: 'gzip', threshold: 1024 };
+  assert.deepEqual(compressValue({ a: 1 }, settings), { a: 1 });
+  assert.equal(compressValue('x', { codec: 'gzip', threshold: 0 }), 'x');
+});
+
+test('Buffers always come back as Buffers', () => {
+  const bytes = Buffer.from([0, 1, 2, 255]);
+  const envelope = compressValue(bytes, { codec: 'gzip', threshold: 1024 });
+
+  assert.equal(envelope.codec, 'identity');
+  assert.equal(envelope.type, 'binary');
+  const restored = decompressValue(envelope);
+  assert.ok(Buffer.isBuffer(restored));
+  assert.deepEqual(restored, bytes);
+});
+
+test('binary envelopes keep raw bytes and read back from BSON Binary', () => {
+  const envelope = compressValue(large, { codec: 'gzip', threshold: 0 }, { binary: true });
+  assert.ok(Buffer.isBuffer(envelope.data));
+  assert.deepEqual(decompressValue(envelope), large);
+
+  // What the MongoDB driver returns for a stored Buffer
+  const stored = { ...envelope, data: new Binary(envelope.data) };
+  assert.equal(isCompressed(stored), true);
+  assert.deepEqual(decompressValue(stored), large);
+});
+
+test('encodeBytes and decodeBytes round-trip', () => {
+  const { type, codec, bytes } = encodeBytes(large, { codec: 'deflate', threshold: 10 });
+  assert.deepEqual([type, codec], ['json', 'deflate']);
+  assert.deepEqual(decodeBytes(type, codec, bytes), large);
+  assert.throws(() => decodeBytes('json', 'lz4', bytes), /Unknown compression codec "lz4"/);
+});
+
+test('isCompressed and decompressValue reject other values', () => {
+  assert.equal(isCompressed({ data: 'x' }), false);
+  assert.equal(isCompressed(['__cmp']), false);
+  assert.throws(() => decompressValue({ __cmp: 2, codec: 'gzip', type: 'json', data: '' }), /Unsupported compression envelope \(version 2\)/);
+});
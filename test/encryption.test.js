@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EnvelopeEncryption, createEncryption, isEnvelope, normalizeKey } = require('../lib/encryption');
+const { FieldEncryption, normalizeFieldRules, decryptFields } = require('../lib/fieldEncryption');
+const { parseQuery } = require('../lib/queryParser');
+
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32);
+
+test('normalizeKey accepts Buffers, hex and base64 of 32 bytes', () => {
+  assert.deepEqual(normalizeKey(oldKey), oldKey);
+  assert.deepEqual(normalizeKey(oldKey.toString('hex')), oldKey);
+  assert.deepEqual(normalizeKey(oldKey.toString('base64')), oldKey);
+  assert.throws(() => normalizeKey(Buffer.alloc(16)), /must be 32 bytes/);
+  assert.throws(() => normalizeKey(42), /must be 32 bytes/);
+});
+
+test('createEncryption requires a stable key', async () => {
+  assert.equal(await createEncryption({}), null);
+  await assert.rejects(createEncryption({ enableEncryption: true }), /needs a stable key/);
+  await assert.rejects(createEncryption({ enableEncryption: true, keyProvider: 'kms' }), /keyProvider must be a function/);
+  await assert.rejects(
+    createEncryption({ enableEncryption: true, encryptionKeys: { a: oldKey }, encryptionKeyId: 'b' }),
+    /encryptionKeyId must name one of encryptionKeys/
+  );
+});
+
+test('encrypt and decrypt round-trip JSON and Buffers', async () => {
+  const encryption = await createEncryption({ enableEncryption: true, encryptionKey: oldKey });
+
+  const envelope = encryption.encrypt({ secret: 'value' }, 'user:1');
+  assert.equal(isEnvelope(envelope), true);
+  assert.equal(envelope.alg, 'aes-256-gcm');
+  assert.equal(envelope.kid, encryption.currentKeyId);
+  assert.equal(JSON.stringify(envelope).includes('value'), false);
+  assert.deepEqual(await encryption.decrypt(envelope, 'user:1'), { secret: 'value' });
+
+  const bytes = Buffer.from('binary');
+  assert.deepEqual(await encryption.decrypt(encryption.encrypt(bytes, 'file'), 'file'), bytes);
+});
+
+test('encrypt uses a fresh IV for every write', async () => {
+  const encryption = await createEncryption({ enableEncryption: true, encryptionKey: oldKey });
+  const first = encryption.encrypt('same', 'k');
+  const second = encryption.encrypt('same', 'k');
+  assert.notEqual(first.iv, second.iv);
+  assert.notEqual(first.ct, second.ct);
+});
+
+test('decrypt fails for tampered envelopes and envelopes moved to another key', async () => {
+  const encryption = await createEncryption({ enableEncryption: true, encryptionKey: oldKey });
+  const envelope = encryption.encrypt({ amount: 10 }, 'account:1');
+
+  await assert.rejects(encryption.decrypt(envelope, 'account:2'), /Cannot decrypt record "account:2": authentication failed/);
+  await assert.rejects(encryption.decrypt({ ...envelope, type: 'binary' }, 'account:1'), /authentication failed/);
+  await assert.rejects(encryption.decrypt({ ...envelope, __enc: 2 }, 'account:1'), /Unsupported encryption envelope/);
+});
+
+test('encrypt compresses before sealing when asked', async () => {
+  const encryption = await createEncryption({ enableEncryption: true, encryptionKey: oldKey });
+  const value = { text: 'repeat '.repeat(400) };
+  const envelope = encryption.encrypt(value, 'doc', { compression: { codec: 'gzip', threshold: 0 } });
+
+  assert.equal(envelope.type, 'json+gzip');
+  assert.ok(envelope.ct.length < JSON.stringify(value).length);
+  assert.deepEqual(await encryption.decrypt(envelope, 'doc'), value);
+});
+
+test('a keyring decrypts with every key and rotates with useKey()', async () => {
+  const encryption = await createEncryption({
+    enableEncryption: true,
+    encryptionKeys: { '2024-01': oldKey, '2024-07': newKey },
+    encryptionKeyId: '2024-01'
+  });
+
+  const before = encryption.encrypt('v1', 'k');
+  await encryption.useKey('2024-07');
+  const after = encryption.encrypt('v2', 'k');
+
+  assert.deepEqual([before.kid, after.kid], ['2024-01', '2024-07']);
+  assert.equal(encryption.needsReencryption(before), true);
+  assert.equal(encryption.needsReencryption(after), false);
+  assert.equal(encryption.needsReencryption('plaintext'), true);
+  assert.equal(await encryption.decrypt(before, 'k'), 'v1');
+  await assert.rejects(encryption.useKey('missing'), /No encryption key with id "missing"/);
+});
+
+test('a key provider is asked once per unknown key id', async () => {
+  const lookups = [];
+  const writer = await new EnvelopeEncryption(() => ({ id: 'old', key: oldKey })).init();
+  const envelope = writer.encrypt('secret', 'k');
+
+  const reader = await new EnvelopeEncryption((keyId) => {
+    lookups.push(keyId);
+    return keyId === undefined ? { id: 'new', key: newKey } : oldKey;
+  }).init();
+
+  const values = await Promise.all([reader.decrypt(envelope, 'k'), reader.decrypt(envelope, 'k')]);
+  assert.deepEqual(values, ['secret', 'secret']);
+  assert.deepEqual(lookups, [undefined, 'old']);
+
+  await assert.rejects(new EnvelopeEncryption(() => null).init(), /must return \{ id, key \}/);
+});
+
+test('normalizeFieldRules validates paths', () => {
+  assert.deepEqual(normalizeFieldRules(['data.ssn', { path: 'card.*', deterministic: true }]), [
+    { path: 'ssn', segments: ['ssn'], deterministic: false },
+    { path: 'card.*', segments: ['card', '*'], deterministic: true }
+  ]);
+  assert.throws(() => normalizeFieldRules([]), /non-empty array/);
+  assert.throws(() => normalizeFieldRules(['a.b*']), /Invalid encrypted field path/);
+  assert.throws(() => normalizeFieldRules(['card', 'card.number']), /Encrypted field paths overlap/);
+});
+
+test('FieldEncryption seals configured fields and decryptFields opens them', async () => {
+  const encryption = await createEncryption({ enableEncryption: true, encryptionKey: oldKey });
+  const fields = new FieldEncryption(encryption, ['ssn', 'cards.*.number', { path: 'email', deterministic: true }]);
+  const data = { name: 'Ada', ssn: '123', email: null, cards: [{ number: '4111', brand: 'visa' }] };
+
+  const sealed = fields.encrypt(data, 'user:1');
+  assert.equal(sealed.name, 'Ada');
+  assert.equal(sealed.email, null);
+  assert.equal(isEnvelope(sealed.ssn), true);
+  assert.equal(isEnvelope(sealed.cards[0].number), true);
+  assert.equal(sealed.cards[0].brand, 'visa');
+  assert.equal(data.ssn, '123');
+
+  assert.equal(fields.needsReencryption(sealed), false);
+  assert.equal(fields.needsReencryption(data), true);
+  assert.deepEqual(await decryptFields(encryption, sealed, 'user:1'), data);
+  await assert.rejects(decryptFields(encryption, sealed, 'user:2'), /field "ssn": authentication failed/);
+});
+
+test('deterministic fields are looked up by ciphertext', async () => {
+  const encryption = await createEncryption({ enableEncryption: true, encryptionKey: oldKey });
+  const fields = new FieldEncryption(encryption, ['ssn', { path: 'email', deterministic: true }]);
+
+  const first = fields.encrypt({ email: 'ada@example.com' }, 'user:1');
+  const second = fields.encrypt({ email: 'ada@example.com' }, 'user:2');
+  assert.equal(first.email.ct, second.email.ct);
+
+  const rewritten = fields.rewriteQuery({ data: { email: 'ada@example.com', name: 'Ada' } });
+  assert.deepEqual(rewritten.data, { name: 'Ada' });
+  assert.deepEqual(rewritten.where, { type: 'in', field: 'data.email.ct', values: [first.email.ct], negated: false, position: 0 });
+
+  const fromWhere = fields.rewriteQuery({ where: parseQuery("WHERE email != 'ada@example.com'").where });
+  assert.deepEqual([fromWhere.where.field, fromWhere.where.negated], ['data.email.ct', true]);
+
+  assert.throws(() => fields.rewriteQuery({ where: parseQuery("WHERE email > 'a'").where }), /only supports =, != and IN/);
+  assert.throws(() => fields.rewriteQuery({ data: { ssn: '123' } }), /cannot be queried; make it deterministic/);
+  assert.throws(() => fields.rewriteQuery({ where: parseQuery("WHERE ssn.last4 = '1'").where }), /Cannot query inside encrypted field/);
+});
+
+test('FieldEncryption rejects updates that touch encrypted fields', async () => {
+  const encryption = await createEncryption({ enableEncryption: true, encryptionKey: oldKey });
+  const fields = new FieldEncryption(encryption, ['profile.ssn']);
+
+  assert.throws(() => fields.checkUpdate([{ path: 'profile', segments: ['profile'] }]), /update cannot change encrypted field "profile"/);
+  assert.doesNotThrow(() => fields.checkUpdate([{ path: 'profile.name', segments: ['profile', 'name'] }]));
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HeartbeatSystem = require('../lib/heartbeatSystem');
+const MemoryConnector = require('../lib/memoryConnector');
+
+// Polls are driven by hand: listeners are added, the timer is stopped, and
+// each test calls the polling step it is about
+
+async function setup(config = {}) {
+  const connector = new MemoryConnector();
+  await connector.connect({});
+  const heartbeat = new HeartbeatSystem(connector, { pollOverlap: 0, ...config });
+  return { connector, heartbeat };
+}
+
+function listen(heartbeat, key, options) {
+  const events = [];
+  heartbeat.addListener(key, (data, meta) => events.push([meta.changeType, meta.key, data]), options);
+  heartbeat.stopPolling();
+  return events;
+}
+
+test('batched polling only reads changes for the keys that are due', async () => {
+  const { connector, heartbeat } = await setup();
+  await connector.writeData('fast', 1);
+  await connector.writeData('slow', 1);
+
+  const fast = listen(heartbeat, 'fast');
+  const slow = listen(heartbeat, 'slow');
+  await heartbeat.pollBatched(['fast', 'slow'], Date.now());
+  assert.deepEqual([fast, slow], [[['created', 'fast', 1]], [['created', 'slow', 1]]]);
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await connector.writeData('fast', 2);
+  await connector.writeData('slow', 2);
+
+  // Only "fast" is due: "slow" keeps its mark and sees its change when it is due
+  await heartbeat.pollBatched(['fast'], Date.now());
+  assert.deepEqual(fast.slice(1), [['updated', 'fast', 2]]);
+  assert.equal(slow.length, 1);
+  assert.ok(heartbeat.highWaterMarks.get('fast') > heartbeat.highWaterMarks.get('slow'));
+
+  await heartbeat.pollBatched(['slow'], Date.now());
+  assert.deepEqual(slow.slice(1), [['updated', 'slow', 2]]);
+  assert.equal(fast.length, 2);
+
+  heartbeat.destroy();
+});
+
+test('batched polling seeds the first mark from the database clock', async () => {
+  const { connector, heartbeat } = await setup();
+  const databaseTime = new Date(Date.now() - 60000);
+  connector.getServerTime = async () => databaseTime;
+
+  listen(heartbeat, 'k');
+  await heartbeat.pollBatched(['k'], Date.now());
+
+  assert.deepEqual(heartbeat.highWaterMarks.get('k'), databaseTime);
+  assert.deepEqual(heartbeat.getStatus().keyIntervals.k.highWaterMark, databaseTime);
+  heartbeat.destroy();
+});
+
+test('deletes are found by the key-set diff once a key is due for it', async () => {
+  const { connector, heartbeat } = await setup({ deleteCheckInterval: 1000 });
+  await connector.writeData('k', 1);
+  const events = listen(heartbeat, 'k');
+
+  const start = Date.now();
+  await heartbeat.pollBatched(['k'], start);
+  await connector.deleteData('k');
+
+  await heartbeat.pollBatched(['k'], start + 500);
+  assert.equal(events.length, 1);
+
+  await heartbeat.pollBatched(['k'], start + 1000);
+  assert.deepEqual(events.slice(1), [['deleted', 'k', null]]);
+  heartbeat.destroy();
+});
+
+test('cadence backs off while idle and resets after a change', async () => {
+  const { heartbeat } = await setup({ pollingInterval: 1000, maxPollingInterval: 3000, backoffFactor: 2, pollJitter: 0 });
+  listen(heartbeat, 'k', { maxInterval: 2500 });
+  const schedule = heartbeat.schedules.get('k');
+
+  heartbeat.advanceSchedule(schedule, 0);
+  heartbeat.advanceSchedule(schedule, 0);
+  assert.equal(schedule.interval, 2500);
+
+  schedule.changed = true;
+  heartbeat.advanceSchedule(schedule, 0);
+  assert.deepEqual([schedule.interval, schedule.nextPoll], [1000, 1000]);
+
+  assert.throws(() => heartbeat.addListener('k', () => {}, { minInterval: 5 }), /minInterval/);
+  heartbeat.destroy();
+});
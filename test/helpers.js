@@ -0,0 +1,21 @@
+const test = require('node:test');
+
+/**
+ * The package reports every init, watch and teardown with console.log.
+ * node:test reads results from the same stdout, and multi-byte characters
+ * (the emoji in those lines) split across its chunks can corrupt that
+ * stream, so facade tests keep the log quiet. Errors still go to stderr.
+ */
+function quietLogs() {
+  const log = console.log;
+  test.before(() => {
+    console.log = () => {};
+  });
+  test.after(() => {
+    console.log = log;
+  });
+}
+
+module.exports = {
+  quietLogs
+};
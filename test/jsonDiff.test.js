@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPatch, patchPaths, toPointer, withChangeDetails } = require('../lib/jsonDiff');
+
+test('createPatch diffs objects member by member', () => {
+  assert.deepEqual(createPatch(
+    { name: 'Ada', age: 36, address: { city: 'London' } },
+    { name: 'Ada', address: { city: 'Paris' }, 'a/b': 1 }
+  ), [
+    { op: 'remove', path: '/age' },
+    { op: 'replace', path: '/address/city', value: 'Paris' },
+    { op: 'add', path: '/a~1b', value: 1 }
+  ]);
+});
+
+test('createPatch diffs arrays by index and removes from the tail first', () => {
+  assert.deepEqual(createPatch([1, 2, 3, 4], [1, 5]), [
+    { op: 'replace', path: '/1', value: 5 },
+    { op: 'remove', path: '/3' },
+    { op: 'remove', path: '/2' }
+  ]);
+  assert.deepEqual(createPatch({ list: [1] }, { list: [1, 2] }), [{ op: 'add', path: '/list/1', value: 2 }]);
+});
+
+test('createPatch replaces the root when types differ and is empty for equal values', () => {
+  assert.deepEqual(createPatch(null, { a: 1 }), [{ op: 'replace', path: '', value: { a: 1 } }]);
+  assert.deepEqual(createPatch({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), []);
+});
+
+test('patchPaths lists distinct pointers in patch order', () => {
+  assert.deepEqual(patchPaths([
+    { op: 'replace', path: '/a' },
+    { op: 'add', path: '/b' },
+    { op: 'replace', path: '/a' }
+  ]), ['/a', '/b']);
+});
+
+test('toPointer escapes ~ and /', () => {
+  assert.equal(toPointer(['a/b', 'c~d', 0]), '/a~1b/c~0d/0');
+});
+
+test('withChangeDetails returns the callback when no option is set', () => {
+  const callback = () => {};
+  assert.equal(withChangeDetails(callback), callback);
+  assert.throws(() => withChangeDetails(callback, { diff: 'full' }), /diff must be true, "patch" or "paths"/);
+});
+
+test('withChangeDetails diffs against the last value the subscription saw', () => {
+  const calls = [];
+  const callback = withChangeDetails((data, meta) => calls.push(meta), { includePrevious: true, diff: true });
+
+  callback({ n: 1 }, { key: 'k', changeType: 'initial' });
+  callback({ n: 2 }, { key: 'k', changeType: 'updated' });
+  callback(null, { key: 'k', changeType: 'deleted' });
+  callback({ n: 3 }, { key: 'k', changeType: 'created' });
+
+  assert.equal(calls[0].previous, undefined);
+  assert.deepEqual(calls[1].previous, { n: 1 });
+  assert.deepEqual(calls[1].patch, [{ op: 'replace', path: '/n', value: 2 }]);
+  assert.deepEqual(calls[1].changedPaths, ['/n']);
+  assert.deepEqual(calls[2].previous, { n: 2 });
+  assert.deepEqual(calls[3].previous, null);
+  assert.deepEqual(calls[3].patch, [{ op: 'replace', path: '', value: { n: 3 } }]);
+});
+
+test('withChangeDetails prefers the connector before image and falls back to its paths', () => {
+  const calls = [];
+  const callback = withChangeDetails((data, meta) => calls.push(meta), { diff: 'paths' });
+
+  callback({ a: 1, b: 2 }, { key: 'k', changeType: 'updated', previous: { a: 1, b: 1 } });
+  callback({ a: 2 }, { key: 'other', changeType: 'updated', changedPaths: ['/a'] });
+
+  assert.deepEqual(calls[0].changedPaths, ['/b']);
+  assert.equal('patch' in calls[0], false);
+  assert.equal('previous' in calls[0], true);
+  assert.deepEqual(calls[1].changedPaths, ['/a']);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isKeyPattern,
+  keyPatternPrefix,
+  keyPatternToRegExp,
+  keyPatternToLike,
+  matchesKeyPattern,
+  createWatcherInfo,
+  findKeyWatchers
+} = require('../lib/keyPattern');
+
+test('isKeyPattern detects wildcards', () => {
+  assert.equal(isKeyPattern('orders:*'), true);
+  assert.equal(isKeyPattern('user:?'), true);
+  assert.equal(isKeyPattern('user:42'), false);
+  assert.equal(isKeyPattern(undefined), false);
+});
+
+test('keyPatternPrefix returns the literal text before the first wildcard', () => {
+  assert.equal(keyPatternPrefix('user:42:*'), 'user:42:');
+  assert.equal(keyPatternPrefix('a?b*'), 'a');
+  assert.equal(keyPatternPrefix('plain'), 'plain');
+});
+
+test('matchesKeyPattern treats * and ? as wildcards and everything else literally', () => {
+  assert.equal(matchesKeyPattern('orders:*', 'orders:1'), true);
+  assert.equal(matchesKeyPattern('orders:*', 'orders:'), true);
+  assert.equal(matchesKeyPattern('orders:*', 'Orders:1'), false);
+  assert.equal(matchesKeyPattern('user:?', 'user:12'), false);
+  assert.equal(matchesKeyPattern('a.b*', 'axb'), false);
+  assert.equal(matchesKeyPattern('a.b*', 'a.b\nc'), true);
+  assert.equal(keyPatternToRegExp('(x)+*').test('(x)+y'), true);
+});
+
+test('keyPatternToLike escapes LIKE wildcards', () => {
+  assert.equal(keyPatternToLike('100%_off:*'), '100\\%\\_off:%');
+  assert.equal(keyPatternToLike('a\\b?'), 'a\\\\b_');
+});
+
+test('createWatcherInfo compiles pattern watchers only', () => {
+  const callback = () => {};
+  assert.deepEqual(createWatcherInfo('user:1', callback, { a: 1 }), { callback, options: { a: 1 } });
+
+  const info = createWatcherInfo('user:*', callback);
+  assert.equal(info.pattern.test('user:2'), true);
+  assert.ok(info.knownKeys instanceof Map);
+});
+
+test('findKeyWatchers returns the exact watcher and every matching pattern', () => {
+  const watchers = new Map([
+    ['user:1', createWatcherInfo('user:1', () => {})],
+    ['user:*', createWatcherInfo('user:*', () => {})],
+    ['user:?', createWatcherInfo('user:?', () => {})],
+    ['order:*', createWatcherInfo('order:*', () => {})]
+  ]);
+
+  assert.deepEqual(findKeyWatchers(watchers, 'user:1').map(([key]) => key), ['user:1', 'user:*', 'user:?']);
+  assert.deepEqual(findKeyWatchers(watchers, 'user:10').map(([key]) => key), ['user:*']);
+  assert.deepEqual(findKeyWatchers(watchers, 'other'), []);
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const stream = require('../advancedIndex');
+const { quietLogs } = require('./helpers');
+
+// End to end through the advanced facade, backed by the in-memory connector
+
+quietLogs();
+
+test.beforeEach(async () => {
+  await stream.init({ dbType: 'memory', history: true });
+});
+
+test.afterEach(async () => {
+  await stream.destroy();
+});
+
+// Subscribe to a live query and resolve once its initial result set arrived
+function subscribe(query) {
+  const events = [];
+  let unsubscribe;
+  const ready = new Promise((resolve) => {
+    unsubscribe = stream.onQuery(query, (data, meta) => {
+      events.push({ data, meta });
+      if (meta.changeType === 'initial') resolve();
+    });
+  });
+  return ready.then(() => ({ events, unsubscribe }));
+}
+
+test('onQuery delivers the initial set, then enter, update and leave', async () => {
+  await stream.push('user:1', { name: 'Ada', age: 36 });
+  await stream.push('user:2', { name: 'Bob', age: 17 });
+
+  const { events, unsubscribe } = await subscribe('WHERE age >= 18');
+
+  assert.equal(events[0].meta.changeType, 'initial');
+  assert.deepEqual(events[0].data.map(record => record.key), ['user:1']);
+
+  await stream.push('user:2', { name: 'Bob', age: 18 });
+  await stream.push('user:1', { name: 'Ada', age: 37 });
+  await stream.push('user:2', { name: 'Bob', age: 12 });
+  await stream.delete('user:1');
+  await stream.push('user:3', { name: 'Cy', age: 5 });
+
+  assert.deepEqual(events.slice(1).map(({ data, meta }) => [meta.changeType, meta.key, data && data.data.age]), [
+    ['enter', 'user:2', 18],
+    ['update', 'user:1', 37],
+    ['leave', 'user:2', 12],
+    ['leave', 'user:1', null]
+  ]);
+  assert.equal(events[2].meta.previous.data.age, 36);
+
+  unsubscribe();
+  await stream.push('user:4', { name: 'Dee', age: 40 });
+  assert.equal(events.length, 5);
+});
+
+test('transaction commits every operation and tags the change events', async () => {
+  await stream.push('account:a', { balance: 100 });
+  const changes = [];
+  stream.on('account:*', (data, meta) => {
+    if (meta.changeType !== 'initial') changes.push([meta.key, meta.transactionId]);
+  });
+
+  const result = await stream.transaction([
+    { type: 'push', key: 'account:a', data: { balance: 70 } },
+    { type: 'push', key: 'account:b', data: { balance: 30 } },
+    { type: 'get', key: 'account:a' }
+  ]);
+
+  assert.equal(result.committed, true);
+  assert.match(result.transactionId, /^[0-9a-f]{32}$/);
+  assert.deepEqual(result.results[2].data, { balance: 70 });
+  assert.deepEqual(changes, [['account:a', result.transactionId], ['account:b', result.transactionId]]);
+});
+
+test('transaction rolls back when an operation fails', async () => {
+  await stream.push('account:a', { balance: 100 });
+
+  await assert.rejects(stream.transaction([
+    { type: 'push', key: 'account:a', data: { balance: 0 } },
+    { type: 'push', key: 'account:b', data: { balance: 100 }, options: { ifVersion: 3 } }
+  ]), stream.VersionConflictError);
+
+  const stored = await stream.get('account:a', { skipCache: true });
+  assert.deepEqual(stored.data, { balance: 100 });
+  assert.equal(await stream.get('account:b'), null);
+});
+
+test('aggregation reads every matching record and pages through its output', async () => {
+  for (let index = 0; index < 1005; index++) {
+    await stream.push(`item:${index}`, { group: index % 3 === 0 ? 'a' : 'b' });
+  }
+
+  const pipeline = [{ $group: { _id: '$data.group', count: { $sum: 1 } } }, { $sort: { _id: 1 } }];
+  const all = await stream.query({ aggregate: pipeline });
+  assert.deepEqual(all.data, [{ _id: 'a', count: 335 }, { _id: 'b', count: 670 }]);
+
+  const paged = await stream.query({ aggregate: pipeline }, { skip: 1, limit: 1 });
+  assert.deepEqual(paged.data, [{ _id: 'b', count: 670 }]);
+
+  const versions = await stream.query({ keys: ['item:0'], aggregate: [{ $project: { key: 1, version: 1 } }] });
+  assert.deepEqual(versions.data, [{ key: 'item:0', version: 1 }]);
+});
+
+test('update applies operators to the stored value and bumps the version', async () => {
+  await stream.push('profile:1', { name: 'Ada', visits: 1, tags: ['a'] });
+
+  const result = await stream.update('profile:1', { $inc: { visits: 2 }, $push: { tags: 'b' }, $set: { 'address.city': 'London' } });
+  assert.deepEqual([result.matched, result.version], [true, 2]);
+
+  const stored = await stream.get('profile:1');
+  assert.deepEqual(stored.data, { name: 'Ada', visits: 3, tags: ['a', 'b'], address: { city: 'London' } });
+  assert.equal(stored.metadata.version, 2);
+
+  const skipped = await stream.update('profile:2', { $set: { name: 'Bob' } }, { upsert: false });
+  assert.deepEqual([skipped.matched, skipped.upserted], [false, false]);
+  assert.equal(await stream.get('profile:2'), null);
+
+  const created = await stream.update('profile:2', { $set: { name: 'Bob' } });
+  assert.deepEqual([created.upserted, created.version], [true, 1]);
+});
+
+test('compareAndSet writes only at the expected version', async () => {
+  const created = await stream.compareAndSet('doc', 0, { text: 'v1' });
+  assert.equal(created.version, 1);
+
+  const updated = await stream.compareAndSet('doc', 1, { text: 'v2' });
+  assert.equal(updated.version, 2);
+
+  await assert.rejects(stream.compareAndSet('doc', 1, { text: 'stale' }), (error) => {
+    assert.ok(error instanceof stream.VersionConflictError);
+    assert.equal(error.code, 'VERSION_CONFLICT');
+    assert.deepEqual([error.key, error.expectedVersion, error.actualVersion], ['doc', 1, 2]);
+    return true;
+  });
+  await assert.rejects(stream.compareAndSet('missing', 4, {}), error => error.actualVersion === null);
+
+  const stored = await stream.get('doc', { skipCache: true });
+  assert.deepEqual([stored.data, stored.metadata.version], [{ text: 'v2' }, 2]);
+});
+
+test('a re-created key continues after the version it was deleted at', async () => {
+  await stream.push('doc', { text: 'v1' });
+  await stream.delete('doc');
+
+  const recreated = await stream.push('doc', { text: 'new' });
+  assert.equal(recreated.version, 2);
+  // A writer still holding version 1 of the deleted record must not match the new one
+  await assert.rejects(stream.compareAndSet('doc', 1, { text: 'stale' }), error => error.actualVersion === 2);
+
+  await stream.delete('doc');
+  const updated = await stream.update('doc', { $set: { text: 'again' } });
+  assert.equal(updated.version, 3);
+});
+
+test('getHistory lists versions newest first, including deletes', async () => {
+  await stream.push('config', { mode: 'a' });
+  await stream.update('config', { $set: { mode: 'b' } });
+  await stream.delete('config');
+  await stream.push('config', { mode: 'c' });
+
+  const history = await stream.getHistory('config');
+  assert.deepEqual(history.map(entry => [entry.version, entry.deleted, entry.data]), [
+    [3, false, { mode: 'c' }],
+    [2, true, null],
+    [2, false, { mode: 'b' }],
+    [1, false, { mode: 'a' }]
+  ]);
+
+  const limited = await stream.getHistory('config', { limit: 1 });
+  assert.equal(limited.length, 1);
+});
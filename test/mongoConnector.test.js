@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const AdvancedMongoConnector = require('../lib/advancedMongoConnector');
+
+// No MongoDB server here: these feed change stream events to the connector
+// and record the writes it sends to a scripted collection
+
+function change(operationType, id, document = null) {
+  return { _id: { _data: String(Math.random()) }, operationType, documentKey: { _id: id }, fullDocument: document };
+}
+
+function watchingConnector() {
+  const connector = new AdvancedMongoConnector();
+  const delivered = [];
+  connector.config = {};
+  connector.collectionWatchers.set('q', (record, meta) => delivered.push([meta.changeType, meta.key]));
+  return { connector, delivered };
+}
+
+test('writes store the key as _id so delete events resolve without a pre-image', async () => {
+  const connector = new AdvancedMongoConnector();
+  const updates = [];
+  const collection = {
+    async findOneAndUpdate(filter, update) {
+      updates.push(update);
+      return { value: { version: 1 }, lastErrorObject: { updatedExisting: false } };
+    }
+  };
+
+  await connector.upsertDocument(collection, 'user:1', { n: 1 });
+  assert.deepEqual(updates[0].$setOnInsert, { _id: 'user:1' });
+
+  const { connector: watching, delivered } = watchingConnector();
+  watching.handleCollectionChange(change('insert', 'user:1', { _id: 'user:1', key: 'user:1', data: {} }));
+  watching.handleCollectionChange(change('delete', 'user:1'));
+
+  assert.deepEqual(delivered, [['created', 'user:1'], ['deleted', 'user:1']]);
+  assert.equal(watching.documentKeys.size, 0);
+});
+
+test('documents with an ObjectId are remembered only while a watcher matches them', () => {
+  const connector = new AdvancedMongoConnector();
+  const delivered = [];
+  connector.config = {};
+  connector.activeWatchers.set('user:*', {
+    pattern: /^user:.*$/,
+    callback: (data, meta) => delivered.push([meta.changeType, meta.key])
+  });
+
+  const watched = new ObjectId();
+  const unwatched = new ObjectId();
+  connector.handleCollectionChange(change('update', watched, { _id: watched, key: 'user:1', data: {} }));
+  connector.handleCollectionChange(change('update', unwatched, { _id: unwatched, key: 'order:1', data: {} }));
+  assert.deepEqual([...connector.documentKeys.values()], ['user:1']);
+
+  connector.handleCollectionChange(change('delete', watched));
+  assert.deepEqual(delivered, [['updated', 'user:1'], ['deleted', 'user:1']]);
+  assert.equal(connector.documentKeys.size, 0);
+
+  const { connector: collectionWatched } = watchingConnector();
+  collectionWatched.rememberDocumentKey({ _id: unwatched, key: 'order:1' });
+  collectionWatched.rememberDocumentKey({ _id: 'order:2', key: 'order:2' });
+  assert.deepEqual([...collectionWatched.documentKeys.values()], ['order:1']);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdvancedMysqlConnector = require('../lib/advancedMysqlConnector');
+
+// No MySQL server here: binlog checkpoints are checked against a scripted
+// pool that serves SHOW BINLOG EVENTS from an in-memory binlog
+
+const UUID = '3e11fa47-71ca-11e1-9e33-c80aa9429562';
+
+function binlogFile(previous, firstGtid, transactions) {
+  const events = [
+    { Event_type: 'Format_desc', Pos: 4, End_log_pos: 126, Info: '' },
+    { Event_type: 'Previous_gtids', Pos: 126, End_log_pos: 197, Info: previous }
+  ];
+  for (let index = 0; index < transactions; index++) {
+    const pos = 197 + index * 100;
+    events.push(
+      { Event_type: 'Gtid', Pos: pos, End_log_pos: pos + 50, Info: `SET @@SESSION.GTID_NEXT= '${UUID}:${firstGtid + index}'` },
+      { Event_type: 'Xid', Pos: pos + 50, End_log_pos: pos + 100, Info: 'COMMIT' }
+    );
+  }
+  return events;
+}
+
+function connectorWithBinlog(files, answers = {}) {
+  const connector = new AdvancedMysqlConnector();
+  const queries = [];
+
+  connector.pool = {
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (sql === 'SHOW BINARY LOGS') {
+        return [Object.keys(files).map(name => ({ Log_name: name, File_size: files[name][files[name].length - 1].End_log_pos }))];
+      }
+      if (sql.startsWith('SHOW BINLOG EVENTS')) {
+        const from = sql.includes('FROM') ? params[1] : 4;
+        const limit = sql.includes('LIMIT ?') ? params[params.length - 1] : Number(sql.match(/LIMIT (\d+)/)[1]);
+        return [files[params[0]].filter(event => event.Pos >= from).slice(0, limit)];
+      }
+      if (sql.includes('GTID_SUBTRACT')) {
+        return [[{ gtidSet: params[0] }]];
+      }
+      return [[answers.subset ? answers.subset(sql, params) : {}]];
+    }
+  };
+
+  return { connector, queries };
+}
+
+test('readGtidSetAt collects the GTIDs before the checkpoint position, scanning each event once', async () => {
+  const { connector, queries } = connectorWithBinlog({ 'binlog.000002': binlogFile(`${UUID}:1-10`, 11, 3) });
+
+  assert.equal(await connector.readGtidSetAt({ filename: 'binlog.000002', position: 297 }), `${UUID}:1-10,${UUID}:11`);
+  assert.equal(await connector.readGtidSetAt({ filename: 'binlog.000002', position: 497 }), `${UUID}:1-10,${UUID}:11,${UUID}:12,${UUID}:13`);
+
+  const scans = queries.filter(query => query.sql.startsWith('SHOW BINLOG EVENTS')).map(query => query.params[1]);
+  assert.deepEqual(scans, [4, 297]);
+});
+
+test('a purged checkpoint file resumes at the first transaction missing from its GTID set', async () => {
+  const { connector } = connectorWithBinlog({
+    'binlog.000003': binlogFile(`${UUID}:1-20`, 21, 2),
+    'binlog.000004': binlogFile(`${UUID}:1-22`, 23, 2)
+  }, {
+    subset: (sql, params) => {
+      if (sql.includes('purgedSeen')) return { purgedSeen: 1, executed: 1 };
+      // Only binlog.000003 starts inside the saved set
+      return { covered: params[0] === `${UUID}:1-20` ? 1 : 0 };
+    }
+  });
+  connector.config = { database: 'app' };
+  connector.binlogCheckpoint = { filename: 'binlog.000001', position: 900, gtidSet: `${UUID}:1-21` };
+
+  const lost = [];
+  connector.on('historyLost', info => lost.push(info));
+
+  assert.deepEqual(await connector.resolveBinlogStart(), { binlogName: 'binlog.000003', binlogNextPos: 297 });
+  assert.deepEqual(lost, []);
+});
+
+test('a purged checkpoint file is lost when the server purged transactions it never saw', async () => {
+  const { connector } = connectorWithBinlog({ 'binlog.000009': binlogFile(`${UUID}:1-90`, 91, 1) }, {
+    subset: () => ({ purgedSeen: 0, executed: 1 })
+  });
+  connector.binlogCheckpoint = { filename: 'binlog.000001', position: 900, gtidSet: `${UUID}:1-21` };
+
+  const lost = [];
+  connector.on('historyLost', info => lost.push(info.reason));
+
+  assert.deepEqual(await connector.resolveBinlogStart(), { startAtEnd: true });
+  assert.deepEqual(lost, ['binlog file purged']);
+});
+
+test('polling feeds collection watchers from modified rows and a key diff', async () => {
+  const table = [{ key: 'a', data: '{"n":1}', version: 1, last_modified: 0 }];
+  const connector = new AdvancedMysqlConnector();
+  const queries = [];
+  let clock = 0;
+
+  connector.config = {};
+  connector.connected = true;
+  connector.pollingInterval = {};
+  connector.pool = {
+    async query(sql, params) {
+      queries.push(sql);
+      if (sql.includes('NOW(6) AS now')) return [[{ now: ++clock }]];
+      if (sql.includes('last_modified >= ?')) return [table.filter(row => row.last_modified >= params[0] && !row.lateCommit)];
+      return [table.map(row => ({ key: row.key, version: row.version }))];
+    }
+  };
+  connector.readData = async key => connector.formatRow(table.find(row => row.key === key));
+
+  const changes = [];
+  await connector.startCollectionWatch('q', (record, meta) => {
+    changes.push([meta.changeType, meta.key, record && record.data.n, meta.source]);
+  });
+
+  table[0] = { key: 'a', data: '{"n":2}', version: 2, last_modified: 1 };
+  table.push({ key: 'b', data: '{"n":1}', version: 1, last_modified: 1 });
+  await connector.checkCollectionForChanges();
+
+  // A transaction that commits late carries an earlier last_modified
+  table.splice(0, 1, { key: 'a', data: '{"n":3}', version: 3, last_modified: 0, lateCommit: true });
+  table.splice(1, 1);
+  await connector.checkCollectionForChanges();
+  await connector.checkCollectionForChanges();
+
+  assert.deepEqual(changes, [
+    ['updated', 'a', 2, 'polling'],
+    ['created', 'b', 1, 'polling'],
+    ['updated', 'a', 3, 'polling'],
+    ['deleted', 'b', null, 'polling']
+  ]);
+  // Full rows are only read for modified keys, never for the whole table
+  assert.equal(queries.some(sql => sql.includes('SELECT `key`, data') && !sql.includes('?')), false);
+
+  await connector.stopCollectionWatch('q');
+  assert.equal(connector.collectionKnownKeys, null);
+});
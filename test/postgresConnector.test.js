@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdvancedPostgresConnector = require('../lib/advancedPostgresConnector');
+
+// No PostgreSQL server here: these drive the connector's change handling
+// with a scripted client that answers the queries it sends
+
+function wal2jsonRow(lsn, change) {
+  return { lsn, data: JSON.stringify(change) };
+}
+
+function insertChange(key, version) {
+  return {
+    action: 'I',
+    columns: [
+      { name: 'key', value: key },
+      { name: 'data', value: JSON.stringify({ n: version }) },
+      { name: 'version', value: version }
+    ]
+  };
+}
+
+function connectorWithSlot(batches) {
+  const connector = new AdvancedPostgresConnector();
+  const queries = [];
+
+  connector.config = { logicalBatchSize: 3 };
+  connector.connected = true;
+  connector.replicationSlot = 'stream_data_test';
+  connector.slotClient = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      if (sql.includes('pg_logical_slot_peek_changes')) {
+        return { rows: batches.shift() || [] };
+      }
+      return { rows: [] };
+    }
+  };
+
+  return { connector, queries };
+}
+
+test('drainReplicationSlot advances the slot only after delivering a batch', async () => {
+  const { connector, queries } = connectorWithSlot([[
+    wal2jsonRow('0/10', { action: 'B' }),
+    wal2jsonRow('0/11', insertChange('a', 1)),
+    wal2jsonRow('0/12', { action: 'C' })
+  ], [
+    wal2jsonRow('0/20', { action: 'B' }),
+    wal2jsonRow('0/21', insertChange('b', 1)),
+    wal2jsonRow('0/22', { action: 'C' })
+  ]]);
+
+  const delivered = [];
+  connector.collectionWatchers.set('q', (record, meta) => {
+    delivered.push(meta.key);
+    // Nothing may be consumed before the change reached its watchers
+    assert.equal(queries.filter(query => query.sql.includes('advance')).length, delivered.length - 1);
+  });
+
+  await connector.drainReplicationSlot();
+
+  assert.deepEqual(delivered, ['a', 'b']);
+  assert.equal(queries.some(query => query.sql.includes('pg_logical_slot_get_changes')), false);
+  assert.deepEqual(
+    queries.filter(query => query.sql.includes('pg_replication_slot_advance')).map(query => query.params),
+    [['stream_data_test', '0/12'], ['stream_data_test', '0/22']]
+  );
+});
+
+test('drainReplicationSlot leaves a batch in the slot when delivery fails', async () => {
+  const { connector, queries } = connectorWithSlot([[
+    wal2jsonRow('0/10', { action: 'B' }),
+    wal2jsonRow('0/11', { action: 'I', columns: [{ name: 'key', value: 'a' }, { name: 'data', value: '{' }] }),
+    wal2jsonRow('0/12', { action: 'C' })
+  ]]);
+
+  await assert.rejects(connector.drainReplicationSlot(), SyntaxError);
+  assert.equal(queries.some(query => query.sql.includes('pg_replication_slot_advance')), false);
+});
+
+test('logical decoding requires a valid slot name', async () => {
+  const connector = new AdvancedPostgresConnector();
+  connector.config = { replicationSlot: 'Bad-Name' };
+  await assert.rejects(connector.setupLogicalDecoding(), /replicationSlot may only contain/);
+});
+
+function pollingConnector(table) {
+  const connector = new AdvancedPostgresConnector();
+  const queries = [];
+  let clock = 0;
+
+  connector.config = {};
+  connector.connected = true;
+  connector.pollingInterval = {};
+  connector.pool = {
+    async query(sql, params) {
+      queries.push(sql);
+      if (sql.includes('NOW() AS now')) {
+        return { rows: [{ now: ++clock }] };
+      }
+      if (sql.includes('last_modified >= $1')) {
+        return { rows: table.filter(row => row.last_modified >= params[0] && !row.lateCommit) };
+      }
+      if (sql.includes('"key" = $1')) {
+        return { rows: table.filter(row => row.key === params[0]) };
+      }
+      return { rows: table.map(row => ({ key: row.key, version: row.version })) };
+    }
+  };
+
+  return { connector, queries };
+}
+
+test('polling feeds collection watchers from modified rows and a key diff', async () => {
+  const table = [{ key: 'a', data: { n: 1 }, version: 1, last_modified: 0 }];
+  const { connector, queries } = pollingConnector(table);
+  const changes = [];
+
+  await connector.startCollectionWatch('q', (record, meta) => {
+    changes.push([meta.changeType, meta.key, record && record.data.n, meta.source]);
+  });
+  assert.deepEqual(changes, []);
+
+  table[0] = { key: 'a', data: { n: 2 }, version: 2, last_modified: 1 };
+  table.push({ key: 'b', data: { n: 1 }, version: 1, last_modified: 1 });
+  await connector.checkCollectionForChanges();
+
+  // A transaction that commits late carries an earlier last_modified
+  table.splice(0, 1, { key: 'a', data: { n: 3 }, version: 3, last_modified: 0, lateCommit: true });
+  table.splice(1, 1);
+  await connector.checkCollectionForChanges();
+  await connector.checkCollectionForChanges();
+
+  assert.deepEqual(changes, [
+    ['updated', 'a', 2, 'polling'],
+    ['created', 'b', 1, 'polling'],
+    ['updated', 'a', 3, 'polling'],
+    ['deleted', 'b', null, 'polling']
+  ]);
+  // Full rows are only read for modified or late keys, never for the whole table
+  assert.equal(queries.some(sql => sql.includes('SELECT "key", data') && !sql.includes('$1')), false);
+
+  await connector.stopCollectionWatch('q');
+  assert.equal(connector.collectionKnownKeys, null);
+});
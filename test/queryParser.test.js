@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, parseQuery, isConditionNode, toMongoFilter } = require('../lib/queryParser');
+const { matchesFilter } = require('../lib/aggregationEngine');
+const { QuerySyntaxError } = require('../lib/errors');
+
+test('tokenize reads strings, numbers, keywords and operators', () => {
+  const tokens = tokenize("age >= -2.5 AND name = 'O''Brien' AND x <> 1");
+
+  assert.deepEqual(tokens.map(token => [token.type, token.value]), [
+    ['identifier', 'age'],
+    ['operator', '>='],
+    ['number', -2.5],
+    ['keyword', 'AND'],
+    ['identifier', 'name'],
+    ['operator', '='],
+    ['string', "O'Brien"],
+    ['keyword', 'AND'],
+    ['identifier', 'x'],
+    ['operator', '!='],
+    ['number', 1],
+    ['eof', null]
+  ]);
+});
+
+test('parseQuery parses a full query', () => {
+  const query = parseQuery('SELECT key, data.name FROM stream WHERE age > 30 ORDER BY lastModified DESC, key LIMIT 10 OFFSET 20');
+
+  assert.deepEqual(query.select, ['key', 'data.name']);
+  assert.equal(query.from, 'stream');
+  assert.deepEqual(query.orderBy, [
+    { field: 'lastModified', direction: 'DESC' },
+    { field: 'key', direction: 'ASC' }
+  ]);
+  assert.equal(query.limit, 10);
+  assert.equal(query.offset, 20);
+  assert.deepEqual(query.where, { type: 'comparison', field: 'data.age', operator: '>', value: 30, position: 40 });
+});
+
+test('parseQuery accepts MySQL-style LIMIT offset, count', () => {
+  const query = parseQuery('LIMIT 5, 10');
+  assert.equal(query.offset, 5);
+  assert.equal(query.limit, 10);
+});
+
+test('parseQuery resolves bare fields into data and keeps record fields', () => {
+  const { where } = parseQuery('WHERE user.age = 1 AND key = 2 AND last_modified > 3 AND metadata.source = 4 AND data.order = 5');
+  assert.deepEqual(where.conditions.map(condition => condition.field), [
+    'data.user.age', 'key', 'lastModified', 'metadata.source', 'data.order'
+  ]);
+});
+
+test('parseQuery builds AND/OR/NOT with AND binding tighter', () => {
+  const { where } = parseQuery('WHERE a = 1 OR b = 2 AND NOT (c = 3)');
+
+  assert.equal(where.operator, 'OR');
+  assert.equal(where.conditions[1].operator, 'AND');
+  assert.equal(where.conditions[1].conditions[1].type, 'not');
+  assert.equal(where.conditions[1].conditions[1].condition.field, 'data.c');
+});
+
+test('parseQuery parses IN, IS NULL, BETWEEN and LIKE predicates', () => {
+  const { where } = parseQuery("WHERE a NOT IN (1, 'x') AND b IS NOT NULL AND c BETWEEN 1 AND 5 AND d LIKE 'ab%' AND e = NULL");
+  const [inNode, nullNode, betweenNode, likeNode, equalsNull] = where.conditions;
+
+  assert.deepEqual([inNode.type, inNode.values, inNode.negated], ['in', [1, 'x'], true]);
+  assert.deepEqual([nullNode.type, nullNode.negated], ['null', true]);
+  assert.deepEqual([betweenNode.low, betweenNode.high], [1, 5]);
+  assert.deepEqual([likeNode.type, likeNode.pattern], ['like', 'ab%']);
+  assert.deepEqual([equalsNull.type, equalsNull.negated], ['null', false]);
+});
+
+test('parseQuery reports syntax errors with their position', () => {
+  const cases = [
+    ['WHERE age >', 11, /Expected a literal value but found end of query/],
+    ["WHERE name = 'open", 13, /Unterminated string literal/],
+    ['WHERE age # 3', 10, /Unexpected character '#'/],
+    ['WHERE age < NULL', 10, /cannot compare with NULL/],
+    ['LIMIT -1', 6, /Expected a non-negative integer/],
+    ['WHERE a = 1 b', 12, /Expected end of query but found 'b'/]
+  ];
+
+  for (const [input, position, message] of cases) {
+    assert.throws(() => parseQuery(input), (error) => {
+      assert.ok(error instanceof QuerySyntaxError);
+      assert.equal(error.code, 'QUERY_SYNTAX_ERROR');
+      assert.equal(error.position, position);
+      assert.equal(error.query, input);
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
+
+test('parseQuery rejects non-string input', () => {
+  assert.throws(() => parseQuery({}), TypeError);
+});
+
+test('isConditionNode recognises parsed conditions only', () => {
+  assert.equal(isConditionNode(parseQuery('WHERE a = 1').where), true);
+  assert.equal(isConditionNode({ age: { $gt: 1 } }), false);
+  assert.equal(isConditionNode(null), false);
+});
+
+test('toMongoFilter compiles each condition type', () => {
+  const filter = where => toMongoFilter(parseQuery(`WHERE ${where}`).where);
+
+  assert.deepEqual(filter('a = 1 AND b != 2'), { $and: [{ 'data.a': { $eq: 1 } }, { 'data.b': { $ne: 2 } }] });
+  assert.deepEqual(filter('a < 1 OR a >= 5'), { $or: [{ 'data.a': { $lt: 1 } }, { 'data.a': { $gte: 5 } }] });
+  assert.deepEqual(filter('NOT a = 1'), { $nor: [{ 'data.a': { $eq: 1 } }] });
+  assert.deepEqual(filter('a NOT IN (1, 2)'), { 'data.a': { $nin: [1, 2] } });
+  assert.deepEqual(filter('a IS NULL'), { 'data.a': null });
+  assert.deepEqual(filter('a IS NOT NULL'), { 'data.a': { $ne: null } });
+  assert.deepEqual(filter('a BETWEEN 1 AND 3'), { 'data.a': { $gte: 1, $lte: 3 } });
+  assert.deepEqual(filter('a NOT BETWEEN 1 AND 3'), { $nor: [{ 'data.a': { $gte: 1, $lte: 3 } }] });
+  assert.deepEqual(filter("a LIKE 'x_%.'"), { 'data.a': { $regex: '^x..*\\.$', $options: 'is' } });
+});
+
+test('toMongoFilter compares timestamps as dates', () => {
+  const filter = toMongoFilter(parseQuery("WHERE lastModified > '2024-01-01T00:00:00Z'").where);
+  assert.deepEqual(filter, { lastModified: { $gt: new Date('2024-01-01T00:00:00Z') } });
+});
+
+test('toMongoFilter output evaluates like the SQL it came from', () => {
+  const records = [
+    { key: 'a', data: { name: 'Alice', age: 31, team: 'red' } },
+    { key: 'b', data: { name: 'bob', age: 25, team: 'blue' } },
+    { key: 'c', data: { name: 'Carol', age: 40, team: null } }
+  ];
+  const keys = where => records
+    .filter(record => matchesFilter(record, toMongoFilter(parseQuery(`WHERE ${where}`).where)))
+    .map(record => record.key);
+
+  assert.deepEqual(keys("name LIKE 'B%'"), ['b']);
+  assert.deepEqual(keys('age BETWEEN 30 AND 40 AND team IS NOT NULL'), ['a']);
+  assert.deepEqual(keys("NOT (team IN ('red', 'blue'))"), ['c']);
+  assert.deepEqual(keys("age > 30 OR key = 'b'"), ['a', 'b', 'c']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const stream = require('../advancedIndex');
+const { ReencryptionJob } = require('../lib/reencryption');
+const { createEncryption } = require('../lib/encryption');
+const { quietLogs } = require('./helpers');
+
+quietLogs();
+
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32);
+
+test.beforeEach(async () => {
+  await stream.init({
+    dbType: 'memory',
+    enableEncryption: true,
+    encryptionKeys: { old: oldKey, new: newKey },
+    encryptionKeyId: 'old'
+  });
+});
+
+test.afterEach(async () => {
+  await stream.destroy();
+});
+
+function storedKeyId(key) {
+  return stream.dbConnector.records.get(key).data.kid;
+}
+
+test('reencrypt rewrites records under the current key and keeps their TTL', async () => {
+  await stream.push('user:1', { name: 'Ada' }, { tags: ['vip'] });
+  await stream.push('user:2', { name: 'Bob' }, { ttl: 60 });
+  await stream.rotateEncryptionKey('new');
+  await stream.push('user:3', { name: 'Cy' });
+
+  const summary = await stream.reencrypt({ batchSize: 2 }).finished;
+
+  assert.deepEqual([summary.processed, summary.reencrypted, summary.skipped, summary.failed], [3, 2, 1, 0]);
+  assert.deepEqual(['user:1', 'user:2', 'user:3'].map(storedKeyId), ['new', 'new', 'new']);
+
+  const kept = stream.dbConnector.records.get('user:1');
+  assert.deepEqual([kept.tags, kept.version], [['vip'], 2]);
+  const expiry = stream.dbConnector.records.get('user:2').ttl.getTime() - Date.now();
+  assert.ok(expiry > 55000 && expiry <= 60000);
+
+  assert.deepEqual((await stream.get('user:2', { skipCache: true })).data, { name: 'Bob' });
+});
+
+test('a stopped job resumes after the last key it checkpointed', async () => {
+  for (const key of ['a', 'b', 'c', 'd']) {
+    await stream.push(key, key);
+  }
+  await stream.rotateEncryptionKey('new');
+
+  const first = stream.reencrypt({ batchSize: 1 });
+  first.once('progress', () => first.stop());
+  const stopped = await first.finished;
+  assert.equal(stopped.processed, 1);
+
+  const resumed = await stream.reencrypt({ batchSize: 1 }).finished;
+  assert.deepEqual([resumed.processed, resumed.reencrypted], [4, 4]);
+  assert.deepEqual(['a', 'b', 'c', 'd'].map(storedKeyId), ['new', 'new', 'new', 'new']);
+});
+
+test('records that expire before their rewrite are skipped, not written back', async () => {
+  const encryption = await createEncryption({ enableEncryption: true, encryptionKey: newKey });
+  const writes = [];
+  const connector = {
+    async getAllKeys() {
+      return [{ key: 'gone' }];
+    },
+    async readData(key) {
+      return { key, data: 'sealed', version: 3, tags: [], metadata: {}, ttl: new Date(Date.now() - 1000) };
+    },
+    async compareAndSet(key, data, version, options) {
+      writes.push({ key, version, options });
+    }
+  };
+
+  const job = new ReencryptionJob({
+    connector,
+    encryption,
+    codec: { needsReencryption: () => true, reencode: () => ({ data: 'resealed' }) }
+  });
+  const summary = await job.start().finished;
+
+  assert.deepEqual([summary.reencrypted, summary.skipped], [0, 1]);
+  assert.deepEqual(writes, []);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdvancedSqliteConnector = require('../lib/advancedSqliteConnector');
+const { parseQuery } = require('../lib/queryParser');
+const { quietLogs } = require('./helpers');
+
+quietLogs();
+
+let directory;
+let filename;
+const connectors = [];
+
+async function open() {
+  const connector = new AdvancedSqliteConnector();
+  await connector.connect({ filename });
+  connectors.push(connector);
+  return connector;
+}
+
+test.beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-sqlite-'));
+  filename = path.join(directory, 'stream.db');
+});
+
+test.afterEach(async () => {
+  while (connectors.length > 0) {
+    await connectors.pop().disconnect();
+  }
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('writes bump versions and compareAndSet rejects stale versions', async () => {
+  const connector = await open();
+
+  assert.equal((await connector.writeData('doc', { text: 'v1' })).version, 1);
+  assert.equal((await connector.compareAndSet('doc', { text: 'v2' }, 1, { tags: ['a'] })).version, 2);
+  await assert.rejects(connector.compareAndSet('doc', { text: 'stale' }, 1), error => error.actualVersion === 2);
+
+  const stored = await connector.readData('doc');
+  assert.deepEqual([stored.data, stored.tags, stored.version], [{ text: 'v2' }, ['a'], 2]);
+
+  await connector.deleteData('doc');
+  assert.equal(await connector.readData('doc'), null);
+  assert.equal((await connector.writeData('doc', { text: 'new' })).version, 3);
+});
+
+test('updates apply operators and queries compile WHERE clauses to JSON1', async () => {
+  const connector = await open();
+  await connector.writeData('user:1', { name: 'Ada', age: 36 });
+  await connector.writeData('user:2', { name: 'Bob', age: 17 });
+
+  const updated = await connector.updateData('user:2', { $inc: { age: 2 }, $set: { 'address.city': 'Oslo' } });
+  assert.deepEqual([updated.matched, updated.version], [true, 2]);
+  assert.deepEqual((await connector.readData('user:2')).data, { name: 'Bob', age: 19, address: { city: 'Oslo' } });
+
+  const adults = await connector.queryData({ where: parseQuery("WHERE age >= 18 AND name != 'Ada'").where });
+  assert.deepEqual(adults.map(record => record.key), ['user:2']);
+});
+
+test('transactions roll back together and tag their change events', async () => {
+  const connector = await open();
+  const changes = [];
+  await connector.startRealTimeWatch('account:*', (data, meta) => {
+    if (meta.changeType !== 'initial') changes.push([meta.changeType, meta.key, meta.transactionId]);
+  });
+
+  await assert.rejects(connector.runTransaction([
+    { type: 'push', key: 'account:a', data: { balance: 1 } },
+    { type: 'push', key: 'account:b', data: {}, options: { ifVersion: 3 } }
+  ], { transactionId: 'failed' }));
+  assert.equal(await connector.readData('account:a'), null);
+
+  await connector.runTransaction([
+    { type: 'push', key: 'account:a', data: { balance: 1 } },
+    { type: 'delete', key: 'account:a' }
+  ], { transactionId: 'txn-1' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(changes, [['created', 'account:a', 'txn-1'], ['deleted', 'account:a', 'txn-1']]);
+});
+
+test('watchers on another connection read writes from the shared change log', async () => {
+  const writer = await open();
+  const reader = await open();
+  const changes = [];
+  await reader.startRealTimeWatch('k', (data, meta) => changes.push([meta.changeType, data, meta.version]));
+
+  await writer.writeData('k', 1);
+  await writer.writeData('k', 2);
+  await writer.deleteData('k');
+  // The file watcher would call this; drain directly so the test does not wait on it
+  reader.drainChanges();
+
+  assert.deepEqual(changes, [['created', 1, 1], ['updated', 2, 2], ['deleted', null, null]]);
+});
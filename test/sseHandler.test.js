@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const stream = require('../advancedIndex');
+const { quietLogs } = require('./helpers');
+
+quietLogs();
+
+let server;
+let handler;
+let port;
+
+test.beforeEach(async () => {
+  await stream.init({ dbType: 'memory' });
+  handler = stream.createSSEHandler({ heartbeatInterval: 60000 });
+  server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+test.afterEach(async () => {
+  await stream.destroy();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Open an event stream; events() waits until `count` events have arrived
+function connect(path, headers = {}) {
+  const received = [];
+  const waiters = [];
+  let buffer = '';
+
+  const request = http.get({ host: '127.0.0.1', port, path, headers }, (res) => {
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = {};
+        for (const line of frame.split('\n')) {
+          const [field, ...rest] = line.split(': ');
+          if (field === 'id' || field === 'event' || field === 'data') event[field] = rest.join(': ');
+        }
+        if (event.data) {
+          received.push({ id: event.id, event: event.event, ...JSON.parse(event.data) });
+          waiters.filter(waiter => received.length >= waiter.count).forEach(waiter => waiter.resolve());
+        }
+      }
+    });
+  });
+
+  return {
+    events(count) {
+      if (received.length >= count) return Promise.resolve(received.slice());
+      return new Promise(resolve => waiters.push({ count, resolve })).then(() => received.slice());
+    },
+    close() {
+      request.destroy();
+    }
+  };
+}
+
+test('a new stream gets the current value of a key the facade already watches', async () => {
+  await stream.push('k', { n: 1 });
+  stream.on('k', () => {});
+
+  const client = connect('/?key=k');
+  const [initial] = await client.events(1);
+  assert.deepEqual([initial.event, initial.key, initial.data], ['initial', 'k', { n: 1 }]);
+  assert.equal(initial.id, undefined);
+
+  await stream.push('k', { n: 2 });
+  const events = await client.events(2);
+  assert.deepEqual([events[1].event, events[1].data, events[1].meta.version], ['updated', { n: 2 }, 2]);
+  assert.equal(events.length, 2);
+  client.close();
+});
+
+test('a new stream on a key pattern gets every matching value', async () => {
+  await stream.push('user:1', 'a');
+  await stream.push('user:2', 'b');
+  await stream.push('order:1', 'c');
+
+  const client = connect('/?key=user:*');
+  const events = await client.events(2);
+  assert.deepEqual(events.map(event => [event.event, event.key, event.data]).sort(), [
+    ['initial', 'user:1', 'a'],
+    ['initial', 'user:2', 'b']
+  ]);
+  client.close();
+});
+
+test('Last-Event-ID replays the events a reconnecting client missed', async () => {
+  await stream.push('k', 0);
+  const watcher = connect('/?key=k');
+  await watcher.events(1);
+
+  const first = connect('/?key=k');
+  await first.events(1);
+  await stream.push('k', 1);
+  const [, seen] = await first.events(2);
+  first.close();
+
+  assert.match(seen.id, /^[0-9a-f]+-\d+$/);
+
+  await stream.push('k', 2);
+  await stream.push('k', 3);
+
+  const resumed = connect('/?key=k', { 'Last-Event-ID': seen.id });
+  const replayed = await resumed.events(2);
+  assert.deepEqual(replayed.map(event => [event.event, event.data]), [['updated', 2], ['updated', 3]]);
+
+  resumed.close();
+  watcher.close();
+});
+
+test('ids the handler did not issue get the current value instead of a replay', async () => {
+  await stream.push('k', 0);
+  const watcher = connect('/?key=k');
+  await watcher.events(1);
+  await stream.push('k', 1);
+
+  const started = [];
+  const startRealTimeWatch = stream.dbConnector.startRealTimeWatch.bind(stream.dbConnector);
+  stream.dbConnector.startRealTimeWatch = (key, callback, options) => {
+    started.push(options);
+    return startRealTimeWatch(key, callback, options);
+  };
+
+  for (const lastEventId of ['resume:{"_data":"8263"}', '0-1', 'not an id']) {
+    const client = connect('/?key=k', { 'Last-Event-ID': lastEventId });
+    const events = await client.events(1);
+    assert.deepEqual([events[0].event, events[0].data], ['initial', 1]);
+    client.close();
+  }
+
+  const fresh = connect('/?key=other', { 'Last-Event-ID': 'resume:{"_data":"8263"}' });
+  await stream.push('other', 'x');
+  await fresh.events(1);
+  assert.equal(started.length, 1);
+  assert.equal(JSON.stringify(started[0]).includes('8263'), false);
+
+  fresh.close();
+  watcher.close();
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeUpdate, createsValues, applyUpdate, toMongoUpdate, toMysqlUpdate } = require('../lib/updateOperators');
+
+test('normalizeUpdate flattens operators to one entry per path', () => {
+  assert.deepEqual(normalizeUpdate({ $set: { 'profile.name': 'Ada' }, $push: { tags: { $each: ['a', 'b'] } } }), [
+    { operator: '$set', path: 'profile.name', segments: ['profile', 'name'], value: 'Ada' },
+    { operator: '$push', path: 'tags', segments: ['tags'], value: ['a', 'b'] }
+  ]);
+});
+
+test('normalizeUpdate rejects invalid updates', () => {
+  assert.throws(() => normalizeUpdate(null), /must be an object of operators/);
+  assert.throws(() => normalizeUpdate({}), /at least one operation/);
+  assert.throws(() => normalizeUpdate({ $rename: { a: 'b' } }), /Unknown update operator: \$rename/);
+  assert.throws(() => normalizeUpdate({ $set: { 'a..b': 1 } }), /Invalid update path/);
+  assert.throws(() => normalizeUpdate({ $inc: { a: '1' } }), /must be a finite number/);
+  assert.throws(() => normalizeUpdate({ $set: { a: undefined } }), /cannot be undefined/);
+  assert.throws(() => normalizeUpdate({ $set: { profile: {} }, $unset: { 'profile.name': true } }), /Update paths conflict/);
+});
+
+test('createsValues is false for updates that only remove', () => {
+  assert.equal(createsValues(normalizeUpdate({ $unset: { a: true }, $pull: { b: 1 } })), false);
+  assert.equal(createsValues(normalizeUpdate({ $unset: { a: true }, $inc: { b: 1 } })), true);
+});
+
+test('applyUpdate applies every operator to a copy', () => {
+  const data = { profile: { name: 'Ada', nickname: 'A' }, visits: 1, tags: ['x', 'y', 'x'], items: [{ id: 1 }, { id: 2 }] };
+  const updated = applyUpdate(data, {
+    $set: { 'profile.name': 'Ada L.', 'address.city': 'London' },
+    $unset: { 'profile.nickname': true },
+    $inc: { visits: 2, 'stats.logins': 1 },
+    $push: { tags: { $each: ['z'] } },
+    $pull: { items: { id: 2 } }
+  });
+
+  assert.deepEqual(updated, {
+    profile: { name: 'Ada L.' },
+    address: { city: 'London' },
+    visits: 3,
+    stats: { logins: 1 },
+    tags: ['x', 'y', 'x', 'z'],
+    items: [{ id: 1 }]
+  });
+  assert.equal(data.profile.nickname, 'A');
+});
+
+test('applyUpdate addresses array elements by index', () => {
+  assert.deepEqual(applyUpdate({ list: [1, 2, 3] }, { $set: { 'list.1': 9 }, $unset: { 'list.2': true } }), { list: [1, 9, null] });
+  assert.deepEqual(applyUpdate({ list: [] }, { $set: { 'list.2': 'c' } }), { list: [null, null, 'c'] });
+});
+
+test('applyUpdate pulls objects regardless of member order', () => {
+  assert.deepEqual(applyUpdate({ list: [{ a: 1, b: 2 }, { a: 2 }] }, { $pull: { list: { b: 2, a: 1 } } }), { list: [{ a: 2 }] });
+});
+
+test('applyUpdate starts from an empty object for new keys', () => {
+  assert.deepEqual(applyUpdate(null, { $inc: { count: 1 } }), { count: 1 });
+});
+
+test('applyUpdate refuses to change values of the wrong type', () => {
+  assert.throws(() => applyUpdate({ count: 'one' }, { $inc: { count: 1 } }), /Cannot \$inc non-numeric value/);
+  assert.throws(() => applyUpdate({ tags: 'a' }, { $push: { tags: 'b' } }), /Cannot \$push to non-array value/);
+  assert.throws(() => applyUpdate({ name: 'Ada' }, { $set: { 'name.first': 'A' } }), /"name" is not an object/);
+});
+
+test('toMongoUpdate prefixes paths and keeps operator semantics', () => {
+  assert.deepEqual(toMongoUpdate({
+    $set: { 'profile.name': 'Ada' },
+    $unset: { old: true },
+    $inc: { visits: 1 },
+    $push: { tags: 'new' },
+    $pull: { items: { id: 2 } }
+  }), {
+    $set: { 'data.profile.name': 'Ada' },
+    $unset: { 'data.old': '' },
+    $inc: { 'data.visits': 1 },
+    $push: { 'data.tags': { $each: ['new'] } },
+    $pull: { 'data.items': { $in: [{ id: 2 }] } }
+  });
+});
+
+test('toMysqlUpdate builds one parameterized JSON expression', () => {
+  const { expression, params } = toMysqlUpdate({ $set: { 'profile.name': 'Ada' }, $inc: { visits: 1 } });
+
+  assert.equal(
+    expression,
+    'JSON_SET(JSON_SET(JSON_MERGE_PATCH(data, CAST(? AS JSON)), ?, CAST(? AS JSON)), ?, COALESCE(JSON_EXTRACT(data, ?), 0) + ?)'
+  );
+  assert.deepEqual(params, ['{"profile":{}}', '$."profile"."name"', '"Ada"', '$."visits"', '$."visits"', 1]);
+});
+
+test('toMysqlUpdate nulls unset array elements instead of removing them', () => {
+  assert.deepEqual(toMysqlUpdate({ $unset: { 'list.0': true, name: true } }), {
+    expression: 'JSON_REMOVE(JSON_REPLACE(data, ?, CAST(\'null\' AS JSON)), ?)',
+    params: ['$."list"[0]', '$."name"']
+  });
+});
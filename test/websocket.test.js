@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const stream = require('../advancedIndex');
+const { createClient } = require('../client');
+const { quietLogs } = require('./helpers');
+
+quietLogs();
+
+let httpServer;
+let gateway;
+let url;
+const clients = [];
+
+async function startGateway(options = {}) {
+  httpServer = http.createServer();
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  gateway = stream.createWebSocketServer({ server: httpServer, ...options });
+  url = `ws://127.0.0.1:${httpServer.address().port}/stream`;
+}
+
+function client(options = {}) {
+  const created = createClient(url, { WebSocket, reconnectInterval: 20, ...options });
+  clients.push(created);
+  return created;
+}
+
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Resolves with the first `count` (data, meta) pairs a listener receives
+function collect(target, key, count) {
+  const received = [];
+  return new Promise((resolve) => {
+    target.on(key, (data, meta) => {
+      received.push([meta.changeType, meta.key, data]);
+      if (received.length === count) resolve(received);
+    });
+  });
+}
+
+test.beforeEach(async () => {
+  await stream.init({ dbType: 'memory' });
+});
+
+test.afterEach(async () => {
+  clients.splice(0).forEach(item => item.close());
+  await stream.destroy();
+  if (httpServer) {
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    httpServer = null;
+  }
+});
+
+test('clients share one gateway subscription per key and see each other\'s writes', async () => {
+  await startGateway();
+  await stream.push('k', 0);
+
+  const first = client();
+  const second = client();
+  const firstEvents = collect(first, 'k', 2);
+  const secondEvents = collect(second, 'k', 2);
+  await Promise.all([first.connect(), second.connect()]);
+
+  await waitFor(() => gateway.getStatus().subscriptions === 2);
+  assert.deepEqual(gateway.getStatus(), { clients: 2, keyChannels: 1, subscriptions: 2 });
+
+  const result = await first.push('k', 1);
+  assert.equal(result.version, 2);
+
+  assert.deepEqual(await firstEvents, [['initial', 'k', 0], ['updated', 'k', 1]]);
+  assert.deepEqual((await secondEvents).map(([changeType]) => changeType), ['initial', 'updated']);
+  assert.equal(second.getCached('k'), 1);
+  assert.deepEqual((await second.get('k')).data, 1);
+});
+
+test('writes made offline are queued and sent once the client connects', async () => {
+  await startGateway();
+  const offline = client({ autoConnect: false });
+
+  const pushed = offline.push('queued', { n: 1 });
+  assert.equal(offline.getStatus().queuedWrites, 1);
+
+  await offline.connect();
+  assert.equal((await pushed).upserted, true);
+  assert.deepEqual((await stream.get('queued')).data, { n: 1 });
+});
+
+test('a dropped connection reconnects and resubscribes', async () => {
+  await startGateway();
+  const reconnecting = client();
+  const events = collect(reconnecting, 'k', 1);
+  const states = [];
+  reconnecting.onStatus(status => states.push(status.state));
+  await reconnecting.connect();
+  await waitFor(() => gateway.getStatus().subscriptions === 1);
+
+  for (const socket of gateway.wss.clients) socket.terminate();
+  await waitFor(() => states.includes('closed') && reconnecting.isConnected() && gateway.getStatus().subscriptions === 1);
+
+  await stream.push('k', 'after');
+  assert.deepEqual(await events, [['created', 'k', 'after']]);
+});
+
+test('a read-only gateway rejects writes and reports protocol errors', async () => {
+  await startGateway({ readOnly: true });
+
+  const readOnly = client();
+  await readOnly.connect();
+  await assert.rejects(readOnly.push('k', 1), error => error.code === 'FORBIDDEN');
+
+  const raw = new WebSocket(url);
+  await new Promise(resolve => raw.once('open', resolve));
+  const reply = new Promise(resolve => raw.once('message', message => resolve(JSON.parse(message.toString()))));
+  raw.send(JSON.stringify({ id: 7, type: 'rename' }));
+  assert.deepEqual(await reply, { type: 'error', id: 7, code: 'UNKNOWN_TYPE', message: 'Unknown message type: rename' });
+  raw.close();
+});
+
+test('port 0 listens on an ephemeral port', async () => {
+  assert.throws(() => stream.createWebSocketServer({}), /requires a server or port/);
+
+  const standalone = stream.createWebSocketServer({ port: 0 });
+  await new Promise(resolve => standalone.wss.once('listening', resolve));
+  assert.ok(standalone.wss.address().port > 0);
+  await standalone.close();
+});